@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
+import { XCircle, Hourglass } from 'lucide-react';
+
+const CARD_STYLE = {
+  style: {
+    base: { fontSize: '16px', color: '#1f2937', '::placeholder': { color: '#9ca3af' } },
+    invalid: { color: '#ef4444' },
+  },
+};
+
+/**
+ * CardPaymentForm Component
+ * Stripe card field + pay button; must render inside <Elements stripe={stripePromise}>.
+ * `createIntent()` resolves with { clientSecret }; `onPaid(paymentIntent)` waits for the server to apply it.
+ * Once the card is charged the form locks: if `onPaid` fails the payment is still safe, so we say it is being confirmed.
+ */
+const CardPaymentForm = ({ submitLabel, billingName, createIntent, onPaid }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [error, setError] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [isCharged, setIsCharged] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!stripe || !elements) return;
+
+    setProcessing(true);
+    setError(null);
+
+    try {
+      // 1. Create Payment Intent
+      const intentData = await createIntent();
+      if (!intentData?.clientSecret) throw new Error("Failed to initialize payment.");
+
+      // 2. Confirm Card Payment
+      const result = await stripe.confirmCardPayment(intentData.clientSecret, {
+        payment_method: {
+          card: elements.getElement(CardElement),
+          billing_details: { name: billingName || "Student" },
+        },
+      });
+
+      if (result.error) {
+        setError(result.error.message);
+      } else if (result.paymentIntent.status === "succeeded") {
+        // 3. The webhook applies it (hire, invoice, ...); wait for the outcome
+        setIsCharged(true);
+        try {
+          await onPaid(result.paymentIntent);
+        } catch (err) {
+          console.error("Payment Confirmation Error:", err);
+        }
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || "Something went wrong during payment processing.");
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="p-4 border border-gray-200 rounded-lg bg-gray-50">
+        <CardElement options={CARD_STYLE} />
+      </div>
+
+      {isCharged && !processing && (
+        <div className="flex items-center gap-2 text-amber-700 text-sm bg-amber-50 p-3 rounded-lg border border-amber-100">
+          <Hourglass size={16} className="shrink-0" /> Payment received — we're still confirming it. You won't be charged again.
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-lg border border-red-100">
+          <XCircle size={16} /> {error}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={!stripe || processing || isCharged}
+        className={`w-full font-bold py-3.5 rounded-xl transition-all shadow-lg flex items-center justify-center gap-2
+          ${processing || isCharged
+            ? "bg-gray-400 cursor-not-allowed text-gray-100"
+            : "bg-emerald-600 hover:bg-emerald-700 text-white shadow-emerald-200"
+          }`}
+      >
+        {processing ? "Processing..." : submitLabel}
+      </button>
+    </form>
+  );
+};
+
+export default CardPaymentForm;
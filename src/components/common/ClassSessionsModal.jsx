@@ -0,0 +1,328 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import Swal from 'sweetalert2';
+import {
+  X, ChevronLeft, ChevronRight, List, CalendarDays, Plus, Trash2, Check, UserX, Loader
+} from 'lucide-react';
+
+import { sessionsApi } from '../../services/sessionsApi';
+import { WEEKDAYS, toMinutes } from '../../utils/schedule';
+import {
+  SESSION_STATUSES, SESSION_DURATIONS, toDateKey, toMonthKey, shiftMonth, formatMonth,
+  formatSessionDate, formatDuration, getMonthDays, summarizeAttendance
+} from '../../utils/attendance';
+
+const VIEWS = [
+  { value: 'list', label: 'List', icon: List },
+  { value: 'calendar', label: 'Calendar', icon: CalendarDays },
+];
+
+// Length of the tuition's first weekly slot, else an hour
+const defaultDuration = (schedule = []) => {
+  const first = schedule[0];
+  const minutes = first ? toMinutes(first.end) - toMinutes(first.start) : 0;
+  return SESSION_DURATIONS.includes(minutes) ? minutes : 60;
+};
+
+/**
+ * Month grid (Saturday first) with a dot per logged session; planned weekdays are outlined.
+ */
+const MonthCalendar = ({ month, sessions, schedule }) => {
+  const days = getMonthDays(month);
+  const plannedDays = new Set(schedule.map((session) => session.day));
+  const leadingBlanks = WEEKDAYS.findIndex((day) => day.key === days[0].dayKey);
+  const today = toDateKey();
+
+  return (
+    <div className="grid grid-cols-7 gap-1.5">
+      {WEEKDAYS.map((day) => (
+        <span key={day.key} className="text-center text-[11px] font-bold text-gray-400 uppercase">{day.short}</span>
+      ))}
+      {Array.from({ length: leadingBlanks }, (_, index) => <span key={`blank-${index}`} />)}
+      {days.map(({ dateKey, dayKey }) => {
+        const daySessions = sessions.filter((session) => session.date === dateKey);
+        return (
+          <div
+            key={dateKey}
+            title={daySessions.map((session) => session.topic).join(', ')}
+            className={`h-14 rounded-lg border p-1 flex flex-col justify-between ${
+              plannedDays.has(dayKey) ? 'border-emerald-200 bg-emerald-50/40' : 'border-gray-100'
+            } ${dateKey === today ? 'ring-2 ring-emerald-400' : ''}`}
+          >
+            <span className="text-xs text-gray-500">{Number(dateKey.slice(8))}</span>
+            <span className="flex gap-0.5 flex-wrap">
+              {daySessions.map((session) => (
+                <span key={session._id} className={`w-2 h-2 rounded-full ${SESSION_STATUSES[session.status]?.dot || 'bg-gray-300'}`} />
+              ))}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * ClassSessionsModal Component
+ * Sessions of one ongoing tuition for a month, as a list or calendar, with the monthly attendance summary.
+ * Tutors log and remove (pending) sessions; students confirm attendance or mark themselves absent.
+ */
+const ClassSessionsModal = ({ tuition, role, onClose }) => {
+  const queryClient = useQueryClient();
+  const isTutor = role === 'tutor';
+  const schedule = tuition.schedule || [];
+
+  const [month, setMonth] = useState(() => toMonthKey());
+  const [view, setView] = useState('list');
+  const [form, setForm] = useState(() => ({ date: toDateKey(), durationMinutes: defaultDuration(schedule), topic: '' }));
+
+  const { data: sessions = [], isLoading } = useQuery({
+    queryKey: ['classSessions', tuition._id, month],
+    queryFn: async () => {
+      const response = await sessionsApi.getForTuition(tuition._id, month);
+      return response.data || [];
+    },
+    retry: 1,
+  });
+
+  const invalidateSessions = () => queryClient.invalidateQueries({ queryKey: ['classSessions', tuition._id] });
+  const showError = (err) => Swal.fire('Error', err.response?.data?.message || 'Something went wrong. Please try again.', 'error');
+
+  const logMutation = useMutation({
+    mutationFn: sessionsApi.log,
+    onSuccess: (_, payload) => {
+      invalidateSessions();
+      setForm((prev) => ({ ...prev, topic: '' }));
+      // Jump to the month the session landed in
+      setMonth(payload.date.slice(0, 7));
+    },
+    onError: showError,
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: sessionsApi.remove,
+    onSuccess: invalidateSessions,
+    onError: showError,
+  });
+
+  const attendanceMutation = useMutation({
+    mutationFn: ({ id, attended }) => sessionsApi.markAttendance(id, attended),
+    onSuccess: invalidateSessions,
+    onError: showError,
+  });
+
+  const summary = summarizeAttendance(sessions, schedule, month);
+  const sortedSessions = [...sessions].sort((a, b) => b.date.localeCompare(a.date));
+
+  // --- Handlers ---
+  const handleLog = (e) => {
+    e.preventDefault();
+    if (!form.topic.trim()) {
+      Swal.fire('Missing Topic', 'Write what was covered in this class.', 'warning');
+      return;
+    }
+    logMutation.mutate({
+      ongoingTuitionId: tuition._id,
+      date: form.date,
+      durationMinutes: Number(form.durationMinutes),
+      topic: form.topic.trim(),
+    });
+  };
+
+  const handleRemove = (session) => {
+    Swal.fire({
+      title: 'Remove session?',
+      text: `${formatSessionDate(session.date)} · ${session.topic}`,
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#d33',
+      confirmButtonText: 'Remove'
+    }).then((result) => {
+      if (result.isConfirmed) removeMutation.mutate(session._id);
+    });
+  };
+
+  const handleMarkAbsent = (session) => {
+    Swal.fire({
+      title: 'Mark as absent?',
+      text: `Your tutor logged a class on ${formatSessionDate(session.date)}. Absent classes are not counted for payment.`,
+      icon: 'question',
+      showCancelButton: true,
+      confirmButtonColor: '#d33',
+      confirmButtonText: 'I was absent'
+    }).then((result) => {
+      if (result.isConfirmed) attendanceMutation.mutate({ id: session._id, attended: false });
+    });
+  };
+
+  const stats = [
+    { label: 'Planned', value: summary.scheduled || '—' },
+    { label: 'Logged', value: summary.logged },
+    { label: 'Attended', value: summary.confirmed },
+    { label: 'Hours', value: formatDuration(summary.confirmedMinutes) },
+  ];
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+        onClick={onClose}
+        className="absolute inset-0 bg-black/40 backdrop-blur-sm"
+      />
+
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0, y: 20 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.95, opacity: 0, y: 20 }}
+        className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl relative z-10 flex flex-col max-h-[90vh]"
+      >
+        {/* Header */}
+        <div className="p-6 border-b border-gray-100 flex justify-between items-start">
+          <div>
+            <h3 className="text-xl font-bold text-gray-800">Sessions & Attendance</h3>
+            <p className="text-sm text-gray-500 mt-0.5">
+              {tuition.subject} · {isTutor ? (tuition.studentName || tuition.studentEmail) : tuition.tutorName}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 bg-gray-100 rounded-full hover:bg-red-50 hover:text-red-500 transition">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-6">
+          {/* Month switcher + view toggle */}
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-2">
+              <button onClick={() => setMonth(shiftMonth(month, -1))} className="p-1.5 rounded-lg border border-gray-200 hover:bg-gray-50">
+                <ChevronLeft size={16} />
+              </button>
+              <span className="w-36 text-center font-semibold text-gray-700">{formatMonth(month)}</span>
+              <button
+                onClick={() => setMonth(shiftMonth(month, 1))}
+                disabled={month >= toMonthKey()}
+                className="p-1.5 rounded-lg border border-gray-200 hover:bg-gray-50 disabled:opacity-40"
+              >
+                <ChevronRight size={16} />
+              </button>
+            </div>
+            <div className="flex bg-gray-100 rounded-lg p-1">
+              {VIEWS.map((item) => (
+                <button
+                  key={item.value}
+                  onClick={() => setView(item.value)}
+                  className={`flex items-center gap-1.5 px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                    view === item.value ? 'bg-white text-gray-800 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+                  }`}
+                >
+                  <item.icon size={14} /> {item.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Monthly summary */}
+          <div className="grid grid-cols-4 gap-3">
+            {stats.map((stat) => (
+              <div key={stat.label} className="bg-gray-50 rounded-xl p-3 text-center border border-gray-100">
+                <p className="text-lg font-bold text-gray-800">{stat.value}</p>
+                <p className="text-[11px] font-semibold text-gray-500 uppercase tracking-wide">{stat.label}</p>
+              </div>
+            ))}
+          </div>
+          {(summary.attendanceRate !== null || summary.pending > 0) && (
+            <p className="text-xs text-gray-500 -mt-3">
+              {summary.attendanceRate !== null && `${summary.attendanceRate}% of planned classes attended. `}
+              {summary.pending > 0 && `${summary.pending} session${summary.pending > 1 ? 's' : ''} awaiting confirmation.`}
+            </p>
+          )}
+
+          {/* Tutor: log a session */}
+          {isTutor && (
+            <form onSubmit={handleLog} className="grid grid-cols-1 sm:grid-cols-[auto_auto_1fr_auto] gap-2 bg-emerald-50/50 border border-emerald-100 rounded-xl p-3">
+              <input
+                type="date"
+                value={form.date}
+                max={toDateKey()}
+                onChange={(e) => setForm({ ...form, date: e.target.value })}
+                className="px-3 py-2 rounded-lg border border-gray-200 text-sm outline-none focus:border-emerald-500"
+              />
+              <select
+                value={form.durationMinutes}
+                onChange={(e) => setForm({ ...form, durationMinutes: e.target.value })}
+                className="px-3 py-2 rounded-lg border border-gray-200 text-sm bg-white outline-none focus:border-emerald-500"
+              >
+                {SESSION_DURATIONS.map((minutes) => <option key={minutes} value={minutes}>{formatDuration(minutes)}</option>)}
+              </select>
+              <input
+                type="text"
+                value={form.topic}
+                placeholder="Topic covered (e.g. Quadratic equations)"
+                onChange={(e) => setForm({ ...form, topic: e.target.value })}
+                className="px-3 py-2 rounded-lg border border-gray-200 text-sm outline-none focus:border-emerald-500"
+              />
+              <button
+                type="submit"
+                disabled={logMutation.isPending}
+                className="flex items-center justify-center gap-1.5 px-4 py-2 rounded-lg bg-emerald-600 text-white text-sm font-semibold hover:bg-emerald-700 disabled:opacity-60"
+              >
+                {logMutation.isPending ? <Loader size={16} className="animate-spin" /> : <Plus size={16} />} Log
+              </button>
+            </form>
+          )}
+
+          {/* Sessions */}
+          {isLoading ? (
+            <div className="flex justify-center py-10"><Loader className="animate-spin text-emerald-600" /></div>
+          ) : view === 'calendar' ? (
+            <MonthCalendar month={month} sessions={sessions} schedule={schedule} />
+          ) : sortedSessions.length === 0 ? (
+            <p className="text-center text-sm text-gray-400 py-10">No sessions logged in {formatMonth(month)}.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+              {sortedSessions.map((session) => {
+                const status = SESSION_STATUSES[session.status] || SESSION_STATUSES.pending;
+                return (
+                  <li key={session._id} className="flex flex-wrap items-center gap-3 px-4 py-3">
+                    <div className="w-28 shrink-0">
+                      <p className="text-sm font-semibold text-gray-700">{formatSessionDate(session.date)}</p>
+                      <p className="text-xs text-gray-400">{formatDuration(session.durationMinutes)}</p>
+                    </div>
+                    <p className="flex-1 min-w-[120px] text-sm text-gray-600">{session.topic}</p>
+                    <span className={`text-[11px] font-semibold px-2 py-0.5 rounded-full border ${status.className}`}>{status.label}</span>
+
+                    {isTutor && session.status === 'pending' && (
+                      <button onClick={() => handleRemove(session)} className="p-1.5 text-gray-400 hover:text-red-500" title="Remove session">
+                        <Trash2 size={15} />
+                      </button>
+                    )}
+                    {!isTutor && session.status === 'pending' && (
+                      <div className="flex gap-1.5">
+                        <button
+                          onClick={() => attendanceMutation.mutate({ id: session._id, attended: true })}
+                          disabled={attendanceMutation.isPending}
+                          className="flex items-center gap-1 px-2.5 py-1 rounded-lg bg-emerald-600 text-white text-xs font-semibold hover:bg-emerald-700 disabled:opacity-60"
+                        >
+                          <Check size={13} /> Attended
+                        </button>
+                        <button
+                          onClick={() => handleMarkAbsent(session)}
+                          disabled={attendanceMutation.isPending}
+                          className="flex items-center gap-1 px-2.5 py-1 rounded-lg border border-red-100 text-red-500 text-xs font-semibold hover:bg-red-50 disabled:opacity-60"
+                        >
+                          <UserX size={13} /> Absent
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ClassSessionsModal;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Heart } from 'lucide-react';
+import { useFavorites } from '../../hooks/useFavorites';
+
+/**
+ * FavoriteButton Component
+ * Heart toggle for a tuition or tutor; `className` sets the shape so it fits cards and page headers alike.
+ */
+const FavoriteButton = ({ itemType, itemId, size = 18, className = '' }) => {
+  const { isSaved, toggleFavorite } = useFavorites();
+  const saved = isSaved(itemType, itemId);
+
+  const handleClick = (e) => {
+    // Cards are often links; saving must not open them
+    e.preventDefault();
+    e.stopPropagation();
+    toggleFavorite(itemType, itemId);
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-pressed={saved}
+      title={saved ? 'Remove from Saved' : 'Save for later'}
+      className={`transition-colors ${saved ? 'text-red-500' : 'text-gray-400 hover:text-red-500'} ${className}`}
+    >
+      <Heart size={size} className={saved ? 'fill-red-500' : ''} />
+    </button>
+  );
+};
+
+export default FavoriteButton;
@@ -1,7 +1,8 @@
-import React, { useMemo } from 'react';
+import React from 'react';
 import { motion } from 'framer-motion';
 import { MapPin, Phone, Mail, Facebook, Youtube, Linkedin, ChevronRight } from 'lucide-react';
 import { Link } from 'react-router-dom';
+import { useAuth } from '../../hooks/useAuth';
 
 // Custom X (Twitter) Logo Component
 const XLogo = ({ className }) => (
@@ -12,11 +13,7 @@ const XLogo = ({ className }) => (
 
 const Footer = () => {
   // --- 1. User Authentication Check ---
-  // Using useMemo to read from localStorage once during render.
-  const user = useMemo(() => {
-    const storedUser = localStorage.getItem("user");
-    return storedUser ? JSON.parse(storedUser) : null;
-  }, []);
+  const { user } = useAuth();
 
   // --- 2. Determine Dashboard Link ---
   const getDashboardLink = () => {
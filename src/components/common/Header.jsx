@@ -4,6 +4,8 @@ import { Link, NavLink, useNavigate } from 'react-router-dom';
 import { 
   Menu, X, ChevronDown, LayoutDashboard, User, LogOut, LogIn
 } from 'lucide-react';
+import { useAuth } from '../../hooks/useAuth';
+import { getDashboardPath } from '../../constants/routes';
 
 const Header = () => {
   // --- State Management ---
@@ -13,25 +15,12 @@ const Header = () => {
   
   const navigate = useNavigate();
 
-  // --- 1. User Authentication Check (Optimized) ---
-  // Using useMemo to read from localStorage once or when relevant dependencies change
-  // Note: For real-time auth state updates (e.g. login/logout in other tabs), 
-  // a Context or Redux store is preferred in production. 
-  // Here we stick to the provided pattern but clean it up.
-  const [user, setUser] = useState(null);
-
-  useEffect(() => {
-    const storedUser = localStorage.getItem('user');
-    if (storedUser) {
-      setUser(JSON.parse(storedUser));
-    }
-  }, []);
+  // --- 1. User Authentication (shared session, stays in sync across tabs) ---
+  const { user, logout } = useAuth();
 
   // --- 2. Handlers ---
   const handleLogout = () => {
-    localStorage.removeItem('user');
-    localStorage.removeItem('token'); // Ensure token is also cleared
-    setUser(null);
+    logout();
     setIsProfileDropdownOpen(false);
     navigate('/login'); 
   };
@@ -62,15 +51,7 @@ const Header = () => {
     { name: 'Contact', path: '/contact' },
   ], [user]);
 
-  const getDashboardLink = () => {
-    if (!user) return '/';
-    switch (user.role) {
-      case 'admin': return '/admin/dashboard';
-      case 'tutor': return '/tutor-dashboard';
-      case 'student': return '/student-dashboard';
-      default: return '/dashboard';
-    }
-  };
+  const getDashboardLink = () => (user ? getDashboardPath(user.role) : '/');
 
   const defaultAvatar = "#";
 
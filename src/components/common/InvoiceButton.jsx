@@ -0,0 +1,66 @@
+import React, { useRef, useState } from 'react';
+import { flushSync } from 'react-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { useReactToPrint } from 'react-to-print';
+import Swal from 'sweetalert2';
+import { Loader2 } from 'lucide-react';
+
+import InvoiceDocument from './InvoiceDocument';
+import { useAuth } from '../../hooks/useAuth';
+import { paymentsApi } from '../../services/paymentsApi';
+
+/**
+ * InvoiceButton Component
+ * Fetches the invoice for `transactionId` on click, renders it off-screen and opens the print dialog
+ * (where "Save as PDF" downloads it). `children` is the button content.
+ */
+const InvoiceButton = ({ transactionId, className = '', title = 'Download Invoice', children }) => {
+  const queryClient = useQueryClient();
+  const { role } = useAuth();
+  const contentRef = useRef(null);
+  const [receipt, setReceipt] = useState(null);
+  const [isPreparing, setIsPreparing] = useState(false);
+
+  const printInvoice = useReactToPrint({
+    contentRef,
+    documentTitle: `eTuitionBD-Invoice-${transactionId}`,
+    // Load the receipt and render it before react-to-print clones the content
+    onBeforePrint: async () => {
+      setIsPreparing(true);
+      try {
+        const response = await queryClient.fetchQuery({
+          queryKey: ['receipt', transactionId],
+          queryFn: () => paymentsApi.getReceipt(transactionId),
+          staleTime: 1000 * 60 * 5,
+        });
+        flushSync(() => setReceipt(response.data));
+      } finally {
+        setIsPreparing(false);
+      }
+    },
+    onPrintError: () => {
+      Swal.fire('Error', 'Could not generate the invoice. Please try again.', 'error');
+    },
+  });
+
+  return (
+    <>
+      <button
+        onClick={() => printInvoice()}
+        disabled={!transactionId || isPreparing}
+        className={`${className} disabled:opacity-50`}
+        title={title}
+      >
+        {isPreparing ? <Loader2 size={18} className="animate-spin" /> : children}
+      </button>
+
+      {receipt && (
+        <div className="hidden">
+          <InvoiceDocument ref={contentRef} receipt={receipt} role={role} />
+        </div>
+      )}
+    </>
+  );
+};
+
+export default InvoiceButton;
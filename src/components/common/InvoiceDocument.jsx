@@ -0,0 +1,116 @@
+import React from 'react';
+import { formatInvoiceNumber } from '../../constants/invoices';
+import { PAYMENT_STATUSES, getPaymentStatus } from '../../constants/payments';
+
+const COPY_LABELS = {
+  student: 'Student Copy',
+  tutor: 'Tutor Copy',
+  admin: 'Office Copy',
+};
+
+const formatDate = (isoDate) => (isoDate
+  ? new Date(isoDate).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+  : 'N/A');
+
+const formatAmount = (amount) => `৳${(amount || 0).toLocaleString()}`;
+
+/**
+ * InvoiceDocument Component
+ * The branded, print-ready invoice for one payment (a receipt from paymentsApi.getReceipt).
+ * `ref` goes on the page root so react-to-print can clone it; `role` picks the copy label.
+ */
+const InvoiceDocument = ({ ref, receipt, role }) => {
+  const status = PAYMENT_STATUSES[getPaymentStatus(receipt)];
+  const commission = receipt.commission || 0;
+
+  return (
+    <div ref={ref} className="bg-white text-gray-800 w-[794px] p-12 text-sm">
+
+      {/* --- BRAND & META --- */}
+      <div className="flex justify-between items-start pb-8 border-b-2 border-emerald-600">
+        <div>
+          <h1 className="text-3xl font-black tracking-tight">eTuition<span className="text-emerald-600">BD</span></h1>
+          <p className="text-gray-500 mt-1">Dhaka, Bangladesh</p>
+          <p className="text-gray-500">support@etuitionbd.com</p>
+        </div>
+        <div className="text-right">
+          <p className="text-2xl font-bold uppercase tracking-widest text-gray-700">Invoice</p>
+          <p className="font-mono font-bold text-emerald-700 mt-1">{formatInvoiceNumber(receipt)}</p>
+          <p className="text-gray-500 mt-1">Issued {formatDate(receipt.issuedAt)}</p>
+          {COPY_LABELS[role] && <p className="text-xs text-gray-400 uppercase tracking-wide mt-1">{COPY_LABELS[role]}</p>}
+        </div>
+      </div>
+
+      {/* --- PARTIES --- */}
+      <div className="grid grid-cols-3 gap-6 py-8">
+        <div>
+          <p className="text-xs font-bold text-gray-400 uppercase tracking-wide mb-1">Billed To</p>
+          <p className="font-bold">{receipt.student?.name || 'Student'}</p>
+          <p className="text-gray-500">{receipt.student?.email}</p>
+        </div>
+        <div>
+          <p className="text-xs font-bold text-gray-400 uppercase tracking-wide mb-1">Tutor</p>
+          <p className="font-bold">{receipt.tutor?.name || 'Tutor'}</p>
+          <p className="text-gray-500">{receipt.tutor?.email}</p>
+        </div>
+        <div>
+          <p className="text-xs font-bold text-gray-400 uppercase tracking-wide mb-1">Tuition</p>
+          <p className="font-bold">{receipt.tuition?.subject || receipt.tuition?.title || 'Tuition'}</p>
+          <p className="text-gray-500">{[receipt.tuition?.class, receipt.tuition?.location].filter(Boolean).join(' • ')}</p>
+        </div>
+      </div>
+
+      {/* --- LINE ITEMS --- */}
+      <table className="w-full text-left">
+        <thead>
+          <tr className="bg-gray-50 text-xs uppercase tracking-wide text-gray-500">
+            <th className="px-4 py-3 font-semibold">Description</th>
+            <th className="px-4 py-3 font-semibold text-right">Amount</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          <tr>
+            <td className="px-4 py-3">{receipt.description || 'Tuition fee'}</td>
+            <td className="px-4 py-3 text-right font-semibold">{formatAmount(receipt.amount)}</td>
+          </tr>
+          <tr className="text-gray-500">
+            <td className="px-4 py-3">Platform commission (included)</td>
+            <td className="px-4 py-3 text-right">{formatAmount(commission)}</td>
+          </tr>
+          <tr className="text-gray-500">
+            <td className="px-4 py-3">Paid out to tutor</td>
+            <td className="px-4 py-3 text-right">{formatAmount(receipt.tutorReceives ?? (receipt.amount || 0) - commission)}</td>
+          </tr>
+        </tbody>
+        <tfoot>
+          <tr className="border-t-2 border-gray-800">
+            <td className="px-4 py-4 font-bold uppercase">Total Paid</td>
+            <td className="px-4 py-4 text-right text-xl font-black text-emerald-700">{formatAmount(receipt.amount)}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      {/* --- PAYMENT DETAILS --- */}
+      <div className="mt-8 p-5 rounded-xl bg-gray-50 grid grid-cols-3 gap-4">
+        <div>
+          <p className="text-xs font-bold text-gray-400 uppercase tracking-wide mb-1">Transaction ID</p>
+          <p className="font-mono text-xs break-all">{receipt.transactionId}</p>
+        </div>
+        <div>
+          <p className="text-xs font-bold text-gray-400 uppercase tracking-wide mb-1">Method</p>
+          <p>{receipt.method || 'Card (Stripe)'}</p>
+        </div>
+        <div>
+          <p className="text-xs font-bold text-gray-400 uppercase tracking-wide mb-1">Status</p>
+          <span className={`inline-block px-2.5 py-0.5 rounded-full text-xs font-bold border ${status.className}`}>{status.label}</span>
+        </div>
+      </div>
+
+      <p className="mt-12 text-center text-xs text-gray-400">
+        This is a computer-generated invoice and needs no signature. Thank you for learning with eTuitionBD.
+      </p>
+    </div>
+  );
+};
+
+export default InvoiceDocument;
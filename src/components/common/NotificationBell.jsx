@@ -0,0 +1,109 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Bell, CheckCheck } from 'lucide-react';
+
+import { useAuth } from '../../hooks/useAuth';
+import { useNotifications } from '../../hooks/useNotifications';
+import { getNotificationMeta, getNotificationLink, getNotificationsPath } from '../../constants/notifications';
+import { timeAgo } from '../../utils/formatDate';
+
+// Accent colours per layout (full class names so Tailwind keeps them)
+const ACCENTS = {
+  emerald: { badge: 'bg-emerald-100 text-emerald-700', link: 'text-emerald-600 hover:bg-emerald-50', unread: 'bg-emerald-50/40' },
+  indigo: { badge: 'bg-indigo-100 text-indigo-600', link: 'text-indigo-600 hover:bg-indigo-50', unread: 'bg-blue-50/30' },
+};
+
+/**
+ * NotificationBell Component
+ * Header bell with an unread dot and a dropdown of the latest notifications. Used by all three dashboard layouts;
+ * each passes its own button styling (`className`, `dotClassName`, optional `icon`) and `accent`.
+ */
+const NotificationBell = ({ className, dotClassName, icon, accent = 'emerald' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const panelRef = useRef(null);
+  const navigate = useNavigate();
+
+  const { role } = useAuth();
+  const { recent, unreadCount, markRead, markAllRead, isMarkingAll } = useNotifications();
+  const colors = ACCENTS[accent] || ACCENTS.emerald;
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (panelRef.current && !panelRef.current.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleOpen = (notification) => {
+    if (!notification.read) markRead(notification._id);
+    setIsOpen(false);
+    navigate(getNotificationLink(notification, role));
+  };
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button onClick={() => setIsOpen(!isOpen)} className={className} title="Notifications">
+        {icon || <Bell size={20} />}
+        {unreadCount > 0 && <span className={dotClassName}></span>}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-3 w-80 bg-white rounded-2xl shadow-xl border border-gray-100 py-2 z-50 animate-fade-in-down origin-top-right">
+          <div className="px-4 py-2 border-b border-gray-50 flex justify-between items-center">
+            <h3 className="font-semibold text-gray-800">Notifications</h3>
+            <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${colors.badge}`}>{unreadCount} New</span>
+          </div>
+
+          <div className="max-h-[320px] overflow-y-auto">
+            {recent.length > 0 ? recent.map((notif) => {
+              const meta = getNotificationMeta(notif.type);
+              const TypeIcon = meta.icon;
+              return (
+                <button
+                  key={notif._id}
+                  onClick={() => handleOpen(notif)}
+                  className={`w-full text-left px-4 py-3 flex gap-3 hover:bg-gray-50 transition-colors border-b border-gray-50 last:border-0 ${!notif.read ? colors.unread : ''}`}
+                >
+                  <span className={`w-8 h-8 rounded-full flex items-center justify-center flex-shrink-0 ${meta.className}`}>
+                    <TypeIcon size={16} />
+                  </span>
+                  <span className="flex-1 min-w-0">
+                    <span className={`block text-sm line-clamp-2 ${!notif.read ? 'font-semibold text-gray-800' : 'text-gray-600'}`}>
+                      {notif.title || meta.label}
+                    </span>
+                    {notif.message && <span className="block text-xs text-gray-500 line-clamp-2 mt-0.5">{notif.message}</span>}
+                    <span className="block text-[11px] text-gray-400 mt-1">{timeAgo(notif.createdAt)}</span>
+                  </span>
+                  {!notif.read && <span className="w-2 h-2 mt-2 rounded-full bg-red-500 flex-shrink-0"></span>}
+                </button>
+              );
+            }) : (
+              <div className="px-4 py-6 text-center text-gray-400 text-sm">No notifications yet</div>
+            )}
+          </div>
+
+          <div className="border-t border-gray-50 p-2 grid grid-cols-2 gap-2">
+            <button
+              onClick={() => markAllRead()}
+              disabled={unreadCount === 0 || isMarkingAll}
+              className={`py-2 text-sm font-medium rounded-xl transition-colors flex items-center justify-center gap-1.5 disabled:opacity-50 ${colors.link}`}
+            >
+              <CheckCheck size={16} /> Mark all read
+            </button>
+            <Link
+              to={getNotificationsPath(role)}
+              onClick={() => setIsOpen(false)}
+              className={`py-2 text-sm font-medium rounded-xl transition-colors text-center ${colors.link}`}
+            >
+              View all
+            </Link>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
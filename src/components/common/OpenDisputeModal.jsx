@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import Swal from 'sweetalert2';
+import { ShieldAlert, X } from 'lucide-react';
+
+import { disputesApi } from '../../services/disputesApi';
+import { DISPUTE_REASONS, DISPUTE_DETAILS_MIN } from '../../constants/disputes';
+
+/**
+ * OpenDisputeModal Component
+ * Student reports a problem with a payment. `payment` = { transactionId, ongoingTuitionId, tutorName, subject, amount }.
+ */
+const OpenDisputeModal = ({ payment, onClose }) => {
+  const queryClient = useQueryClient();
+  const [reason, setReason] = useState(DISPUTE_REASONS[0].value);
+  const [details, setDetails] = useState('');
+
+  const openMutation = useMutation({
+    mutationFn: () => disputesApi.open({
+      transactionId: payment.transactionId,
+      ongoingTuitionId: payment.ongoingTuitionId,
+      reason,
+      details: details.trim(),
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['disputes'] });
+      queryClient.invalidateQueries({ queryKey: ['paymentHistory'] });
+      queryClient.invalidateQueries({ queryKey: ['ongoingTuitions'] });
+      queryClient.invalidateQueries({ queryKey: ['paymentTimeline', payment.transactionId] });
+
+      Swal.fire({
+        icon: 'success',
+        title: 'Dispute Opened',
+        text: `${payment.tutorName || 'The tutor'} has been asked to respond. Our team will review it and get back to you.`,
+        confirmButtonColor: '#10B981'
+      }).then(onClose);
+    },
+    onError: (err) => {
+      Swal.fire('Error', err.response?.data?.message || 'Failed to open the dispute', 'error');
+    }
+  });
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (details.trim().length < DISPUTE_DETAILS_MIN) {
+      Swal.fire('Warning', `Please describe what happened (at least ${DISPUTE_DETAILS_MIN} characters).`, 'warning');
+      return;
+    }
+    openMutation.mutate();
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+        onClick={onClose}
+        className="absolute inset-0 bg-black/40 backdrop-blur-sm"
+      />
+
+      <motion.form
+        onSubmit={handleSubmit}
+        initial={{ y: 50, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: 50, opacity: 0 }}
+        className="bg-white rounded-2xl w-full max-w-lg p-6 relative z-10 shadow-xl"
+      >
+        <div className="flex justify-between items-start mb-5">
+          <div className="flex items-center gap-2 text-red-600">
+            <ShieldAlert size={24} />
+            <div>
+              <h3 className="text-lg font-bold">Report a Problem</h3>
+              <p className="text-xs text-gray-500">
+                {payment.subject || 'Tuition'} with {payment.tutorName || 'your tutor'}
+                {payment.amount ? ` · ৳${payment.amount.toLocaleString()}` : ''}
+              </p>
+            </div>
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={18} /></button>
+        </div>
+
+        <label className="block text-sm font-semibold text-gray-700 mb-2">What went wrong?</label>
+        <div className="space-y-2 mb-4">
+          {DISPUTE_REASONS.map((option) => (
+            <label
+              key={option.value}
+              className={`flex items-center gap-3 px-3 py-2 rounded-lg border cursor-pointer text-sm ${
+                reason === option.value ? 'border-red-300 bg-red-50 text-red-700' : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              <input
+                type="radio"
+                name="reason"
+                value={option.value}
+                checked={reason === option.value}
+                onChange={() => setReason(option.value)}
+                className="accent-red-600"
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Details</label>
+        <textarea
+          rows="4"
+          value={details}
+          onChange={(e) => setDetails(e.target.value)}
+          placeholder="Dates, what was agreed, what happened instead..."
+          className="w-full border border-gray-300 rounded-lg p-3 text-sm focus:ring-2 focus:ring-red-500 outline-none mb-4"
+        />
+
+        <div className="flex gap-3">
+          <button type="button" onClick={onClose} className="flex-1 py-2.5 rounded-xl border border-gray-200 font-semibold text-gray-600">Cancel</button>
+          <button
+            type="submit"
+            disabled={openMutation.isPending}
+            className="flex-1 py-2.5 rounded-xl bg-red-600 text-white font-semibold hover:bg-red-700 disabled:opacity-50"
+          >
+            {openMutation.isPending ? 'Submitting...' : 'Open Dispute'}
+          </button>
+        </div>
+      </motion.form>
+    </div>
+  );
+};
+
+export default OpenDisputeModal;
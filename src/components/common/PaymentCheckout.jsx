@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { Elements } from '@stripe/react-stripe-js';
+import { CreditCard, Smartphone, FlaskConical, XCircle, ExternalLink } from 'lucide-react';
+
+import CardPaymentForm from './CardPaymentForm';
+import { stripePromise } from '../../services/stripe';
+import { getPaymentProviders } from '../../services/paymentProviders';
+import { PAYMENT_PROVIDERS, getPaymentProviderLabel } from '../../constants/payments';
+
+const PROVIDER_ICONS = { stripe: CreditCard, bkash: Smartphone, nagad: Smartphone, sandbox: FlaskConical };
+
+const SANDBOX_OUTCOMES = [
+  { value: 'succeed', label: 'Simulate success', className: 'bg-emerald-600 hover:bg-emerald-700 text-white' },
+  { value: 'confirm', label: 'Simulate slow confirmation', className: 'bg-amber-500 hover:bg-amber-600 text-white' },
+  { value: 'fail', label: 'Simulate failure', className: 'bg-white hover:bg-red-50 text-red-600 border border-red-200' },
+];
+
+const ErrorNotice = ({ message }) => (
+  <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-lg border border-red-100">
+    <XCircle size={16} className="shrink-0" /> {message}
+  </div>
+);
+
+/**
+ * Mobile wallet: sends the student to the wallet to approve; usePaymentCallback finishes it on return.
+ */
+const MobileWalletForm = ({ provider, target, amount }) => {
+  const [error, setError] = useState(null);
+  const [redirecting, setRedirecting] = useState(false);
+  const label = getPaymentProviderLabel(provider.id);
+
+  const handlePay = async () => {
+    setRedirecting(true);
+    setError(null);
+    try {
+      const callbackUrl = `${window.location.origin}${window.location.pathname}?provider=${provider.id}`;
+      const checkout = await provider.checkout(target, { callbackUrl });
+      if (!checkout?.redirectUrl) throw new Error(`Could not start the ${label} payment.`);
+      window.location.assign(checkout.redirectUrl);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Something went wrong. Please try again.');
+      setRedirecting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-500 bg-gray-50 p-4 rounded-lg border border-gray-200">
+        You'll be taken to {label} to approve the payment, then brought back here.
+      </p>
+      {error && <ErrorNotice message={error} />}
+      <button
+        type="button"
+        onClick={handlePay}
+        disabled={redirecting}
+        className="w-full font-bold py-3.5 rounded-xl transition-all shadow-lg flex items-center justify-center gap-2 bg-pink-600 hover:bg-pink-700 text-white shadow-pink-200 disabled:bg-gray-400 disabled:shadow-none disabled:cursor-not-allowed"
+      >
+        {redirecting ? `Opening ${label}...` : <>Pay ৳{amount?.toLocaleString()} with {label} <ExternalLink size={16} /></>}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Sandbox: records a fake payment with the chosen outcome, then follows the normal confirmation path.
+ */
+const SandboxForm = ({ provider, target, onPaid }) => {
+  const [error, setError] = useState(null);
+  const [processing, setProcessing] = useState(false);
+
+  const handleOutcome = async (outcome) => {
+    setProcessing(true);
+    setError(null);
+    try {
+      const { paymentId } = await provider.checkout(target, { outcome });
+      await onPaid(paymentId);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Sandbox payment failed.');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-amber-800 bg-amber-50 p-3 rounded-lg border border-amber-100">
+        Sandbox mode — nothing is charged. Pick the result you want to test.
+      </p>
+      {error && <ErrorNotice message={error} />}
+      {SANDBOX_OUTCOMES.map((outcome) => (
+        <button
+          key={outcome.value}
+          type="button"
+          onClick={() => handleOutcome(outcome.value)}
+          disabled={processing}
+          className={`w-full font-bold py-3 rounded-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed ${outcome.className}`}
+        >
+          {outcome.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * PaymentCheckout Component
+ * Provider picker + the chosen provider's form, for a hire (`target = { applicationId }`) or an invoice
+ * (`{ invoiceId }`). `onPaid(paymentId)` waits for the server to apply it, whichever provider was used.
+ * The picker locks once a payment has gone through so the student can't pay twice.
+ */
+const PaymentCheckout = ({ target, amount, submitLabel, billingName, onPaid }) => {
+  const providers = getPaymentProviders();
+  const [providerId, setProviderId] = useState(providers[0]?.id);
+  const [isLocked, setIsLocked] = useState(false);
+  const provider = providers.find((item) => item.id === providerId);
+
+  const handlePaid = (paymentId) => {
+    setIsLocked(true);
+    return onPaid(paymentId);
+  };
+
+  if (!provider) return <ErrorNotice message="No payment method is available right now." />;
+
+  return (
+    <div className="space-y-4">
+      {providers.length > 1 && (
+        <div className="grid grid-cols-3 gap-2">
+          {providers.map((item) => {
+            const Icon = PROVIDER_ICONS[item.id] || CreditCard;
+            const isSelected = item.id === providerId;
+            return (
+              <button
+                key={item.id}
+                type="button"
+                onClick={() => setProviderId(item.id)}
+                disabled={isLocked}
+                title={PAYMENT_PROVIDERS[item.id]?.description}
+                className={`flex flex-col items-center gap-1 py-2.5 rounded-xl border text-xs font-bold transition-all disabled:cursor-not-allowed ${
+                  isSelected
+                    ? 'border-emerald-500 bg-emerald-50 text-emerald-700'
+                    : 'border-gray-200 text-gray-500 hover:bg-gray-50 disabled:opacity-50'
+                }`}
+              >
+                <Icon size={18} /> {getPaymentProviderLabel(item.id)}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {provider.flow === 'card' && (
+        <Elements stripe={stripePromise}>
+          <CardPaymentForm
+            submitLabel={submitLabel}
+            billingName={billingName}
+            createIntent={() => provider.checkout(target)}
+            onPaid={(paymentIntent) => handlePaid(paymentIntent.id)}
+          />
+        </Elements>
+      )}
+      {provider.flow === 'redirect' && <MobileWalletForm key={provider.id} provider={provider} target={target} amount={amount} />}
+      {provider.flow === 'sandbox' && <SandboxForm provider={provider} target={target} onPaid={handlePaid} />}
+    </div>
+  );
+};
+
+export default PaymentCheckout;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { WEEKDAYS, hasSchedule, describeSchedule } from '../../utils/schedule';
+
+/**
+ * ScheduleDays Component
+ * The week as seven letters with the tuition's days highlighted, plus its time(s).
+ * Posts from before structured schedules show their free-text days/time instead.
+ */
+const ScheduleDays = ({ tuition, showTime = true, className = '' }) => {
+  const { days, time } = describeSchedule(tuition);
+
+  if (!hasSchedule(tuition)) {
+    return (
+      <span className={`text-sm text-gray-600 ${className}`}>
+        {days}{showTime && tuition?.time ? ` · ${time}` : ''}
+      </span>
+    );
+  }
+
+  const activeDays = new Set(tuition.schedule.map((session) => session.day));
+
+  return (
+    <div className={className}>
+      <div className="flex gap-1" title={days}>
+        {WEEKDAYS.map((day) => (
+          <span
+            key={day.key}
+            title={day.label}
+            className={`w-7 h-6 rounded-md text-[10px] font-bold flex items-center justify-center ${
+              activeDays.has(day.key) ? 'bg-emerald-600 text-white' : 'bg-gray-100 text-gray-400'
+            }`}
+          >
+            {day.short.slice(0, 2)}
+          </span>
+        ))}
+      </div>
+      {showTime && <p className="text-xs text-gray-500 mt-1">{time}</p>}
+    </div>
+  );
+};
+
+export default ScheduleDays;
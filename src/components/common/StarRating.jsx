@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+
+/**
+ * StarRating Component
+ * Read-only by default; pass `onChange` to let the user pick 1-5 stars.
+ */
+const StarRating = ({ rating = 0, size = 16, onChange }) => {
+  const [hovered, setHovered] = useState(0);
+  const isInteractive = typeof onChange === 'function';
+  const shown = hovered || rating;
+
+  return (
+    <div className="flex items-center gap-0.5" onMouseLeave={() => setHovered(0)}>
+      {[1, 2, 3, 4, 5].map((value) => {
+        const icon = (
+          <Star
+            size={size}
+            className={value <= Math.round(shown) ? "fill-yellow-400 text-yellow-400" : "text-gray-300"}
+          />
+        );
+
+        return isInteractive ? (
+          <button
+            key={value}
+            type="button"
+            aria-label={`${value} star${value > 1 ? 's' : ''}`}
+            onClick={() => onChange(value)}
+            onMouseEnter={() => setHovered(value)}
+            className="p-0.5 transition-transform hover:scale-110"
+          >
+            {icon}
+          </button>
+        ) : (
+          <span key={value}>{icon}</span>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StarRating;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Loader2 } from 'lucide-react';
+import { paymentsApi } from '../../services/paymentsApi';
+import { TIMELINE_EVENTS } from '../../constants/payments';
+
+const formatDateTime = (isoDate) => new Date(isoDate).toLocaleString('en-GB', {
+  day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+/**
+ * TransactionTimeline Component
+ * Vertical list of everything that happened to one payment (paid, hired, disputed, refunded...).
+ */
+const TransactionTimeline = ({ transactionId, className = '' }) => {
+  const { data: events = [], isLoading, isError } = useQuery({
+    queryKey: ['paymentTimeline', transactionId],
+    queryFn: () => paymentsApi.getTimeline(transactionId).then((res) => res.data || []),
+    enabled: !!transactionId,
+  });
+
+  if (isLoading) {
+    return <div className={`flex justify-center py-4 ${className}`}><Loader2 size={20} className="animate-spin text-gray-400" /></div>;
+  }
+
+  if (isError || events.length === 0) {
+    return <p className={`text-xs text-gray-400 ${className}`}>{isError ? 'Could not load the timeline.' : 'No activity recorded yet.'}</p>;
+  }
+
+  return (
+    <ol className={`relative border-l border-gray-200 ml-1.5 space-y-4 ${className}`}>
+      {events.map((event) => {
+        const meta = TIMELINE_EVENTS[event.type] || { label: event.type, dot: 'bg-gray-400' };
+        return (
+          <li key={event._id || `${event.type}-${event.at}`} className="pl-4 relative">
+            <span className={`absolute -left-[5px] top-1.5 w-2.5 h-2.5 rounded-full ring-2 ring-white ${meta.dot}`} />
+            <p className="text-sm font-semibold text-gray-800">
+              {meta.label}
+              {event.amount > 0 && <span className="text-gray-500 font-normal"> · ৳{event.amount.toLocaleString()}</span>}
+            </p>
+            <p className="text-xs text-gray-400">
+              {formatDateTime(event.at)}{event.actor && ` · ${event.actor}`}
+            </p>
+            {event.note && <p className="text-xs text-gray-600 mt-1">{event.note}</p>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default TransactionTimeline;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { WEEKDAYS, formatTime, sortSessions, findScheduleClashes } from '../../utils/schedule';
+
+/**
+ * WeeklyCalendar Component
+ * Read-only week view: open `availability` slots in green, `booked` sessions (hired tuitions) in blue.
+ * Booked sessions that overlap each other are flagged red.
+ */
+const WeeklyCalendar = ({ availability = [], booked = [], className = '' }) => {
+  const clashingIds = new Set(
+    findScheduleClashes(booked, booked)
+      .filter(({ first, second }) => first.ongoingId !== second.ongoingId)
+      .map(({ first }) => `${first.ongoingId}:${first.day}`)
+  );
+
+  return (
+    <div className={`grid grid-cols-1 sm:grid-cols-7 gap-2 ${className}`}>
+      {WEEKDAYS.map((day) => {
+        const open = sortSessions(availability.filter((slot) => slot.day === day.key));
+        const taken = sortSessions(booked.filter((session) => session.day === day.key));
+
+        return (
+          <div key={day.key} className="rounded-xl border border-gray-100 bg-gray-50/60 p-2 min-h-[96px]">
+            <p className="text-xs font-bold text-gray-500 uppercase tracking-wide text-center mb-2">{day.short}</p>
+            <div className="space-y-1.5">
+              {open.map((slot) => (
+                <div key={`open-${slot.start}`} className="rounded-lg border border-dashed border-emerald-300 bg-emerald-50 px-2 py-1 text-[11px] text-emerald-700">
+                  {formatTime(slot.start)} – {formatTime(slot.end)}
+                </div>
+              ))}
+              {taken.map((session) => {
+                const isClash = clashingIds.has(`${session.ongoingId}:${session.day}`);
+                return (
+                  <div
+                    key={`booked-${session.ongoingId}-${session.start}`}
+                    title={session.studentName}
+                    className={`rounded-lg px-2 py-1 text-[11px] ${isClash ? 'bg-red-100 text-red-700' : 'bg-blue-100 text-blue-700'}`}
+                  >
+                    <span className="block font-semibold truncate">{session.subject}</span>
+                    {formatTime(session.start)} – {formatTime(session.end)}
+                  </div>
+                );
+              })}
+              {open.length === 0 && taken.length === 0 && (
+                <p className="text-[11px] text-gray-300 text-center pt-2">—</p>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default WeeklyCalendar;
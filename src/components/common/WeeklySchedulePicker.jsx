@@ -0,0 +1,95 @@
+import React from 'react';
+import { Copy } from 'lucide-react';
+import { WEEKDAYS, DEFAULT_SESSION_TIME, sortSessions } from '../../utils/schedule';
+
+/**
+ * WeeklySchedulePicker Component
+ * Toggle weekdays on/off and give each one a start/end time.
+ * `value` is the schedule array ([{ day, start, end }]); `onChange` receives the next array.
+ */
+const WeeklySchedulePicker = ({ value = [], onChange, disabled = false }) => {
+  const sessionFor = (day) => value.find((session) => session.day === day);
+
+  const toggleDay = (day) => {
+    if (sessionFor(day)) {
+      onChange(value.filter((session) => session.day !== day));
+      return;
+    }
+    // New days copy the last picked time, since most tuitions keep one slot all week
+    const template = value[value.length - 1] || DEFAULT_SESSION_TIME;
+    onChange(sortSessions([...value, { day, start: template.start, end: template.end }]));
+  };
+
+  const updateTime = (day, key, time) => {
+    onChange(value.map((session) => (session.day === day ? { ...session, [key]: time } : session)));
+  };
+
+  const applyToAll = (source) => {
+    onChange(value.map((session) => ({ ...session, start: source.start, end: source.end })));
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Day toggles */}
+      <div className="flex flex-wrap gap-2">
+        {WEEKDAYS.map((day) => {
+          const isActive = !!sessionFor(day.key);
+          return (
+            <button
+              key={day.key}
+              type="button"
+              disabled={disabled}
+              onClick={() => toggleDay(day.key)}
+              aria-pressed={isActive}
+              className={`w-14 py-2 rounded-xl text-sm font-semibold border transition-colors disabled:opacity-60 ${
+                isActive ? 'bg-emerald-600 text-white border-emerald-600' : 'bg-white text-gray-600 border-gray-200 hover:border-emerald-300'
+              }`}
+            >
+              {day.short}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Per-day times */}
+      {value.length > 0 && (
+        <div className="rounded-xl border border-gray-100 divide-y divide-gray-100">
+          {value.map((session, index) => (
+            <div key={session.day} className="flex flex-wrap items-center gap-3 px-4 py-3">
+              <span className="w-24 text-sm font-medium text-gray-700">
+                {WEEKDAYS.find((day) => day.key === session.day)?.label}
+              </span>
+              <input
+                type="time"
+                value={session.start}
+                disabled={disabled}
+                onChange={(e) => updateTime(session.day, 'start', e.target.value)}
+                className="px-3 py-2 rounded-lg border border-gray-200 text-sm focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none"
+              />
+              <span className="text-gray-400">to</span>
+              <input
+                type="time"
+                value={session.end}
+                disabled={disabled}
+                onChange={(e) => updateTime(session.day, 'end', e.target.value)}
+                className="px-3 py-2 rounded-lg border border-gray-200 text-sm focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none"
+              />
+              {index === 0 && value.length > 1 && (
+                <button
+                  type="button"
+                  disabled={disabled}
+                  onClick={() => applyToAll(session)}
+                  className="ml-auto flex items-center gap-1 text-xs font-semibold text-emerald-600 hover:underline"
+                >
+                  <Copy size={12} /> Same time every day
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WeeklySchedulePicker;
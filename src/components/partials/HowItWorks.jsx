@@ -1,14 +1,12 @@
-import React, { useMemo } from 'react';
+import React from 'react';
 import { motion } from 'framer-motion';
 import { FileText, Users, ShieldCheck, ArrowRight, LayoutDashboard } from 'lucide-react';
 import { Link } from 'react-router-dom';
+import { useAuth } from '../../hooks/useAuth';
 
 const HowItWorks = () => {
   // --- 1. User Authentication Check ---
-  const user = useMemo(() => {
-    const storedUser = localStorage.getItem("user");
-    return storedUser ? JSON.parse(storedUser) : null;
-  }, []);
+  const { user } = useAuth();
 
   // --- 2. Determine Dashboard Route ---
   const getDashboardLink = () => {
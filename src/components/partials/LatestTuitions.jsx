@@ -1,16 +1,14 @@
 import React, { useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion } from 'framer-motion';
 import { Link } from 'react-router-dom';
-import { MapPin, Banknote, Clock, User, ArrowRight, BookOpen, CheckCircle } from 'lucide-react';
+import { MapPin, Banknote, Clock, User, ArrowRight, BookOpen, CheckCircle, CalendarDays } from 'lucide-react';
 
 // --- Custom Components ---
 
 import ServerDown from '../../pages/common/ServerDown';
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+import ScheduleDays from '../common/ScheduleDays';
+import { tuitionsApi } from '../../services/tuitionsApi';
 
 // --- Helper: Time Ago Formatter ---
 const formatTimeAgo = (dateString) => {
@@ -86,6 +84,10 @@ const TuitionCard = ({ job, variants }) => (
           <Banknote size={16} className="text-emerald-500 shrink-0" />
           <span className="font-semibold text-gray-800">৳ {job.salary}/month</span>
         </div>
+        <div className="flex items-center gap-3 text-gray-600 text-sm">
+          <CalendarDays size={16} className="text-emerald-500 shrink-0" />
+          <ScheduleDays tuition={job} showTime={false} />
+        </div>
         <div className="flex justify-between items-center text-xs text-gray-400 mt-2">
           <div className="flex items-center gap-1">
               <User size={12} /> {job.genderPreference === 'Male' ? 'Male Tutor' : job.genderPreference === 'Female' ? 'Female Tutor' : 'Any Gender'}
@@ -118,9 +120,9 @@ const LatestTuitions = () => {
   } = useQuery({
     queryKey: ['latestTuitions'],
     queryFn: async () => {
-      const response = await axios.get(`${API_URL}/api/tuitions/all`);
-      // Return only the first 8 items
-      return response.data.data.slice(0, 8);
+      // Same paged contract as the listings: just the newest 8 approved posts
+      const response = await tuitionsApi.search({ page: 1, limit: 8, sort: 'newest', status: 'approved' });
+      return response.data || [];
     },
     // Cache for 5 minutes
     staleTime: 5 * 60 * 1000,
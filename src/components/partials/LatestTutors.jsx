@@ -1,6 +1,5 @@
 import React from 'react';
 import { useQuery } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion } from 'framer-motion';
 import { Link } from 'react-router-dom';
 import { 
@@ -10,9 +9,8 @@ import {
 // --- Custom Components ---
 
 import ServerDown from '../../pages/common/ServerDown';
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+import { profileApi } from '../../services/profileApi';
+import { formatRating } from '../../utils/ratings';
 
 // --- Loading Skeleton Component ---
 const TutorSkeleton = () => (
@@ -32,6 +30,7 @@ const TutorSkeleton = () => (
 const TutorCard = ({ tutor, variants }) => {
   const primarySubject = tutor.preferredSubjects ? tutor.preferredSubjects.split(',')[0] : "All Subjects";
   const location = tutor.preferredLocations ? tutor.preferredLocations.split(',')[0] : "Online";
+  const rating = formatRating(tutor.averageRating, tutor.totalReviews);
 
   return (
     <motion.div 
@@ -61,11 +60,17 @@ const TutorCard = ({ tutor, variants }) => {
         {primarySubject}
       </p>
 
-      {/* Rating Placeholder */}
+      {/* Rating */}
       <div className="flex justify-center items-center gap-1 mb-5 bg-yellow-50 py-1 px-3 rounded-full mx-auto w-fit">
         <Star size={14} className="text-yellow-500 fill-yellow-500" />
-        <span className="text-sm font-bold text-gray-700">5.0</span>
-        <span className="text-xs text-gray-400">/ 5.0</span>
+        {rating ? (
+          <>
+            <span className="text-sm font-bold text-gray-700">{rating}</span>
+            <span className="text-xs text-gray-400">/ 5.0 ({tutor.totalReviews})</span>
+          </>
+        ) : (
+          <span className="text-sm font-bold text-gray-700">New</span>
+        )}
       </div>
 
       {/* Details Grid */}
@@ -106,8 +111,8 @@ const LatestTutors = () => {
   } = useQuery({
     queryKey: ['topTutors'],
     queryFn: async () => {
-      const response = await axios.get(`${API_URL}/api/profile/top-tutors`);
-      return response.data.data || [];
+      const response = await profileApi.getTopTutors();
+      return response.data || [];
     },
     // Keep data fresh for 5 minutes
     staleTime: 5 * 60 * 1000, 
@@ -1,7 +1,6 @@
-import React, { useMemo } from 'react';
+import React from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion } from 'framer-motion';
 import Swal from 'sweetalert2';
 import { 
@@ -11,11 +10,12 @@ import {
 
 // --- Custom Components ---
 import Loading from '../common/Loading';
+import FavoriteButton from '../common/FavoriteButton';
+import ScheduleDays from '../common/ScheduleDays';
 import ServerDown from '../../pages/common/ServerDown';
-
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+import { useAuth } from '../../hooks/useAuth';
+import { tuitionsApi } from '../../services/tuitionsApi';
+import { hasSchedule, describeSchedule, sortSessions, getWeekday, formatTime } from '../../utils/schedule';
 
 const TuitionDetails = () => {
   const { slug } = useParams(); 
@@ -23,10 +23,7 @@ const TuitionDetails = () => {
   const queryClient = useQueryClient();
 
   // --- 1. User Context ---
-  const currentUser = useMemo(() => {
-    const userStr = localStorage.getItem('user');
-    return userStr ? JSON.parse(userStr) : null;
-  }, []);
+  const { user: currentUser } = useAuth();
 
   // --- 2. Data Fetching (TanStack Query) ---
   const { 
@@ -38,8 +35,8 @@ const TuitionDetails = () => {
     queryKey: ['tuitionDetails', slug],
     queryFn: async () => {
       if (!slug) return null;
-      const response = await axios.get(`${API_URL}/api/tuitions/${slug}`);
-      return response.data.data;
+      const response = await tuitionsApi.getBySlug(slug);
+      return response.data;
     },
     enabled: !!slug,
     retry: 1
@@ -47,9 +44,7 @@ const TuitionDetails = () => {
 
   // --- 3. Mutation: Delete Tuition ---
   const deleteMutation = useMutation({
-    mutationFn: async (id) => {
-      await axios.delete(`${API_URL}/api/tuitions/delete/${id}`);
-    },
+    mutationFn: (id) => tuitionsApi.remove(id),
     onSuccess: () => {
       queryClient.invalidateQueries(['browseTuitions']);
       Swal.fire({
@@ -162,6 +157,11 @@ const TuitionDetails = () => {
                 >
                     <Share2 size={18} />
                 </button>
+                <FavoriteButton 
+                  itemType="tuition" 
+                  itemId={tuition._id} 
+                  className="p-2.5 bg-white border border-gray-200 rounded-full hover:bg-red-50 shadow-sm" 
+                />
                 <div className={`px-4 py-1.5 rounded-full text-xs font-bold uppercase tracking-wide border ${
                     tuition.status === 'approved' ? 'bg-emerald-50 text-emerald-600 border-emerald-100' : 
                     tuition.status === 'pending' ? 'bg-yellow-50 text-yellow-600 border-yellow-100' :
@@ -196,7 +196,8 @@ const TuitionDetails = () => {
                   <div className="p-3 bg-blue-100 text-blue-600 rounded-xl shrink-0"><Calendar size={24} /></div>
                   <div>
                     <p className="text-xs text-gray-500 font-bold uppercase tracking-wide">Weekly Days</p>
-                    <p className="font-bold text-gray-800 text-lg">{tuition.daysPerWeek}</p>
+                    <p className="font-bold text-gray-800 text-lg">{describeSchedule(tuition).days}</p>
+                    {hasSchedule(tuition) && <ScheduleDays tuition={tuition} showTime={false} className="mt-1" />}
                   </div>
                 </div>
 
@@ -212,12 +213,29 @@ const TuitionDetails = () => {
                   <div className="p-3 bg-orange-100 text-orange-600 rounded-xl shrink-0"><Clock size={24} /></div>
                   <div>
                     <p className="text-xs text-gray-500 font-bold uppercase tracking-wide">Preferred Time</p>
-                    <p className="font-bold text-gray-800 text-lg">{tuition.time || "Negotiable"}</p>
+                    <p className={`font-bold text-gray-800 ${hasSchedule(tuition) ? 'text-sm' : 'text-lg'}`}>{describeSchedule(tuition).time}</p>
                   </div>
                 </div>
 
               </div>
 
+              {/* Weekly Schedule (structured posts only) */}
+              {hasSchedule(tuition) && (
+                <div className="border-t border-gray-100 pt-6 mb-8">
+                  <h3 className="text-lg font-bold text-gray-800 mb-4 flex items-center gap-2">
+                    <Calendar size={20} className="text-blue-500"/> Weekly Schedule
+                  </h3>
+                  <ul className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    {sortSessions(tuition.schedule).map((session) => (
+                      <li key={session.day} className="flex justify-between items-center px-4 py-2.5 bg-gray-50 rounded-lg border border-gray-100 text-sm">
+                        <span className="font-semibold text-gray-700">{getWeekday(session.day)?.label}</span>
+                        <span className="text-gray-600">{formatTime(session.start)} – {formatTime(session.end)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* Requirements */}
               <div className="border-t border-gray-100 pt-6">
                 <h3 className="text-lg font-bold text-gray-800 mb-4 flex items-center gap-2">
@@ -1 +1,17 @@
+/**
+ * App-wide Option Lists
+ */
 
+export const CLASS_LEVELS = [
+  'Class 1',
+  'Class 5',
+  'Class 8',
+  'SSC / Class 9-10',
+  'HSC / Class 11-12',
+  'English Medium',
+  'Diploma in Engineering',
+];
+
+export const MEDIUMS = ['Bangla Medium', 'English Medium', 'English Version', 'Madrasa'];
+
+export const GENDERS = ['Male', 'Female'];
@@ -0,0 +1,32 @@
+/**
+ * Payment Dispute Options
+ */
+
+export const DISPUTE_REASONS = [
+  { value: 'tutor_no_show', label: "Tutor didn't show up" },
+  { value: 'classes_stopped', label: 'Classes stopped after payment' },
+  { value: 'not_as_described', label: 'Tuition was not as agreed' },
+  { value: 'charged_wrong_amount', label: 'I was charged the wrong amount' },
+  { value: 'other', label: 'Something else' },
+];
+
+export const getDisputeReasonLabel = (value) =>
+  DISPUTE_REASONS.find((reason) => reason.value === value)?.label || value;
+
+export const DISPUTE_STATUSES = {
+  open: { label: 'Awaiting Tutor', className: 'bg-amber-100 text-amber-700 border-amber-200' },
+  responded: { label: 'Under Review', className: 'bg-blue-100 text-blue-700 border-blue-200' },
+  resolved: { label: 'Resolved', className: 'bg-emerald-100 text-emerald-700 border-emerald-200' },
+  rejected: { label: 'Closed', className: 'bg-gray-100 text-gray-600 border-gray-200' },
+};
+
+// Disputes in these states still take responses
+export const ACTIVE_DISPUTE_STATUSES = ['open', 'responded'];
+
+export const DISPUTE_OUTCOMES = [
+  { value: 'full_refund', label: 'Full refund' },
+  { value: 'partial_refund', label: 'Partial refund' },
+  { value: 'rejected', label: 'Reject dispute' },
+];
+
+export const DISPUTE_DETAILS_MIN = 20;
@@ -0,0 +1,30 @@
+import { PENDING_RECONCILIATION } from './payments';
+
+/**
+ * Monthly Invoice Statuses
+ * The server stores paid/unpaid/pending_reconciliation; "overdue" is an unpaid invoice past its due date.
+ */
+export const INVOICE_STATUSES = {
+  paid: { label: 'Paid', className: 'bg-emerald-100 text-emerald-700 border-emerald-200' },
+  unpaid: { label: 'Due', className: 'bg-amber-100 text-amber-700 border-amber-200' },
+  overdue: { label: 'Overdue', className: 'bg-red-100 text-red-700 border-red-200' },
+  confirming: { label: 'Confirming payment', className: 'bg-blue-100 text-blue-700 border-blue-200' },
+};
+
+export const getInvoiceStatus = (invoice) => {
+  if (invoice.status === 'paid') return 'paid';
+  if (invoice.status === PENDING_RECONCILIATION) return 'confirming';
+  return invoice.dueDate && new Date(invoice.dueDate) < new Date() ? 'overdue' : 'unpaid';
+};
+
+/**
+ * Printed Invoice Numbers
+ * The server hands out a running number per payment; we show it as "ETB-2026-000042" (year of issue).
+ */
+export const INVOICE_NUMBER_PREFIX = 'ETB';
+
+export const formatInvoiceNumber = (receipt) => {
+  if (!receipt?.invoiceNumber) return 'Pending';
+  const year = new Date(receipt.issuedAt || Date.now()).getFullYear();
+  return `${INVOICE_NUMBER_PREFIX}-${year}-${String(receipt.invoiceNumber).padStart(6, '0')}`;
+};
@@ -0,0 +1,144 @@
+import {
+  Users, CheckCircle, XCircle, Briefcase, CreditCard, BadgeCheck, AlertTriangle, Bell, SearchCheck, ClipboardCheck, Receipt, ShieldAlert, ShieldCheck, Wallet
+} from 'lucide-react';
+import { getDashboardPath } from './routes';
+
+/**
+ * Notification Types
+ * Server events → icon, colours and the page each role should land on when one is clicked.
+ */
+export const NOTIFICATION_TYPES = {
+  application_received: {
+    label: 'New Application',
+    icon: Users,
+    className: 'bg-blue-50 text-blue-600',
+    links: { student: '/student-dashboard/applied-tutors', admin: '/admin/applications' },
+  },
+  application_shortlisted: {
+    label: 'Shortlisted',
+    icon: CheckCircle,
+    className: 'bg-indigo-50 text-indigo-600',
+    links: { tutor: '/tutor-dashboard/my-applications' },
+  },
+  application_rejected: {
+    label: 'Application Rejected',
+    icon: XCircle,
+    className: 'bg-red-50 text-red-600',
+    links: { tutor: '/tutor-dashboard/my-applications' },
+  },
+  tutor_hired: {
+    label: 'Hired',
+    icon: Briefcase,
+    className: 'bg-emerald-50 text-emerald-600',
+    links: { tutor: '/tutor-dashboard/ongoing-tuitions', student: '/student-dashboard/ongoing-tuitions' },
+  },
+  payment_received: {
+    label: 'Payment',
+    icon: CreditCard,
+    className: 'bg-emerald-50 text-emerald-600',
+    links: { tutor: '/tutor-dashboard/revenue', student: '/student-dashboard/payment-history', admin: '/admin/transactions' },
+  },
+  // Monthly billing: server opens invoices on the 1st and reminds until they are paid
+  invoice_due: {
+    label: 'Fee Due',
+    icon: Receipt,
+    className: 'bg-amber-50 text-amber-600',
+    links: { student: '/student-dashboard/monthly-fees' },
+  },
+  invoice_overdue: {
+    label: 'Fee Overdue',
+    icon: AlertTriangle,
+    className: 'bg-red-50 text-red-600',
+    links: { student: '/student-dashboard/monthly-fees', tutor: '/tutor-dashboard/revenue' },
+  },
+  invoice_paid: {
+    label: 'Fee Paid',
+    icon: CreditCard,
+    className: 'bg-emerald-50 text-emerald-600',
+    links: { tutor: '/tutor-dashboard/revenue' },
+  },
+  // Payment disputes: opened by the student, answered by either side, settled by an admin
+  dispute_opened: {
+    label: 'Dispute Opened',
+    icon: ShieldAlert,
+    className: 'bg-red-50 text-red-600',
+    links: { tutor: '/tutor-dashboard/disputes', admin: '/admin/transactions' },
+  },
+  dispute_response: {
+    label: 'Dispute Response',
+    icon: ShieldAlert,
+    className: 'bg-blue-50 text-blue-600',
+    links: { student: '/student-dashboard/disputes', tutor: '/tutor-dashboard/disputes', admin: '/admin/transactions' },
+  },
+  dispute_resolved: {
+    label: 'Dispute Resolved',
+    icon: ShieldCheck,
+    className: 'bg-emerald-50 text-emerald-600',
+    links: { student: '/student-dashboard/disputes', tutor: '/tutor-dashboard/disputes' },
+  },
+  // Tutor payouts: requested by the tutor, approved (sent) or rejected by an admin
+  payout_requested: {
+    label: 'Payout Request',
+    icon: Wallet,
+    className: 'bg-purple-50 text-purple-600',
+    links: { admin: '/admin/payouts' },
+  },
+  payout_paid: {
+    label: 'Payout Sent',
+    icon: Wallet,
+    className: 'bg-emerald-50 text-emerald-600',
+    links: { tutor: '/tutor-dashboard/wallet' },
+  },
+  payout_rejected: {
+    label: 'Payout Rejected',
+    icon: XCircle,
+    className: 'bg-red-50 text-red-600',
+    links: { tutor: '/tutor-dashboard/wallet' },
+  },
+  tuition_approved: {
+    label: 'Tuition Approved',
+    icon: BadgeCheck,
+    className: 'bg-emerald-50 text-emerald-600',
+    links: { student: '/student-dashboard/my-tuitions', admin: '/admin/tuitions' },
+  },
+  tuition_rejected: {
+    label: 'Tuition Rejected',
+    icon: AlertTriangle,
+    className: 'bg-amber-50 text-amber-600',
+    links: { student: '/student-dashboard/my-tuitions', admin: '/admin/tuitions' },
+  },
+  // Tutor logged a class (student confirms it) / student answered (tutor sees the result)
+  session_logged: {
+    label: 'Class Logged',
+    icon: ClipboardCheck,
+    className: 'bg-orange-50 text-orange-600',
+    links: { student: '/student-dashboard/ongoing-tuitions' },
+  },
+  attendance_marked: {
+    label: 'Attendance',
+    icon: ClipboardCheck,
+    className: 'bg-emerald-50 text-emerald-600',
+    links: { tutor: '/tutor-dashboard/ongoing-tuitions' },
+  },
+  // Server sets `link` to the browse page with the saved search's filters in the query string
+  saved_search_match: {
+    label: 'Saved Search Match',
+    icon: SearchCheck,
+    className: 'bg-teal-50 text-teal-600',
+    links: { tutor: '/tutor-dashboard/browse-tuitions' },
+  },
+};
+
+const FALLBACK_TYPE = { label: 'Update', icon: Bell, className: 'bg-gray-100 text-gray-500', links: {} };
+
+export const getNotificationMeta = (type) => NOTIFICATION_TYPES[type] || FALLBACK_TYPE;
+
+// History page of each role (admin routes live under /admin)
+export const getNotificationsPath = (role) =>
+  (role === 'admin' ? '/admin/notifications' : `${getDashboardPath(role)}/notifications`);
+
+/**
+ * Where clicking a notification goes: its own link, else the page for its type, else the history page.
+ */
+export const getNotificationLink = (notification, role) =>
+  notification.link || getNotificationMeta(notification.type).links[role] || getNotificationsPath(role);
@@ -0,0 +1,53 @@
+/**
+ * Payment States
+ * A payment is "pending reconciliation" when the provider has taken the money but the webhook has not yet applied it
+ * (hire / invoice). It must not be paid again; the webhook or an admin reconcile settles it.
+ */
+export const PENDING_RECONCILIATION = 'pending_reconciliation';
+
+export const PAYMENT_STATUSES = {
+  paid: { label: 'Paid', className: 'bg-emerald-100 text-emerald-700 border-emerald-200' },
+  [PENDING_RECONCILIATION]: { label: 'Confirming', className: 'bg-amber-100 text-amber-700 border-amber-200' },
+  disputed: { label: 'Disputed', className: 'bg-red-100 text-red-700 border-red-200' },
+  partially_refunded: { label: 'Partly Refunded', className: 'bg-gray-100 text-gray-600 border-gray-200' },
+  refunded: { label: 'Refunded', className: 'bg-gray-100 text-gray-600 border-gray-200' },
+};
+
+// Older records say "Paid"/"paid" or nothing at all
+export const getPaymentStatus = (payment) => {
+  const status = String(payment?.paymentStatus || 'paid').toLowerCase();
+  return PAYMENT_STATUSES[status] ? status : 'paid';
+};
+
+// Only a settled, undisputed payment can be disputed
+export const canDisputePayment = (payment) => !!payment?.transactionId && getPaymentStatus(payment) === 'paid';
+
+/**
+ * Payment Providers
+ * How a student can pay (services/paymentProviders decides which are enabled).
+ */
+export const PAYMENT_PROVIDERS = {
+  stripe: { label: 'Card', description: 'Visa, Mastercard or Amex via Stripe' },
+  bkash: { label: 'bKash', description: 'Approve the payment in your bKash account' },
+  nagad: { label: 'Nagad', description: 'Approve the payment in your Nagad account' },
+  sandbox: { label: 'Sandbox', description: 'Test payment, no money moves' },
+};
+
+export const getPaymentProviderLabel = (id) => PAYMENT_PROVIDERS[id]?.label || id;
+
+/**
+ * Transaction Timeline Events
+ * What happened to one payment, oldest first (paymentsApi.getTimeline).
+ */
+export const TIMELINE_EVENTS = {
+  payment_succeeded: { label: 'Payment received', dot: 'bg-emerald-500' },
+  hire_confirmed: { label: 'Tutor hired', dot: 'bg-emerald-500' },
+  invoice_paid: { label: 'Invoice paid', dot: 'bg-emerald-500' },
+  reconciled: { label: 'Reconciled by admin', dot: 'bg-blue-500' },
+  dispute_opened: { label: 'Dispute opened', dot: 'bg-red-500' },
+  dispute_response: { label: 'Response added', dot: 'bg-blue-500' },
+  refund_issued: { label: 'Refund issued', dot: 'bg-amber-500' },
+  hire_reversed: { label: 'Hire reversed', dot: 'bg-amber-500' },
+  dispute_resolved: { label: 'Dispute resolved', dot: 'bg-emerald-500' },
+  dispute_rejected: { label: 'Dispute rejected', dot: 'bg-gray-400' },
+};
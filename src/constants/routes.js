@@ -1 +1,12 @@
+/**
+ * Route Constants
+ */
 
+// Home page of each role's dashboard
+export const DASHBOARD_PATHS = {
+  admin: '/admin/dashboard',
+  tutor: '/tutor-dashboard',
+  student: '/student-dashboard',
+};
+
+export const getDashboardPath = (role) => DASHBOARD_PATHS[role] || '/';
@@ -0,0 +1,54 @@
+/**
+ * Tuition Listing Options
+ * Shared by AllTuitions, BrowseTuitions and LatestTuitions; keys match the /api/tuitions query params.
+ */
+
+export const TUITION_SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest First' },
+  { value: 'oldest', label: 'Oldest First' },
+  { value: 'highest_budget', label: 'Highest Budget' },
+  { value: 'lowest_budget', label: 'Lowest Budget' },
+];
+
+// Values absent from the URL fall back to these
+export const DEFAULT_TUITION_FILTERS = {
+  search: '',
+  class: '',
+  subject: '',
+  medium: '',
+  location: '',
+  minSalary: '',
+  maxSalary: '',
+  // Comma-separated weekday keys (any of them) and a time-of-day bucket; see utils/schedule.js
+  days: '',
+  timeOfDay: '',
+  sort: 'newest',
+};
+
+// --- Editing Rules (PostTuition edit mode) ---
+
+// Posts in these states can no longer be edited, only reposted as a fresh copy
+export const CLOSED_TUITION_STATUSES = ['closed', 'hired', 'expired'];
+
+// Tutors applied for exactly this class/subject/medium, so these freeze once anyone has applied
+export const LOCKED_AFTER_APPLICATIONS = ['class', 'semester', 'subject', 'medium'];
+
+// Changing any of these sends an approved post back to admin review
+export const REVIEW_FIELDS = ['class', 'semester', 'subject', 'medium', 'location', 'requirements'];
+
+// Changing any of these notifies tutors who already applied
+export const APPLICANT_NOTIFY_FIELDS = ['salary', 'schedule', 'location'];
+
+export const TUITION_FIELD_LABELS = {
+  class: 'Class',
+  semester: 'Semester',
+  subject: 'Subjects',
+  medium: 'Medium',
+  salary: 'Salary',
+  schedule: 'Weekly schedule',
+  daysPerWeek: 'Days per week',
+  time: 'Preferred time',
+  genderPreference: 'Gender preference',
+  location: 'Location',
+  requirements: 'Requirements',
+};
@@ -0,0 +1,36 @@
+/**
+ * Tutor Directory Options
+ * Used by AllTutors; keys match the /api/profile/search query params.
+ */
+
+export const TUTOR_SORT_OPTIONS = [
+  { value: 'rating', label: 'Top Rated' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'lowest_salary', label: 'Lowest Salary' },
+  { value: 'highest_salary', label: 'Highest Salary' },
+];
+
+export const MIN_RATING_OPTIONS = [
+  { value: '4.5', label: '4.5 & up' },
+  { value: '4', label: '4.0 & up' },
+  { value: '3', label: '3.0 & up' },
+];
+
+// Matched against the free-text `availability` on the tutor profile
+export const AVAILABILITY_OPTIONS = ['Weekdays', 'Weekends', 'Mornings', 'Evenings', 'Online'];
+
+// Values absent from the URL fall back to these
+export const DEFAULT_TUTOR_FILTERS = {
+  search: '',
+  subject: '',
+  location: '',
+  medium: '',
+  class: '',
+  minSalary: '',
+  maxSalary: '',
+  gender: '',
+  minRating: '',
+  availability: '',
+  sort: 'rating',
+  page: '1',
+};
@@ -0,0 +1,51 @@
+/**
+ * Tutor Wallet & Payouts
+ * Ledger accounts of the double-entry journal (see walletApi) and the payout options.
+ */
+
+export const LEDGER_ACCOUNTS = {
+  student_payments: 'Student payments',
+  platform_commission: 'Platform commission',
+  tutor_held: 'Held',
+  tutor_available: 'Available',
+  tutor_payouts: 'Paid out',
+};
+
+export const LEDGER_ENTRY_TYPES = {
+  earning: { label: 'Earning', className: 'bg-emerald-100 text-emerald-700' },
+  release: { label: 'Released', className: 'bg-blue-100 text-blue-700' },
+  payout: { label: 'Payout', className: 'bg-purple-100 text-purple-700' },
+  refund: { label: 'Refund', className: 'bg-red-100 text-red-700' },
+  adjustment: { label: 'Adjustment', className: 'bg-gray-100 text-gray-600' },
+};
+
+export const PAYOUT_METHODS = [
+  { value: 'bkash', label: 'bKash' },
+  { value: 'nagad', label: 'Nagad' },
+  { value: 'bank', label: 'Bank Transfer' },
+];
+
+export const getPayoutMethodLabel = (value) =>
+  PAYOUT_METHODS.find((method) => method.value === value)?.label || value;
+
+export const PAYOUT_STATUSES = {
+  pending: { label: 'Pending', className: 'bg-amber-100 text-amber-700 border-amber-200' },
+  paid: { label: 'Paid', className: 'bg-emerald-100 text-emerald-700 border-emerald-200' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-700 border-red-200' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-600 border-gray-200' },
+};
+
+export const MIN_PAYOUT_AMOUNT = 500;
+
+export const EMPTY_BALANCES = {
+  gross: 0, commission: 0, net: 0, held: 0, available: 0, pendingPayout: 0, paidOut: 0,
+};
+
+/**
+ * Debit/credit totals of one journal entry; a valid entry always balances.
+ */
+export const getEntryTotals = (entry) => {
+  const debit = (entry.lines || []).reduce((sum, line) => sum + (line.debit || 0), 0);
+  const credit = (entry.lines || []).reduce((sum, line) => sum + (line.credit || 0), 0);
+  return { debit, credit, balanced: debit === credit };
+};
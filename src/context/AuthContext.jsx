@@ -1 +1,71 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import Swal from 'sweetalert2';
+import { AuthContext } from '../hooks/useAuth';
+import {
+  SESSION_KEYS, readSession, saveSession, updateSessionUser, getTokenExpiry, isEmailVerified, needsOnboarding,
+  logoutSession, expireSession as expireStoredSession, subscribeToSession
+} from '../services/auth';
+import { refreshSession as refreshStoredSession } from '../services/api';
 
+/**
+ * AuthProvider Component
+ * Owns the logged-in session for the whole app and keeps every tab in sync.
+ */
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(() => readSession());
+
+  // --- 1. Same-tab changes (login, logout, 401 expiry from any page) ---
+  useEffect(() => {
+    return subscribeToSession((event) => {
+      setSession(readSession());
+
+      if (event.type === 'expired') {
+        Swal.fire({ icon: 'error', title: 'Session Expired', text: event.reason });
+      }
+    });
+  }, []);
+
+  // --- 2. Cross-tab changes (storage events fire only in the *other* tabs) ---
+  useEffect(() => {
+    const handleStorage = (e) => {
+      // e.key is null when another tab calls localStorage.clear()
+      if (e.key === null || SESSION_KEYS.includes(e.key)) {
+        setSession(readSession());
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // --- 3. Actions ---
+  const login = useCallback((userData) => saveSession(userData), []);
+  const logout = useCallback(() => logoutSession(), []);
+  const updateUser = useCallback((patch) => updateSessionUser(patch), []);
+  const expireSession = useCallback((reason) => expireStoredSession(reason), []);
+  const refreshSession = useCallback(() => refreshStoredSession(), []);
+
+  const value = useMemo(() => {
+    const user = session?.user || null;
+    const token = session?.token || null;
+
+    return {
+      user,
+      role: user?.role || null,
+      token,
+      isAuthenticated: !!user && !!token,
+      isVerified: isEmailVerified(user),
+      needsOnboarding: needsOnboarding(user),
+      expiresAt: token ? getTokenExpiry(token) : null,
+      canRefresh: !!session?.refreshToken,
+      login,
+      logout,
+      updateUser,
+      expireSession,
+      refreshSession,
+    };
+  }, [session, login, logout, updateUser, expireSession, refreshSession]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
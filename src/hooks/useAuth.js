@@ -1 +1,21 @@
+import { createContext, useContext } from 'react';
 
+/**
+ * Auth context object. The provider lives in `context/AuthContext.jsx`.
+ */
+export const AuthContext = createContext(null);
+
+/**
+ * useAuth Hook
+ * Returns the current session: { user, role, token, isAuthenticated, isVerified, needsOnboarding, expiresAt, canRefresh,
+ * login, logout, updateUser, expireSession, refreshSession }
+ */
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside <AuthProvider>');
+  }
+  return context;
+};
+
+export default useAuth;
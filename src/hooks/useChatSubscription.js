@@ -0,0 +1,22 @@
+import { useEffect, useRef } from 'react';
+import { getChatTransport } from '../services/chatTransport';
+
+/**
+ * useChatSubscription Hook
+ * Runs `onUpdate` whenever the active chat transport reports a change on `topic`
+ * ('threads' or `thread:<id>`). Pass a falsy topic to pause.
+ */
+export const useChatSubscription = (topic, onUpdate) => {
+  // Keep the latest callback without re-subscribing on every render
+  const callbackRef = useRef(onUpdate);
+  useEffect(() => {
+    callbackRef.current = onUpdate;
+  }, [onUpdate]);
+
+  useEffect(() => {
+    if (!topic) return undefined;
+    return getChatTransport().subscribe(topic, () => callbackRef.current());
+  }, [topic]);
+};
+
+export default useChatSubscription;
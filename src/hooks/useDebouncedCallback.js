@@ -0,0 +1,52 @@
+import { useRef, useEffect, useMemo } from 'react';
+
+/**
+ * useDebouncedCallback Hook
+ * Returns a stable function that runs the latest `callback` once calls stop for `delay` ms;
+ * its `cancel()` drops a pending call and `flush()` runs it now.
+ * On unmount a pending call is dropped, or run with `{ flushOnUnmount: true }`.
+ * Used to push typed filter text into the URL without a request per keystroke.
+ */
+export const useDebouncedCallback = (callback, delay = 400, { flushOnUnmount = false } = {}) => {
+  const callbackRef = useRef(callback);
+  const flushOnUnmountRef = useRef(flushOnUnmount);
+  const timerRef = useRef(null);
+  const pendingArgsRef = useRef(null);
+
+  useEffect(() => {
+    callbackRef.current = callback;
+    flushOnUnmountRef.current = flushOnUnmount;
+  }, [callback, flushOnUnmount]);
+
+  // Drop (or run) a pending call on unmount
+  useEffect(() => () => {
+    clearTimeout(timerRef.current);
+    const args = pendingArgsRef.current;
+    pendingArgsRef.current = null;
+    if (args && flushOnUnmountRef.current) callbackRef.current(...args);
+  }, []);
+
+  return useMemo(() => {
+    const run = () => {
+      const args = pendingArgsRef.current;
+      pendingArgsRef.current = null;
+      if (args) callbackRef.current(...args);
+    };
+    const debounced = (...args) => {
+      clearTimeout(timerRef.current);
+      pendingArgsRef.current = args;
+      timerRef.current = setTimeout(run, delay);
+    };
+    debounced.cancel = () => {
+      clearTimeout(timerRef.current);
+      pendingArgsRef.current = null;
+    };
+    debounced.flush = () => {
+      clearTimeout(timerRef.current);
+      run();
+    };
+    return debounced;
+  }, [delay]);
+};
+
+export default useDebouncedCallback;
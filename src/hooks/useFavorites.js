@@ -0,0 +1,87 @@
+import { useMemo } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useLocation, useNavigate } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import { useAuth } from './useAuth';
+import { favoritesApi } from '../services/favoritesApi';
+
+const favoriteKey = (itemType, itemId) => `${itemType}:${itemId}`;
+
+/**
+ * useFavorites Hook
+ * The user's saved tuitions and tutors, an `isSaved(type, id)` lookup for heart buttons,
+ * and an optimistic `toggleFavorite(type, id)`. Logged-out visitors are sent to /login first.
+ */
+export const useFavorites = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const queryClient = useQueryClient();
+  const { user, token, isAuthenticated, role } = useAuth();
+  const queryKey = ['favorites', user?.email];
+  const canSave = role === 'student' || role === 'tutor';
+
+  const { data: favorites = [], isLoading, isError, error } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const response = await favoritesApi.getAll();
+      return response.data || [];
+    },
+    enabled: !!token && canSave,
+    retry: 1,
+  });
+
+  const savedKeys = useMemo(
+    () => new Set(favorites.map((fav) => favoriteKey(fav.itemType, fav.itemId))),
+    [favorites]
+  );
+
+  const toggleMutation = useMutation({
+    mutationFn: favoritesApi.toggle,
+    // Flip the heart immediately; the refetch afterwards brings the populated item
+    onMutate: async ({ itemType, itemId }) => {
+      await queryClient.cancelQueries({ queryKey });
+      const previous = queryClient.getQueryData(queryKey);
+      queryClient.setQueryData(queryKey, (old = []) => (
+        old.some((fav) => fav.itemType === itemType && fav.itemId === itemId)
+          ? old.filter((fav) => !(fav.itemType === itemType && fav.itemId === itemId))
+          : [...old, { _id: `pending-${itemId}`, itemType, itemId, item: null, isStale: false }]
+      ));
+      return { previous };
+    },
+    onError: (err, _payload, context) => {
+      queryClient.setQueryData(queryKey, context?.previous);
+      Swal.fire('Error', err.response?.data?.message || 'Could not update your saved items.', 'error');
+    },
+    onSettled: () => queryClient.invalidateQueries({ queryKey: ['favorites'] }),
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: favoritesApi.remove,
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['favorites'] }),
+    onError: () => Swal.fire('Error', 'Could not remove this item.', 'error'),
+  });
+
+  const toggleFavorite = (itemType, itemId) => {
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: location } });
+      return;
+    }
+    if (!canSave) {
+      Swal.fire('Not Available', 'Saving items is available for student and tutor accounts.', 'info');
+      return;
+    }
+    toggleMutation.mutate({ itemType, itemId });
+  };
+
+  return {
+    favorites,
+    isLoading,
+    isError,
+    error,
+    isSaved: (itemType, itemId) => savedKeys.has(favoriteKey(itemType, itemId)),
+    toggleFavorite,
+    removeFavorite: removeMutation.mutate,
+  };
+};
+
+export default useFavorites;
@@ -0,0 +1,77 @@
+import { useMemo, useState, useCallback } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from './useAuth';
+import { useDebouncedCallback } from './useDebouncedCallback';
+import { draftsApi } from '../services/draftsApi';
+
+// --- Configuration ---
+const SERVER_SAVE_DELAY_MS = 2000;
+
+const readLocal = (storageKey) => {
+  if (!storageKey) return null;
+  try {
+    return JSON.parse(localStorage.getItem(storageKey));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * useFormDraft Hook
+ * Autosaves an in-progress form: instantly to localStorage (keyed by user, so it survives a 401 and re-login)
+ * and, debounced, to the server drafts endpoint. `draft` is whichever copy is newer.
+ * Returns { draft, isReady, savedAt, saveDraft(data, meta), clearDraft }.
+ */
+export const useFormDraft = (kind, { enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+  const { user, token } = useAuth();
+  const storageKey = enabled && user?.email ? `draft:${kind}:${user.email}` : null;
+  const queryKey = useMemo(() => ['draft', kind, user?.email], [kind, user?.email]);
+  const [savedAt, setSavedAt] = useState(null);
+
+  const { data: serverDraft = null, isLoading } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const response = await draftsApi.get(kind);
+      return response.data || null;
+    },
+    enabled: !!storageKey && !!token,
+    staleTime: Infinity,
+    retry: false,
+  });
+
+  const draft = useMemo(() => {
+    const localDraft = readLocal(storageKey);
+    if (!localDraft || !serverDraft) return localDraft || serverDraft;
+    return new Date(localDraft.updatedAt) >= new Date(serverDraft.updatedAt) ? localDraft : serverDraft;
+  }, [storageKey, serverDraft]);
+
+  // Skips the upload if the draft was cleared (e.g. submitted) while the timer was running.
+  // A save still pending when the form unmounts is sent right away, so edits made just before leaving are kept.
+  const pushToServer = useDebouncedCallback((key, entry) => {
+    if (!readLocal(key)) return;
+    draftsApi.save(kind, entry).catch(() => {
+      // The local copy is enough to restore from; try again on the next change
+    });
+  }, SERVER_SAVE_DELAY_MS, { flushOnUnmount: true });
+
+  const saveDraft = useCallback((data, meta = {}) => {
+    if (!storageKey) return;
+    const entry = { data, ...meta, updatedAt: new Date().toISOString() };
+    localStorage.setItem(storageKey, JSON.stringify(entry));
+    setSavedAt(entry.updatedAt);
+    pushToServer(storageKey, entry);
+  }, [storageKey, pushToServer]);
+
+  const clearDraft = useCallback(() => {
+    if (!storageKey) return;
+    localStorage.removeItem(storageKey);
+    queryClient.setQueryData(queryKey, null);
+    setSavedAt(null);
+    draftsApi.remove(kind).catch(() => {});
+  }, [storageKey, queryClient, queryKey, kind]);
+
+  return { draft, isReady: !isLoading, savedAt, saveDraft, clearDraft };
+};
+
+export default useFormDraft;
@@ -0,0 +1,51 @@
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useAuth } from './useAuth';
+import { invoicesApi } from '../services/invoicesApi';
+import { getInvoiceStatus } from '../constants/invoices';
+import { PENDING_RECONCILIATION } from '../constants/payments';
+
+// While a payment waits for the webhook, re-check the invoices this often
+const RECONCILE_REFETCH_MS = 5000;
+
+/**
+ * useInvoices Hook
+ * Monthly invoices of the logged-in student (to pay) or tutor (to receive), newest month first,
+ * each with a derived `displayStatus` (paid / unpaid / overdue / confirming) and the open totals.
+ * `openInvoices` are the ones still to pay; paid-but-confirming ones are listed separately.
+ */
+export const useInvoices = () => {
+  const { user, token, role } = useAuth();
+  const isTutor = role === 'tutor';
+
+  const { data = [], isLoading, isError, error } = useQuery({
+    queryKey: ['invoices', user?.email],
+    queryFn: async () => {
+      const response = isTutor ? await invoicesApi.getForTutor() : await invoicesApi.getForStudent();
+      return response.data || [];
+    },
+    enabled: !!token && (role === 'student' || isTutor),
+    retry: 1,
+    refetchInterval: (query) => (
+      query.state.data?.some((invoice) => invoice.status === PENDING_RECONCILIATION) ? RECONCILE_REFETCH_MS : false
+    ),
+  });
+
+  return useMemo(() => {
+    const invoices = data
+      .map((invoice) => ({ ...invoice, displayStatus: getInvoiceStatus(invoice) }))
+      .sort((a, b) => b.month.localeCompare(a.month));
+    const openInvoices = invoices.filter((invoice) => ['unpaid', 'overdue'].includes(invoice.displayStatus));
+
+    return {
+      invoices,
+      openInvoices,
+      confirmingInvoices: invoices.filter((invoice) => invoice.displayStatus === 'confirming'),
+      overdueCount: openInvoices.filter((invoice) => invoice.displayStatus === 'overdue').length,
+      totalDue: openInvoices.reduce((sum, invoice) => sum + (invoice.amount || 0), 0),
+      isLoading,
+      isError,
+      error,
+    };
+  }, [data, isLoading, isError, error]);
+};
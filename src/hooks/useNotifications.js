@@ -0,0 +1,64 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from './useAuth';
+import { notificationsApi } from '../services/notificationsApi';
+
+// --- Configuration ---
+const REFRESH_INTERVAL_MS = 60 * 1000;
+const RECENT_LIMIT = 6;
+
+/**
+ * useNotifications Hook
+ * Latest notifications + unread count for the header bell, refreshed every minute,
+ * plus the mark-as-read mutations shared with the full history page.
+ */
+export const useNotifications = () => {
+  const queryClient = useQueryClient();
+  const { user, token } = useAuth();
+  const isUserValid = !!user && !!token;
+
+  const { data: recent = [], isLoading } = useQuery({
+    queryKey: ['notifications', 'recent', user?.email],
+    queryFn: async () => {
+      const response = await notificationsApi.getAll({ page: 1, limit: RECENT_LIMIT });
+      return response.data || [];
+    },
+    enabled: isUserValid,
+    refetchInterval: REFRESH_INTERVAL_MS,
+    retry: 1,
+  });
+
+  const { data: unreadCount = 0 } = useQuery({
+    queryKey: ['notifications', 'unreadCount', user?.email],
+    queryFn: async () => {
+      const response = await notificationsApi.getUnreadCount();
+      return response.data?.count || 0;
+    },
+    enabled: isUserValid,
+    refetchInterval: REFRESH_INTERVAL_MS,
+    retry: 1,
+  });
+
+  // Every list and the count share the ['notifications'] prefix
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['notifications'] });
+
+  const markReadMutation = useMutation({
+    mutationFn: notificationsApi.markRead,
+    onSuccess: refresh,
+  });
+
+  const markAllReadMutation = useMutation({
+    mutationFn: notificationsApi.markAllRead,
+    onSuccess: refresh,
+  });
+
+  return {
+    recent,
+    unreadCount,
+    isLoading,
+    markRead: markReadMutation.mutate,
+    markAllRead: markAllReadMutation.mutate,
+    isMarkingAll: markAllReadMutation.isPending,
+  };
+};
+
+export default useNotifications;
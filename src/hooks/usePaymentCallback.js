@@ -0,0 +1,57 @@
+import { useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import { getPaymentProvider } from '../services/paymentProviders';
+import { getPaymentProviderLabel } from '../constants/payments';
+
+const CALLBACK_PARAMS = ['provider', 'paymentId', 'status'];
+
+/**
+ * usePaymentCallback Hook
+ * Finishes a mobile-wallet checkout when the wallet sends the student back (`?provider=&paymentId=&status=`).
+ * A captured payment goes to `onPaid(paymentId)`, the same handler the checkout modal uses.
+ */
+export const usePaymentCallback = (onPaid) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const handledRef = useRef(null);
+
+  const providerId = searchParams.get('provider');
+  const paymentId = searchParams.get('paymentId');
+  const status = searchParams.get('status');
+
+  useEffect(() => {
+    const provider = getPaymentProvider(providerId);
+    if (!provider?.complete || !paymentId || handledRef.current === paymentId) return;
+    handledRef.current = paymentId;
+
+    // Drop the callback params so a reload doesn't capture twice
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      CALLBACK_PARAMS.forEach((key) => next.delete(key));
+      return next;
+    }, { replace: true });
+
+    const label = getPaymentProviderLabel(providerId);
+    Swal.fire({
+      title: `Confirming your ${label} payment...`,
+      allowOutsideClick: false,
+      didOpen: () => Swal.showLoading(),
+    });
+
+    provider.complete(paymentId, status)
+      .then((isCaptured) => {
+        if (isCaptured) return onPaid(paymentId);
+        return Swal.fire({
+          icon: status === 'cancel' ? 'info' : 'error',
+          title: status === 'cancel' ? 'Payment Cancelled' : 'Payment Failed',
+          text: `Your ${label} payment was not completed, so nothing was charged. You can try again.`,
+          confirmButtonColor: '#10B981'
+        });
+      })
+      .catch((err) => {
+        Swal.fire('Error', err.response?.data?.message || `We couldn't confirm your ${label} payment. Please contact support with reference ${paymentId}.`, 'error');
+      });
+  }, [providerId, paymentId, status, onPaid, setSearchParams]);
+};
+
+export default usePaymentCallback;
@@ -0,0 +1,66 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import Swal from 'sweetalert2';
+import { useAuth } from './useAuth';
+import { savedSearchesApi } from '../services/savedSearchesApi';
+
+/**
+ * useSavedSearches Hook
+ * The tutor's named BrowseTuitions filter sets with their "new since last visit" counts, plus CRUD mutations.
+ */
+export const useSavedSearches = () => {
+  const queryClient = useQueryClient();
+  const { user, token, role } = useAuth();
+  const enabled = !!token && role === 'tutor';
+
+  const { data: savedSearches = [], isLoading } = useQuery({
+    queryKey: ['savedSearches', user?.email],
+    queryFn: async () => {
+      const response = await savedSearchesApi.getAll();
+      return response.data || [];
+    },
+    enabled,
+    retry: 1,
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['savedSearches'] });
+  const showError = (err) => Swal.fire('Error', err.response?.data?.message || 'Could not update saved searches.', 'error');
+
+  const createMutation = useMutation({
+    mutationFn: savedSearchesApi.create,
+    onSuccess: () => {
+      refresh();
+      Swal.fire({ icon: 'success', title: 'Search Saved', toast: true, position: 'top-end', showConfirmButton: false, timer: 1500 });
+    },
+    onError: showError,
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, ...payload }) => savedSearchesApi.update(id, payload),
+    onSuccess: refresh,
+    onError: showError,
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: savedSearchesApi.remove,
+    onSuccess: refresh,
+    onError: showError,
+  });
+
+  const markViewedMutation = useMutation({
+    mutationFn: savedSearchesApi.markViewed,
+    onSuccess: refresh,
+  });
+
+  return {
+    savedSearches,
+    isLoading,
+    totalNewMatches: savedSearches.reduce((sum, item) => sum + (item.newMatches || 0), 0),
+    saveSearch: createMutation.mutate,
+    isSaving: createMutation.isPending,
+    updateSearch: updateMutation.mutate,
+    deleteSearch: removeMutation.mutate,
+    markViewed: markViewedMutation.mutate,
+  };
+};
+
+export default useSavedSearches;
@@ -0,0 +1,95 @@
+import { useEffect, useRef } from 'react';
+import Swal from 'sweetalert2';
+import { useAuth } from './useAuth';
+
+// --- Configuration ---
+const WARN_BEFORE_MS = 5 * 60 * 1000;
+const MAX_TIMEOUT_MS = 2147483647; // setTimeout overflows above ~24.8 days
+
+const toTimeout = (ms) => Math.min(Math.max(ms, 0), MAX_TIMEOUT_MS);
+
+const warnBeforeExpiry = async (expiresAt, refreshSession) => {
+  const minutes = Math.max(1, Math.round((expiresAt - Date.now()) / 60000));
+
+  const result = await Swal.fire({
+    icon: 'warning',
+    title: 'Session Expiring Soon',
+    text: `Your session will end in about ${minutes} minute${minutes > 1 ? 's' : ''}. Save your work to avoid losing it.`,
+    showCancelButton: !!refreshSession,
+    confirmButtonText: refreshSession ? 'Stay Signed In' : 'OK',
+    cancelButtonText: 'Dismiss',
+    confirmButtonColor: '#10B981',
+  });
+
+  if (result.isConfirmed && refreshSession) {
+    try {
+      await refreshSession();
+      Swal.fire({ icon: 'success', title: 'Session Extended', toast: true, position: 'top-end', showConfirmButton: false, timer: 2000 });
+    } catch {
+      Swal.fire('Error', 'Could not extend your session. Please save your work and log in again.', 'error');
+    }
+  }
+};
+
+/**
+ * useSessionExpiry Hook
+ * Watches the JWT `exp` claim of the current session:
+ * - a few minutes before expiry it renews the token silently (refresh token) or warns the user
+ * - at expiry it makes one last renewal attempt, then ends the session
+ * Pages stay mounted while renewing, so half-filled forms survive; requests that 401 meanwhile are
+ * retried by the API client once the new token arrives.
+ * Returns { isExpired } — true when the token is past `exp` and cannot be renewed (session about to end).
+ */
+export const useSessionExpiry = () => {
+  const { token, expiresAt, canRefresh, refreshSession, expireSession } = useAuth();
+  const warnedFor = useRef(null); // expiry we already warned about (effect re-runs when refresh fails)
+
+  useEffect(() => {
+    if (!token || !expiresAt) return;
+
+    const renewOrExpire = async () => {
+      if (canRefresh) {
+        try {
+          await refreshSession();
+          return;
+        } catch {
+          // Refresh token missing/rejected: end the session below
+        }
+      }
+      expireSession();
+    };
+
+    const msLeft = expiresAt - Date.now();
+    if (msLeft <= 0) {
+      renewOrExpire();
+      return;
+    }
+
+    const warnTimer = setTimeout(async () => {
+      if (canRefresh) {
+        try {
+          await refreshSession();
+          return;
+        } catch {
+          // Fall back to warning the user
+        }
+      }
+      if (warnedFor.current === expiresAt) return;
+      warnedFor.current = expiresAt;
+      warnBeforeExpiry(expiresAt, canRefresh ? refreshSession : null);
+    }, toTimeout(msLeft - WARN_BEFORE_MS));
+
+    const expiryTimer = setTimeout(renewOrExpire, toTimeout(msLeft));
+
+    return () => {
+      clearTimeout(warnTimer);
+      clearTimeout(expiryTimer);
+    };
+  }, [token, expiresAt, canRefresh, refreshSession, expireSession]);
+
+  const isExpired = !canRefresh && !!expiresAt && expiresAt <= Date.now();
+
+  return { isExpired };
+};
+
+export default useSessionExpiry;
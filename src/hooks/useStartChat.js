@@ -0,0 +1,45 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useLocation, useNavigate } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import { useAuth } from './useAuth';
+import { messagesApi } from '../services/messagesApi';
+import { getDashboardPath } from '../constants/routes';
+
+/**
+ * useStartChat Hook
+ * Opens (or reuses) a student → tutor thread and jumps to it in the student Messages page.
+ * Payload: { tutorId, tutorName, tutorImage, tuitionId?, tuitionTitle?, applicationId? }
+ */
+export const useStartChat = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const queryClient = useQueryClient();
+  const { isAuthenticated, role } = useAuth();
+
+  const startMutation = useMutation({
+    mutationFn: messagesApi.startThread,
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['chatThreads'] });
+      navigate(`${getDashboardPath('student')}/messages/${response.data._id}`);
+    },
+    onError: (error) => {
+      Swal.fire('Error', error.response?.data?.message || 'Could not start the conversation.', 'error');
+    }
+  });
+
+  const startChat = (payload) => {
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: location } });
+      return;
+    }
+    if (role !== 'student') {
+      Swal.fire('Students Only', 'Only student accounts can start a conversation with a tutor.', 'info');
+      return;
+    }
+    startMutation.mutate(payload);
+  };
+
+  return { startChat, isStarting: startMutation.isPending };
+};
+
+export default useStartChat;
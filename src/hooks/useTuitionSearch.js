@@ -0,0 +1,39 @@
+import { useInfiniteQuery, keepPreviousData } from '@tanstack/react-query';
+import { tuitionsApi } from '../services/tuitionsApi';
+
+// Empty filters are left off the request entirely
+const toQueryParams = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) => value !== '' && value != null)
+);
+
+/**
+ * useTuitionSearch Hook
+ * Server-paginated tuition listing ("Load More") for the given filters.
+ * `queryKey` is the cache prefix of the calling page (e.g. ['browseTuitions']) so existing invalidations keep working.
+ */
+export const useTuitionSearch = (queryKey, filters, { limit = 9, enabled = true } = {}) => {
+  const params = toQueryParams(filters);
+
+  const query = useInfiniteQuery({
+    queryKey: [...queryKey, params, limit],
+    queryFn: ({ pageParam }) => tuitionsApi.search({ ...params, page: pageParam, limit }),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) => {
+      const { page, totalPages } = lastPage.pagination || {};
+      return page && page < totalPages ? page + 1 : undefined;
+    },
+    // Keep showing the previous results while a new filter combination loads
+    placeholderData: keepPreviousData,
+    refetchOnWindowFocus: false,
+    enabled,
+    retry: 1,
+  });
+
+  return {
+    ...query,
+    tuitions: query.data?.pages.flatMap((page) => page.data || []) || [],
+    total: query.data?.pages[0]?.pagination?.total ?? 0,
+  };
+};
+
+export default useTuitionSearch;
@@ -0,0 +1,27 @@
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useAuth } from './useAuth';
+import { ongoingTuitionsApi } from '../services/ongoingTuitionsApi';
+import { getBookedSessions } from '../utils/schedule';
+
+/**
+ * useTutorSchedule Hook
+ * The logged-in tutor's ongoing tuitions (same cache as "My Classroom") and the weekly sessions they book.
+ */
+export const useTutorSchedule = () => {
+  const { user, token, role } = useAuth();
+
+  const { data: students = [], isLoading } = useQuery({
+    queryKey: ['tutorStudents', user?._id],
+    queryFn: async () => {
+      const response = await ongoingTuitionsApi.getForTutor(user._id);
+      return response.data;
+    },
+    enabled: !!user?._id && !!token && role === 'tutor',
+    retry: 1,
+  });
+
+  const bookedSessions = useMemo(() => getBookedSessions(students), [students]);
+
+  return { students, bookedSessions, isLoading };
+};
@@ -0,0 +1,34 @@
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from './useAuth';
+import { useChatSubscription } from './useChatSubscription';
+import { messagesApi } from '../services/messagesApi';
+
+/**
+ * useUnreadMessages Hook
+ * Unread message count across all of the user's threads, kept live by the chat transport.
+ * Feeds the "Messages" sidebar badge in the student and tutor dashboards.
+ */
+export const useUnreadMessages = () => {
+  const queryClient = useQueryClient();
+  const { user, token } = useAuth();
+  const isUserValid = !!user && !!token;
+
+  const { data: count = 0 } = useQuery({
+    queryKey: ['unreadMessages', user?.email],
+    queryFn: async () => {
+      const response = await messagesApi.getUnreadCount();
+      return response.data?.count || 0;
+    },
+    enabled: isUserValid,
+    staleTime: 30000,
+    retry: 1,
+  });
+
+  useChatSubscription(isUserValid ? 'threads' : null, () => {
+    queryClient.invalidateQueries({ queryKey: ['unreadMessages'] });
+  });
+
+  return count;
+};
+
+export default useUnreadMessages;
@@ -0,0 +1,40 @@
+import { useState } from 'react';
+import { useDebouncedCallback } from './useDebouncedCallback';
+
+const pick = (source, keys) => Object.fromEntries(keys.map((key) => [key, source[key]]));
+
+/**
+ * useUrlFilterDraft Hook
+ * Local text for the typed fields (`keys`) of a useUrlFilters view: inputs update at once, `commit(draft)` runs
+ * once typing pauses. When those URL values change from elsewhere (Back/Forward, a link, reset, a saved search)
+ * the draft is re-read from `filters`, so the inputs never disagree with the results.
+ * Returns { draft, setDraftValue, resetDraft }.
+ */
+export const useUrlFilterDraft = (filters, keys, commit) => {
+  const urlDraft = JSON.stringify(pick(filters, keys));
+  const [draft, setDraft] = useState(() => pick(filters, keys));
+  const [syncedDraft, setSyncedDraft] = useState(urlDraft);
+  const commitDraft = useDebouncedCallback(commit);
+
+  // The URL moved under us: adopt its values during render (no effect round-trip, no stale frame)
+  if (syncedDraft !== urlDraft) {
+    setSyncedDraft(urlDraft);
+    setDraft(pick(filters, keys));
+  }
+
+  const setDraftValue = (key, value) => {
+    const next = { ...draft, [key]: value };
+    setDraft(next);
+    commitDraft(next);
+  };
+
+  // "Clear filters": drop pending typing and show `values` (usually the defaults) straight away
+  const resetDraft = (values) => {
+    commitDraft.cancel();
+    setDraft(pick(values, keys));
+  };
+
+  return { draft, setDraftValue, resetDraft };
+};
+
+export default useUrlFilterDraft;
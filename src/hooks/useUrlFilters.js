@@ -0,0 +1,42 @@
+import { useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+/**
+ * useUrlFilters Hook
+ * Keeps a flat filter object in the query string so filtered views survive reloads and can be shared.
+ * `defaults` must be a stable (module-level) object; values equal to their default are left out of the URL.
+ * Pass `{ replace: false }` to push each change onto the history stack so Back steps through earlier searches.
+ * Returns { filters, setFilter, setFilters, resetFilters }.
+ */
+export const useUrlFilters = (defaults, { replace = true } = {}) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const filters = useMemo(() => Object.fromEntries(
+    Object.keys(defaults).map((key) => [key, searchParams.get(key) ?? defaults[key]])
+  ), [searchParams, defaults]);
+
+  const setFilters = useCallback((patch) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(patch).forEach(([key, value]) => {
+        if (value === '' || value == null || value === defaults[key]) next.delete(key);
+        else next.set(key, value);
+      });
+      return next;
+    }, { replace });
+  }, [setSearchParams, defaults, replace]);
+
+  const setFilter = useCallback((key, value) => setFilters({ [key]: value }), [setFilters]);
+
+  const resetFilters = useCallback(() => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.keys(defaults).forEach((key) => next.delete(key));
+      return next;
+    }, { replace });
+  }, [setSearchParams, defaults, replace]);
+
+  return { filters, setFilter, setFilters, resetFilters };
+};
+
+export default useUrlFilters;
@@ -0,0 +1,31 @@
+import { useQuery } from '@tanstack/react-query';
+import { useAuth } from './useAuth';
+import { walletApi } from '../services/walletApi';
+import { EMPTY_BALANCES } from '../constants/wallet';
+
+/**
+ * useWallet Hook
+ * The logged-in tutor's wallet balances (gross, commission, net, held, available, pending payout, paid out)
+ * and the commission rate they were computed with.
+ */
+export const useWallet = () => {
+  const { user, token, role } = useAuth();
+
+  const { data, isLoading, isError, error } = useQuery({
+    queryKey: ['wallet', user?._id],
+    queryFn: async () => {
+      const response = await walletApi.getSummary();
+      return response.data;
+    },
+    enabled: !!token && role === 'tutor',
+    retry: 1,
+  });
+
+  return {
+    balances: { ...EMPTY_BALANCES, ...data?.balances },
+    commissionRate: data?.commissionRate ?? 0,
+    isLoading,
+    isError,
+    error,
+  };
+};
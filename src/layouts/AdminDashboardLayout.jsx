@@ -1,104 +1,49 @@
 import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { Outlet, NavLink, useNavigate, useLocation } from 'react-router-dom';
-import axios from 'axios';
 import { useQuery } from '@tanstack/react-query';
 import Swal from 'sweetalert2';
 import {
   MdDashboard, MdPeople, MdBook, MdAssignment, MdSettings,
   MdAccountCircle, MdMenu, MdClose, MdNotifications, MdLogout,
-  MdChevronRight, MdBarChart, MdReceipt
+  MdChevronRight, MdBarChart, MdReceipt, MdAccountBalanceWallet
 } from 'react-icons/md';
-
-// API Configuration
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+import { useAuth } from '../hooks/useAuth';
+import { usersApi } from '../services/usersApi';
+import NotificationBell from '../components/common/NotificationBell';
 
 const AdminDashboardLayout = () => {
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [isProfileOpen, setIsProfileOpen] = useState(false);
-  const [isNotifOpen, setIsNotifOpen] = useState(false);
   
   const navigate = useNavigate();
   const location = useLocation();
   const profileRef = useRef(null);
-  const notifRef = useRef(null);
-
-  // --- 1. User Authentication Check & Robust Token Retrieval ---
-  const { user, authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) {
-      return { user: null, authConfig: {}, isUserValid: false };
-    }
-    
-    const userData = JSON.parse(userStr);
-    // JWT/Token retrieval logic:
-    const authToken = userData.token || userData.jwtToken || localStorage.getItem("adminToken") || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-
-    return { 
-        user: userData, 
-        authConfig: config, 
-        isUserValid: !!userData.email && !!authToken
-    };
-  }, []);
 
-  // --- Redirect if not logged in ---
-  if (!user || !isUserValid) {
-    navigate('/login');
-    return null;
-  }
+  // --- 1. Shared Session (PrivateRoute guarantees a logged-in admin) ---
+  const { user, token, logout } = useAuth();
+  const isUserValid = !!user?.email && !!token;
   
   // --- 2. Fetch Logged-in Admin Data (SECURED with JWT) ---
-  const fetchAdminProfile = async (config) => {
-    try {
-      const res = await axios.get(
-        `${API_URL}/api/users/profile?email=${user.email}`, 
-        config 
-      );
-      return res.data.data;
-    } catch (error) {
-      throw error; 
-    }
+  const fetchAdminProfile = async () => {
+    const res = await usersApi.getProfile(user.email);
+    return res.data;
   };
 
-  const { data: adminData, isError, error } = useQuery({
+  const { data: adminData } = useQuery({
     queryKey: ['adminProfile'],
-    queryFn: () => fetchAdminProfile(authConfig),
+    queryFn: fetchAdminProfile,
     enabled: isUserValid, // Only fetch if we have a valid token
     staleTime: 1000 * 60 * 5, 
     retry: false
   });
 
-  // --- 3. Handle Unauthorized Access & Errors ---
-  if (isError) {
-    const status = error.response?.status;
-    if (status === 401 || status === 403) {
-      // Critical auth failure on the main layout data fetch
-      localStorage.removeItem('user');
-      localStorage.removeItem('token');
-      localStorage.removeItem('adminToken');
-      Swal.fire({ icon: 'error', title: 'Session Expired', text: 'Please log in again.' }).then(() => {
-        navigate('/login');
-      });
-      return null;
-    }
-  }
-
-
   // Close dropdowns when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (profileRef.current && !profileRef.current.contains(event.target)) {
         setIsProfileOpen(false);
       }
-      if (notifRef.current && !notifRef.current.contains(event.target)) {
-        setIsNotifOpen(false);
-      }
     };
     document.addEventListener('mousedown', handleClickOutside);
     return () => document.removeEventListener('mousedown', handleClickOutside);
@@ -136,6 +81,11 @@ const AdminDashboardLayout = () => {
       name: 'Transactions',
       icon: <MdReceipt size={22} />,
     },
+    {
+      path: '/admin/payouts',
+      name: 'Payouts',
+      icon: <MdAccountBalanceWallet size={22} />,
+    },
     {
       path: '/admin/settings',
       name: 'Settings',
@@ -143,15 +93,6 @@ const AdminDashboardLayout = () => {
     },
   ], []);
 
-  // Dummy Notifications (Replace with API if needed)
-  const notifications = [
-    { id: 1, text: 'New tuition posted by John', time: '5m ago', read: false },
-    { id: 2, text: 'Payment received $500', time: '1h ago', read: false },
-    { id: 3, text: 'New tutor application', time: '2h ago', read: true }
-  ];
-
-  const unreadNotifications = notifications.filter(n => !n.read).length;
-
   const handleLogout = () => {
     Swal.fire({
         title: 'Sign Out?',
@@ -163,9 +104,8 @@ const AdminDashboardLayout = () => {
         confirmButtonText: 'Yes, Sign Out'
     }).then((result) => {
         if (result.isConfirmed) {
-            localStorage.removeItem('user');
-            localStorage.removeItem('token');
-            localStorage.removeItem('adminToken');
+            // Clearing the shared session sends PrivateRoute back to /login
+            logout();
             
             Swal.fire({
               icon: 'success',
@@ -174,8 +114,6 @@ const AdminDashboardLayout = () => {
               position: 'top-end',
               showConfirmButton: false,
               timer: 1500
-            }).then(() => {
-                navigate('/login'); 
             });
         }
     });
@@ -306,42 +244,12 @@ const AdminDashboardLayout = () => {
             <div className="flex items-center gap-4">
               
               {/* Notifications */}
-              <div className="relative" ref={notifRef}>
-                <button 
-                  onClick={() => setIsNotifOpen(!isNotifOpen)}
-                  className="p-2.5 rounded-xl text-gray-500 hover:bg-indigo-50 hover:text-indigo-600 transition-colors relative"
-                >
-                  <MdNotifications size={24} />
-                  {unreadNotifications > 0 && (
-                    <span className="absolute top-2 right-2.5 w-2.5 h-2.5 bg-red-500 border-2 border-white rounded-full"></span>
-                  )}
-                </button>
-
-                {/* Notification Dropdown */}
-                {isNotifOpen && (
-                  <div className="absolute right-0 mt-3 w-80 bg-white rounded-2xl shadow-xl border border-gray-100 py-2 animate-fade-in-down origin-top-right">
-                    <div className="px-4 py-2 border-b border-gray-50 flex justify-between items-center">
-                      <h3 className="font-semibold text-gray-800">Notifications</h3>
-                      <span className="text-xs font-bold bg-indigo-100 text-indigo-600 px-2 py-0.5 rounded-full">{unreadNotifications} New</span>
-                    </div>
-                    <div className="max-h-[300px] overflow-y-auto">
-                      {notifications.length > 0 ? notifications.map(notif => (
-                        <div key={notif.id} className={`px-4 py-3 hover:bg-gray-50 transition-colors cursor-pointer border-b border-gray-50 last:border-0 ${!notif.read ? 'bg-blue-50/30' : ''}`}>
-                          <p className="text-sm text-gray-700 font-medium line-clamp-2">{notif.text}</p>
-                          <p className="text-xs text-gray-400 mt-1">{notif.time}</p>
-                        </div>
-                      )) : (
-                        <div className="px-4 py-6 text-center text-gray-400 text-sm">No new notifications</div>
-                      )}
-                    </div>
-                    <div className="border-t border-gray-50 p-2">
-                      <button className="w-full py-2 text-sm text-indigo-600 font-medium hover:bg-indigo-50 rounded-xl transition-colors">
-                        Mark all as read
-                      </button>
-                    </div>
-                  </div>
-                )}
-              </div>
+              <NotificationBell
+                accent="indigo"
+                icon={<MdNotifications size={24} />}
+                className="p-2.5 rounded-xl text-gray-500 hover:bg-indigo-50 hover:text-indigo-600 transition-colors relative"
+                dotClassName="absolute top-2 right-2.5 w-2.5 h-2.5 bg-red-500 border-2 border-white rounded-full"
+              />
 
               {/* Profile */}
               <div className="relative" ref={profileRef}>
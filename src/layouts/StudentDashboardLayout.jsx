@@ -1,16 +1,21 @@
 import React, { useState, useMemo } from 'react';
 import { Outlet, useLocation, Link, useNavigate } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion, AnimatePresence } from 'framer-motion';
 import Swal from 'sweetalert2';
 import { 
   LayoutDashboard, List, PlusCircle, Users, 
-  BookOpen, CreditCard, Settings, LogOut, Menu, X, Bell 
+  BookOpen, CreditCard, Settings, LogOut, Menu, X, MessageSquare, Heart, Receipt, ShieldAlert 
 } from 'lucide-react';
+import { useAuth } from '../hooks/useAuth';
+import { useUnreadMessages } from '../hooks/useUnreadMessages';
+import { useInvoices } from '../hooks/useInvoices';
+import NotificationBell from '../components/common/NotificationBell';
+import { applicationsApi } from '../services/applicationsApi';
 
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+// Items with nested routes (e.g. /messages/:threadId) stay highlighted on their children
+const isMenuItemActive = (item, currentPath) =>
+  currentPath === item.path || (item.nested && currentPath.startsWith(`${item.path}/`));
 
 /**
  * Sidebar Component
@@ -27,7 +32,7 @@ const Sidebar = ({ menuItems, currentPath, onClose, onLogout }) => (
     {/* Navigation Links */}
     <nav className="flex-1 overflow-y-auto py-6 px-3 space-y-1">
       {menuItems.map((item) => {
-        const isActive = currentPath === item.path;
+        const isActive = isMenuItemActive(item, currentPath);
         return (
           <Link
             key={item.path}
@@ -72,38 +77,19 @@ const StudentDashboardLayout = () => {
   const location = useLocation();
   const navigate = useNavigate();
 
-  // --- 1. User Authentication Check & Setup ---
-  const { user, authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) {
-      return { user: null, authConfig: {}, isUserValid: false };
-    }
-    
-    const userData = JSON.parse(userStr);
-    const authToken = userData.token || userData.jwtToken || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-
-    return { 
-        user: userData, 
-        authConfig: config, 
-        isUserValid: !!userData.email && !!authToken
-    };
-  }, []);
+  // --- 1. Shared Session (PrivateRoute guarantees a logged-in student) ---
+  const { user, token, logout } = useAuth();
+  const isUserValid = !!user?.email && !!token;
 
   // --- 2. Fetch Notifications/Stats (TanStack Query) ---
-  const { data: appStats, isError: isAppStatsError, error: appStatsError } = useQuery({
+  const { data: appStats } = useQuery({
     queryKey: ['studentAppStats', user?.email],
     queryFn: async () => {
       if (!isUserValid) return { shortlistedCount: 0 };
       
-      const response = await axios.get(`${API_URL}/api/applications/student-view?email=${user.email}`, authConfig);
+      const response = await applicationsApi.getForStudent(user.email);
       
-      const shortlisted = response.data.data.filter(app => app.status === 'Shortlisted').length;
+      const shortlisted = response.data.filter(app => app.status === 'Shortlisted').length;
       return { shortlistedCount: shortlisted };
     },
     enabled: isUserValid,
@@ -111,26 +97,10 @@ const StudentDashboardLayout = () => {
     retry: 1
   });
 
-  // --- 3. Handle Unauthorized Access & Errors ---
-  if (!user) {
-    navigate('/login');
-    return null;
-  }
-  
-  if (isAppStatsError) {
-    const status = appStatsError.response?.status;
-    if (status === 401 || status === 403) {
-      localStorage.removeItem('user');
-      localStorage.removeItem('token');
-      Swal.fire({ icon: 'error', title: 'Session Expired', text: 'Please log in again.' }).then(() => {
-        navigate('/login');
-      });
-      return null;
-    }
-  }
-
+  const unreadMessages = useUnreadMessages();
+  const { openInvoices } = useInvoices();
 
-  // --- 4. Menu Configuration ---
+  // --- 3. Menu Configuration ---
   const menuItems = useMemo(() => [
     { path: '/student-dashboard', name: 'Dashboard Home', icon: LayoutDashboard },
     { path: '/student-dashboard/my-tuitions', name: 'My Tuitions', icon: List },
@@ -142,11 +112,15 @@ const StudentDashboardLayout = () => {
       badge: appStats?.shortlistedCount || 0 
     },
     { path: '/student-dashboard/ongoing-tuitions', name: 'Ongoing Tuitions', icon: BookOpen },
+    { path: '/student-dashboard/messages', name: 'Messages', icon: MessageSquare, badge: unreadMessages, nested: true },
+    { path: '/student-dashboard/saved', name: 'Saved', icon: Heart },
+    { path: '/student-dashboard/monthly-fees', name: 'Monthly Fees', icon: Receipt, badge: openInvoices.length },
     { path: '/student-dashboard/payment-history', name: 'Payment History', icon: CreditCard },
+    { path: '/student-dashboard/disputes', name: 'Disputes', icon: ShieldAlert },
     { path: '/student-dashboard/settings', name: 'Profile Settings', icon: Settings },
-  ], [appStats]);
+  ], [appStats, unreadMessages, openInvoices.length]);
 
-  // --- 5. Handlers ---
+  // --- 4. Handlers ---
   const handleLogout = () => {
     Swal.fire({
       title: 'Logout?',
@@ -156,11 +130,12 @@ const StudentDashboardLayout = () => {
       confirmButtonColor: '#10B981',
       cancelButtonColor: '#d33',
       confirmButtonText: 'Yes, Logout'
-    }).then((result) => {
+    }).then(async (result) => {
       if (result.isConfirmed) {
-        localStorage.removeItem('user');
-        localStorage.removeItem('token');
-        
+        // Leave the protected route first so PrivateRoute doesn't bounce us to /login
+        await navigate('/');
+        logout();
+
         Swal.fire({
           icon: 'success',
           title: 'Logged Out',
@@ -168,15 +143,13 @@ const StudentDashboardLayout = () => {
           position: 'top-end',
           showConfirmButton: false,
           timer: 1500
-        }).then(() => {
-          navigate('/'); 
         });
       }
     });
   };
 
   const getPageTitle = () => {
-    const activeItem = menuItems.find(item => item.path === location.pathname);
+    const activeItem = menuItems.find(item => isMenuItemActive(item, location.pathname));
     return activeItem ? activeItem.name : 'Dashboard';
   };
 
@@ -251,12 +224,10 @@ const StudentDashboardLayout = () => {
                 <p className="text-sm font-bold text-gray-800">{user?.name || 'Student'}</p>
                 <p className="text-xs text-gray-500">Student Account</p>
               </div>
-              <button className="p-2 bg-white rounded-full shadow-sm border border-gray-100 relative hover:text-emerald-600 transition-colors">
-                <Bell size={20} />
-                {appStats?.shortlistedCount > 0 && (
-                  <span className="absolute top-0 right-0 w-2.5 h-2.5 bg-red-500 rounded-full border-2 border-white animate-pulse"></span>
-                )}
-              </button>
+              <NotificationBell
+                className="p-2 bg-white rounded-full shadow-sm border border-gray-100 relative hover:text-emerald-600 transition-colors"
+                dotClassName="absolute top-0 right-0 w-2.5 h-2.5 bg-red-500 rounded-full border-2 border-white animate-pulse"
+              />
            </div>
         </header>
 
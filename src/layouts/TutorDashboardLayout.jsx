@@ -1,74 +1,20 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { Outlet, useLocation, Link, useNavigate } from 'react-router-dom';
+import React, { useState, useMemo } from 'react';
+import { Outlet, useLocation, Link } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion, AnimatePresence } from 'framer-motion';
 import Swal from 'sweetalert2';
 import { 
   LayoutDashboard, Send, BookOpen, DollarSign, 
-  Search, User, Star, LogOut, Menu, X, Bell 
+  Search, User, Star, LogOut, Menu, X, MessageSquare, Heart, ShieldAlert, Wallet 
 } from 'lucide-react';
+import { useAuth } from '../hooks/useAuth';
+import { useUnreadMessages } from '../hooks/useUnreadMessages';
+import NotificationBell from '../components/common/NotificationBell';
+import { profileApi } from '../services/profileApi';
 
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
-
-/**
- * Custom Hook for Authentication and Token Management
- */
-const useAuth = (navigate) => {
-  const { user, userId, token } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) {
-      navigate("/login");
-      return { user: null, userId: null, token: null };
-    }
-    const parsedUser = JSON.parse(userStr);
-    const id = parsedUser?._id || parsedUser?.id;
-    
-    return {
-        user: parsedUser, 
-        userId: id ? id.toString() : null,
-        token: parsedUser?.token 
-    };
-  }, [navigate]);
-
-  return { user, userId, token };
-};
-
-/**
- * Sets up Axios Interceptors for centralized auth and error handling.
- */
-const useAxiosInterceptors = (token, navigate) => {
-    useEffect(() => {
-        // Request Interceptor: Add Authorization token to all outgoing requests
-        const requestInterceptor = axios.interceptors.request.use(
-          (config) => {
-            if (token && !config.headers.Authorization) {
-              config.headers.Authorization = `Bearer ${token}`;
-            }
-            return config;
-          },
-          (error) => Promise.reject(error)
-        );
-    
-        // Response Interceptor: Handle 401/403 (Unauthorized/Forbidden)
-        const responseInterceptor = axios.interceptors.response.use(
-            (response) => response,
-            (error) => {
-                if (error.response && (error.response.status === 401 || error.response.status === 403)) {
-                    console.error("Authentication Error: Session Expired/Unauthorized.");
-                    navigate("/login");
-                } 
-                return Promise.reject(error);
-            }
-        );
-    
-        return () => {
-          axios.interceptors.request.eject(requestInterceptor);
-          axios.interceptors.response.eject(responseInterceptor);
-        };
-      }, [token, navigate]);
-}
+// Items with nested routes (e.g. /messages/:threadId) stay highlighted on their children
+const isMenuItemActive = (item, currentPath) =>
+  currentPath === item.path || (item.nested && currentPath.startsWith(`${item.path}/`));
 
 /**
  * Sidebar Component
@@ -88,7 +34,7 @@ const Sidebar = ({ menuItems, currentPath, onClose, onLogout }) => (
     {/* Navigation Links */}
     <nav className="flex-1 overflow-y-auto py-4 px-3 space-y-1">
       {menuItems.map((item) => {
-        const isActive = currentPath === item.path;
+        const isActive = isMenuItemActive(item, currentPath);
         return (
           <Link
             key={item.path}
@@ -130,30 +76,29 @@ const Sidebar = ({ menuItems, currentPath, onClose, onLogout }) => (
 const TutorDashboardLayout = () => {
   const [isSidebarOpen, setSidebarOpen] = useState(false);
   const location = useLocation();
-  const navigate = useNavigate();
 
-  // 1. Authentication Check & Token Retrieval
-  const { user, userId, token } = useAuth(navigate);
-  
-  // 2. Axios Interceptor Setup
-  useAxiosInterceptors(token, navigate);
+  // 1. Shared Session (PrivateRoute guarantees a logged-in tutor)
+  const { user, token, logout } = useAuth();
+  const userId = (user?._id || user?.id)?.toString() || null;
 
-  // 3. Fetch Stats for Badges (TanStack Query)
+  // 2. Fetch Stats for Badges (TanStack Query)
   const { data: stats } = useQuery({
     queryKey: ['tutorLayoutStats'],
     queryFn: async () => {
       if (!userId || !token) return Promise.reject(new Error("Authentication missing."));
       
-      const response = await axios.get(`${API_URL}/api/profile/dashboard-stats`);
+      const response = await profileApi.getLayoutStats();
       
-      return response.data.data?.stats || {};
+      return response.data?.stats || {};
     },
     enabled: !!userId && !!token, 
     staleTime: 60000, 
     retry: 1
   });
 
-  // 4. Dynamic Menu Configuration
+  const unreadMessages = useUnreadMessages();
+
+  // 3. Dynamic Menu Configuration
   const menuItems = useMemo(() => [
     { path: '/tutor-dashboard', name: 'Dashboard Home', icon: LayoutDashboard },
     { 
@@ -163,13 +108,17 @@ const TutorDashboardLayout = () => {
       badge: stats?.pendingReview || 0 
     }, 
     { path: '/tutor-dashboard/ongoing-tuitions', name: 'Ongoing Tuitions', icon: BookOpen },
+    { path: '/tutor-dashboard/messages', name: 'Messages', icon: MessageSquare, badge: unreadMessages, nested: true },
     { path: '/tutor-dashboard/revenue', name: 'Revenue History', icon: DollarSign },
+    { path: '/tutor-dashboard/wallet', name: 'Wallet & Payouts', icon: Wallet },
+    { path: '/tutor-dashboard/disputes', name: 'Disputes', icon: ShieldAlert, badge: stats?.openDisputes || 0 },
     { path: '/tutor-dashboard/browse-tuitions', name: 'Browse Tuitions', icon: Search },
+    { path: '/tutor-dashboard/saved', name: 'Saved', icon: Heart },
     { path: '/tutor-dashboard/profile', name: 'My Profile', icon: User },
     { path: '/tutor-dashboard/reviews', name: 'Reviews & Ratings', icon: Star },
-  ], [stats]);
+  ], [stats, unreadMessages]);
 
-  // 5. Handlers
+  // 4. Handlers
   const handleLogout = () => {
     Swal.fire({
       title: 'Sign Out?',
@@ -181,10 +130,8 @@ const TutorDashboardLayout = () => {
       confirmButtonText: 'Yes, Sign Out'
     }).then((result) => {
       if (result.isConfirmed) {
-        // Clear all relevant tokens/user data
-        localStorage.removeItem('user');
-        localStorage.removeItem('token');
-        localStorage.removeItem('jwtToken');
+        // Clearing the shared session sends PrivateRoute back to /login
+        logout();
         
         Swal.fire({
           icon: 'success',
@@ -193,23 +140,16 @@ const TutorDashboardLayout = () => {
           position: 'top-end',
           showConfirmButton: false,
           timer: 1500
-        }).then(() => {
-          navigate('/login'); 
         });
       }
     });
   };
 
   const getPageTitle = () => {
-    const activeItem = menuItems.find(item => item.path === location.pathname);
+    const activeItem = menuItems.find(item => isMenuItemActive(item, location.pathname));
     return activeItem ? activeItem.name : 'Dashboard';
   };
 
-  // 6. Render Guard
-  if (!user) {
-    return null; // Redirect handled by useAuth hook
-  }
-
   return (
     <div className="min-h-screen bg-gray-50 flex">
       
@@ -279,12 +219,10 @@ const TutorDashboardLayout = () => {
                 <p className="text-sm font-bold text-gray-800">{user?.name || 'Instructor'}</p>
                 <p className="text-xs text-emerald-600 font-medium">Verified Tutor</p>
               </div>
-              <button className="p-2.5 bg-white rounded-full shadow-sm text-gray-500 hover:text-emerald-600 relative border border-gray-100 transition-all hover:shadow-md">
-                <Bell size={20} />
-                {stats?.pendingReview > 0 && (
-                  <span className="absolute top-0 right-0 w-3 h-3 bg-red-500 rounded-full border-2 border-white animate-pulse"></span>
-                )}
-              </button>
+              <NotificationBell
+                className="p-2.5 bg-white rounded-full shadow-sm text-gray-500 hover:text-emerald-600 relative border border-gray-100 transition-all hover:shadow-md"
+                dotClassName="absolute top-0 right-0 w-3 h-3 bg-red-500 rounded-full border-2 border-white animate-pulse"
+              />
             </div>
          </header>
 
@@ -4,6 +4,7 @@ import { ToastContainer } from 'react-toastify';
 import { RouterProvider } from "react-router/dom";
 import { router } from './routes/AppRoutes';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { AuthProvider } from './context/AuthContext';
 import "./index.css";
 
 const queryClient = new QueryClient();
@@ -11,7 +12,9 @@ const queryClient = new QueryClient();
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <QueryClientProvider client={queryClient}>
-      <RouterProvider router={router} />
+      <AuthProvider>
+        <RouterProvider router={router} />
+      </AuthProvider>
       <ToastContainer />
     </QueryClientProvider>
   </StrictMode>,
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Mail, KeyRound, ArrowRight, ArrowLeft, MailCheck } from 'lucide-react';
+import Swal from 'sweetalert2';
+
+// Custom Components
+import { authApi } from '../../services/authApi';
+
+const ForgotPassword = () => {
+  // --- Local State ---
+  const [email, setEmail] = useState("");
+  const [sentTo, setSentTo] = useState(null);
+
+  // --- 1. Request Reset Link (TanStack Query) ---
+  const forgotMutation = useMutation({
+    mutationFn: authApi.forgotPassword,
+    onSuccess: (_, variables) => setSentTo(variables.email),
+    onError: (error) => {
+      Swal.fire('Error', error.response?.data?.message || 'Could not send the reset link. Please try again.', 'error');
+    }
+  });
+
+  // --- 2. Handlers ---
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    forgotMutation.mutate({ email: email.trim() });
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-emerald-50 via-teal-50 to-white px-4">
+
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.5 }}
+        className="bg-white w-full max-w-md rounded-2xl shadow-2xl overflow-hidden border border-gray-100"
+      >
+        <div className="p-8 md:p-10">
+
+          {sentTo ? (
+            /* --- SUCCESS STATE --- */
+            <div className="text-center">
+              <div className="w-12 h-12 bg-emerald-100 text-emerald-600 rounded-xl flex items-center justify-center mx-auto mb-4">
+                <MailCheck size={24} />
+              </div>
+              <h2 className="text-3xl font-bold text-gray-800">Check Your Email</h2>
+              <p className="text-gray-500 mt-3">
+                If an account exists for <span className="font-semibold text-gray-700">{sentTo}</span>,
+                you'll receive a link to reset your password shortly.
+              </p>
+
+              <button
+                type="button"
+                onClick={() => forgotMutation.mutate({ email: sentTo })}
+                disabled={forgotMutation.isPending}
+                className="mt-6 text-sm text-emerald-600 hover:underline font-medium disabled:opacity-60"
+              >
+                {forgotMutation.isPending ? 'Sending...' : "Didn't get it? Send again"}
+              </button>
+            </div>
+          ) : (
+            <>
+              {/* HEADER */}
+              <div className="text-center mb-8">
+                <div className="w-12 h-12 bg-emerald-100 text-emerald-600 rounded-xl flex items-center justify-center mx-auto mb-4">
+                  <KeyRound size={24} />
+                </div>
+                <h2 className="text-3xl font-bold text-gray-800">Forgot Password?</h2>
+                <p className="text-gray-500 mt-2">Enter your email and we'll send you a reset link</p>
+              </div>
+
+              <form onSubmit={handleSubmit} className="space-y-5">
+
+                {/* EMAIL */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1.5">Email Address</label>
+                  <div className="relative">
+                    <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                    <input
+                      type="email"
+                      name="email"
+                      required
+                      placeholder="Enter your email"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500 transition-all bg-gray-50 focus:bg-white"
+                    />
+                  </div>
+                </div>
+
+                {/* SUBMIT BUTTON */}
+                <button
+                  type="submit"
+                  disabled={forgotMutation.isPending}
+                  className="w-full py-3.5 bg-emerald-600 text-white font-bold rounded-xl hover:bg-emerald-700 shadow-lg shadow-emerald-200 transition-all disabled:opacity-70 disabled:cursor-not-allowed flex justify-center items-center gap-2"
+                >
+                  {forgotMutation.isPending ? (
+                    <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                  ) : (
+                    <>Send Reset Link <ArrowRight size={20} /></>
+                  )}
+                </button>
+              </form>
+            </>
+          )}
+
+          {/* BACK TO LOGIN */}
+          <div className="mt-8 text-center">
+            <Link to="/login" className="inline-flex items-center gap-1.5 text-emerald-600 font-bold hover:underline">
+              <ArrowLeft size={16} /> Back to Login
+            </Link>
+          </div>
+
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,6 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useMutation } from '@tanstack/react-query';
-import axios from 'axios';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Mail, Lock, Eye, EyeOff, LogIn, AlertCircle, ArrowRight } from 'lucide-react';
 import Swal from 'sweetalert2';
@@ -11,9 +11,8 @@ import { signInWithPopup } from 'firebase/auth';
 
 // Custom Components
 import Loading from '../../components/common/Loading';
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+import { useAuth } from '../../hooks/useAuth';
+import { authApi } from '../../services/authApi';
 
 // --- Assets ---
 const GoogleIcon = () => (
@@ -30,27 +29,26 @@ const Login = () => {
   const [formData, setFormData] = useState({ email: "", password: "" });
   const [showPassword, setShowPassword] = useState(false);
 
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isAuthenticated, login } = useAuth();
+  const isLoggingIn = useRef(false);
+
+  // Page the user was bounced from by PrivateRoute (if any)
+  const redirectTo = location.state?.from?.pathname
+    ? `${location.state.from.pathname}${location.state.from.search || ''}`
+    : '/';
+
   // --- 1. Prevent Access if Logged In ---
   useEffect(() => {
-    const user = localStorage.getItem('user');
-    if (user) {
-      window.location.href = '/';
+    if (isAuthenticated && !isLoggingIn.current) {
+      navigate('/', { replace: true });
     }
-  }, []);
+  }, [isAuthenticated, navigate]);
 
   // --- 2. Login Logic Helper ---
   const handleLoginSuccess = (userData) => {
-    // 1. Save Core User Data
-    localStorage.setItem('user', JSON.stringify(userData));
-    localStorage.setItem('token', userData.token); // JWT
-    
-    // 2. Save Specific Identifiers (Useful for Profile/API calls)
-    if(userData._id) localStorage.setItem('userId', userData._id);
-    if(userData.email) localStorage.setItem('userEmail', userData.email);
-    if(userData.name) localStorage.setItem('userName', userData.name);
-    if(userData.role) localStorage.setItem('userRole', userData.role);
-
-    // 3. UI Feedback
+    // 1. UI Feedback
     Swal.fire({
       icon: 'success',
       title: `Welcome back, ${userData.name}!`,
@@ -58,23 +56,16 @@ const Login = () => {
       timer: 1500,
       showConfirmButton: false
     }).then(() => {
-      // 4. Redirect based on Role
-      if (userData.role === 'admin') {
-        window.location.href = '/';
-      } else if (userData.role === 'tutor') {
-        window.location.href = '/';
-      } else {
-        window.location.href = '/';
-      }
+      // 2. Save Session (shared via AuthContext) & return to the original page
+      isLoggingIn.current = true;
+      login(userData);
+      navigate(redirectTo, { replace: true });
     });
   };
 
   // --- 3. Mutation: Email Login ---
   const loginMutation = useMutation({
-    mutationFn: async (credentials) => {
-      const response = await axios.post(`${API_URL}/api/auth/login`, credentials);
-      return response.data;
-    },
+    mutationFn: authApi.login,
     onSuccess: (data) => handleLoginSuccess(data),
     onError: (error) => {
       Swal.fire({
@@ -88,11 +79,15 @@ const Login = () => {
 
   // --- 4. Mutation: Google Login ---
   const googleLoginMutation = useMutation({
-    mutationFn: async (googlePayload) => {
-      const response = await axios.post(`${API_URL}/api/auth/google`, googlePayload);
-      return response.data;
+    mutationFn: authApi.google,
+    onSuccess: (data) => {
+      if (!data.isNewUser) return handleLoginSuccess(data);
+
+      // First Google sign-in: finish the account in the onboarding wizard
+      isLoggingIn.current = true;
+      login(data);
+      navigate('/onboarding', { replace: true });
     },
-    onSuccess: (data) => handleLoginSuccess(data),
     onError: (error) => {
       console.error("Google Auth Backend Error:", error);
       Swal.fire('Error', 'Google Login failed on server.', 'error');
@@ -125,8 +120,8 @@ const Login = () => {
       googleLoginMutation.mutate({
         name: userName || "Google User",
         email: userEmail,
-        googleId: user.uid,
-        role: "student"
+        googleId: user.uid
+        // No role: new accounts pick one in the onboarding wizard
       });
 
     } catch (err) {
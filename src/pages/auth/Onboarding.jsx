@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  GraduationCap, Briefcase, BookOpen, MapPin, DollarSign,
+  Layers, ArrowRight, ArrowLeft, CheckCircle
+} from 'lucide-react';
+import Swal from 'sweetalert2';
+
+// Custom Components
+import { useAuth } from '../../hooks/useAuth';
+import { authApi } from '../../services/authApi';
+import { getDashboardPath } from '../../constants/routes';
+import { CLASS_LEVELS, MEDIUMS } from '../../constants/app';
+
+// --- Configuration ---
+const STEPS = ['Choose Role', 'Your Details'];
+
+const inputClass = "w-full pl-10 pr-4 py-3 border rounded-xl focus:outline-none focus:ring-2 bg-gray-50";
+
+/**
+ * Onboarding Wizard
+ * Shown once after a new account is created through Google sign-in:
+ * step 1 picks the role, step 2 collects the minimum profile for that role.
+ */
+const Onboarding = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, isAuthenticated, needsOnboarding, login, updateUser } = useAuth();
+
+  // Register already asked for the role, so it can skip straight to step 2
+  const presetRole = location.state?.role;
+
+  // --- Local State ---
+  const [step, setStep] = useState(presetRole ? 1 : 0);
+  const [role, setRole] = useState(presetRole || '');
+  const [tutorProfile, setTutorProfile] = useState({ preferredSubjects: '', preferredLocations: '', expectedSalary: '' });
+  const [studentProfile, setStudentProfile] = useState({ class: '', medium: MEDIUMS[0] });
+  const [formErrors, setFormErrors] = useState({});
+
+  // --- 1. Submit Mutation ---
+  const onboardingMutation = useMutation({
+    mutationFn: authApi.completeOnboarding,
+    onSuccess: (body) => {
+      const updated = body?.data || body || {};
+
+      // A role change re-issues the JWT; otherwise just patch the stored user
+      if (updated.token) {
+        login({ ...user, ...updated, role, isNewUser: false });
+      } else {
+        updateUser({ ...updated, role, isNewUser: false });
+      }
+
+      Swal.fire({
+        icon: 'success',
+        title: 'All Set!',
+        text: 'Your account is ready.',
+        timer: 1500,
+        showConfirmButton: false
+      });
+      navigate(getDashboardPath(role), { replace: true });
+    },
+    onError: (error) => {
+      Swal.fire('Error', error.response?.data?.message || 'Could not save your details. Please try again.', 'error');
+    }
+  });
+
+  // --- 2. Validation ---
+  const validateDetails = () => {
+    const errors = {};
+
+    if (role === 'tutor') {
+      if (!tutorProfile.preferredSubjects.trim()) errors.preferredSubjects = "Add at least one subject";
+      if (!tutorProfile.preferredLocations.trim()) errors.preferredLocations = "Add at least one location";
+      if (!(Number(tutorProfile.expectedSalary) > 0)) errors.expectedSalary = "Enter your expected monthly salary";
+    } else {
+      if (!studentProfile.class) errors.class = "Select your class";
+      if (!studentProfile.medium) errors.medium = "Select your medium";
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  // --- 3. Handlers ---
+  const handleTutorChange = (e) => {
+    setTutorProfile({ ...tutorProfile, [e.target.name]: e.target.value });
+    if (formErrors[e.target.name]) setFormErrors({ ...formErrors, [e.target.name]: "" });
+  };
+
+  const handleStudentChange = (e) => {
+    setStudentProfile({ ...studentProfile, [e.target.name]: e.target.value });
+    if (formErrors[e.target.name]) setFormErrors({ ...formErrors, [e.target.name]: "" });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!validateDetails()) return;
+
+    onboardingMutation.mutate({
+      role,
+      profile: role === 'tutor'
+        ? { ...tutorProfile, expectedSalary: Number(tutorProfile.expectedSalary) }
+        : studentProfile
+    });
+  };
+
+  // --- Conditional Rendering ---
+  if (!isAuthenticated) return <Navigate to="/login" replace />;
+  if (!needsOnboarding) return <Navigate to={getDashboardPath(user.role)} replace />;
+
+  const fieldClass = (name) => `${inputClass} ${formErrors[name] ? 'border-red-500 focus:ring-red-200' : 'border-gray-200 focus:ring-emerald-500'}`;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-emerald-50 via-teal-50 to-white py-12 px-4">
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}
+        className="bg-white w-full max-w-lg rounded-2xl shadow-2xl overflow-hidden border border-gray-100"
+      >
+        <div className="p-8 md:p-10">
+
+          {/* --- PAGE TITLE --- */}
+          <div className="text-center mb-6">
+            <h2 className="text-3xl font-bold text-gray-800">Welcome, {user.name?.split(' ')[0] || 'there'}!</h2>
+            <p className="text-gray-500 mt-2">Let's finish setting up your eTuitionBD account</p>
+          </div>
+
+          {/* --- STEP INDICATOR --- */}
+          <div className="flex items-center justify-center gap-3 mb-8">
+            {STEPS.map((label, index) => (
+              <div key={label} className="flex items-center gap-2">
+                <span className={`w-7 h-7 rounded-full flex items-center justify-center text-xs font-bold ${
+                  index <= step ? 'bg-emerald-600 text-white' : 'bg-gray-100 text-gray-400'
+                }`}>
+                  {index < step ? <CheckCircle size={14} /> : index + 1}
+                </span>
+                <span className={`text-sm font-medium ${index <= step ? 'text-gray-800' : 'text-gray-400'}`}>{label}</span>
+                {index < STEPS.length - 1 && <span className="w-8 h-px bg-gray-200" />}
+              </div>
+            ))}
+          </div>
+
+          <AnimatePresence mode="wait">
+            {step === 0 ? (
+              /* --- STEP 1: ROLE --- */
+              <motion.div key="role" initial={{ opacity: 0, x: -20 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: 20 }}>
+                <div className="grid grid-cols-2 gap-4">
+                  <div
+                    onClick={() => setRole('student')}
+                    className={`cursor-pointer rounded-xl p-4 border-2 flex flex-col items-center justify-center transition-all ${
+                      role === 'student'
+                        ? 'border-emerald-500 bg-emerald-50 text-emerald-700'
+                        : 'border-gray-100 bg-white text-gray-500 hover:border-gray-200'
+                    }`}
+                  >
+                    <GraduationCap size={28} className="mb-2" />
+                    <span className="font-bold">I am a Student</span>
+                    <span className="text-xs mt-1 text-center">Post tuitions & hire tutors</span>
+                  </div>
+
+                  <div
+                    onClick={() => setRole('tutor')}
+                    className={`cursor-pointer rounded-xl p-4 border-2 flex flex-col items-center justify-center transition-all ${
+                      role === 'tutor'
+                        ? 'border-emerald-500 bg-emerald-50 text-emerald-700'
+                        : 'border-gray-100 bg-white text-gray-500 hover:border-gray-200'
+                    }`}
+                  >
+                    <Briefcase size={28} className="mb-2" />
+                    <span className="font-bold">I am a Tutor</span>
+                    <span className="text-xs mt-1 text-center">Find & apply to tuition jobs</span>
+                  </div>
+                </div>
+
+                <button
+                  type="button"
+                  disabled={!role}
+                  onClick={() => setStep(1)}
+                  className="w-full py-3.5 mt-8 bg-emerald-600 text-white font-bold rounded-xl hover:bg-emerald-700 shadow-lg shadow-emerald-200 transition-all disabled:opacity-70 disabled:cursor-not-allowed flex justify-center items-center gap-2"
+                >
+                  Continue <ArrowRight size={20} />
+                </button>
+              </motion.div>
+            ) : (
+              /* --- STEP 2: ROLE-SPECIFIC DETAILS --- */
+              <motion.form key="details" onSubmit={handleSubmit} className="space-y-4" initial={{ opacity: 0, x: 20 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -20 }}>
+                {role === 'tutor' ? (
+                  <>
+                    <div>
+                      <div className="relative">
+                        <BookOpen className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
+                        <input
+                          type="text" name="preferredSubjects" placeholder="Subjects you teach (e.g. Math, Physics)"
+                          className={fieldClass('preferredSubjects')}
+                          value={tutorProfile.preferredSubjects} onChange={handleTutorChange}
+                        />
+                      </div>
+                      {formErrors.preferredSubjects && <p className="text-red-500 text-xs mt-1">{formErrors.preferredSubjects}</p>}
+                    </div>
+
+                    <div>
+                      <div className="relative">
+                        <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
+                        <input
+                          type="text" name="preferredLocations" placeholder="Preferred areas (e.g. Dhanmondi, Mirpur)"
+                          className={fieldClass('preferredLocations')}
+                          value={tutorProfile.preferredLocations} onChange={handleTutorChange}
+                        />
+                      </div>
+                      {formErrors.preferredLocations && <p className="text-red-500 text-xs mt-1">{formErrors.preferredLocations}</p>}
+                    </div>
+
+                    <div>
+                      <div className="relative">
+                        <DollarSign className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
+                        <input
+                          type="number" min="0" name="expectedSalary" placeholder="Expected monthly salary (৳)"
+                          className={fieldClass('expectedSalary')}
+                          value={tutorProfile.expectedSalary} onChange={handleTutorChange}
+                        />
+                      </div>
+                      {formErrors.expectedSalary && <p className="text-red-500 text-xs mt-1">{formErrors.expectedSalary}</p>}
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div>
+                      <div className="relative">
+                        <Layers className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
+                        <select name="class" className={fieldClass('class')} value={studentProfile.class} onChange={handleStudentChange}>
+                          <option value="">Select Your Class</option>
+                          {CLASS_LEVELS.map((level) => <option key={level} value={level}>{level}</option>)}
+                        </select>
+                      </div>
+                      {formErrors.class && <p className="text-red-500 text-xs mt-1">{formErrors.class}</p>}
+                    </div>
+
+                    <div>
+                      <div className="relative">
+                        <BookOpen className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
+                        <select name="medium" className={fieldClass('medium')} value={studentProfile.medium} onChange={handleStudentChange}>
+                          {MEDIUMS.map((medium) => <option key={medium} value={medium}>{medium}</option>)}
+                        </select>
+                      </div>
+                      {formErrors.medium && <p className="text-red-500 text-xs mt-1">{formErrors.medium}</p>}
+                    </div>
+                  </>
+                )}
+
+                <div className="flex gap-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => { setStep(0); setFormErrors({}); }}
+                    className="px-5 py-3.5 border border-gray-200 text-gray-600 font-semibold rounded-xl hover:bg-gray-50 transition-all flex items-center gap-2"
+                  >
+                    <ArrowLeft size={18} /> Back
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={onboardingMutation.isPending}
+                    className="flex-1 py-3.5 bg-emerald-600 text-white font-bold rounded-xl hover:bg-emerald-700 shadow-lg shadow-emerald-200 transition-all disabled:opacity-70 disabled:cursor-not-allowed flex justify-center items-center gap-2"
+                  >
+                    {onboardingMutation.isPending ? (
+                      <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                    ) : (
+                      <>Finish Setup <ArrowRight size={20} /></>
+                    )}
+                  </button>
+                </div>
+              </motion.form>
+            )}
+          </AnimatePresence>
+
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default Onboarding;
@@ -1,6 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useMutation } from '@tanstack/react-query';
-import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   User, Mail, Lock, Phone, Eye, EyeOff, 
@@ -14,9 +14,9 @@ import { signInWithPopup } from 'firebase/auth';
 
 // Custom Components
 import Loading from '../../components/common/Loading';
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+import { useAuth } from '../../hooks/useAuth';
+import { authApi } from '../../services/authApi';
+import { BD_PHONE_REGEX, validateNewPassword } from '../../utils/validation';
 
 // --- Assets ---
 const GoogleIcon = () => (
@@ -41,33 +41,32 @@ const Register = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [formErrors, setFormErrors] = useState({});
 
+  const navigate = useNavigate();
+  const { isAuthenticated, login } = useAuth();
+  const isRegistering = useRef(false);
+
   // --- 1. Prevent Access if Logged In ---
   useEffect(() => {
-    const user = localStorage.getItem('user');
-    if (user) window.location.href = '/';
-  }, []);
+    if (isAuthenticated && !isRegistering.current) navigate('/', { replace: true });
+  }, [isAuthenticated, navigate]);
 
   // --- 2. Success Handler (Centralized) ---
   const handleRegisterSuccess = (data) => {
-    // Save all necessary auth data
-    localStorage.setItem('user', JSON.stringify(data));
-    localStorage.setItem('userId', data._id);
-    localStorage.setItem('token', data.token);
-    
-    // Save identifiers for specific pages
-    localStorage.setItem('userEmail', data.email);
-    localStorage.setItem('userName', data.name);
-    localStorage.setItem('userRole', data.role);
+    const needsVerification = data.emailVerified === false;
 
     Swal.fire({
       icon: 'success',
       title: 'Account Created!',
-      text: `Welcome to eTuitionBD, ${data.name}!`,
+      text: needsVerification
+        ? `Welcome, ${data.name}! Please confirm the link we emailed to ${data.email}.`
+        : `Welcome to eTuitionBD, ${data.name}!`,
       timer: 2000,
       showConfirmButton: false
     }).then(() => {
-      // Redirect based on role
-      window.location.href = data.role === 'admin' ? '/' : '/';
+      // Save session (shared via AuthContext), then verify the email or go home
+      isRegistering.current = true;
+      login(data);
+      navigate(needsVerification ? '/verify-email' : '/', { replace: true });
     });
   };
 
@@ -75,10 +74,7 @@ const Register = () => {
 
   // A. Email Registration Mutation
   const registerMutation = useMutation({
-    mutationFn: async (payload) => {
-      const response = await axios.post(`${API_URL}/api/auth/register`, payload);
-      return response.data;
-    },
+    mutationFn: authApi.register,
     onSuccess: (data) => handleRegisterSuccess(data),
     onError: (error) => {
       const msg = error.response?.data?.message || "Registration failed. Please try again.";
@@ -92,11 +88,15 @@ const Register = () => {
 
   // B. Google Registration Mutation
   const googleRegisterMutation = useMutation({
-    mutationFn: async (payload) => {
-      const response = await axios.post(`${API_URL}/api/auth/google`, payload);
-      return response.data;
+    mutationFn: authApi.google,
+    onSuccess: (data) => {
+      if (!data.isNewUser) return handleRegisterSuccess(data);
+
+      // Role is already chosen above, so the wizard only asks for profile details
+      isRegistering.current = true;
+      login(data);
+      navigate('/onboarding', { replace: true, state: { role } });
     },
-    onSuccess: (data) => handleRegisterSuccess(data),
     onError: (error) => {
       console.error("Google Auth Error:", error);
       Swal.fire('Error', 'Google Sign-in failed on server.', 'error');
@@ -106,21 +106,17 @@ const Register = () => {
   // --- 4. Validation Logic ---
   const validateForm = () => {
     let newErrors = {};
-    const bdPhoneRegex = /^01[3-9]\d{8}$/; 
 
     if (!formData.name.trim()) newErrors.name = "Full Name is required";
     if (!formData.email.trim()) newErrors.email = "Email is required";
     
     if (!formData.phone.trim()) {
       newErrors.phone = "Phone number is required";
-    } else if (!bdPhoneRegex.test(formData.phone)) {
+    } else if (!BD_PHONE_REGEX.test(formData.phone)) {
       newErrors.phone = "Invalid BD Phone (e.g., 017xxxxxxxx)";
     }
 
-    if (formData.password.length < 6) newErrors.password = "Password must be at least 6 characters";
-    if (formData.password !== formData.confirmPassword) {
-      newErrors.confirmPassword = "Passwords do not match";
-    }
+    newErrors = { ...newErrors, ...validateNewPassword(formData.password, formData.confirmPassword) };
 
     setFormErrors(newErrors);
     return Object.keys(newErrors).length === 0;
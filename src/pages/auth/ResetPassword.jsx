@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Lock, Eye, EyeOff, ShieldCheck, ArrowRight, ArrowLeft } from 'lucide-react';
+import Swal from 'sweetalert2';
+
+// Custom Components
+import { authApi } from '../../services/authApi';
+import { PASSWORD_MIN_LENGTH, validateNewPassword } from '../../utils/validation';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+
+  // --- Local State ---
+  const [formData, setFormData] = useState({ password: "", confirmPassword: "" });
+  const [showPassword, setShowPassword] = useState(false);
+  const [formErrors, setFormErrors] = useState({});
+
+  // --- 1. Reset Mutation (TanStack Query) ---
+  const resetMutation = useMutation({
+    mutationFn: authApi.resetPassword,
+    onSuccess: (data) => {
+      Swal.fire({
+        icon: 'success',
+        title: 'Password Updated!',
+        text: data?.message || 'You can now log in with your new password.',
+        confirmButtonColor: '#059669'
+      }).then(() => navigate('/login', { replace: true }));
+    },
+    onError: (error) => {
+      Swal.fire('Reset Failed', error.response?.data?.message || 'This reset link is invalid or has expired.', 'error');
+    }
+  });
+
+  // --- 2. Handlers ---
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    if (formErrors[e.target.name]) {
+      setFormErrors({ ...formErrors, [e.target.name]: "" });
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const errors = validateNewPassword(formData.password, formData.confirmPassword);
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    resetMutation.mutate({ token, password: formData.password });
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-emerald-50 via-teal-50 to-white px-4">
+
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.5 }}
+        className="bg-white w-full max-w-md rounded-2xl shadow-2xl overflow-hidden border border-gray-100"
+      >
+        <div className="p-8 md:p-10">
+
+          {/* HEADER */}
+          <div className="text-center mb-8">
+            <div className="w-12 h-12 bg-emerald-100 text-emerald-600 rounded-xl flex items-center justify-center mx-auto mb-4">
+              <ShieldCheck size={24} />
+            </div>
+            <h2 className="text-3xl font-bold text-gray-800">Set New Password</h2>
+            <p className="text-gray-500 mt-2">Must be at least {PASSWORD_MIN_LENGTH} characters</p>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-5">
+
+            {/* NEW PASSWORD */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1.5">New Password</label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                <input
+                  type={showPassword ? "text" : "password"}
+                  name="password"
+                  placeholder="Enter a new password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  className={`w-full pl-10 pr-12 py-3 border rounded-xl focus:outline-none focus:ring-2 transition-all bg-gray-50 focus:bg-white ${formErrors.password ? 'border-red-500 focus:ring-red-200' : 'border-gray-200 focus:ring-emerald-500'}`}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-emerald-600 focus:outline-none"
+                >
+                  {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+                </button>
+              </div>
+              {formErrors.password && <p className="text-red-500 text-xs mt-1">{formErrors.password}</p>}
+            </div>
+
+            {/* CONFIRM PASSWORD */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1.5">Confirm Password</label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                <input
+                  type={showPassword ? "text" : "password"}
+                  name="confirmPassword"
+                  placeholder="Re-enter the new password"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  className={`w-full pl-10 pr-4 py-3 border rounded-xl focus:outline-none focus:ring-2 transition-all bg-gray-50 focus:bg-white ${formErrors.confirmPassword ? 'border-red-500 focus:ring-red-200' : 'border-gray-200 focus:ring-emerald-500'}`}
+                />
+              </div>
+              {formErrors.confirmPassword && <p className="text-red-500 text-xs mt-1">{formErrors.confirmPassword}</p>}
+            </div>
+
+            {/* SUBMIT BUTTON */}
+            <button
+              type="submit"
+              disabled={resetMutation.isPending}
+              className="w-full py-3.5 bg-emerald-600 text-white font-bold rounded-xl hover:bg-emerald-700 shadow-lg shadow-emerald-200 transition-all disabled:opacity-70 disabled:cursor-not-allowed flex justify-center items-center gap-2"
+            >
+              {resetMutation.isPending ? (
+                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              ) : (
+                <>Reset Password <ArrowRight size={20} /></>
+              )}
+            </button>
+          </form>
+
+          {/* LINKS */}
+          <div className="mt-8 flex items-center justify-between text-sm">
+            <Link to="/login" className="inline-flex items-center gap-1.5 text-emerald-600 font-bold hover:underline">
+              <ArrowLeft size={16} /> Back to Login
+            </Link>
+            <Link to="/forgot-password" className="text-gray-500 hover:text-emerald-600 hover:underline">
+              Request a new link
+            </Link>
+          </div>
+
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,89 @@
+import React, { useEffect } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { MailCheck, XCircle, ArrowRight } from 'lucide-react';
+
+// Custom Components
+import Loading from '../../components/common/Loading';
+import { useAuth } from '../../hooks/useAuth';
+import { authApi } from '../../services/authApi';
+import { getDashboardPath } from '../../constants/routes';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { user, isAuthenticated, updateUser } = useAuth();
+
+  // --- 1. Verify Token (runs once per link; a query so StrictMode/re-renders don't re-submit) ---
+  const { data, isLoading, isError, error } = useQuery({
+    queryKey: ['verifyEmail', token],
+    queryFn: () => authApi.verifyEmail({ token }),
+    enabled: !!token,
+    retry: false,
+    staleTime: Infinity,
+    refetchOnWindowFocus: false,
+  });
+
+  // --- 2. Unlock the dashboard for the logged-in account (other tabs follow via storage sync) ---
+  const verifiedEmail = data?.data?.email;
+  useEffect(() => {
+    if (!data?.success || !user || user.emailVerified !== false) return;
+    if (verifiedEmail && verifiedEmail !== user.email) return;
+    updateUser({ emailVerified: true });
+  }, [data, verifiedEmail, user, updateUser]);
+
+  if (isLoading) return <Loading />;
+
+  const nextPath = isAuthenticated ? getDashboardPath(user?.role) : '/login';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-emerald-50 via-teal-50 to-white px-4">
+
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.5 }}
+        className="bg-white w-full max-w-md rounded-2xl shadow-2xl overflow-hidden border border-gray-100"
+      >
+        <div className="p-8 md:p-10 text-center">
+          {isError ? (
+            <>
+              <div className="w-12 h-12 bg-red-100 text-red-600 rounded-xl flex items-center justify-center mx-auto mb-4">
+                <XCircle size={24} />
+              </div>
+              <h2 className="text-3xl font-bold text-gray-800">Link Not Valid</h2>
+              <p className="text-gray-500 mt-3">
+                {error.response?.data?.message || 'This verification link is invalid or has expired.'}
+              </p>
+              <Link
+                to={isAuthenticated ? '/verify-email' : '/login'}
+                className="mt-8 w-full py-3.5 bg-emerald-600 text-white font-bold rounded-xl hover:bg-emerald-700 shadow-lg shadow-emerald-200 transition-all flex justify-center items-center gap-2"
+              >
+                {isAuthenticated ? 'Request a New Link' : 'Login to Request a New Link'} <ArrowRight size={20} />
+              </Link>
+            </>
+          ) : (
+            <>
+              <div className="w-12 h-12 bg-emerald-100 text-emerald-600 rounded-xl flex items-center justify-center mx-auto mb-4">
+                <MailCheck size={24} />
+              </div>
+              <h2 className="text-3xl font-bold text-gray-800">Email Verified!</h2>
+              <p className="text-gray-500 mt-3">
+                {data?.message || 'Your email address has been confirmed.'}
+              </p>
+              <Link
+                to={nextPath}
+                replace
+                className="mt-8 w-full py-3.5 bg-emerald-600 text-white font-bold rounded-xl hover:bg-emerald-700 shadow-lg shadow-emerald-200 transition-all flex justify-center items-center gap-2"
+              >
+                {isAuthenticated ? 'Go to Dashboard' : 'Continue to Login'} <ArrowRight size={20} />
+              </Link>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { Navigate, useLocation } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { MailWarning, RefreshCw, CheckCircle, LogOut } from 'lucide-react';
+import Swal from 'sweetalert2';
+
+// Custom Components
+import { useAuth } from '../../hooks/useAuth';
+import { authApi } from '../../services/authApi';
+import { usersApi } from '../../services/usersApi';
+import { getDashboardPath } from '../../constants/routes';
+
+// --- Configuration ---
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const RESEND_KEY = 'verificationResentAt'; // survives reloads so the cooldown can't be skipped
+
+const getCooldownLeft = () => {
+  const sentAt = Number(localStorage.getItem(RESEND_KEY)) || 0;
+  return Math.max(0, Math.ceil((sentAt + RESEND_COOLDOWN_MS - Date.now()) / 1000));
+};
+
+const VerifyEmailPending = () => {
+  const location = useLocation();
+  const { user, isAuthenticated, isVerified, updateUser, logout } = useAuth();
+
+  // --- Local State ---
+  const [cooldown, setCooldown] = useState(getCooldownLeft);
+  const [exitPath, setExitPath] = useState('/login'); // where to go once logged out
+
+  // Dashboard the user was heading to before PrivateRoute sent them here
+  const redirectTo = location.state?.from?.pathname
+    ? `${location.state.from.pathname}${location.state.from.search || ''}`
+    : getDashboardPath(user?.role);
+
+  // --- 1. Cooldown Countdown ---
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timer = setTimeout(() => setCooldown(getCooldownLeft()), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  // --- 2. Mutations (TanStack Query) ---
+  const resendMutation = useMutation({
+    mutationFn: authApi.resendVerification,
+    onSuccess: (data) => {
+      localStorage.setItem(RESEND_KEY, String(Date.now()));
+      setCooldown(getCooldownLeft());
+      Swal.fire({
+        icon: 'success',
+        title: 'Link Sent',
+        text: data?.message || `We sent a new verification link to ${user.email}.`,
+        toast: true,
+        position: 'top-end',
+        showConfirmButton: false,
+        timer: 3000
+      });
+    },
+    onError: (error) => {
+      Swal.fire('Error', error.response?.data?.message || 'Could not resend the link. Please try again later.', 'error');
+    }
+  });
+
+  // Verified in another tab/device? Ask the server for the current flag.
+  const recheckMutation = useMutation({
+    mutationFn: () => usersApi.getProfile(user.email),
+    onSuccess: (response) => {
+      if (response.data?.emailVerified) {
+        updateUser({ emailVerified: true });
+      } else {
+        Swal.fire('Not Verified Yet', 'Please click the link in the email we sent you.', 'info');
+      }
+    },
+    onError: () => {
+      Swal.fire('Error', 'Could not check your verification status.', 'error');
+    }
+  });
+
+  // --- 3. Handlers ---
+  const handleSignUpAgain = () => {
+    setExitPath('/register');
+    logout();
+  };
+
+  // --- Conditional Rendering ---
+  if (!isAuthenticated) return <Navigate to={exitPath} replace />;
+  if (isVerified) return <Navigate to={redirectTo} replace />;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-emerald-50 via-teal-50 to-white px-4">
+
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.5 }}
+        className="bg-white w-full max-w-md rounded-2xl shadow-2xl overflow-hidden border border-gray-100"
+      >
+        <div className="p-8 md:p-10 text-center">
+
+          {/* HEADER */}
+          <div className="w-12 h-12 bg-amber-100 text-amber-600 rounded-xl flex items-center justify-center mx-auto mb-4">
+            <MailWarning size={24} />
+          </div>
+          <h2 className="text-3xl font-bold text-gray-800">Verify Your Email</h2>
+          <p className="text-gray-500 mt-3">
+            We sent a verification link to <span className="font-semibold text-gray-700">{user.email}</span>.
+            Please confirm it to unlock your dashboard.
+          </p>
+
+          {/* ACTIONS */}
+          <div className="mt-8 space-y-3">
+            <button
+              type="button"
+              onClick={() => recheckMutation.mutate()}
+              disabled={recheckMutation.isPending}
+              className="w-full py-3.5 bg-emerald-600 text-white font-bold rounded-xl hover:bg-emerald-700 shadow-lg shadow-emerald-200 transition-all disabled:opacity-70 disabled:cursor-not-allowed flex justify-center items-center gap-2"
+            >
+              {recheckMutation.isPending ? (
+                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              ) : (
+                <><CheckCircle size={20} /> I've Verified My Email</>
+              )}
+            </button>
+
+            <button
+              type="button"
+              onClick={() => resendMutation.mutate({ email: user.email })}
+              disabled={cooldown > 0 || resendMutation.isPending}
+              className="w-full py-3 border border-gray-200 bg-white text-gray-700 font-semibold rounded-xl hover:bg-gray-50 transition-all disabled:opacity-60 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+            >
+              <RefreshCw size={18} className={resendMutation.isPending ? 'animate-spin' : ''} />
+              {cooldown > 0 ? `Resend available in ${cooldown}s` : 'Resend Verification Email'}
+            </button>
+          </div>
+
+          {/* WRONG EMAIL */}
+          <div className="mt-8 text-sm text-gray-500">
+            Wrong email address?{' '}
+            <button type="button" onClick={handleSignUpAgain} className="inline-flex items-center gap-1 text-emerald-600 font-bold hover:underline">
+              Sign up again <LogOut size={14} />
+            </button>
+          </div>
+
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmailPending;
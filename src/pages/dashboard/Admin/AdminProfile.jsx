@@ -1,5 +1,4 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useRef } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { 
   MdCameraAlt, MdPerson, MdEmail, MdPhone, MdLocationOn, 
@@ -10,9 +9,8 @@ import {
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
-
-// API Configuration
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+import { useAuth } from '../../../hooks/useAuth';
+import { usersApi } from '../../../services/usersApi';
 
 const AdminProfile = () => {
   const queryClient = useQueryClient();
@@ -40,36 +38,17 @@ const AdminProfile = () => {
     confirm: ""
   });
 
-  // --- 1. JWT Retrieval and Auth Config ---
-  const { authConfig, isUserValid, adminEmail } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) return { authConfig: {}, isUserValid: false, adminEmail: null };
-    
-    const userData = JSON.parse(userStr);
-    const authToken = userData.token || userData.jwtToken || localStorage.getItem("adminToken") || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-
-    return { 
-        authConfig: config, 
-        isUserValid: !!userData.email && !!authToken,
-        adminEmail: userData.email
-    };
-  }, []);
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token, updateUser } = useAuth();
+  const isUserValid = !!user?.email && !!token;
+  const adminEmail = user?.email;
 
   // --- 2. Fetch Admin Profile Logic (SECURED) ---
   const fetchProfile = async () => {
     if (!isUserValid) throw new Error("Unauthorized");
     
-    const res = await axios.get(
-        `${API_URL}/api/users/profile?email=${adminEmail}`, 
-        authConfig
-    );
-    return res.data.data;
+    const res = await usersApi.getProfile(adminEmail);
+    return res.data;
   };
 
   // React Query Hook for Data Fetching
@@ -106,20 +85,13 @@ const AdminProfile = () => {
         email: adminForm.email 
       };
       
-      return await axios.put(`${API_URL}/api/users/profile`, payload, authConfig);
+      return await usersApi.updateProfile(payload);
     },
     onSuccess: () => {
       setIsSaved(true);
       queryClient.invalidateQueries(['adminProfile']);
       
-      const currentUser = JSON.parse(localStorage.getItem("user"));
-      if(currentUser) {
-        localStorage.setItem("user", JSON.stringify({ 
-          ...currentUser, 
-          name: adminForm.name, 
-          image: adminForm.img 
-        }));
-      }
+      updateUser({ name: adminForm.name, image: adminForm.img });
       
       setTimeout(() => setIsSaved(false), 3000);
     },
@@ -138,7 +110,7 @@ const AdminProfile = () => {
         newPassword: passData.new
       };
       
-      return await axios.put(`${API_URL}/api/users/change-password`, payload, authConfig);
+      return await usersApi.changePassword(payload);
     },
     onSuccess: () => {
       alert("Password changed successfully!");
@@ -1,5 +1,4 @@
-import React, { useState, useMemo } from 'react';
-import axios from 'axios';
+import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import Swal from 'sweetalert2'; 
 import { 
@@ -20,9 +19,8 @@ import {
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized'; 
-
-// API Configuration
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+import { useAuth } from '../../../hooks/useAuth';
+import { applicationsApi } from '../../../services/applicationsApi';
 
 const ApplicationManagement = () => {
   const queryClient = useQueryClient();
@@ -31,32 +29,14 @@ const ApplicationManagement = () => {
   const [filter, setFilter] = useState('All'); 
   const [selectedApp, setSelectedApp] = useState(null); 
 
-  // --- 1. JWT Retrieval and Auth Config ---
-  const { authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem('user');
-    if (!userStr) return { authConfig: {}, isUserValid: false };
-    
-    const userData = JSON.parse(userStr);
-    
-    const authToken = userData.token || userData.jwtToken || 
-                      localStorage.getItem("adminToken") || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-    
-    return { 
-        authConfig: config, 
-        isUserValid: !!authToken && userData?.role === 'admin' 
-    };
-  }, []);
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
+  const isUserValid = !!token && user?.role === 'admin';
   
   // --- 2. Fetch Applications (Query - SECURED) ---
   const fetchApplications = async () => {
-    const res = await axios.get(`${API_URL}/api/applications/all`, authConfig); 
-    return res.data.data; 
+    const res = await applicationsApi.getAll(); 
+    return res.data; 
   };
 
   const { data: applications = [], isLoading, isError, error, refetch } = useQuery({
@@ -70,11 +50,7 @@ const ApplicationManagement = () => {
   // --- 3. Update Status (Mutation - SECURED) ---
   const updateStatusMutation = useMutation({
     mutationFn: async ({ id, newStatus }) => {
-      return await axios.patch(
-        `${API_URL}/api/applications/update-status/${id}`, 
-        { status: newStatus },
-        authConfig
-      );
+      return await applicationsApi.updateStatus(id, { status: newStatus });
     },
     onSuccess: (data, variables) => {
       queryClient.invalidateQueries(['applications']);
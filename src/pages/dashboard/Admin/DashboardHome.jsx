@@ -1,7 +1,5 @@
 import React from 'react';
-import axios from 'axios';
 import { useQuery } from '@tanstack/react-query';
-import { useMemo } from 'react';
 import { 
   MdAttachMoney, MdPeople, MdSchool, MdClass, MdTrendingUp, 
   MdPending, MdMoreVert, MdCheckCircle
@@ -14,9 +12,8 @@ import {
 // Import Custom Components
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
-
-// API Configuration
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+import { useAuth } from '../../../hooks/useAuth';
+import { adminApi } from '../../../services/adminApi';
 
 // Helper Component
 const StatsCard = ({ title, count, icon, color, trend }) => (
@@ -41,28 +38,15 @@ const StatsCard = ({ title, count, icon, color, trend }) => (
 
 const DashboardHome = () => {
 
-  // --- 1. Get Auth Config ---
-  const { authConfig } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) return { authConfig: {} };
-    
-    const userData = JSON.parse(userStr);
-    const authToken = userData.token || userData.jwtToken || localStorage.getItem("adminToken") || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-    return { authConfig: config };
-  }, []);
+  // --- 1. Shared Session (AuthContext) ---
+  const { token } = useAuth();
 
 
   // --- 2. Fetch Dashboard Data (SECURED) ---
   const fetchDashboardData = async () => {
     try {
-      const res = await axios.get(`${API_URL}/api/admin/dashboard-stats`, authConfig);
-      return res.data.data;
+      const res = await adminApi.getDashboardStats();
+      return res.data;
     } catch (error) {
       throw error;
     }
@@ -71,7 +55,7 @@ const DashboardHome = () => {
   const { data: dashboardData, isLoading, isError, error } = useQuery({
     queryKey: ['adminDashboard'],
     queryFn: fetchDashboardData,
-    enabled: !!authConfig.headers?.Authorization,
+    enabled: !!token,
     refetchOnWindowFocus: false, 
     staleTime: 1000 * 60 * 5, 
     retry: false,
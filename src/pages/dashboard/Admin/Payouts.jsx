@@ -0,0 +1,297 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import {
+  MdAccountBalanceWallet, MdCheckCircle, MdCancel, MdWarning, MdFilterList, MdReceipt
+} from 'react-icons/md';
+
+// Import Custom Components
+import Loading from '../../../components/common/Loading';
+import ServerDown from '../../common/ServerDown';
+import Unauthorized from '../../common/Unauthorized';
+import { useAuth } from '../../../hooks/useAuth';
+import { adminApi } from '../../../services/adminApi';
+import { walletApi } from '../../../services/walletApi';
+import { PAYOUT_STATUSES, getPayoutMethodLabel } from '../../../constants/wallet';
+
+const STATUS_TABS = ['pending', 'paid', 'rejected'];
+
+const sumAmounts = (rows, field = 'amount') => rows.reduce((sum, row) => sum + (row[field] || 0), 0);
+
+// Payments whose money arrived (later refunds, full or partial, are counted separately)
+const RECEIVED_STATUSES = ['Success', 'Disputed', 'Refunded'];
+
+/**
+ * Ledger totals vs. the Transactions list; every row should match.
+ */
+const getReconciliationChecks = (ledger, transactions) => {
+  const payouts = transactions.filter((txn) => txn.type === 'Payout');
+  const payments = transactions.filter((txn) => txn.type !== 'Payout');
+  const refunded = sumAmounts(payments, 'refundedAmount');
+  const collected = sumAmounts(payments.filter((txn) => RECEIVED_STATUSES.includes(txn.status))) - refunded;
+  const sentOut = sumAmounts(payouts.filter((txn) => txn.status === 'Success'));
+
+  return [
+    { label: 'Student payments (net of refunds)', ledger: ledger.gross - ledger.refunded, transactions: collected },
+    { label: 'Refunds', ledger: ledger.refunded, transactions: refunded },
+    { label: 'Paid out to tutors', ledger: ledger.paidOut, transactions: sentOut },
+    {
+      label: 'Commission + tutor share = payments',
+      ledger: ledger.commission + ledger.tutorNet,
+      transactions: ledger.gross - ledger.refunded,
+    },
+    {
+      label: 'Tutor share = held + available + requested + paid out',
+      ledger: ledger.held + ledger.available + ledger.pendingPayout + ledger.paidOut,
+      transactions: ledger.tutorNet,
+    },
+  ].map((check) => ({ ...check, ok: check.ledger === check.transactions }));
+};
+
+/**
+ * Payouts Page (admin)
+ * Approval queue for tutor withdrawals and a ledger-vs-transactions reconciliation.
+ */
+const Payouts = () => {
+  const queryClient = useQueryClient();
+  const [statusFilter, setStatusFilter] = useState('pending');
+
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
+  const isUserValid = !!token && user?.role === 'admin';
+
+  // --- 2. Queue, Ledger Totals & Transactions ---
+  const { data: payouts = [], isLoading, isError, error } = useQuery({
+    queryKey: ['payouts', 'admin', statusFilter],
+    queryFn: () => walletApi.getPayouts(statusFilter).then((res) => res.data || []),
+    enabled: isUserValid,
+    retry: 1
+  });
+
+  const { data: ledger } = useQuery({
+    queryKey: ['walletReconciliation'],
+    queryFn: () => walletApi.getReconciliation().then((res) => res.data),
+    enabled: isUserValid,
+  });
+
+  const { data: transactions = [] } = useQuery({
+    queryKey: ['transactions'],
+    queryFn: () => adminApi.getTransactions().then((res) => res.data),
+    enabled: isUserValid,
+    refetchOnWindowFocus: false,
+    staleTime: 1000 * 60 * 2,
+  });
+
+  // --- 3. Approve / Reject ---
+  const onDecided = (title) => {
+    queryClient.invalidateQueries({ queryKey: ['payouts'] });
+    queryClient.invalidateQueries({ queryKey: ['walletReconciliation'] });
+    queryClient.invalidateQueries({ queryKey: ['transactions'] });
+    Swal.fire({ icon: 'success', title, timer: 1500, showConfirmButton: false });
+  };
+  const onFailed = (err) => Swal.fire('Error', err.response?.data?.message || 'Action failed', 'error');
+
+  const approveMutation = useMutation({
+    mutationFn: ({ id, reference }) => walletApi.approvePayout(id, reference),
+    onSuccess: () => onDecided('Payout Approved'),
+    onError: onFailed,
+  });
+
+  const rejectMutation = useMutation({
+    mutationFn: ({ id, reason }) => walletApi.rejectPayout(id, reason),
+    onSuccess: () => onDecided('Payout Rejected'),
+    onError: onFailed,
+  });
+
+  const handleApprove = async (payout) => {
+    const { value: reference, isConfirmed } = await Swal.fire({
+      title: `Send ৳${payout.amount?.toLocaleString()}`,
+      text: `${getPayoutMethodLabel(payout.method)} · ${payout.details?.accountNumber} (${payout.details?.accountName})`,
+      input: 'text',
+      inputPlaceholder: 'Transfer reference / TrxID',
+      inputValidator: (value) => !value?.trim() && 'Enter the transfer reference',
+      showCancelButton: true,
+      confirmButtonColor: '#4F46E5',
+      confirmButtonText: 'Mark as Paid'
+    });
+    if (isConfirmed) approveMutation.mutate({ id: payout._id, reference: reference.trim() });
+  };
+
+  const handleReject = async (payout) => {
+    const { value: reason, isConfirmed } = await Swal.fire({
+      title: 'Reject Payout',
+      input: 'textarea',
+      inputPlaceholder: 'Reason shown to the tutor...',
+      inputValidator: (value) => !value?.trim() && 'Please enter a reason',
+      showCancelButton: true,
+      confirmButtonColor: '#DC2626',
+      confirmButtonText: 'Reject'
+    });
+    if (isConfirmed) rejectMutation.mutate({ id: payout._id, reason: reason.trim() });
+  };
+
+  // --- Render States ---
+  if (isLoading) return <Loading />;
+
+  if (isError || !isUserValid) {
+    if (!isUserValid || error?.response?.status === 401 || error?.response?.status === 403) {
+      return <Unauthorized />;
+    }
+    return <ServerDown />;
+  }
+
+  const checks = ledger ? getReconciliationChecks(ledger, transactions) : [];
+  const isBalanced = checks.every((check) => check.ok);
+
+  return (
+    <div className="space-y-6 animate-fade-in-up p-4 md:p-8">
+
+      {/* Header Section */}
+      <div>
+        <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <MdAccountBalanceWallet className="text-indigo-600" /> Tutor Payouts
+        </h2>
+        <p className="text-sm text-gray-500">Approve withdrawals and check the wallet ledger against transactions</p>
+      </div>
+
+      {/* Reconciliation */}
+      {ledger && (
+        <div className={`bg-white rounded-2xl shadow-sm border p-5 ${isBalanced ? 'border-gray-100' : 'border-red-200'}`}>
+          <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+            <h3 className="font-bold text-gray-800 flex items-center gap-2">
+              {isBalanced
+                ? <><MdCheckCircle className="text-green-600" /> Ledger reconciles</>
+                : <><MdWarning className="text-red-600" /> Ledger does not reconcile</>}
+            </h3>
+            <Link to="/admin/transactions" className="text-sm font-semibold text-indigo-600 hover:underline flex items-center gap-1">
+              <MdReceipt /> View Transactions
+            </Link>
+          </div>
+          <table className="w-full text-sm">
+            <thead className="text-xs uppercase text-gray-500">
+              <tr>
+                <th className="text-left py-2 font-semibold">Check</th>
+                <th className="text-right py-2 font-semibold">Ledger</th>
+                <th className="text-right py-2 font-semibold">Expected</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-50">
+              {checks.map((check) => (
+                <tr key={check.label} className={check.ok ? '' : 'text-red-600 font-semibold'}>
+                  <td className="py-2">{check.label}</td>
+                  <td className="py-2 text-right">{check.ledger.toLocaleString()} BDT</td>
+                  <td className="py-2 text-right">{check.transactions.toLocaleString()} BDT</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-400 mt-3">
+            Platform commission earned: {ledger.commission.toLocaleString()} BDT · Held for tutors: {ledger.held.toLocaleString()} BDT
+          </p>
+        </div>
+      )}
+
+      {/* Status Filter Tabs */}
+      <div className="flex items-center gap-2">
+        <MdFilterList className="text-gray-400 mr-1" />
+        {STATUS_TABS.map((status) => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1.5 text-xs font-bold rounded-lg border transition-all ${
+              statusFilter === status
+                ? 'bg-gray-800 text-white border-gray-800 shadow-md'
+                : 'bg-white text-gray-500 border-gray-200 hover:bg-gray-50'
+            }`}
+          >
+            {PAYOUT_STATUSES[status].label}
+          </button>
+        ))}
+      </div>
+
+      {/* Payouts Table */}
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full text-left border-collapse">
+            <thead className="bg-gray-50/50 text-xs uppercase text-gray-500 font-semibold border-b border-gray-100">
+              <tr>
+                <th className="px-6 py-4">Tutor</th>
+                <th className="px-6 py-4">Requested</th>
+                <th className="px-6 py-4">Method</th>
+                <th className="px-6 py-4 text-right">Amount</th>
+                <th className="px-6 py-4 text-right">Available</th>
+                <th className="px-6 py-4 text-center">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-50">
+              {payouts.length > 0 ? payouts.map((payout) => {
+                const status = PAYOUT_STATUSES[payout.status] || PAYOUT_STATUSES.pending;
+                const exceeds = payout.status === 'pending' && payout.availableBalance < payout.amount;
+                return (
+                  <tr key={payout._id} className="hover:bg-gray-50/50 transition-colors">
+                    <td className="px-6 py-4">
+                      <p className="text-sm font-medium text-gray-800">{payout.tutorName}</p>
+                      <p className="text-xs text-gray-400">{payout.tutorEmail}</p>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{new Date(payout.createdAt).toLocaleDateString()}</td>
+                    <td className="px-6 py-4">
+                      <p className="text-xs font-bold text-gray-700">{getPayoutMethodLabel(payout.method)}</p>
+                      <p className="text-[11px] text-gray-400">
+                        {[payout.details?.accountName, payout.details?.accountNumber, payout.details?.bankName, payout.details?.branch]
+                          .filter(Boolean).join(' · ')}
+                      </p>
+                    </td>
+                    <td className="px-6 py-4 text-sm font-bold text-gray-800 text-right">{payout.amount?.toLocaleString()} BDT</td>
+                    <td className={`px-6 py-4 text-sm text-right ${exceeds ? 'text-red-600 font-semibold' : 'text-gray-500'}`}>
+                      {payout.availableBalance != null ? `${payout.availableBalance.toLocaleString()} BDT` : '—'}
+                    </td>
+                    <td className="px-6 py-4 text-center">
+                      {payout.status === 'pending' ? (
+                        <div className="flex justify-center gap-2">
+                          <button
+                            onClick={() => handleApprove(payout)}
+                            disabled={exceeds || approveMutation.isPending}
+                            className="p-2 text-green-600 hover:bg-green-50 rounded-lg disabled:opacity-40"
+                            title={exceeds ? 'Exceeds the available balance' : 'Approve & mark paid'}
+                          >
+                            <MdCheckCircle size={20} />
+                          </button>
+                          <button
+                            onClick={() => handleReject(payout)}
+                            disabled={rejectMutation.isPending}
+                            className="p-2 text-red-500 hover:bg-red-50 rounded-lg disabled:opacity-40"
+                            title="Reject"
+                          >
+                            <MdCancel size={20} />
+                          </button>
+                        </div>
+                      ) : (
+                        <div>
+                          <span className={`px-2.5 py-1 rounded-full text-[10px] font-bold border uppercase tracking-wide ${status.className}`}>
+                            {status.label}
+                          </span>
+                          {(payout.reference || payout.reason) && (
+                            <p className="text-[11px] text-gray-400 mt-1">{payout.reference || payout.reason}</p>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              }) : (
+                <tr>
+                  <td colSpan="6" className="text-center py-10 text-gray-400">
+                    No {PAYOUT_STATUSES[statusFilter].label.toLowerCase()} payouts.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Payouts;
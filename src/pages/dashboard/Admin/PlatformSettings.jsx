@@ -1,5 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { 
   MdSave, MdCampaign, MdAttachMoney, MdContactSupport, 
@@ -10,9 +9,8 @@ import {
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
-
-// API Configuration
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+import { useAuth } from '../../../hooks/useAuth';
+import { adminApi } from '../../../services/adminApi';
 
 const PlatformSettings = () => {
   const queryClient = useQueryClient();
@@ -32,34 +30,16 @@ const PlatformSettings = () => {
     allowRegistration: true
   });
 
-  // --- 1. JWT Retrieval and Auth Config ---
-  const { authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) return { authConfig: {}, isUserValid: false };
-    
-    const userData = JSON.parse(userStr);
-    
-    const authToken = userData.token || userData.jwtToken || 
-                      localStorage.getItem("adminToken") || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-    
-    return { 
-        authConfig: config, 
-        isUserValid: !!authToken && userData?.role === 'admin' 
-    };
-  }, []);
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
+  const isUserValid = !!token && user?.role === 'admin';
 
   // --- 2. Fetch Settings (Query - SECURED) ---
   const fetchSettings = async () => {
     if (!isUserValid) throw new Error("Unauthorized");
     
-    const res = await axios.get(`${API_URL}/api/admin/settings`, authConfig);
-    return res.data.data;
+    const res = await adminApi.getSettings();
+    return res.data;
   };
 
   const { data: serverSettings, isLoading, isError, error } = useQuery({
@@ -80,7 +60,7 @@ const PlatformSettings = () => {
   // --- 4. Save Settings (Mutation - SECURED) ---
   const updateSettingsMutation = useMutation({
     mutationFn: async (newSettings) => {
-      return await axios.put(`${API_URL}/api/admin/settings`, newSettings, authConfig);
+      return await adminApi.updateSettings(newSettings);
     },
     onSuccess: () => {
       setIsSaved(true);
@@ -1,5 +1,4 @@
 import React, { useState, useMemo } from 'react';
-import axios from 'axios';
 import { useQuery } from '@tanstack/react-query';
 import { 
   MdDownload, MdDateRange, MdAttachMoney, MdPerson
@@ -13,9 +12,8 @@ import {
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized'; 
-
-// API Configuration
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+import { useAuth } from '../../../hooks/useAuth';
+import { adminApi } from '../../../services/adminApi';
 
 const ReportsAnalytics = () => {
   // Filter States
@@ -24,34 +22,16 @@ const ReportsAnalytics = () => {
 
   const COLORS = ['#4F46E5', '#8B5CF6', '#EC4899', '#10B981', '#F59E0B'];
 
-  // --- 1. JWT Retrieval and Auth Config ---
-  const { authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) return { authConfig: {}, isUserValid: false };
-    
-    const userData = JSON.parse(userStr);
-    
-    const authToken = userData.token || userData.jwtToken || 
-                      localStorage.getItem("adminToken") || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-    
-    return { 
-        authConfig: config, 
-        isUserValid: !!authToken && userData?.role === 'admin' 
-    };
-  }, []);
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
+  const isUserValid = !!token && user?.role === 'admin';
 
   // --- 2. Fetch Data (Query - SECURED) ---
   const fetchReports = async () => {
     if (!isUserValid) throw new Error("Unauthorized");
     
-    const res = await axios.get(`${API_URL}/api/admin/analytics`, authConfig);
-    return res.data.data;
+    const res = await adminApi.getAnalytics();
+    return res.data;
   };
 
   const { data: reportData, isLoading, isError, error } = useQuery({
@@ -1,54 +1,205 @@
 import React, { useState, useMemo } from 'react';
-import axios from 'axios';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Swal from 'sweetalert2';
 import { 
   MdSearch, MdDownload, MdFilterList, MdReceipt,
-  MdCheckCircle, MdCancel, MdPending, MdClose, MdDateRange
+  MdCheckCircle, MdCancel, MdPending, MdClose, MdDateRange, MdSync, MdGavel, MdHistory
 } from 'react-icons/md';
 
 // Import Custom Components
 import Loading from '../../../components/common/Loading';
+import InvoiceButton from '../../../components/common/InvoiceButton';
+import TransactionTimeline from '../../../components/common/TransactionTimeline';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
+import { useAuth } from '../../../hooks/useAuth';
+import { adminApi } from '../../../services/adminApi';
+import { disputesApi } from '../../../services/disputesApi';
+import { DISPUTE_OUTCOMES, getDisputeReasonLabel } from '../../../constants/disputes';
 
-// API Configuration
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+/**
+ * Resolve Dispute Modal - both sides of a disputed payment and the admin's decision
+ * (refund in full or part through the payment provider, optionally ending the hire).
+ */
+const ResolveDisputeModal = ({ txn, onClose }) => {
+  const queryClient = useQueryClient();
+  const [outcome, setOutcome] = useState('full_refund');
+  const [refundAmount, setRefundAmount] = useState('');
+  const [reverseHire, setReverseHire] = useState(true);
+  const [note, setNote] = useState('');
+
+  const { data: dispute, isLoading, isError } = useQuery({
+    queryKey: ['dispute', txn.disputeId],
+    queryFn: () => disputesApi.getById(txn.disputeId).then((res) => res.data),
+    enabled: !!txn.disputeId,
+  });
+
+  const resolveMutation = useMutation({
+    mutationFn: (resolution) => disputesApi.resolve(txn.disputeId, resolution),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['transactions'] });
+      queryClient.invalidateQueries({ queryKey: ['dispute', txn.disputeId] });
+      queryClient.invalidateQueries({ queryKey: ['paymentTimeline', txn.ref] });
+      onClose();
+      Swal.fire({ icon: 'success', title: 'Dispute Resolved', timer: 2000, showConfirmButton: false });
+    },
+    onError: (err) => {
+      Swal.fire('Error', err.response?.data?.message || 'Failed to resolve the dispute', 'error');
+    }
+  });
+
+  const handleOutcomeChange = (value) => {
+    setOutcome(value);
+    // Ending the hire is the usual companion of a full refund only
+    setReverseHire(value === 'full_refund');
+  };
+
+  const handleSubmit = async () => {
+    const amount = Number(refundAmount);
+    if (outcome === 'partial_refund' && !(amount > 0 && amount < (txn.amount || 0))) {
+      Swal.fire('Warning', `Enter a refund between 1 and ${(txn.amount || 0) - 1} BDT.`, 'warning');
+      return;
+    }
+    if (outcome === 'rejected' && !note.trim()) {
+      Swal.fire('Warning', 'Please explain why the dispute is rejected.', 'warning');
+      return;
+    }
+
+    const resolution = {
+      outcome,
+      refundAmount: outcome === 'full_refund' ? txn.amount : outcome === 'partial_refund' ? amount : 0,
+      reverseHire: outcome !== 'rejected' && reverseHire,
+      note: note.trim(),
+    };
+
+    // Refunds go back through the payment provider and can't be undone; confirm like a payout
+    if (resolution.refundAmount > 0) {
+      const { isConfirmed } = await Swal.fire({
+        title: `Refund ${resolution.refundAmount.toLocaleString()} BDT?`,
+        html: `The student is refunded through the original payment method.<br/>${resolution.reverseHire
+          ? '<b>The hire will be reversed</b> and the tuition ended.'
+          : 'The hire stays active.'}`,
+        icon: 'warning',
+        showCancelButton: true,
+        confirmButtonColor: '#DC2626',
+        confirmButtonText: 'Refund'
+      });
+      if (!isConfirmed) return;
+    }
+    resolveMutation.mutate(resolution);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/40 backdrop-blur-sm" onClick={onClose}>
+      <div className="bg-white rounded-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto shadow-2xl animate-scale-up" onClick={(e) => e.stopPropagation()}>
+        <div className="bg-gray-50 p-6 border-b border-gray-100 flex justify-between items-center">
+          <h3 className="font-bold text-gray-800 flex items-center gap-2">
+            <MdGavel className="text-red-600" /> Resolve Dispute · {txn.amount?.toLocaleString()} BDT
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><MdClose size={22} /></button>
+        </div>
+
+        <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Both sides */}
+          <div className="space-y-4 text-sm">
+            {isLoading && <p className="text-gray-400">Loading dispute...</p>}
+            {isError && <p className="text-red-500">Could not load the dispute.</p>}
+            {dispute && (
+              <>
+                <div>
+                  <p className="text-xs text-gray-500">{dispute.studentName} vs {dispute.tutorName} · {dispute.subject}</p>
+                  <p className="font-bold text-red-700 mt-1">{getDisputeReasonLabel(dispute.reason)}</p>
+                  <p className="text-gray-700 mt-1 whitespace-pre-line">{dispute.details}</p>
+                </div>
+                {dispute.responses?.map((response, index) => (
+                  <div key={`${response.at}-${index}`} className="border-l-2 border-gray-200 pl-3">
+                    <p className="text-xs font-semibold text-gray-500 capitalize">{response.name || response.by}</p>
+                    <p className="text-gray-700">{response.message}</p>
+                  </div>
+                ))}
+                {dispute.status === 'open' && <p className="text-xs text-amber-600">The tutor has not responded yet.</p>}
+              </>
+            )}
+            <div>
+              <p className="text-xs font-bold text-gray-400 uppercase tracking-wide mb-2 flex items-center gap-1"><MdHistory /> Timeline</p>
+              <TransactionTimeline transactionId={txn.ref} />
+            </div>
+          </div>
+
+          {/* Decision */}
+          <div className="space-y-3">
+            {DISPUTE_OUTCOMES.map((option) => (
+              <label
+                key={option.value}
+                className={`flex items-center gap-3 px-3 py-2 rounded-xl border cursor-pointer text-sm font-medium ${
+                  outcome === option.value ? 'border-indigo-300 bg-indigo-50 text-indigo-700' : 'border-gray-200 text-gray-600'
+                }`}
+              >
+                <input type="radio" name="outcome" checked={outcome === option.value} onChange={() => handleOutcomeChange(option.value)} className="accent-indigo-600" />
+                {option.label}
+              </label>
+            ))}
+
+            {outcome === 'partial_refund' && (
+              <input
+                type="number"
+                min="1"
+                max={(txn.amount || 0) - 1}
+                value={refundAmount}
+                onChange={(e) => setRefundAmount(e.target.value)}
+                placeholder="Refund amount (BDT)"
+                className="w-full px-3 py-2 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500"
+              />
+            )}
+
+            {outcome !== 'rejected' && (
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input type="checkbox" checked={reverseHire} onChange={(e) => setReverseHire(e.target.checked)} className="accent-indigo-600" />
+                Reverse the hire (end the ongoing tuition)
+              </label>
+            )}
+
+            <textarea
+              rows="3"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Note to both parties..."
+              className="w-full px-3 py-2 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500"
+            />
+
+            <button
+              onClick={handleSubmit}
+              disabled={resolveMutation.isPending || !dispute}
+              className="w-full py-2.5 rounded-xl bg-indigo-600 text-white text-sm font-bold hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {resolveMutation.isPending ? 'Resolving...' : 'Confirm Decision'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
 
 const Transactions = () => {
   // Local UI States
   const [searchTerm, setSearchTerm] = useState("");
   const [statusFilter, setStatusFilter] = useState("All"); 
   const [viewReceipt, setViewReceipt] = useState(null); 
+  const [resolving, setResolving] = useState(null);
+  const queryClient = useQueryClient();
 
-  // --- 1. JWT Retrieval and Auth Config ---
-  const { authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) return { authConfig: {}, isUserValid: false };
-    
-    const userData = JSON.parse(userStr);
-    
-    const authToken = userData.token || userData.jwtToken || 
-                      localStorage.getItem("adminToken") || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-    
-    return { 
-        authConfig: config, 
-        isUserValid: !!authToken && userData?.role === 'admin' 
-    };
-  }, []);
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
+  const isUserValid = !!token && user?.role === 'admin';
 
 
   // --- 2. Fetch Transactions (Query - SECURED) ---
   const fetchTransactions = async () => {
     if (!isUserValid) throw new Error("Unauthorized");
     
-    const res = await axios.get(`${API_URL}/api/admin/transactions`, authConfig);
-    return res.data.data;
+    const res = await adminApi.getTransactions();
+    return res.data;
   };
 
   const { data: transactions = [], isLoading, isError, error } = useQuery({
@@ -60,7 +211,20 @@ const Transactions = () => {
     retry: 1
   });
 
-  // --- 3. Filter Logic ---
+  // --- 3. Reconcile (paid at Stripe, not yet applied to the hire/invoice) ---
+  const reconcileMutation = useMutation({
+    mutationFn: (paymentIntentId) => adminApi.reconcilePayment(paymentIntentId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['transactions'] });
+      setViewReceipt(null);
+      Swal.fire({ icon: 'success', title: 'Reconciled', text: 'The payment has been applied.', timer: 2000, showConfirmButton: false });
+    },
+    onError: (err) => {
+      Swal.fire('Error', err.response?.data?.message || 'Failed to reconcile payment', 'error');
+    }
+  });
+
+  // --- 4. Filter Logic ---
   const filteredTransactions = useMemo(() => {
     return transactions.filter(txn => {
       const matchesSearch = 
@@ -73,7 +237,7 @@ const Transactions = () => {
     });
   }, [transactions, searchTerm, statusFilter]);
 
-  // --- 4. Export CSV Function ---
+  // --- 5. Export CSV Function ---
   const downloadCSV = () => {
     if (filteredTransactions.length === 0) {
       alert("No data available to export.");
@@ -99,6 +263,8 @@ const Transactions = () => {
     switch(status) {
       case 'Success': return 'bg-green-100 text-green-700 border-green-200';
       case 'Pending': return 'bg-orange-100 text-orange-700 border-orange-200';
+      case 'Reconciling': return 'bg-amber-100 text-amber-700 border-amber-200';
+      case 'Disputed': return 'bg-red-100 text-red-700 border-red-200';
       case 'Failed': return 'bg-red-100 text-red-700 border-red-200';
       case 'Refunded': return 'bg-gray-100 text-gray-700 border-gray-200';
       default: return 'bg-gray-100 text-gray-700';
@@ -151,7 +317,7 @@ const Transactions = () => {
         {/* Status Filter Tabs */}
         <div className="flex items-center gap-2 overflow-x-auto w-full md:w-auto pb-2 md:pb-0">
           <MdFilterList className="text-gray-400 mr-1 hidden md:block" />
-          {['All', 'Success', 'Pending', 'Failed'].map((status) => (
+          {['All', 'Success', 'Pending', 'Reconciling', 'Disputed', 'Failed'].map((status) => (
             <button
               key={status}
               onClick={() => setStatusFilter(status)}
@@ -222,6 +388,25 @@ const Transactions = () => {
                       >
                         <MdReceipt size={18} />
                       </button>
+                      {txn.status === 'Reconciling' && (
+                        <button 
+                          onClick={() => reconcileMutation.mutate(txn.ref)}
+                          disabled={reconcileMutation.isPending}
+                          className="p-2 text-amber-500 hover:text-amber-700 hover:bg-amber-50 rounded-lg transition-colors disabled:opacity-50"
+                          title="Reconcile Payment"
+                        >
+                          <MdSync size={18} className={reconcileMutation.isPending && reconcileMutation.variables === txn.ref ? 'animate-spin' : ''} />
+                        </button>
+                      )}
+                      {txn.status === 'Disputed' && txn.disputeId && (
+                        <button 
+                          onClick={() => setResolving(txn)}
+                          className="p-2 text-red-500 hover:text-red-700 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Resolve Dispute"
+                        >
+                          <MdGavel size={18} />
+                        </button>
+                      )}
                     </td>
                   </tr>
                 ))
@@ -264,7 +449,8 @@ const Transactions = () => {
                  </h2>
                  <div className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-bold mt-2 ${getStatusBadge(viewReceipt.status)}`}>
                    {viewReceipt.status === 'Success' && <MdCheckCircle />}
-                   {viewReceipt.status === 'Pending' && <MdPending />}
+                   {(viewReceipt.status === 'Pending' || viewReceipt.status === 'Reconciling') && <MdPending />}
+                   {viewReceipt.status === 'Disputed' && <MdGavel />}
                    {viewReceipt.status === 'Failed' && <MdCancel />}
                    {viewReceipt.status}
                  </div>
@@ -292,21 +478,56 @@ const Transactions = () => {
                   <span className="font-mono font-medium text-gray-800">{viewReceipt.ref}</span>
                 </div>
               </div>
+
+              <div>
+                <p className="text-xs font-bold text-gray-400 uppercase tracking-wide mb-2 flex items-center gap-1"><MdHistory /> Timeline</p>
+                <div className="max-h-48 overflow-y-auto pr-1">
+                  <TransactionTimeline transactionId={viewReceipt.ref} />
+                </div>
+              </div>
             </div>
 
+            {viewReceipt.status === 'Disputed' && viewReceipt.disputeId && (
+              <div className="mx-6 mb-4">
+                <button
+                  onClick={() => { setResolving(viewReceipt); setViewReceipt(null); }}
+                  className="w-full flex items-center justify-center gap-1.5 py-2 rounded-lg bg-red-600 text-white text-xs font-bold hover:bg-red-700"
+                >
+                  <MdGavel size={14} /> Resolve Dispute
+                </button>
+              </div>
+            )}
+
+            {viewReceipt.status === 'Reconciling' && (
+              <div className="mx-6 mb-4 p-3 rounded-xl bg-amber-50 border border-amber-100 text-xs text-amber-700">
+                Stripe has taken this payment but it has not been applied yet. Reconciling re-runs the webhook step; it is safe to retry.
+                <button
+                  onClick={() => reconcileMutation.mutate(viewReceipt.ref)}
+                  disabled={reconcileMutation.isPending}
+                  className="mt-2 w-full flex items-center justify-center gap-1.5 py-2 rounded-lg bg-amber-500 text-white font-bold hover:bg-amber-600 disabled:opacity-50"
+                >
+                  <MdSync size={14} /> {reconcileMutation.isPending ? 'Reconciling...' : 'Reconcile Now'}
+                </button>
+              </div>
+            )}
+
             {/* Modal Footer */}
             <div className="p-4 bg-gray-50 flex justify-center">
-              <button 
+              <InvoiceButton 
+                transactionId={viewReceipt.ref}
                 className="text-sm font-bold text-indigo-600 hover:underline"
-                onClick={() => alert("Printing feature coming soon!")}
+                title="Download PDF Receipt"
               >
                 Download PDF Receipt
-              </button>
+              </InvoiceButton>
             </div>
           </div>
         </div>
       )}
 
+      {/* Resolve Dispute Modal */}
+      {resolving && <ResolveDisputeModal txn={resolving} onClose={() => setResolving(null)} />}
+
     </div>
   );
 };
@@ -1,5 +1,4 @@
 import React, { useState, useMemo } from 'react';
-import axios from 'axios';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { 
   MdCheckCircle, 
@@ -19,9 +18,9 @@ import {
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
-
-// API Configuration
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+import { useAuth } from '../../../hooks/useAuth';
+import { tuitionsApi } from '../../../services/tuitionsApi';
+import { describeSchedule } from '../../../utils/schedule';
 
 const TuitionManagement = () => {
   const queryClient = useQueryClient();
@@ -32,34 +31,16 @@ const TuitionManagement = () => {
   const [rejectModal, setRejectModal] = useState({ open: false, id: null });
   const [rejectReason, setRejectReason] = useState("");
 
-  // --- 1. JWT Retrieval and Auth Config ---
-  const { authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) return { authConfig: {}, isUserValid: false };
-    
-    const userData = JSON.parse(userStr);
-    
-    const authToken = userData.token || userData.jwtToken || 
-                      localStorage.getItem("adminToken") || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-    
-    return { 
-        authConfig: config, 
-        isUserValid: !!authToken && userData?.role === 'admin' 
-    };
-  }, []);
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
+  const isUserValid = !!token && user?.role === 'admin';
 
   // --- 2. Fetch Tuitions (Query - SECURED) ---
   const fetchTuitions = async () => {
     if (!isUserValid) throw new Error("Unauthorized");
     
-    const res = await axios.get(`${API_URL}/api/tuitions/admin/all`, authConfig);
-    return Array.isArray(res.data.data) ? res.data.data : [];
+    const res = await tuitionsApi.getAdminAll();
+    return Array.isArray(res.data) ? res.data : [];
   };
 
   const { data: tuitions = [], isLoading, isError, error, refetch } = useQuery({
@@ -74,14 +55,10 @@ const TuitionManagement = () => {
   // --- 3. Update Status (Mutation - SECURED) ---
   const updateStatusMutation = useMutation({
     mutationFn: async ({ id, newStatus, reason }) => {
-      return await axios.patch(
-        `${API_URL}/api/tuitions/update/${id}`, 
-        { 
-          status: newStatus,
-          rejectReason: reason 
-        },
-        authConfig
-      );
+      return await tuitionsApi.update(id, { 
+        status: newStatus,
+        rejectReason: reason 
+      });
     },
     onSuccess: () => {
       queryClient.invalidateQueries(['tuitions']); 
@@ -376,8 +353,8 @@ const TuitionManagement = () => {
                 </div>
                 <div className="space-y-1 p-3 bg-gray-50 rounded-lg border border-gray-100">
                   <p className="text-gray-500 text-xs uppercase font-bold">Schedule</p>
-                  <p className="font-semibold text-gray-800">{viewData.daysPerWeek}</p>
-                  <p className="text-xs text-gray-500">{viewData.time}</p>
+                  <p className="font-semibold text-gray-800">{describeSchedule(viewData).days}</p>
+                  <p className="text-xs text-gray-500">{describeSchedule(viewData).time}</p>
                 </div>
               </div>
 
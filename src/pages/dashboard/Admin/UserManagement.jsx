@@ -1,5 +1,4 @@
-import React, { useState, useMemo } from 'react';
-import axios from 'axios';
+import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import Swal from 'sweetalert2'; 
 import { 
@@ -18,6 +17,8 @@ import {
 // Import Custom Components
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
+import { useAuth } from '../../../hooks/useAuth';
+import { adminApi } from '../../../services/adminApi';
 
 // Mock Unauthorized component (or use the provided one)
 const Unauthorized = () => (
@@ -31,9 +32,6 @@ const Unauthorized = () => (
 );
 
 
-// API Configuration
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
-
 const UserManagement = () => {
   const queryClient = useQueryClient();
 
@@ -46,31 +44,17 @@ const UserManagement = () => {
   const [showLogModal, setShowLogModal] = useState(false);
   const [selectedUserForLog, setSelectedUserForLog] = useState(null); 
 
-  // --- 1. JWT Retrieval and Auth Config ---
-  const { authConfig, isAdminValid } = useMemo(() => {
-    const authToken = localStorage.getItem("token") || localStorage.getItem("jwtToken"); 
-    const userStr = localStorage.getItem("user");
-    const userRole = userStr ? JSON.parse(userStr)?.role : null;
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-    
-    return { 
-        authConfig: config, 
-        isAdminValid: !!authToken && userRole === 'admin' 
-    };
-  }, []);
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
+  const isAdminValid = !!token && user?.role === 'admin';
 
   // --- 2. Fetch Users (Main Data Query - SECURED) ---
   const fetchUsers = async () => {
     if (!isAdminValid) throw new Error("Unauthorized");
 
-    const response = await axios.get(`${API_URL}/api/users`, authConfig);
+    const response = await adminApi.getUsers();
     
-    return response.data.data.map(user => ({
+    return response.data.map(user => ({
       ...user,
       status: user.status || 'Active',
       joinDate: new Date(user.createdAt).toLocaleDateString("en-US", {
@@ -93,10 +77,10 @@ const UserManagement = () => {
     const userId = queryKey[1]; 
     if (!userId) return [];
     
-    const response = await axios.get(`${API_URL}/api/admin/users/${userId}/logs`, authConfig);
+    const response = await adminApi.getUserLogs(userId);
     
     // Mocked response structure for safety, assuming real logs are simple objects
-    return response.data.data.map(log => ({
+    return response.data.map(log => ({
         id: log._id || log.id,
         action: log.action || 'Unknown Action',
         time: new Date(log.time).toLocaleTimeString() + ' ' + new Date(log.time).toLocaleDateString(),
@@ -120,8 +104,8 @@ const UserManagement = () => {
   // --- 4. Action: Block/Unblock (Mutation - SECURED) ---
   const statusMutation = useMutation({
     mutationFn: async (userId) => {
-      const response = await axios.put(`${API_URL}/api/users/${userId}/status`, {}, authConfig);
-      return response.data.data; 
+      const response = await adminApi.toggleUserStatus(userId);
+      return response.data; 
     },
     onSuccess: (updatedUser) => {
       queryClient.invalidateQueries(['users']); 
@@ -167,7 +151,7 @@ const UserManagement = () => {
   // --- 5. Action: Delete (Mutation - SECURED) ---
   const deleteMutation = useMutation({
     mutationFn: async (userId) => {
-      return await axios.delete(`${API_URL}/api/users/${userId}`, authConfig);
+      return await adminApi.deleteUser(userId);
     },
     onSuccess: (_, userId) => {
       queryClient.invalidateQueries(['users']); 
@@ -1,12 +1,10 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { useQuery } from '@tanstack/react-query';
-import axios from 'axios';
+import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Link } from 'react-router-dom';
 import Swal from 'sweetalert2';
 import { 
   Search, MapPin, Banknote, Calendar, Clock, User, Filter, 
-  ChevronLeft, ChevronRight, X, BookOpen, CheckCircle, Layers 
+  X, BookOpen, CheckCircle, Layers 
 } from 'lucide-react';
 
 // --- Custom Components ---
@@ -14,105 +12,164 @@ import {
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
+import FavoriteButton from '../../../components/common/FavoriteButton';
+import ScheduleDays from '../../../components/common/ScheduleDays';
+import { useUrlFilters } from '../../../hooks/useUrlFilters';
+import { useUrlFilterDraft } from '../../../hooks/useUrlFilterDraft';
+import { useTuitionSearch } from '../../../hooks/useTuitionSearch';
+import { WEEKDAYS, TIME_OF_DAY_OPTIONS, toggleDayFilter } from '../../../utils/schedule';
+import { CLASS_LEVELS, MEDIUMS } from '../../../constants/app';
+import { TUITION_SORT_OPTIONS, DEFAULT_TUITION_FILTERS } from '../../../constants/tuitions';
 
 // --- Constants ---
 const ITEMS_PER_PAGE = 6;
-const API_URL = import.meta.env.VITE_API_URL;
+
+const SUBJECTS = ['Bangla', 'English', 'Math', 'Physics', 'Chemistry', 'ICT'];
+const DISTRICTS = ['Dhaka', 'Chittagong', 'Sylhet', 'Rajshahi', 'Khulna'];
+
+// Typed fields are debounced into the URL; selects apply immediately
+const DRAFT_KEYS = ['search', 'minSalary', 'maxSalary'];
+
+/**
+ * Filter fields shared by the desktop sidebar and the mobile drawer.
+ */
+const FilterFields = ({ filters, draft, onFilterChange, onDraftChange }) => (
+  <div className="space-y-6">
+    {/* Filter: Medium */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Medium</label>
+      <select 
+        className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:ring-emerald-500"
+        value={filters.medium}
+        onChange={(e) => onFilterChange('medium', e.target.value)}
+      >
+        <option value="">All Mediums</option>
+        {MEDIUMS.map((medium) => <option key={medium} value={medium}>{medium}</option>)}
+      </select>
+    </div>
+
+    {/* Filter: Class */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Class / Level</label>
+      <select 
+        className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:ring-emerald-500"
+        value={filters.class}
+        onChange={(e) => onFilterChange('class', e.target.value)}
+      >
+        <option value="">All Classes</option>
+        {CLASS_LEVELS.map((level) => <option key={level} value={level}>{level}</option>)}
+      </select>
+    </div>
+
+    {/* Filter: Subject */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Subject</label>
+      <select 
+        className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:ring-emerald-500"
+        value={filters.subject}
+        onChange={(e) => onFilterChange('subject', e.target.value)}
+      >
+        <option value="">All Subjects</option>
+        {SUBJECTS.map((subject) => <option key={subject} value={subject}>{subject}</option>)}
+      </select>
+    </div>
+
+    {/* Filter: Location */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">District</label>
+      <select 
+        className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:ring-emerald-500"
+        value={filters.location}
+        onChange={(e) => onFilterChange('location', e.target.value)}
+      >
+        <option value="">All Locations</option>
+        {DISTRICTS.map((district) => <option key={district} value={district}>{district}</option>)}
+      </select>
+    </div>
+
+    {/* Filter: Days */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Days</label>
+      <div className="flex flex-wrap gap-1.5">
+        {WEEKDAYS.map((day) => {
+          const active = filters.days.split(',').includes(day.key);
+          return (
+            <button
+              key={day.key}
+              type="button"
+              title={day.label}
+              onClick={() => onFilterChange('days', toggleDayFilter(filters.days, day.key))}
+              className={`px-2.5 py-1 rounded-md text-xs font-semibold border transition-colors ${
+                active ? 'bg-emerald-600 border-emerald-600 text-white' : 'border-gray-200 text-gray-600 hover:border-emerald-300'
+              }`}
+            >
+              {day.short}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+
+    {/* Filter: Time of Day */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Time of Day</label>
+      <select 
+        className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:ring-emerald-500"
+        value={filters.timeOfDay}
+        onChange={(e) => onFilterChange('timeOfDay', e.target.value)}
+      >
+        <option value="">Any Time</option>
+        {TIME_OF_DAY_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+    </div>
+
+    {/* Filter: Salary Range */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Salary (৳ / month)</label>
+      <div className="flex items-center gap-2">
+        <input
+          type="number" min="0" placeholder="Min"
+          value={draft.minSalary}
+          onChange={(e) => onDraftChange('minSalary', e.target.value)}
+          className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:ring-emerald-500"
+        />
+        <span className="text-gray-400">–</span>
+        <input
+          type="number" min="0" placeholder="Max"
+          value={draft.maxSalary}
+          onChange={(e) => onDraftChange('maxSalary', e.target.value)}
+          className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:ring-emerald-500"
+        />
+      </div>
+    </div>
+  </div>
+);
 
 const AllTuitions = () => {
   // --- Local State for UI ---
   const [isMobileFilterOpen, setIsMobileFilterOpen] = useState(false);
-  const [searchText, setSearchText] = useState("");
-  const [currentPage, setCurrentPage] = useState(1);
-  const [sortBy, setSortBy] = useState("newest");
-  
-  // Filter State
-  const [filters, setFilters] = useState({
-    class: "",
-    subject: "",
-    medium: "",
-    location: ""
-  });
-
-  // --- 1. Data Fetching with TanStack Query ---
+
+  // --- 1. URL-synced Filters (?class=...&sort=...) ---
+  const { filters, setFilter, setFilters, resetFilters } = useUrlFilters(DEFAULT_TUITION_FILTERS);
+  const { draft, setDraftValue, resetDraft } = useUrlFilterDraft(filters, DRAFT_KEYS, setFilters);
+
+  // --- 2. Data Fetching (server-side filter/sort/paging) ---
   const { 
-    data: allTuitions = [], 
+    tuitions,
+    total,
     isLoading, 
     isError, 
-    error 
-  } = useQuery({
-    queryKey: ['tuitions'],
-    queryFn: async () => {
-      // Using axios with the environment variable
-      const response = await axios.get(`${API_URL}/api/tuitions/all`);
-      // Assuming the API returns { status: 'success', data: [...] }
-      return response.data.data || []; 
-    },
-    retry: 1, // Retry failed requests once before showing error
-    refetchOnWindowFocus: false, // Prevent reload on tab switch
-  });
-
-  // --- 2. Optimized Filtering & Sorting (useMemo) ---
-  // This logic only runs when dependencies change, improving performance
-  const processedTuitions = useMemo(() => {
-    let data = [...allTuitions];
-
-    // Search Logic
-    if (searchText) {
-      const lowerSearch = searchText.toLowerCase();
-      data = data.filter(item => 
-        item.subject?.toLowerCase().includes(lowerSearch) || 
-        item.location?.toLowerCase().includes(lowerSearch)
-      );
-    }
-
-    // Filter Logic
-    if (filters.class) data = data.filter(item => item.class === filters.class);
-    if (filters.subject) data = data.filter(item => item.subject === filters.subject);
-    if (filters.medium) data = data.filter(item => item.medium === filters.medium);
-    if (filters.location) data = data.filter(item => item.location?.includes(filters.location));
-
-    // Sort Logic
-    switch (sortBy) {
-      case "lowest_budget":
-        data.sort((a, b) => a.salary - b.salary);
-        break;
-      case "highest_budget":
-        data.sort((a, b) => b.salary - a.salary);
-        break;
-      case "oldest":
-        data.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-        break;
-      case "newest":
-      default:
-        data.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        break;
-    }
-
-    return data;
-  }, [allTuitions, searchText, filters, sortBy]);
-
-  // --- 3. Pagination Logic ---
-  const totalPages = Math.ceil(processedTuitions.length / ITEMS_PER_PAGE);
-  const currentTuitions = useMemo(() => {
-    const start = (currentPage - 1) * ITEMS_PER_PAGE;
-    return processedTuitions.slice(start, start + ITEMS_PER_PAGE);
-  }, [currentPage, processedTuitions]);
-
-  // Reset page when filters change
-  useEffect(() => {
-    setCurrentPage(1);
-  }, [filters, searchText, sortBy]);
+    error,
+    isPlaceholderData,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useTuitionSearch(['tuitions'], filters, { limit: ITEMS_PER_PAGE });
 
   // --- Handlers ---
-  const handleFilterChange = (key, value) => {
-    setFilters(prev => ({ ...prev, [key]: value }));
-  };
-
   const clearFilters = () => {
-    setFilters({ class: "", subject: "", medium: "", location: "" });
-    setSearchText("");
-    setSortBy("newest");
+    resetFilters();
+    resetDraft(DEFAULT_TUITION_FILTERS);
     
     // Optional: Visual feedback
     Swal.fire({
@@ -137,7 +194,7 @@ const AllTuitions = () => {
     return `${diffDays} days ago`;
   };
 
-  // --- 4. Conditional Rendering for States ---
+  // --- 3. Conditional Rendering for States ---
 
   // Loading State
   if (isLoading) {
@@ -177,8 +234,8 @@ const AllTuitions = () => {
             <input 
               type="text" 
               placeholder="Search by Subject or Location..." 
-              value={searchText}
-              onChange={(e) => setSearchText(e.target.value)}
+              value={draft.search}
+              onChange={(e) => setDraftValue('search', e.target.value)}
               className="w-full pl-10 pr-4 py-2.5 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500 transition-all"
             />
           </div>
@@ -192,14 +249,13 @@ const AllTuitions = () => {
             </button>
 
             <select 
-              value={sortBy}
-              onChange={(e) => setSortBy(e.target.value)}
+              value={filters.sort}
+              onChange={(e) => setFilter('sort', e.target.value)}
               className="flex-1 md:w-48 px-4 py-2.5 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500 bg-white"
             >
-              <option value="newest">Newest First</option>
-              <option value="oldest">Oldest First</option>
-              <option value="highest_budget">Highest Budget</option>
-              <option value="lowest_budget">Lowest Budget</option>
+              {TUITION_SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
             </select>
           </div>
         </div>
@@ -217,77 +273,7 @@ const AllTuitions = () => {
               </button>
             </div>
             
-            <div className="space-y-6">
-              {/* Filter: Medium */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Medium</label>
-                <select 
-                  className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:ring-emerald-500"
-                  value={filters.medium}
-                  onChange={(e) => handleFilterChange('medium', e.target.value)}
-                >
-                  <option value="">All Mediums</option>
-                  <option value="Bangla Medium">Bangla Medium</option>
-                  <option value="English Version">English Version</option>
-                  <option value="English Medium">English Medium</option>
-                  <option value="Madrasa">Madrasa</option>
-                </select>
-              </div>
-
-              {/* Filter: Class */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Class / Level</label>
-                <select 
-                  className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:ring-emerald-500"
-                  value={filters.class}
-                  onChange={(e) => handleFilterChange('class', e.target.value)}
-                >
-                  <option value="">All Classes</option>
-                  <option value="Class 6">Class 6</option>
-                  <option value="Class 7">Class 7</option>
-                  <option value="Class 8">Class 8</option>
-                  <option value="Class 9">Class 9</option>
-                  <option value="Class 10">Class 10</option>
-                  <option value="SSC Candidate">SSC Candidate</option>
-                  <option value="HSC">HSC</option>
-                </select>
-              </div>
-
-              {/* Filter: Subject */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Subject</label>
-                <select 
-                  className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:ring-emerald-500"
-                  value={filters.subject}
-                  onChange={(e) => handleFilterChange('subject', e.target.value)}
-                >
-                  <option value="">All Subjects</option>
-                  <option value="Bangla">Bangla</option>
-                  <option value="English">English</option>
-                  <option value="Math">Math</option>
-                  <option value="Physics">Physics</option>
-                  <option value="Chemistry">Chemistry</option>
-                  <option value="ICT">ICT</option>
-                </select>
-              </div>
-
-               {/* Filter: Location */}
-               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">District</label>
-                <select 
-                  className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:ring-emerald-500"
-                  value={filters.location}
-                  onChange={(e) => handleFilterChange('location', e.target.value)}
-                >
-                  <option value="">All Locations</option>
-                  <option value="Dhaka">Dhaka</option>
-                  <option value="Chittagong">Chittagong</option>
-                  <option value="Sylhet">Sylhet</option>
-                  <option value="Rajshahi">Rajshahi</option>
-                  <option value="Khulna">Khulna</option>
-                </select>
-              </div>
-            </div>
+            <FilterFields filters={filters} draft={draft} onFilterChange={setFilter} onDraftChange={setDraftValue} />
           </div>
 
           {/* MOBILE DRAWER FILTERS */}
@@ -308,11 +294,9 @@ const AllTuitions = () => {
                     <button onClick={() => setIsMobileFilterOpen(false)}><X /></button>
                   </div>
                   
-                  {/* Reuse same logic as desktop for options, simplified for brevity */}
-                  <div className="space-y-6">
-                    {/* (Mobile Filters Implementation - same as desktop) */}
-                     <p className="text-gray-500 text-sm">Please use the filters to refine your search.</p>
-                     
+                  <FilterFields filters={filters} draft={draft} onFilterChange={setFilter} onDraftChange={setDraftValue} />
+
+                  <div>
                      <button onClick={() => { clearFilters(); setIsMobileFilterOpen(false); }} className="w-full py-3 bg-gray-100 text-gray-700 rounded-lg mt-8 font-medium">Reset Filters</button>
                      <button onClick={() => setIsMobileFilterOpen(false)} className="w-full py-3 bg-emerald-600 text-white rounded-lg mt-4 font-bold">Show Results</button>
                   </div>
@@ -324,9 +308,13 @@ const AllTuitions = () => {
           {/* MAIN CONTENT GRID */}
           <div className="flex-1 w-full">
             
-            {currentTuitions.length > 0 ? (
-              <motion.div layout className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {currentTuitions.map((job) => (
+            <p className="text-sm text-gray-500 mb-4">
+              Showing {tuitions.length} of {total} tuition{total === 1 ? '' : 's'}
+            </p>
+
+            {tuitions.length > 0 ? (
+              <motion.div layout className={`grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 transition-opacity ${isPlaceholderData ? 'opacity-60' : ''}`}>
+                {tuitions.map((job) => (
                   <motion.div 
                     layout
                     initial={{ opacity: 0, y: 20 }}
@@ -335,9 +323,12 @@ const AllTuitions = () => {
                     key={job._id}
                     className="bg-white rounded-xl shadow-sm hover:shadow-lg border border-gray-100 p-6 transition-all duration-300 relative group flex flex-col"
                   >
-                    {/* Status Badge */}
-                    <div className="absolute top-4 right-4 bg-emerald-50 text-emerald-600 text-xs px-2 py-1 rounded-full flex items-center gap-1 font-medium border border-emerald-100">
-                      <CheckCircle size={12} /> {job.status?.toUpperCase() || 'ACTIVE'}
+                    {/* Status Badge + Save */}
+                    <div className="absolute top-4 right-4 flex items-center gap-2">
+                      <div className="bg-emerald-50 text-emerald-600 text-xs px-2 py-1 rounded-full flex items-center gap-1 font-medium border border-emerald-100">
+                        <CheckCircle size={12} /> {job.status?.toUpperCase() || 'ACTIVE'}
+                      </div>
+                      <FavoriteButton itemType="tuition" itemId={job._id} size={16} className="p-1.5 rounded-full hover:bg-red-50" />
                     </div>
 
                     {/* Job Details */}
@@ -369,7 +360,7 @@ const AllTuitions = () => {
                       </div>
                       <div className="flex items-center gap-3 text-gray-600 text-sm">
                         <Calendar size={16} className="text-emerald-500 shrink-0" />
-                        {job.daysPerWeek}
+                        <ScheduleDays tuition={job} showTime={false} />
                       </div>
                     </div>
 
@@ -408,38 +399,15 @@ const AllTuitions = () => {
               </div>
             )}
 
-            {/* PAGINATION */}
-            {processedTuitions.length > ITEMS_PER_PAGE && (
-              <div className="flex justify-center items-center gap-2 mt-12">
-                <button 
-                  onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
-                  disabled={currentPage === 1}
-                  className="p-2 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  <ChevronLeft size={20} />
-                </button>
-                
-                {/* Simplified Pagination for production (Limit visible pages if needed) */}
-                {Array.from({ length: totalPages }, (_, i) => (
-                  <button
-                    key={i + 1}
-                    onClick={() => setCurrentPage(i + 1)}
-                    className={`w-10 h-10 rounded-lg font-medium transition-colors ${
-                      currentPage === i + 1 
-                        ? 'bg-emerald-600 text-white shadow-lg shadow-emerald-200' 
-                        : 'bg-white border border-gray-200 text-gray-600 hover:bg-gray-50'
-                    }`}
-                  >
-                    {i + 1}
-                  </button>
-                ))}
-
+            {/* LOAD MORE */}
+            {hasNextPage && (
+              <div className="flex justify-center mt-12">
                 <button 
-                  onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
-                  disabled={currentPage === totalPages}
-                  className="p-2 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  onClick={() => fetchNextPage()}
+                  disabled={isFetchingNextPage}
+                  className="px-8 py-3 rounded-lg border border-emerald-600 text-emerald-600 font-semibold hover:bg-emerald-600 hover:text-white transition-all disabled:opacity-60"
                 >
-                  <ChevronRight size={20} />
+                  {isFetchingNextPage ? 'Loading...' : 'Load More Tuitions'}
                 </button>
               </div>
             )}
@@ -1,96 +1,200 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { useQuery } from '@tanstack/react-query';
-import axios from 'axios';
+import React, { useState } from 'react';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Link } from 'react-router-dom';
 import Swal from 'sweetalert2';
 import { 
   Search, MapPin, Star, ShieldCheck, Filter, ChevronLeft, ChevronRight, 
-  X, Briefcase, Banknote, User
+  X, Briefcase, Banknote, User, ArrowUpDown
 } from 'lucide-react';
 
 // --- Custom Components ---
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
+import { profileApi } from '../../../services/profileApi';
+import FavoriteButton from '../../../components/common/FavoriteButton';
+import { formatRating } from '../../../utils/ratings';
+import { useUrlFilters } from '../../../hooks/useUrlFilters';
+import { useUrlFilterDraft } from '../../../hooks/useUrlFilterDraft';
+import { CLASS_LEVELS, MEDIUMS, GENDERS } from '../../../constants/app';
+import {
+  TUTOR_SORT_OPTIONS, MIN_RATING_OPTIONS, AVAILABILITY_OPTIONS, DEFAULT_TUTOR_FILTERS
+} from '../../../constants/tutors';
 
 // --- Constants ---
 const ITEMS_PER_PAGE = 8;
-const API_URL = import.meta.env.VITE_API_URL;
+
+// Typed fields are debounced into the URL; selects apply immediately
+const DRAFT_KEYS = ['search', 'subject', 'location', 'minSalary', 'maxSalary'];
+
+// Empty filters are left off the request entirely
+const toQueryParams = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) => value !== '' && value != null)
+);
+
+/**
+ * Filter fields shared by the desktop sidebar and the mobile drawer.
+ */
+const FilterFields = ({ filters, draft, onFilterChange, onDraftChange }) => (
+  <div className="space-y-6">
+    {/* Subject Filter */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Subject</label>
+      <input 
+        type="text" 
+        placeholder="e.g. Math"
+        className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        value={draft.subject} 
+        onChange={(e) => onDraftChange('subject', e.target.value)}
+      />
+    </div>
+    {/* Location Filter */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Location</label>
+      <input 
+        type="text" 
+        placeholder="e.g. Mirpur"
+        className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        value={draft.location} 
+        onChange={(e) => onDraftChange('location', e.target.value)}
+      />
+    </div>
+    {/* Medium Filter */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Medium</label>
+      <select 
+        className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        value={filters.medium}
+        onChange={(e) => onFilterChange('medium', e.target.value)}
+      >
+        <option value="">All Mediums</option>
+        {MEDIUMS.map((medium) => <option key={medium} value={medium}>{medium}</option>)}
+      </select>
+    </div>
+    {/* Class Filter */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Class / Level</label>
+      <select 
+        className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        value={filters.class}
+        onChange={(e) => onFilterChange('class', e.target.value)}
+      >
+        <option value="">All Classes</option>
+        {CLASS_LEVELS.map((level) => <option key={level} value={level}>{level}</option>)}
+      </select>
+    </div>
+    {/* Salary Range Filter */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Expected Salary (৳)</label>
+      <div className="flex items-center gap-2">
+        <input 
+          type="number" min="0" placeholder="Min"
+          className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          value={draft.minSalary}
+          onChange={(e) => onDraftChange('minSalary', e.target.value)}
+        />
+        <span className="text-gray-400">–</span>
+        <input 
+          type="number" min="0" placeholder="Max"
+          className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          value={draft.maxSalary}
+          onChange={(e) => onDraftChange('maxSalary', e.target.value)}
+        />
+      </div>
+    </div>
+    {/* Gender Filter */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Tutor Gender</label>
+      <select 
+        className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        value={filters.gender}
+        onChange={(e) => onFilterChange('gender', e.target.value)}
+      >
+        <option value="">Any Gender</option>
+        {GENDERS.map((gender) => <option key={gender} value={gender}>{gender}</option>)}
+      </select>
+    </div>
+    {/* Minimum Rating Filter */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Rating</label>
+      <div className="flex flex-wrap gap-2">
+        {MIN_RATING_OPTIONS.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => onFilterChange('minRating', filters.minRating === option.value ? '' : option.value)}
+            className={`flex items-center gap-1 px-3 py-1.5 rounded-full text-xs font-semibold border transition-colors ${
+              filters.minRating === option.value
+                ? 'bg-yellow-50 border-yellow-400 text-yellow-700'
+                : 'border-gray-200 text-gray-600 hover:border-yellow-300'
+            }`}
+          >
+            <Star size={12} className="text-yellow-500 fill-yellow-500" /> {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+    {/* Availability Filter */}
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Availability</label>
+      <select 
+        className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        value={filters.availability}
+        onChange={(e) => onFilterChange('availability', e.target.value)}
+      >
+        <option value="">Any Time</option>
+        {AVAILABILITY_OPTIONS.map((slot) => <option key={slot} value={slot}>{slot}</option>)}
+      </select>
+    </div>
+  </div>
+);
 
 const AllTutors = () => {
   // --- Local UI State ---
   const [isMobileFilterOpen, setIsMobileFilterOpen] = useState(false);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [searchQuery, setSearchQuery] = useState("");
-  
-  // --- Filter State ---
-  const [filters, setFilters] = useState({
-    subject: "",
-    location: "",
-  });
 
-  // --- 1. Data Fetching (TanStack Query) ---
+  // --- URL-synced Filters (?subject=...&minRating=...&page=2) ---
+  // History entries are pushed, so Back restores the previous search
+  const { filters, setFilters, resetFilters } = useUrlFilters(DEFAULT_TUTOR_FILTERS, { replace: false });
+  const currentPage = Number(filters.page) || 1;
+
+  // Any filter change starts again from the first page
+  const applyFilters = (patch) => setFilters({ ...patch, page: DEFAULT_TUTOR_FILTERS.page });
+  const { draft, setDraftValue, resetDraft } = useUrlFilterDraft(filters, DRAFT_KEYS, applyFilters);
+
+  // --- 1. Data Fetching (server-side tutor search) ---
+  const params = toQueryParams({ ...filters, page: currentPage, limit: ITEMS_PER_PAGE });
   const { 
-    data: allTutors = [], 
+    data, 
     isLoading, 
     isError, 
-    error 
+    error,
+    isPlaceholderData
   } = useQuery({
-    queryKey: ['tutors'],
-    queryFn: async () => {
-      const response = await axios.get(`${API_URL}/api/profile/all`);
-      // Assuming API returns { success: true, data: [...] }
-      return response.data.data || [];
-    },
+    queryKey: ['tutors', params],
+    queryFn: () => profileApi.searchTutors(params),
+    // Keep the current page on screen while the next one loads
+    placeholderData: keepPreviousData,
     retry: 1,
     refetchOnWindowFocus: false,
   });
 
-  // --- 2. Optimized Filtering Logic (useMemo) ---
-  const filteredTutors = useMemo(() => {
-    return allTutors.filter(tutor => {
-      const name = tutor.user?.name?.toLowerCase() || "";
-      const subjects = tutor.preferredSubjects?.toLowerCase() || "";
-      const address = tutor.address?.toLowerCase() || "";
-      const search = searchQuery.toLowerCase();
-
-      // Search Matching
-      const matchesSearch = name.includes(search) || subjects.includes(search);
+  const currentTutors = data?.data || [];
+  const { total = 0, totalPages = 1 } = data?.pagination || {};
 
-      // Filter Matching
-      const matchesSubject = filters.subject 
-        ? subjects.includes(filters.subject.toLowerCase()) 
-        : true;
-        
-      const matchesLocation = filters.location 
-        ? address.includes(filters.location.toLowerCase()) 
-        : true;
+  // --- 2. Handlers ---
+  const handleFilterChange = (key, value) => applyFilters({ [key]: value });
 
-      return matchesSearch && matchesSubject && matchesLocation;
-    });
-  }, [allTutors, searchQuery, filters]);
-
-  // --- 3. Pagination Logic ---
-  const totalPages = Math.ceil(filteredTutors.length / ITEMS_PER_PAGE);
-  const currentTutors = useMemo(() => {
-    const start = (currentPage - 1) * ITEMS_PER_PAGE;
-    return filteredTutors.slice(start, start + ITEMS_PER_PAGE);
-  }, [currentPage, filteredTutors]);
-
-  // Reset page when filters change
-  useEffect(() => {
-    setCurrentPage(1);
-  }, [filters, searchQuery]);
-
-  // --- Handlers ---
-  const handleFilterChange = (key, value) => {
-    setFilters(prev => ({ ...prev, [key]: value }));
+  // --- 3. Pagination ---
+  const goToPage = (page) => {
+    setFilters({ page: String(page) });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
   const clearFilters = () => {
-    setFilters({ subject: "", location: "" });
-    setSearchQuery("");
+    resetFilters();
+    resetDraft(DEFAULT_TUTOR_FILTERS);
     
     // User Feedback
     Swal.fire({
@@ -137,13 +241,29 @@ const AllTutors = () => {
             <input 
               type="text" 
               placeholder="Search by Name or Subject..." 
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
+              value={draft.search}
+              onChange={(e) => setDraftValue('search', e.target.value)}
               className="w-full pl-10 pr-4 py-2.5 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500 transition-all"
             />
           </div>
 
-          <div className="flex gap-4 w-full md:w-auto">
+          <div className="flex gap-4 w-full md:w-auto items-center">
+            <span className="hidden lg:block text-sm text-gray-500 whitespace-nowrap">{total} tutor{total === 1 ? '' : 's'} found</span>
+
+            {/* Sort */}
+            <div className="relative flex-1 md:w-52">
+              <ArrowUpDown className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+              <select 
+                value={filters.sort}
+                onChange={(e) => handleFilterChange('sort', e.target.value)}
+                className="w-full pl-10 pr-4 py-2.5 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 bg-white cursor-pointer"
+              >
+                {TUTOR_SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
             {/* Mobile Filter Trigger */}
             <button 
               onClick={() => setIsMobileFilterOpen(true)}
@@ -163,30 +283,12 @@ const AllTutors = () => {
               <button onClick={clearFilters} className="text-xs text-emerald-600 font-bold hover:underline">Reset</button>
             </div>
             
-            <div className="space-y-6">
-              {/* Subject Filter */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Subject</label>
-                <input 
-                  type="text" 
-                  placeholder="e.g. Math"
-                  className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
-                  value={filters.subject} 
-                  onChange={(e) => handleFilterChange('subject', e.target.value)}
-                />
-              </div>
-              {/* Location Filter */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Location</label>
-                <input 
-                  type="text" 
-                  placeholder="e.g. Mirpur"
-                  className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
-                  value={filters.location} 
-                  onChange={(e) => handleFilterChange('location', e.target.value)}
-                />
-              </div>
-            </div>
+            <FilterFields 
+              filters={filters} 
+              draft={draft} 
+              onFilterChange={handleFilterChange} 
+              onDraftChange={setDraftValue} 
+            />
           </div>
 
           {/* --- MOBILE FILTER DRAWER --- */}
@@ -199,7 +301,7 @@ const AllTutors = () => {
               >
                 <motion.div 
                   initial={{ x: '100%' }} animate={{ x: 0 }} exit={{ x: '100%' }}
-                  className="absolute right-0 top-0 h-full w-4/5 bg-white p-6 shadow-2xl"
+                  className="absolute right-0 top-0 h-full w-4/5 bg-white p-6 shadow-2xl overflow-y-auto"
                   onClick={e => e.stopPropagation()}
                 >
                    <div className="flex justify-between items-center mb-8">
@@ -207,26 +309,12 @@ const AllTutors = () => {
                      <button onClick={() => setIsMobileFilterOpen(false)}><X /></button>
                    </div>
                    
-                   <div className="space-y-6">
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">Subject</label>
-                        <input 
-                          className="w-full p-3 border border-gray-200 rounded-lg" 
-                          placeholder="e.g. English"
-                          value={filters.subject} 
-                          onChange={(e) => handleFilterChange('subject', e.target.value)} 
-                        />
-                      </div>
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">Location</label>
-                        <input 
-                          className="w-full p-3 border border-gray-200 rounded-lg" 
-                          placeholder="e.g. Dhanmondi"
-                          value={filters.location} 
-                          onChange={(e) => handleFilterChange('location', e.target.value)} 
-                        />
-                      </div>
-                   </div>
+                   <FilterFields 
+                     filters={filters} 
+                     draft={draft} 
+                     onFilterChange={handleFilterChange} 
+                     onDraftChange={setDraftValue} 
+                   />
 
                    <button 
                      onClick={() => { clearFilters(); setIsMobileFilterOpen(false); }} 
@@ -248,7 +336,7 @@ const AllTutors = () => {
           {/* --- MAIN CONTENT GRID --- */}
           <div className="flex-1 w-full">
             {currentTutors.length > 0 ? (
-              <motion.div layout className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+              <motion.div layout className={`grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6 transition-opacity ${isPlaceholderData ? 'opacity-60' : ''}`}>
                 {currentTutors.map((tutor) => (
                   <motion.div 
                     layout
@@ -258,6 +346,13 @@ const AllTutors = () => {
                     className="bg-white rounded-xl shadow-sm hover:shadow-xl border border-gray-100 p-5 flex flex-col items-center text-center transition-all duration-300 group relative overflow-hidden"
                     style={{ borderTop: `4px solid ${tutor.themeColor || '#10b981'}` }}
                   >
+                    {/* Save for later */}
+                    <FavoriteButton 
+                      itemType="tutor" 
+                      itemId={tutor._id} 
+                      className="absolute top-3 right-3 p-2 rounded-full bg-white/90 hover:bg-red-50 shadow-sm" 
+                    />
+
                     {/* PROFILE PHOTO */}
                     <div className="relative mb-4">
                       <div className="w-24 h-24 rounded-full overflow-hidden border-4 border-gray-50 group-hover:border-emerald-50 transition-colors">
@@ -280,10 +375,17 @@ const AllTutors = () => {
                       {tutor.title || "Private Tutor"}
                     </p>
                     
-                    {/* Placeholder Rating */}
+                    {/* Rating (server-computed average) */}
                     <div className="flex items-center gap-1 mb-4 bg-yellow-50 px-2 py-0.5 rounded-full">
                       <Star size={14} className="text-yellow-500 fill-yellow-500" />
-                      <span className="text-sm font-bold text-gray-700">5.0</span>
+                      {formatRating(tutor.averageRating, tutor.totalReviews) ? (
+                        <>
+                          <span className="text-sm font-bold text-gray-700">{formatRating(tutor.averageRating, tutor.totalReviews)}</span>
+                          <span className="text-xs text-gray-400">({tutor.totalReviews})</span>
+                        </>
+                      ) : (
+                        <span className="text-sm font-bold text-gray-700">New</span>
+                      )}
                     </div>
 
                     {/* DETAILS BADGES */}
@@ -342,11 +444,11 @@ const AllTutors = () => {
             )}
 
             {/* --- PAGINATION CONTROLS --- */}
-            {filteredTutors.length > ITEMS_PER_PAGE && (
+            {totalPages > 1 && (
               <div className="flex justify-center items-center gap-2 mt-12">
                 <button 
-                  onClick={() => setCurrentPage(p => Math.max(p - 1, 1))} 
-                  disabled={currentPage === 1}
+                  onClick={() => goToPage(Math.max(currentPage - 1, 1))} 
+                  disabled={currentPage <= 1}
                   className="p-2 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <ChevronLeft size={20}/>
@@ -355,10 +457,11 @@ const AllTutors = () => {
                 <span className="w-10 h-10 flex items-center justify-center bg-emerald-600 text-white rounded-lg font-bold shadow-lg shadow-emerald-200">
                   {currentPage}
                 </span>
+                <span className="text-sm text-gray-500">of {totalPages}</span>
                 
                 <button 
-                  onClick={() => setCurrentPage(p => Math.min(p + 1, totalPages))} 
-                  disabled={currentPage === totalPages}
+                  onClick={() => goToPage(Math.min(currentPage + 1, totalPages))} 
+                  disabled={currentPage >= totalPages}
                   className="p-2 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <ChevronRight size={20}/>
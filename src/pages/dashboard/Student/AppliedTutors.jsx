@@ -1,23 +1,29 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import Swal from 'sweetalert2';
 import { 
-  Star, Clock, CheckCircle, XCircle, CreditCard, ShieldCheck, X, AlertTriangle, GraduationCap, Hourglass
+  Star, Clock, CheckCircle, XCircle, CreditCard, ShieldCheck, X, AlertTriangle, GraduationCap, Hourglass, MessageCircle, Loader2
 } from 'lucide-react';
 
-import { loadStripe } from '@stripe/stripe-js';
-import { Elements, CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
-
 import Loading from '../../../components/common/Loading';
+import PaymentCheckout from '../../../components/common/PaymentCheckout';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
+import { useAuth } from '../../../hooks/useAuth';
+import { useStartChat } from '../../../hooks/useStartChat';
+import { usePaymentCallback } from '../../../hooks/usePaymentCallback';
+import { applicationsApi } from '../../../services/applicationsApi';
+import { paymentsApi } from '../../../services/paymentsApi';
+import { tuitionsApi } from '../../../services/tuitionsApi';
+import { PENDING_RECONCILIATION } from '../../../constants/payments';
+
+// While a paid hire waits for the webhook, re-check the list this often
+const RECONCILE_REFETCH_MS = 5000;
 
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
-const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY);
+// Aggregated application rows may carry populated refs or raw ObjectIds
+const getId = (ref) => (typeof ref === 'object' && ref !== null ? ref._id || ref.$oid : ref);
 
 const getStatusBadge = (status) => {
     switch (status) {
@@ -33,123 +39,86 @@ const getStatusBadge = (status) => {
 };
 
 /**
- * CheckoutForm Component - Handles Stripe payment and hiring backend synchronization.
+ * Tells the student how a hire payment ended (`tutorName` is unknown after a wallet redirect).
  */
-const CheckoutForm = ({ selectedTutor, closePaymentModal, authConfig, user }) => { 
-  const stripe = useStripe();
-  const elements = useElements();
-  const queryClient = useQueryClient();
-  const [error, setError] = useState(null);
-  const [processing, setProcessing] = useState(false);
-
-  // Helper to extract the correct tutor ID from aggregated data
-  const getTutorId = (rawTutorId) => {
-      return typeof rawTutorId === 'object' && rawTutorId !== null ? rawTutorId._id || rawTutorId.$oid : rawTutorId;
+const showHireOutcome = (status, tutorName, reference) => {
+  if (status === 'fulfilled') {
+    return Swal.fire({
+      icon: 'success',
+      title: 'Hiring Successful!',
+      text: `You have successfully hired ${tutorName || 'your tutor'}`,
+      confirmButtonColor: '#10B981'
+    });
+  }
+  if (status === 'failed') {
+    return Swal.fire({
+      icon: 'error',
+      title: 'Hire Not Completed',
+      text: `Your payment could not be applied. Please contact support with reference ${reference}.`,
+      confirmButtonColor: '#10B981'
+    });
   }
+  return Swal.fire({
+    icon: 'info',
+    title: 'Payment Received',
+    text: `We're confirming your hire of ${tutorName || 'your tutor'}. This usually takes a minute — you won't be charged again.`,
+    confirmButtonColor: '#10B981'
+  });
+};
 
-  const bookingMutation = useMutation({
-    mutationFn: async ({ paymentIntentId }) => {
-      const finalTutorId = getTutorId(selectedTutor.tutorId);
-      
-      // Trigger Backend Booking/Hiring API
-      await axios.patch(`${API_URL}/api/applications/hire-success/${selectedTutor._id}`, {
-          transactionId: paymentIntentId 
-      }, authConfig);
+/**
+ * CheckoutForm Component - payment for a hire, with any enabled provider.
+ * The server prices the application and hires the tutor once the payment is applied; we only wait for the outcome.
+ */
+const CheckoutForm = ({ selectedTutor, closePaymentModal, user }) => { 
+  const queryClient = useQueryClient();
 
-      return true;
-    },
-    onSuccess: () => {
-      setProcessing(false);
-      queryClient.invalidateQueries(['shortlistedTutors']); 
-      
-      Swal.fire({
-        icon: 'success',
-        title: 'Hiring Successful!',
-        text: `You have successfully hired ${selectedTutor.tutorName}`,
-        confirmButtonColor: '#10B981'
-      }).then(closePaymentModal);
-    },
-    onError: (err) => {
-      console.error("Booking Error:", err);
-      setError(err.response?.data?.message || "Payment succeeded, but system update failed. Please contact support.");
-      setProcessing(false);
-    }
+  const { data: quote, isLoading: isQuoteLoading, isError: isQuoteError } = useQuery({
+    queryKey: ['hireQuote', selectedTutor._id],
+    queryFn: () => paymentsApi.getHireQuote(selectedTutor._id).then((res) => res.data),
   });
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
-    setProcessing(true);
-    setError(null);
-
-    if (!stripe || !elements) return;
-    
-    const salary = parseInt(selectedTutor.expectedSalary) || 0;
-    if (salary <= 0) {
-        setError("Invalid salary amount for payment.");
-        setProcessing(false);
-        return;
-    }
+  const handlePaid = async (paymentId) => {
+    const status = await paymentsApi.waitForConfirmation(paymentId);
+    queryClient.invalidateQueries({ queryKey: ['shortlistedTutors'] });
+    await showHireOutcome(status, selectedTutor.tutorName, paymentId);
+    closePaymentModal();
+  };
 
-    try {
-      // 1. Create Payment Intent
-      const { data: intentData } = await axios.post(`${API_URL}/api/payment/create-payment-intent`, {
-        price: salary
-      }, authConfig);
-
-      if (!intentData.clientSecret) throw new Error("Failed to initialize payment.");
-
-      // 2. Confirm Card Payment
-      const result = await stripe.confirmCardPayment(intentData.clientSecret, {
-        payment_method: {
-          card: elements.getElement(CardElement),
-          billing_details: {
-            name: user?.name || "Student", 
-          },
-        },
-      });
+  if (isQuoteLoading) {
+    return <div className="flex justify-center py-8"><Loader2 className="animate-spin text-emerald-600" size={28} /></div>;
+  }
 
-      if (result.error) {
-        setError(result.error.message);
-        setProcessing(false);
-      } else if (result.paymentIntent.status === "succeeded") {
-        // 3. Trigger Backend Update (Hiring & Booking Creation)
-        bookingMutation.mutate({ paymentIntentId: result.paymentIntent.id });
-      }
-    } catch (err) {
-      setError(err.message || "Something went wrong during payment processing.");
-      setProcessing(false);
-    }
-  };
+  if (isQuoteError || !quote) {
+    return (
+      <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-lg border border-red-100">
+        <XCircle size={16} /> Could not load the payment amount. Please try again later.
+      </div>
+    );
+  }
 
   return (
-    <form onSubmit={handleSubmit} className="space-y-4">
-      <div className="p-4 border border-gray-200 rounded-lg bg-gray-50">
-        <CardElement options={{
-            style: {
-              base: { fontSize: '16px', color: '#1f2937', '::placeholder': { color: '#9ca3af' } },
-              invalid: { color: '#ef4444' },
-            },
-        }}/>
+    <>
+      <div className="mb-5 space-y-1.5 text-sm">
+        <div className="flex justify-between text-gray-600">
+          <span>Tutor receives</span><span>৳{quote.tutorReceives?.toLocaleString()}</span>
+        </div>
+        <div className="flex justify-between text-gray-600">
+          <span>Platform commission</span><span>৳{quote.commission?.toLocaleString()}</span>
+        </div>
+        <div className="flex justify-between font-bold text-gray-800 pt-1.5 border-t border-gray-100">
+          <span>Total</span><span>৳{quote.amount?.toLocaleString()}</span>
+        </div>
       </div>
 
-      {error && (
-        <div className="flex items-center gap-2 text-red-600 text-sm bg-red-50 p-3 rounded-lg border border-red-100">
-          <XCircle size={16} /> {error}
-        </div>
-      )}
-      
-      <button 
-        type="submit" 
-        disabled={!stripe || processing} 
-        className={`w-full font-bold py-3.5 rounded-xl transition-all shadow-lg flex items-center justify-center gap-2
-          ${(processing)
-            ? "bg-gray-400 cursor-not-allowed text-gray-100" 
-            : "bg-emerald-600 hover:bg-emerald-700 text-white shadow-emerald-200"
-          }`}
-      >
-        {processing ? "Processing..." : `Pay ৳${selectedTutor.expectedSalary} & Hire`}
-      </button>
-    </form>
+      <PaymentCheckout
+        target={{ applicationId: selectedTutor._id }}
+        amount={quote.amount}
+        submitLabel={`Pay ৳${quote.amount?.toLocaleString()} & Hire`}
+        billingName={user?.name}
+        onPaid={handlePaid}
+      />
+    </>
   );
 };
 
@@ -164,25 +133,16 @@ const AppliedTutors = () => {
   const [rejectId, setRejectId] = useState(null); 
   const [rejectReason, setRejectReason] = useState(""); 
 
-  const { user, authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem('user');
-    if (!userStr) return { user: null, authConfig: {}, isUserValid: false };
-
-    const userData = JSON.parse(userStr);
-    const authToken = userData.token || userData.jwtToken || localStorage.getItem('jwtToken'); 
-    
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
+  const { user, token } = useAuth();
+  const { startChat, isStarting } = useStartChat();
+  const isUserValid = !!user?.email && !!token;
 
-    return { 
-        user: userData, 
-        authConfig: config, 
-        isUserValid: !!userData.email && !!authToken
-    };
-  }, []);
+  // Back from a mobile wallet: the checkout modal is gone, so report the hire here
+  usePaymentCallback(async (paymentId) => {
+    const status = await paymentsApi.waitForConfirmation(paymentId);
+    queryClient.invalidateQueries({ queryKey: ['shortlistedTutors'] });
+    await showHireOutcome(status, null, paymentId);
+  });
   
   if (!isUserValid) {
     return <Unauthorized />; 
@@ -194,17 +154,17 @@ const AppliedTutors = () => {
         return typeof rawTId === 'object' && rawTId !== null ? rawTId._id || rawTId.$oid : rawTId;
     };
 
-    const appRes = await axios.get(`${API_URL}/api/applications/student-view`, authConfig);
-    const visibleApplications = appRes.data.data; 
+    const appRes = await applicationsApi.getForStudent();
+    const visibleApplications = appRes.data; 
 
     const mergedData = await Promise.all(visibleApplications.map(async (app) => {
       try {
         const tId = getTuitionId(app.tuitionId);
-        const tuitionRes = await axios.get(`${API_URL}/api/tuitions/id/${tId}`, authConfig);
+        const tuitionRes = await tuitionsApi.getById(tId);
         
         return {
           ...app,
-          tuitionData: tuitionRes.data.data 
+          tuitionData: tuitionRes.data 
         };
       } catch (err) {
         console.warn(`Could not fetch tuition details for Application ID ${app._id}.`, err);
@@ -224,6 +184,9 @@ const AppliedTutors = () => {
     queryKey: ['shortlistedTutors'],
     queryFn: fetchApplicationsAndTuitions,
     retry: 1,
+    refetchInterval: (query) => (
+      query.state.data?.some((app) => app.paymentStatus === PENDING_RECONCILIATION) ? RECONCILE_REFETCH_MS : false
+    ),
     onError: (err) => {
        if(err.response?.status === 401 || err.response?.status === 403) navigate('/login');
     }
@@ -231,9 +194,9 @@ const AppliedTutors = () => {
 
   const rejectMutation = useMutation({
     mutationFn: async () => {
-      await axios.patch(`${API_URL}/api/applications/reject-student/${rejectId}`, { 
+      await applicationsApi.rejectByStudent(rejectId, { 
         reason: rejectReason 
-      }, authConfig);
+      });
     },
     onSuccess: () => {
       queryClient.invalidateQueries(['shortlistedTutors']);
@@ -290,7 +253,8 @@ const AppliedTutors = () => {
               {applicants.map((tutor) => {
                 const badge = getStatusBadge(tutor.status);
                 const StatusIcon = badge.icon;
-                const isShortlisted = tutor.status === 'Shortlisted';
+                const isConfirming = tutor.paymentStatus === PENDING_RECONCILIATION;
+                const isShortlisted = tutor.status === 'Shortlisted' && !isConfirming;
 
                 return (
                   <motion.div
@@ -331,6 +295,11 @@ const AppliedTutors = () => {
                     </div>
 
                     <div className="px-6 pb-4 space-y-3 flex-1">
+                      {isConfirming && (
+                        <div className="flex items-center gap-2 text-xs font-semibold text-amber-700 bg-amber-50 border border-amber-100 rounded-lg px-3 py-2">
+                          <Loader2 size={14} className="animate-spin" /> Payment received · confirming hire
+                        </div>
+                      )}
                       <div className="p-3 rounded-xl border border-gray-100 bg-gray-50">
                         <p className="text-xs text-gray-400 uppercase font-semibold mb-1">Applying For</p>
                         <p className="font-semibold text-gray-800 text-sm line-clamp-1">{tutor.tuitionTitle}</p>
@@ -365,13 +334,26 @@ const AppliedTutors = () => {
                       </div>
                     </div>
 
-                    <div className="p-4 grid grid-cols-2 gap-3 border-t border-gray-100 bg-gray-50/50">
+                    <div className="p-4 grid grid-cols-3 gap-3 border-t border-gray-100 bg-gray-50/50">
                         <button 
                             onClick={() => setRejectId(tutor._id)}
                             className="flex items-center justify-center gap-2 py-2.5 rounded-xl border border-red-100 text-red-600 font-semibold hover:bg-red-50 hover:border-red-200 transition-colors text-sm"
                         >
                             <XCircle size={16} /> Reject
                         </button>
+                        <button 
+                            onClick={() => startChat({
+                              tutorId: getId(tutor.tutorId),
+                              tutorName: tutor.tutorName,
+                              tuitionId: getId(tutor.tuitionId),
+                              tuitionTitle: tutor.tuitionTitle,
+                              applicationId: tutor._id
+                            })}
+                            disabled={isStarting}
+                            className="flex items-center justify-center gap-2 py-2.5 rounded-xl border border-gray-200 text-gray-700 font-semibold hover:bg-white hover:border-emerald-200 hover:text-emerald-700 transition-colors text-sm disabled:opacity-60"
+                        >
+                            <MessageCircle size={16} /> Message
+                        </button>
                         <button 
                             onClick={() => setSelectedTutor(tutor)}
                             disabled={!isShortlisted} 
@@ -462,7 +444,7 @@ const AppliedTutors = () => {
                    </div>
                    <div>
                      <span className="font-bold text-lg block">Secure Checkout</span>
-                     <span className="text-xs text-gray-400">Powered by Stripe</span>
+                     <span className="text-xs text-gray-400">Card or mobile wallet</span>
                    </div>
                 </div>
                 <button onClick={closePaymentModal} className="text-gray-400 hover:text-white transition-colors"><X size={18}/></button>
@@ -480,14 +462,11 @@ const AppliedTutors = () => {
                     </div>
                 </div>
 
-                <Elements stripe={stripePromise}>
-                  <CheckoutForm 
-                    selectedTutor={selectedTutor} 
-                    closePaymentModal={closePaymentModal}
-                    authConfig={authConfig} 
-                    user={user} 
-                  />
-                </Elements>
+                <CheckoutForm 
+                  selectedTutor={selectedTutor} 
+                  closePaymentModal={closePaymentModal}
+                  user={user} 
+                />
 
                 <p className="text-center text-xs text-gray-400 mt-6 flex items-center justify-center gap-1.5">
                   <ShieldCheck size={14} className="text-emerald-500"/> 
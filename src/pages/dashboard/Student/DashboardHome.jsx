@@ -1,12 +1,11 @@
 import React, { useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import { 
   PlusCircle, Users, CreditCard, BookOpen, 
   Clock, CheckCircle, TrendingUp, Bell, 
-  ChevronRight, MoreHorizontal, FileText, DollarSign 
+  ChevronRight, MoreHorizontal, FileText, DollarSign, Receipt 
 } from 'lucide-react';
 import { 
   AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer 
@@ -15,36 +14,56 @@ import {
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
+import { useAuth } from '../../../hooks/useAuth';
+import { useInvoices } from '../../../hooks/useInvoices';
+import { tuitionsApi } from '../../../services/tuitionsApi';
+import { paymentsApi } from '../../../services/paymentsApi';
+import { applicationsApi } from '../../../services/applicationsApi';
+
+/**
+ * "Pay this month" banner: open monthly invoices, red once any is overdue.
+ */
+const FeesDueBanner = () => {
+  const navigate = useNavigate();
+  const { openInvoices, overdueCount, totalDue } = useInvoices();
+
+  if (openInvoices.length === 0) return null;
 
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+  return (
+    <motion.div 
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`rounded-xl p-4 md:p-5 mb-8 flex flex-col md:flex-row items-start md:items-center justify-between gap-4 border ${
+        overdueCount > 0 ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'
+      }`}
+    >
+      <div className="flex items-center gap-3">
+        <div className={`p-2.5 rounded-full bg-white ${overdueCount > 0 ? 'text-red-600' : 'text-amber-600'}`}>
+          <Receipt size={20} />
+        </div>
+        <div>
+          <h4 className="font-bold text-gray-800">
+            {overdueCount > 0 ? `${overdueCount} overdue tuition fee${overdueCount > 1 ? 's' : ''}` : "This month's tuition fee is due"}
+          </h4>
+          <p className="text-sm text-gray-600">৳{totalDue.toLocaleString()} across {openInvoices.length} invoice{openInvoices.length > 1 ? 's' : ''}</p>
+        </div>
+      </div>
+      <button 
+        onClick={() => navigate(openInvoices.length === 1 ? `/student-dashboard/monthly-fees?pay=${openInvoices[0]._id}` : '/student-dashboard/monthly-fees')}
+        className={`px-5 py-2.5 rounded-lg text-white text-sm font-semibold ${overdueCount > 0 ? 'bg-red-600 hover:bg-red-700' : 'bg-amber-500 hover:bg-amber-600'}`}
+      >
+        Pay this month
+      </button>
+    </motion.div>
+  );
+};
 
 const StudentDashboardHome = () => {
   const navigate = useNavigate();
   
   // --- Auth Setup ---
-  const { user, authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) {
-      navigate("/login");
-      return { user: null, authConfig: {}, isUserValid: false };
-    }
-    
-    const userData = JSON.parse(userStr);
-    const authToken = userData.token || userData.jwtToken || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-
-    return { 
-        user: userData, 
-        authConfig: config, 
-        isUserValid: !!userData.email && !!authToken 
-    };
-  }, [navigate]);
+  const { user, token } = useAuth();
+  const isUserValid = !!user?.email && !!token;
 
   if (!isUserValid) {
     return <Unauthorized />; 
@@ -55,8 +74,8 @@ const StudentDashboardHome = () => {
   const { data: tuitions = [], isLoading: loadingTuitions, error: errObjTuitions } = useQuery({
     queryKey: ['myTuitions', user?.email],
     queryFn: async () => {
-      const res = await axios.get(`${API_URL}/api/tuitions/my-tuitions`, authConfig);
-      return res.data.data || [];
+      const res = await tuitionsApi.getMine();
+      return res.data || [];
     },
     enabled: isUserValid,
     retry: 1,
@@ -65,8 +84,8 @@ const StudentDashboardHome = () => {
   const { data: payments = [], isLoading: loadingPayments, error: errObjPayments } = useQuery({
     queryKey: ['myPayments', user?.email],
     queryFn: async () => {
-      const res = await axios.get(`${API_URL}/api/payment/my-payments`, authConfig);
-      return res.data.data || [];
+      const res = await paymentsApi.getMine();
+      return res.data || [];
     },
     enabled: isUserValid,
     retry: 1,
@@ -75,8 +94,8 @@ const StudentDashboardHome = () => {
   const { data: applications = [], isLoading: loadingApps, error: errObjApps } = useQuery({
     queryKey: ['myApplications', user?.email],
     queryFn: async () => {
-      const res = await axios.get(`${API_URL}/api/applications/student-view`, authConfig);
-      return res.data.data || [];
+      const res = await applicationsApi.getForStudent();
+      return res.data || [];
     },
     enabled: isUserValid,
     retry: 1,
@@ -222,6 +241,9 @@ const StudentDashboardHome = () => {
         <div className="absolute -right-10 -bottom-10 w-40 md:w-64 h-40 md:h-64 bg-white/10 rounded-full blur-3xl"></div>
       </motion.div>
 
+      {/* 1b. MONTHLY FEES DUE */}
+      <FeesDueBanner />
+
       {/* 2. STATISTICS CARDS */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 md:gap-6 mb-8">
         {[
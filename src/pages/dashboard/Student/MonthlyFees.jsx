@@ -0,0 +1,284 @@
+import React from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useSearchParams } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import {
+  Receipt, AlertTriangle, CreditCard, CheckCircle, CalendarDays, ClipboardCheck, ShieldCheck, X, Loader2
+} from 'lucide-react';
+
+// --- Custom Components ---
+import Loading from '../../../components/common/Loading';
+import PaymentCheckout from '../../../components/common/PaymentCheckout';
+import ServerDown from '../../common/ServerDown';
+import Unauthorized from '../../common/Unauthorized';
+import { useAuth } from '../../../hooks/useAuth';
+import { useInvoices } from '../../../hooks/useInvoices';
+import { usePaymentCallback } from '../../../hooks/usePaymentCallback';
+import { paymentsApi } from '../../../services/paymentsApi';
+import { INVOICE_STATUSES } from '../../../constants/invoices';
+import { formatMonth } from '../../../utils/attendance';
+
+const formatDate = (isoDate) => (isoDate
+  ? new Date(isoDate).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })
+  : 'N/A');
+
+/**
+ * Tells the student how an invoice payment ended (`invoice` is unknown after a wallet redirect).
+ */
+const showInvoiceOutcome = (status, invoice, reference) => {
+  if (status === 'fulfilled') {
+    return Swal.fire({
+      icon: 'success',
+      title: 'Payment Successful!',
+      text: invoice ? `${formatMonth(invoice.month)} fee for ${invoice.subject} is paid.` : 'Your invoice is paid.',
+      confirmButtonColor: '#10B981'
+    });
+  }
+  if (status === 'failed') {
+    return Swal.fire({
+      icon: 'error',
+      title: 'Payment Not Completed',
+      text: `Your payment could not be applied, so the invoice is still open. Please try again or contact support with reference ${reference}.`,
+      confirmButtonColor: '#10B981'
+    });
+  }
+  return Swal.fire({
+    icon: 'info',
+    title: 'Payment Received',
+    text: "We're confirming it with the provider. The invoice will show as paid shortly — you won't be charged again.",
+    confirmButtonColor: '#10B981'
+  });
+};
+
+/**
+ * Waits for an invoice payment to be applied, refreshes the lists and tells the student.
+ */
+const confirmInvoicePayment = async (queryClient, paymentId, invoice) => {
+  const status = await paymentsApi.waitForConfirmation(paymentId);
+  queryClient.invalidateQueries({ queryKey: ['invoices'] });
+  queryClient.invalidateQueries({ queryKey: ['paymentHistory'] });
+  queryClient.invalidateQueries({ queryKey: ['myPayments'] });
+  await showInvoiceOutcome(status, invoice, paymentId);
+};
+
+/**
+ * Pay Invoice Modal - checkout for one monthly invoice, with any enabled provider.
+ * The payment webhook marks the invoice paid; until then it shows as "Confirming payment".
+ */
+const PayInvoiceModal = ({ invoice, user, onClose }) => {
+  const queryClient = useQueryClient();
+
+  const handlePaid = async (paymentId) => {
+    await confirmInvoicePayment(queryClient, paymentId, invoice);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+        onClick={onClose}
+        className="absolute inset-0 bg-black/60 backdrop-blur-md"
+      />
+
+      <motion.div
+        initial={{ y: 50, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: 50, opacity: 0 }}
+        className="bg-white rounded-3xl w-full max-w-md overflow-hidden relative z-10 shadow-2xl"
+      >
+        <div className="bg-gray-900 text-white p-6 flex justify-between items-center">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-gray-800 rounded-lg">
+              <CreditCard className="text-emerald-400" size={20} />
+            </div>
+            <div>
+              <span className="font-bold text-lg block">Pay {formatMonth(invoice.month)}</span>
+              <span className="text-xs text-gray-400">Card or mobile wallet</span>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors"><X size={18} /></button>
+        </div>
+
+        <div className="p-6">
+          <div className="mb-6 p-4 bg-gray-50 rounded-2xl border border-gray-100 flex justify-between items-center">
+            <div>
+              <p className="text-xs text-gray-500 uppercase font-bold">{invoice.subject}</p>
+              <p className="font-bold text-gray-800 leading-tight">{invoice.tutorName}</p>
+              <p className="text-xs text-gray-500 mt-1">Due {formatDate(invoice.dueDate)}</p>
+            </div>
+            <p className="text-2xl font-black text-gray-800">৳{invoice.amount?.toLocaleString()}</p>
+          </div>
+
+          <PaymentCheckout
+            target={{ invoiceId: invoice._id }}
+            amount={invoice.amount}
+            submitLabel={`Pay ৳${invoice.amount?.toLocaleString()}`}
+            billingName={user?.name}
+            onPaid={handlePaid}
+          />
+
+          <p className="text-center text-xs text-gray-400 mt-6 flex items-center justify-center gap-1.5">
+            <ShieldCheck size={14} className="text-emerald-500" />
+            Your payment information is encrypted & secure.
+          </p>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+/**
+ * Monthly Fees Page (student)
+ * One invoice per ongoing tuition per month: pay open ones here, see what was paid before.
+ * `?pay=<invoiceId>` opens the checkout directly (dashboard banner, reminder notifications).
+ */
+const MonthlyFees = () => {
+  const queryClient = useQueryClient();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user } = useAuth();
+  const { invoices, openInvoices, confirmingInvoices, overdueCount, totalDue, isLoading, isError, error } = useInvoices();
+
+  // Back from a mobile wallet (the checkout modal closed when the student left)
+  usePaymentCallback((paymentId) => confirmInvoicePayment(queryClient, paymentId, null));
+
+  const payingInvoice = openInvoices.find((invoice) => invoice._id === searchParams.get('pay'));
+  const paidInvoices = invoices.filter((invoice) => invoice.displayStatus === 'paid');
+
+  const openCheckout = (invoice) => setSearchParams({ pay: invoice._id });
+  const closeCheckout = () => setSearchParams({}, { replace: true });
+
+  if (isLoading) return <Loading />;
+  if (isError) {
+    const status = error?.response?.status;
+    if (status === 401 || status === 403) return <Unauthorized />;
+    return <ServerDown />;
+  }
+
+  return (
+    <div className="bg-gray-50 min-h-screen p-4 md:p-8 pt-24 md:pt-32 pb-12">
+      <div className="max-w-5xl mx-auto space-y-8">
+
+        {/* --- HEADER & SUMMARY --- */}
+        <div className="flex flex-col md:flex-row gap-6">
+          <div className="flex-1">
+            <h1 className="text-2xl font-bold text-gray-800">Monthly Fees</h1>
+            <p className="text-gray-500 text-sm mt-1">Tuition is billed monthly for each tutor you have hired.</p>
+          </div>
+          <div className="bg-white p-5 rounded-2xl shadow-sm border border-emerald-100 flex items-center gap-4 min-w-[250px]">
+            <div className={`p-3 rounded-full ${overdueCount > 0 ? 'bg-red-50 text-red-600' : 'bg-emerald-50 text-emerald-600'}`}>
+              <Receipt size={24} />
+            </div>
+            <div>
+              <p className="text-gray-500 text-xs font-semibold uppercase tracking-wide">Currently Due</p>
+              <h3 className="text-2xl font-bold text-gray-800">৳{totalDue.toLocaleString()}</h3>
+            </div>
+          </div>
+        </div>
+
+        {overdueCount > 0 && (
+          <div className="flex items-center gap-3 bg-red-50 border border-red-100 text-red-700 rounded-xl px-5 py-4 text-sm">
+            <AlertTriangle size={18} className="shrink-0" />
+            <span>
+              {overdueCount} invoice{overdueCount > 1 ? 's are' : ' is'} overdue. Please pay to keep your classes running smoothly.
+            </span>
+          </div>
+        )}
+
+        {/* --- OPEN INVOICES --- */}
+        <section>
+          <h2 className="text-lg font-bold text-gray-800 mb-4">To Pay</h2>
+          {openInvoices.length + confirmingInvoices.length === 0 ? (
+            <div className="text-center py-12 bg-white rounded-2xl border border-dashed border-gray-300">
+              <CheckCircle className="mx-auto text-emerald-400 mb-3" size={40} />
+              <p className="text-gray-600 font-semibold">You're all paid up.</p>
+              <p className="text-sm text-gray-400 mt-1">New invoices appear at the start of each month.</p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+              {[...openInvoices, ...confirmingInvoices].map((invoice) => {
+                const status = INVOICE_STATUSES[invoice.displayStatus];
+                const isConfirming = invoice.displayStatus === 'confirming';
+                return (
+                  <div key={invoice._id} className="bg-white rounded-2xl border border-gray-100 shadow-sm p-5 flex flex-col">
+                    <div className="flex justify-between items-start mb-3">
+                      <div>
+                        <p className="text-xs font-bold text-gray-400 uppercase tracking-wide">{formatMonth(invoice.month)}</p>
+                        <h3 className="text-lg font-bold text-gray-800">{invoice.subject}</h3>
+                        <p className="text-sm text-gray-500">{invoice.tutorName}</p>
+                      </div>
+                      <span className={`text-xs font-bold px-2.5 py-1 rounded-full border ${status.className}`}>{status.label}</span>
+                    </div>
+
+                    <div className="space-y-1.5 text-sm text-gray-600 mb-5">
+                      <p className="flex items-center gap-2">
+                        <CalendarDays size={14} className="text-gray-400" /> Due {formatDate(invoice.dueDate)}
+                      </p>
+                      {invoice.attendance && (
+                        <p className="flex items-center gap-2">
+                          <ClipboardCheck size={14} className="text-gray-400" />
+                          {invoice.attendance.confirmed} of {invoice.attendance.scheduled || '—'} planned classes attended
+                        </p>
+                      )}
+                    </div>
+
+                    {isConfirming ? (
+                      <button disabled className="mt-auto w-full py-3 rounded-xl bg-gray-100 text-gray-500 font-bold flex items-center justify-center gap-2 cursor-not-allowed">
+                        <Loader2 size={16} className="animate-spin" /> Confirming payment…
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => openCheckout(invoice)}
+                        className="mt-auto w-full py-3 rounded-xl bg-emerald-600 text-white font-bold hover:bg-emerald-700 transition-colors"
+                      >
+                        Pay ৳{invoice.amount?.toLocaleString()}
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </section>
+
+        {/* --- PAID INVOICES --- */}
+        {paidInvoices.length > 0 && (
+          <section className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+            <h2 className="text-lg font-bold text-gray-800 p-5 border-b border-gray-100">Paid</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left min-w-[600px]">
+                <thead>
+                  <tr className="bg-gray-50 text-gray-500 text-xs uppercase tracking-wider">
+                    <th className="px-5 py-3 font-semibold">Month</th>
+                    <th className="px-5 py-3 font-semibold">Tutor & Subject</th>
+                    <th className="px-5 py-3 font-semibold">Amount</th>
+                    <th className="px-5 py-3 font-semibold">Paid On</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 text-sm">
+                  {paidInvoices.map((invoice) => (
+                    <tr key={invoice._id} className="hover:bg-gray-50">
+                      <td className="px-5 py-3 font-medium text-gray-700">{formatMonth(invoice.month)}</td>
+                      <td className="px-5 py-3">
+                        <p className="font-semibold text-gray-800">{invoice.tutorName}</p>
+                        <p className="text-xs text-gray-500">{invoice.subject}</p>
+                      </td>
+                      <td className="px-5 py-3 font-bold text-gray-800">৳{invoice.amount?.toLocaleString()}</td>
+                      <td className="px-5 py-3 text-gray-600">{formatDate(invoice.paidAt)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+      </div>
+
+      {/* --- CHECKOUT MODAL --- */}
+      <AnimatePresence>
+        {payingInvoice && <PayInvoiceModal invoice={payingInvoice} user={user} onClose={closeCheckout} />}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default MonthlyFees;
@@ -1,42 +1,116 @@
 import React, { useState, useMemo } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import Swal from 'sweetalert2';
 import { 
   MapPin, DollarSign, Calendar, Users, 
-  Trash2, Search, Briefcase, Plus 
+  Trash2, Search, Briefcase, Plus, Sparkles, X, Star, Pencil, RotateCcw
 } from 'lucide-react';
 
 // --- Custom Components ---
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
+import ScheduleDays from '../../../components/common/ScheduleDays';
+import { useAuth } from '../../../hooks/useAuth';
+import { tuitionsApi } from '../../../services/tuitionsApi';
+import { profileApi } from '../../../services/profileApi';
+import { withTutorMatches, MIN_MATCH_SCORE } from '../../../utils/matching';
+import { formatRating } from '../../../utils/ratings';
+import { getDashboardPath } from '../../../constants/routes';
+import { CLOSED_TUITION_STATUSES } from '../../../constants/tuitions';
 
 // --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+// Top tutors from the server's match ranking of every profile
+const SUGGESTION_LIMIT = 5;
+const DASHBOARD = getDashboardPath('student');
+
+/**
+ * Suggested Tutors Modal
+ * Best-matching tutor profiles for one tuition post, with why each one fits.
+ */
+const SuggestedTutorsModal = ({ tuition, onClose }) => {
+  const { data: suggestions = [], isLoading, isError } = useQuery({
+    queryKey: ['suggestedTutors', tuition._id],
+    queryFn: async () => {
+      const response = await profileApi.searchTutors({
+        tuitionId: tuition._id, sort: 'match', minMatch: MIN_MATCH_SCORE, page: 1, limit: SUGGESTION_LIMIT
+      });
+      return withTutorMatches(tuition, response.data || []);
+    },
+    staleTime: 5 * 60 * 1000,
+    retry: 1,
+  });
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-5 border-b border-gray-100 flex justify-between items-start">
+          <div>
+            <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+              <Sparkles size={18} className="text-emerald-600" /> Suggested Tutors
+            </h3>
+            <p className="text-sm text-gray-500">For {tuition.subject} · {tuition.class}</p>
+          </div>
+          <button onClick={onClose} className="p-1.5 rounded-full hover:bg-gray-100 text-gray-500"><X size={20} /></button>
+        </div>
+
+        <div className="p-5 overflow-y-auto space-y-3">
+          {isLoading ? (
+            <p className="text-center text-gray-400 py-8">Finding tutors...</p>
+          ) : isError ? (
+            <p className="text-center text-red-500 py-8">Could not load suggestions. Please try again later.</p>
+          ) : suggestions.length === 0 ? (
+            <p className="text-center text-gray-400 py-8">No close matches yet. Tutors who apply will still show up under applicants.</p>
+          ) : (
+            suggestions.map((tutor) => (
+              <Link
+                key={tutor._id}
+                to={`/profile/${tutor.slug}`}
+                className="flex gap-4 p-4 rounded-xl border border-gray-100 hover:border-emerald-200 hover:bg-emerald-50/30 transition-colors"
+              >
+                <img
+                  src={tutor.image || 'https://via.placeholder.com/80'}
+                  alt={tutor.user?.name}
+                  className="w-12 h-12 rounded-full object-cover shrink-0"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="font-bold text-gray-800 truncate">{tutor.user?.name || 'Tutor'}</p>
+                    <span className="text-xs font-bold text-emerald-700 bg-emerald-50 px-2 py-0.5 rounded-full shrink-0">{tutor.match.score}% match</span>
+                  </div>
+                  <p className="text-xs text-gray-500 flex items-center gap-1 mt-0.5">
+                    <Star size={12} className="text-yellow-500 fill-yellow-500" />
+                    {formatRating(tutor.averageRating, tutor.totalReviews) || 'New'} · ৳{tutor.expectedSalary || 'Negotiable'}
+                  </p>
+                  <div className="flex flex-wrap gap-1.5 mt-2">
+                    {tutor.match.reasons.map((reason) => (
+                      <span key={reason} className="text-[11px] px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">{reason}</span>
+                    ))}
+                  </div>
+                </div>
+              </Link>
+            ))
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
 
 const MyTuitions = () => {
-  const navigate = useNavigate();
   const queryClient = useQueryClient();
   const [filter, setFilter] = useState('All');
+  const [suggestionsFor, setSuggestionsFor] = useState(null);
 
-  // --- Auth & Token Setup ---
-  const { user, token } = useMemo(() => {
-    const storedUser = localStorage.getItem('user');
-    const tkn = localStorage.getItem('token');
-    
-    if (!storedUser || !tkn) {
-      navigate('/login');
-      return { user: null, token: null };
-    }
-    return { user: JSON.parse(storedUser), token: tkn };
-  }, [navigate]);
-
-  const authConfig = useMemo(() => ({
-    headers: { Authorization: `Bearer ${token}` }
-  }), [token]);
+  // --- Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
 
   // --- Data Fetching (TanStack Query) ---
   const { 
@@ -48,8 +122,8 @@ const MyTuitions = () => {
     queryKey: ['myTuitions', user?.email],
     queryFn: async () => {
       if (!user?.email || !token) return [];
-      const response = await axios.get(`${API_URL}/api/tuitions/my-tuitions`, authConfig);
-      return response.data.data; 
+      const response = await tuitionsApi.getMine();
+      return response.data; 
     },
     enabled: !!user?.email && !!token,
     retry: 1,
@@ -57,9 +131,7 @@ const MyTuitions = () => {
 
   // --- Delete Mutation ---
   const deleteMutation = useMutation({
-    mutationFn: async (id) => {
-      await axios.delete(`${API_URL}/api/tuitions/delete/${id}`, authConfig);
-    },
+    mutationFn: (id) => tuitionsApi.remove(id),
     onSuccess: () => {
       queryClient.invalidateQueries(['myTuitions']);
       Swal.fire({
@@ -210,29 +282,60 @@ const MyTuitions = () => {
                        <div className="w-8 h-8 rounded-full bg-emerald-50 flex items-center justify-center text-emerald-500 shrink-0">
                          <Briefcase size={16} />
                        </div>
-                       <span>{item.daysPerWeek}</span>
+                       <ScheduleDays tuition={item} showTime={false} />
                     </div>
                   </div>
                 </div>
 
                 {/* Card Footer (Actions) */}
                 <div className="p-4 bg-gray-50/50 border-t border-gray-100">
-                  {item.status === 'approved' ? (
+                  {CLOSED_TUITION_STATUSES.includes(item.status) ? (
                     <Link 
-                      // FIX: Assuming the path for applied tutors in the student dashboard is /student-dashboard/applied-tutors
-                      to={`/student-dashboard/applied-tutors`}
-                      className="flex items-center justify-center gap-2 w-full py-3 bg-indigo-600 text-white rounded-xl font-bold hover:bg-indigo-700 transition-colors shadow-lg shadow-indigo-100 text-sm"
+                      to={`${DASHBOARD}/post-tuition?repost=${item._id}`}
+                      className="flex items-center justify-center gap-2 w-full py-3 bg-white text-emerald-700 border border-emerald-200 rounded-xl font-bold hover:bg-emerald-50 transition-colors text-sm"
                     >
-                      <Users size={18} /> View Applicants
+                      <RotateCcw size={18} /> Repost
                     </Link>
+                  ) : item.status === 'approved' ? (
+                    <div className="flex gap-3">
+                      <Link 
+                        // FIX: Assuming the path for applied tutors in the student dashboard is /student-dashboard/applied-tutors
+                        to={`/student-dashboard/applied-tutors`}
+                        className="flex-1 flex items-center justify-center gap-2 py-3 bg-indigo-600 text-white rounded-xl font-bold hover:bg-indigo-700 transition-colors shadow-lg shadow-indigo-100 text-sm"
+                      >
+                        <Users size={18} /> View Applicants
+                      </Link>
+                      <button 
+                        onClick={() => setSuggestionsFor(item)}
+                        className="p-3 bg-white text-emerald-600 border border-emerald-100 rounded-xl hover:bg-emerald-50 hover:border-emerald-200 transition-colors shadow-sm"
+                        title="Suggested Tutors"
+                      >
+                        <Sparkles size={20} />
+                      </button>
+                      <Link 
+                        to={`${DASHBOARD}/edit-tuition/${item._id}`}
+                        className="p-3 bg-white text-gray-600 border border-gray-200 rounded-xl hover:bg-gray-50 transition-colors shadow-sm"
+                        title="Edit Post"
+                      >
+                        <Pencil size={20} />
+                      </Link>
+                    </div>
                   ) : (
                     <div className="flex gap-3">
                       <button 
                         className="flex-1 py-3 bg-gray-100 text-gray-400 rounded-xl font-semibold cursor-not-allowed flex items-center justify-center gap-2 text-sm"
                         disabled
                       >
-                         <Users size={18} /> Approval Pending
+                         <Users size={18} /> {item.status === 'rejected' ? 'Rejected' : 'Approval Pending'}
                       </button>
+
+                      <Link 
+                        to={`${DASHBOARD}/edit-tuition/${item._id}`}
+                        className="p-3 bg-white text-gray-600 border border-gray-200 rounded-xl hover:bg-gray-50 transition-colors shadow-sm"
+                        title={item.status === 'rejected' ? 'Edit & Resubmit' : 'Edit Post'}
+                      >
+                        <Pencil size={20} />
+                      </Link>
                       
                       <button 
                         onClick={() => handleDeleteClick(item._id)}
@@ -276,6 +379,13 @@ const MyTuitions = () => {
             )}
         </motion.div>
       )}
+
+      {/* --- SUGGESTED TUTORS MODAL --- */}
+      <AnimatePresence>
+        {suggestionsFor && (
+          <SuggestedTutorsModal tuition={suggestionsFor} onClose={() => setSuggestionsFor(null)} />
+        )}
+      </AnimatePresence>
     </div>
   );
 };
@@ -1,20 +1,24 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import axios from 'axios';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
+import { AnimatePresence } from 'framer-motion';
 import Swal from 'sweetalert2';
 import { 
   Calendar, Clock, CheckCircle, 
-  Edit3, Save, Star, Heart, Coffee 
+  Edit3, Save, Star, Heart, Coffee, ClipboardCheck, ShieldAlert 
 } from 'lucide-react';
 
 // --- Custom Components ---
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+import StarRating from '../../../components/common/StarRating';
+import ClassSessionsModal from '../../../components/common/ClassSessionsModal';
+import OpenDisputeModal from '../../../components/common/OpenDisputeModal';
+import { useAuth } from '../../../hooks/useAuth';
+import { ongoingTuitionsApi } from '../../../services/ongoingTuitionsApi';
+import { reviewsApi } from '../../../services/reviewsApi';
+import { ACTIVE_DISPUTE_STATUSES } from '../../../constants/disputes';
 
 const OngoingTuitions = () => {
   const navigate = useNavigate();
@@ -22,30 +26,13 @@ const OngoingTuitions = () => {
 
   // --- Local UI State ---
   const [noteModal, setNoteModal] = useState({ isOpen: false, tuitionId: null, note: '' });
+  const [reviewModal, setReviewModal] = useState({ tuition: null, rating: 0, comment: '' });
+  const [sessionsFor, setSessionsFor] = useState(null);
+  const [disputeFor, setDisputeFor] = useState(null);
 
   // --- Auth Setup ---
-  const { user, authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem('user');
-    if (!userStr) {
-      navigate('/login');
-      return { user: null, authConfig: {}, isUserValid: false };
-    }
-    
-    const userData = JSON.parse(userStr);
-    const authToken = userData.token || userData.jwtToken || localStorage.getItem('jwtToken'); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-
-    return { 
-        user: userData, 
-        authConfig: config, 
-        isUserValid: !!userData.email && !!authToken
-    };
-  }, [navigate]);
+  const { user, token } = useAuth();
+  const isUserValid = !!user?.email && !!token;
 
   // --- Data Fetching (TanStack Query) ---
   const { 
@@ -58,10 +45,10 @@ const OngoingTuitions = () => {
     queryFn: async () => {
       if (!isUserValid) return [];
       
-      const response = await axios.get(`${API_URL}/api/ongoing-tuitions/student/ongoing`, authConfig);
+      const response = await ongoingTuitionsApi.getForStudent();
       
       // Map API response to handle 'studentNote' consistency
-      return response.data.data.map(t => ({
+      return response.data.map(t => ({
         ...t, 
         myNote: t.studentNote || '' 
       }));
@@ -73,7 +60,7 @@ const OngoingTuitions = () => {
   // --- Mutation: Save Note ---
   const saveNoteMutation = useMutation({
     mutationFn: async ({ id, note }) => {
-      await axios.patch(`${API_URL}/api/ongoing-tuitions/${id}/student-note`, { note }, authConfig);
+      await ongoingTuitionsApi.saveStudentNote(id, note);
     },
     onSuccess: () => {
       queryClient.invalidateQueries(['ongoingTuitions']);
@@ -96,26 +83,41 @@ const OngoingTuitions = () => {
 
   // --- Mutation: Complete Tuition ---
   const completeMutation = useMutation({
-    mutationFn: async (id) => {
-      await axios.put(`${API_URL}/api/ongoing-tuitions/${id}/complete`, {}, authConfig);
+    mutationFn: async (tuition) => {
+      await ongoingTuitionsApi.complete(tuition._id);
     },
-    onSuccess: () => {
+    onSuccess: (_, tuition) => {
       queryClient.invalidateQueries(['ongoingTuitions']);
-      Swal.fire({
-        title: 'Course Completed! 🎊',
-        text: 'Great job on finishing this tuition!',
-        icon: 'success',
-        confirmButtonColor: '#10B981'
-      });
+      // Ask for a rating while the course is fresh in mind
+      setReviewModal({ tuition, rating: 0, comment: '' });
     },
     onError: () => {
       Swal.fire('Error', 'Failed to update status.', 'error');
     }
   });
 
+  // --- Mutation: Review Tutor ---
+  const reviewMutation = useMutation({
+    mutationFn: ({ tuition, rating, comment }) => reviewsApi.create({
+      ongoingTuitionId: tuition._id,
+      tutorId: tuition.tutorId,
+      subject: tuition.subject,
+      rating,
+      comment: comment.trim()
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['tutorReviews']);
+      closeReviewModal(true);
+    },
+    onError: (err) => {
+      Swal.fire('Error', err.response?.data?.message || 'Failed to submit your review.', 'error');
+    }
+  });
+
   // --- Handlers ---
   
-  const handleCompleteClick = (id, subject) => {
+  const handleCompleteClick = (tuition) => {
+    const { subject } = tuition;
     Swal.fire({
       title: 'All Done?',
       text: `Mark "${subject}" as finished?`,
@@ -127,7 +129,7 @@ const OngoingTuitions = () => {
       cancelButtonText: 'Not yet'
     }).then((result) => {
       if (result.isConfirmed) {
-        completeMutation.mutate(id);
+        completeMutation.mutate(tuition);
       }
     });
   };
@@ -140,6 +142,21 @@ const OngoingTuitions = () => {
     });
   };
 
+  const closeReviewModal = (reviewed = false) => {
+    setReviewModal({ tuition: null, rating: 0, comment: '' });
+    Swal.fire({
+      title: 'Course Completed! 🎊',
+      text: reviewed ? 'Thanks for rating your tutor!' : 'Great job on finishing this tuition!',
+      icon: 'success',
+      confirmButtonColor: '#10B981'
+    });
+  };
+
+  const handleSubmitReview = () => {
+    if (!reviewModal.rating) return;
+    reviewMutation.mutate(reviewModal);
+  };
+
   const handleSaveNote = () => {
     if (noteModal.tuitionId) {
       saveNoteMutation.mutate({ 
@@ -264,14 +281,36 @@ const OngoingTuitions = () => {
                 </div>
 
                 {/* Footer Buttons */}
-                <div className="p-4 pt-0 mt-auto">
+                <div className="p-4 pt-0 mt-auto space-y-2">
+                  <button
+                    onClick={() => setSessionsFor(tuition)}
+                    className="w-full bg-orange-50 text-orange-700 py-3 rounded-2xl font-bold hover:bg-orange-100 transition-colors flex items-center justify-center space-x-2 border-2 border-orange-100"
+                  >
+                    <ClipboardCheck className="w-5 h-5" />
+                    <span>Sessions & Attendance</span>
+                  </button>
                   <button
-                    onClick={() => handleCompleteClick(tuition._id, tuition.subject)}
+                    onClick={() => handleCompleteClick(tuition)}
                     className="w-full bg-gray-900 text-white py-4 rounded-2xl font-bold hover:bg-gray-800 hover:scale-[1.02] active:scale-95 transition-all flex items-center justify-center space-x-2 shadow-lg shadow-gray-200"
                   >
                     <CheckCircle className="w-5 h-5" />
                     <span>Complete Course</span>
                   </button>
+                  {ACTIVE_DISPUTE_STATUSES.includes(tuition.disputeStatus) ? (
+                    <Link
+                      to="/student-dashboard/disputes"
+                      className="w-full py-2 rounded-2xl text-sm font-bold text-red-600 bg-red-50 flex items-center justify-center gap-1.5"
+                    >
+                      <ShieldAlert className="w-4 h-4" /> Dispute in progress
+                    </Link>
+                  ) : tuition.transactionId && !tuition.disputeStatus && (
+                    <button
+                      onClick={() => setDisputeFor(tuition)}
+                      className="w-full py-2 rounded-2xl text-sm font-semibold text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors flex items-center justify-center gap-1.5"
+                    >
+                      <ShieldAlert className="w-4 h-4" /> Report a Problem
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
@@ -324,6 +363,75 @@ const OngoingTuitions = () => {
           </div>
         </div>
       )}
+
+      {/* SESSIONS MODAL */}
+      <AnimatePresence>
+        {sessionsFor && (
+          <ClassSessionsModal tuition={sessionsFor} role="student" onClose={() => setSessionsFor(null)} />
+        )}
+      </AnimatePresence>
+
+      {/* DISPUTE MODAL */}
+      <AnimatePresence>
+        {disputeFor && (
+          <OpenDisputeModal
+            payment={{ ...disputeFor, ongoingTuitionId: disputeFor._id }}
+            onClose={() => setDisputeFor(null)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* REVIEW MODAL */}
+      {reviewModal.tuition && (
+        <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center z-50 p-4 animate-in fade-in duration-200">
+          <div className="bg-white rounded-[2rem] shadow-2xl max-w-lg w-full p-8 transform scale-100">
+            <div className="text-center mb-6">
+              <div className="w-14 h-14 bg-yellow-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Star className="w-7 h-7 text-yellow-500 fill-yellow-400" />
+              </div>
+              <h3 className="text-2xl font-black text-gray-800">How was {reviewModal.tuition.tutorName}?</h3>
+              <p className="text-gray-500 text-sm mt-1">Your review helps other students pick the right tutor</p>
+            </div>
+
+            <div className="flex justify-center mb-6">
+              <StarRating
+                rating={reviewModal.rating}
+                size={36}
+                onChange={(rating) => setReviewModal({ ...reviewModal, rating })}
+              />
+            </div>
+
+            <textarea
+              value={reviewModal.comment}
+              onChange={(e) => setReviewModal({ ...reviewModal, comment: e.target.value })}
+              placeholder="What did you like? What could be better? (optional)"
+              className="w-full h-32 p-4 bg-gray-50 rounded-2xl border-2 border-gray-100 focus:border-yellow-400 focus:outline-none resize-none text-gray-700 leading-relaxed mb-6"
+            ></textarea>
+
+            <div className="flex space-x-3">
+              <button
+                onClick={() => closeReviewModal()}
+                className="flex-1 bg-gray-100 text-gray-600 py-3 rounded-xl font-bold hover:bg-gray-200 transition-colors"
+              >
+                Maybe Later
+              </button>
+              <button
+                onClick={handleSubmitReview}
+                disabled={!reviewModal.rating || reviewMutation.isPending}
+                className="flex-1 bg-yellow-500 text-white py-3 rounded-xl font-bold hover:bg-yellow-600 transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                {reviewMutation.isPending ? (
+                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                ) : (
+                  <>
+                    <Star className="w-5 h-5" /> Submit Review
+                  </>
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,48 +1,30 @@
 import React, { useState, useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import axios from 'axios';
-import { motion } from 'framer-motion';
-import { useNavigate } from 'react-router-dom';
-import Swal from 'sweetalert2';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Link, useNavigate } from 'react-router-dom';
 import { 
   Search, Download, CreditCard, Calendar, 
-  CheckCircle, FileText, ArrowUpRight, Filter 
+  CheckCircle, FileText, ArrowUpRight, Filter, Hourglass, ShieldAlert 
 } from 'lucide-react';
 
 // --- Custom Components ---
 import Loading from '../../../components/common/Loading';
+import InvoiceButton from '../../../components/common/InvoiceButton';
+import OpenDisputeModal from '../../../components/common/OpenDisputeModal';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+import { useAuth } from '../../../hooks/useAuth';
+import { paymentsApi } from '../../../services/paymentsApi';
+import { PAYMENT_STATUSES, PENDING_RECONCILIATION, getPaymentStatus, canDisputePayment } from '../../../constants/payments';
 
 const PaymentHistory = () => {
   const navigate = useNavigate();
   const [searchTerm, setSearchTerm] = useState('');
+  const [disputeFor, setDisputeFor] = useState(null);
 
   // --- 1. User Authentication Check & Setup ---
-  const { user, authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) {
-      return { user: null, authConfig: {}, isUserValid: false };
-    }
-    
-    const userData = JSON.parse(userStr);
-    const authToken = userData.token || userData.jwtToken || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-
-    return { 
-        user: userData, 
-        authConfig: config, 
-        isUserValid: !!userData.email && !!authToken
-    };
-  }, []);
+  const { user, token } = useAuth();
+  const isUserValid = !!user?.email && !!token;
 
   // --- Handle Redirect if not logged in ---
   if (!isUserValid) {
@@ -64,8 +46,8 @@ const PaymentHistory = () => {
       const studentEmail = user.email;
       
       // Assuming backend needs email as query parameter for specificity
-      const response = await axios.get(`${API_URL}/api/payment/my-payments?email=${studentEmail}`, authConfig);
-      return response.data.data;
+      const response = await paymentsApi.getMine(studentEmail);
+      return response.data;
     },
     enabled: isUserValid, 
     retry: 1
@@ -102,15 +84,6 @@ const PaymentHistory = () => {
     });
   };
 
-  const handleDownloadInvoice = (transactionId) => {
-    Swal.fire({
-      icon: 'info',
-      title: 'Invoice Generation',
-      text: `Invoice for ${transactionId?.substring(0, 8) || 'N/A'}... is being generated. This feature is coming soon!`,
-      confirmButtonColor: '#10B981',
-    });
-  };
-
   // --- 5. Conditional Rendering ---
 
   if (isLoading) return <Loading />;
@@ -182,7 +155,7 @@ const PaymentHistory = () => {
                 <th className="px-6 py-4 font-semibold">Date & Time</th>
                 <th className="px-6 py-4 font-semibold">Amount</th>
                 <th className="px-6 py-4 font-semibold">Status</th>
-                <th className="px-6 py-4 font-semibold text-right">Invoice</th>
+                <th className="px-6 py-4 font-semibold text-right">Actions</th>
               </tr>
             </thead>
             <tbody className="divide-y divide-gray-100">
@@ -233,20 +206,38 @@ const PaymentHistory = () => {
 
                     {/* Status */}
                     <td className="px-6 py-4">
-                      <span className="inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-bold bg-emerald-100 text-emerald-700 border border-emerald-200">
-                        <CheckCircle size={12} /> {item.paymentStatus || "Paid"}
+                      <span className={`inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-bold border ${PAYMENT_STATUSES[getPaymentStatus(item)].className}`}>
+                        {getPaymentStatus(item) === PENDING_RECONCILIATION ? <Hourglass size={12} /> : <CheckCircle size={12} />}
+                        {PAYMENT_STATUSES[getPaymentStatus(item)].label}
                       </span>
                     </td>
 
-                    {/* Action (Invoice) */}
-                    <td className="px-6 py-4 text-right">
-                      <button 
-                        onClick={() => handleDownloadInvoice(item.transactionId)}
+                    {/* Actions (Dispute, Invoice) */}
+                    <td className="px-6 py-4 text-right whitespace-nowrap">
+                      {canDisputePayment(item) && (
+                        <button
+                          onClick={() => setDisputeFor(item)}
+                          className="text-gray-400 hover:text-red-600 transition-colors p-2 hover:bg-red-50 rounded-lg"
+                          title="Report a Problem"
+                        >
+                          <ShieldAlert size={18} />
+                        </button>
+                      )}
+                      {getPaymentStatus(item) === 'disputed' && (
+                        <Link
+                          to="/student-dashboard/disputes"
+                          className="inline-flex text-red-500 hover:text-red-700 transition-colors p-2 hover:bg-red-50 rounded-lg align-middle"
+                          title="View Dispute"
+                        >
+                          <ShieldAlert size={18} />
+                        </Link>
+                      )}
+                      <InvoiceButton 
+                        transactionId={item.transactionId}
                         className="text-gray-400 hover:text-emerald-600 transition-colors p-2 hover:bg-emerald-50 rounded-lg" 
-                        title="Download Invoice"
                       >
                         <Download size={18} />
-                      </button>
+                      </InvoiceButton>
                     </td>
 
                   </tr>
@@ -263,6 +254,16 @@ const PaymentHistory = () => {
           </table>
         </div>
       </motion.div>
+
+      {/* --- DISPUTE MODAL --- */}
+      <AnimatePresence>
+        {disputeFor && (
+          <OpenDisputeModal
+            payment={{ ...disputeFor, subject: disputeFor.tuitionTitle || disputeFor.subject }}
+            onClose={() => setDisputeFor(null)}
+          />
+        )}
+      </AnimatePresence>
     </div>
   );
 };
@@ -1,23 +1,94 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { useMutation, useQueryClient } from '@tanstack/react-query';
-import axios from 'axios';
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { motion } from 'framer-motion';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams, Link } from 'react-router-dom';
 import Swal from 'sweetalert2';
 import { 
-  BookOpen, MapPin, DollarSign, Calendar, Clock, 
-  FileText, Send, AlertCircle, Layers 
+  BookOpen, MapPin, DollarSign, Calendar, 
+  FileText, Send, AlertCircle, Layers, Lock, Save, RotateCcw,
+  CheckCircle, ChevronLeft, ChevronRight, Trash2 
 } from 'lucide-react';
 
 // --- Custom Components ---
+import Loading from '../../../components/common/Loading';
+import WeeklySchedulePicker from '../../../components/common/WeeklySchedulePicker';
 import ServerDown from '../../common/ServerDown';
+import { useAuth } from '../../../hooks/useAuth';
+import { useFormDraft } from '../../../hooks/useFormDraft';
+import { tuitionsApi } from '../../../services/tuitionsApi';
+import { applicationsApi } from '../../../services/applicationsApi';
+import { getDashboardPath } from '../../../constants/routes';
+import {
+  CLOSED_TUITION_STATUSES, LOCKED_AFTER_APPLICATIONS, REVIEW_FIELDS,
+  APPLICANT_NOTIFY_FIELDS, TUITION_FIELD_LABELS
+} from '../../../constants/tuitions';
+import { timeAgo } from '../../../utils/formatDate';
+import { toId } from '../../../utils/helpers';
+import { validateSchedule, scheduleToLegacy, formatSchedule } from '../../../utils/schedule';
+
+const MY_TUITIONS_PATH = `${getDashboardPath('student')}/my-tuitions`;
+
+// Fields whose value differs from the saved post (compared as text, since inputs hand back strings)
+const asComparable = (value) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? ''));
+const getChangedFields = (original, next) =>
+  Object.keys(next).filter((key) => asComparable(original?.[key]) !== asComparable(next[key]));
+
+const labelFields = (fields) => fields.map((field) => TUITION_FIELD_LABELS[field] || field).join(', ');
+
+// --- Wizard Steps ---
+const WIZARD_STEPS = [
+  { key: 'academic', title: 'Academic', icon: BookOpen, fields: ['class', 'semester', 'medium', 'subject'] },
+  { key: 'schedule', title: 'Schedule', icon: Calendar, fields: ['schedule', 'genderPreference'] },
+  { key: 'location', title: 'Location', icon: MapPin, fields: ['location', 'requirements'] },
+  { key: 'budget', title: 'Budget', icon: DollarSign, fields: ['salary'] },
+  { key: 'review', title: 'Review', icon: CheckCircle, fields: [] },
+];
+
+const MIN_SALARY = 500;
+
+/**
+ * Errors for one step's fields, keyed by field name; empty when the step is complete.
+ */
+const validateStep = (stepKey, data) => {
+  const errors = {};
+
+  if (stepKey === 'academic') {
+    if (!data.class) errors.class = 'Please select a class';
+    if (data.class.includes('Diploma') && !data.semester) errors.semester = 'Please select a semester';
+    if (!data.medium) errors.medium = 'Please select a medium';
+    if (data.subject.trim().length < 2) errors.subject = 'Please list the subjects';
+  }
+  if (stepKey === 'schedule') {
+    const scheduleError = validateSchedule(data.schedule);
+    if (scheduleError) errors.schedule = scheduleError;
+  }
+  if (stepKey === 'location' && data.location.trim().length < 5) {
+    errors.location = 'Please enter the area and address';
+  }
+  if (stepKey === 'budget') {
+    const salary = Number(data.salary);
+    if (!salary) errors.salary = 'Please enter a monthly budget';
+    else if (salary < MIN_SALARY) errors.salary = `Budget should be at least ৳${MIN_SALARY}`;
+  }
+
+  return errors;
+};
 
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+const FieldError = ({ message }) => (message ? <p className="text-xs text-red-500">{message}</p> : null);
 
+/**
+ * Post Tuition Page
+ * One form, three modes: new post, `edit-tuition/:id` (owner edit) and `post-tuition?repost=<id>`
+ * (a fresh copy of a closed post).
+ */
 const PostTuition = () => {
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const { id: editId } = useParams();
+  const [searchParams] = useSearchParams();
+  const repostId = searchParams.get('repost');
+  const isEditMode = !!editId;
+  const sourceId = editId || repostId;
 
   // --- 1. Form State ---
   const initialFormState = {
@@ -26,36 +97,74 @@ const PostTuition = () => {
     semester: '',
     medium: 'Bangla Medium',
     salary: '',
-    daysPerWeek: '',
+    schedule: [],
     genderPreference: 'Any',
     location: '',
-    time: '',
     requirements: ''
   };
   const [formData, setFormData] = useState(initialFormState);
+  const [step, setStep] = useState(0);
+  const [errors, setErrors] = useState({});
+  const currentStep = WIZARD_STEPS[step];
+  const isLastStep = step === WIZARD_STEPS.length - 1;
 
   // --- 2. User Authentication Check & Token Retrieval ---
-  const { user, authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem('user');
-    if (!userStr) {
-      return { user: null, authConfig: {}, isUserValid: false };
-    }
-
-    const userData = JSON.parse(userStr);
-    const authToken = userData.token || userData.jwtToken || localStorage.getItem('jwtToken'); 
-    
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
+  const { user, token } = useAuth();
+  const isUserValid = !!user?.email && !!token;
+
+  // --- 2b. Source Post (edit / repost) ---
+  const { data: sourceTuition, isLoading: loadingSource, isError: isSourceError } = useQuery({
+    queryKey: ['tuition', sourceId],
+    queryFn: () => tuitionsApi.getById(sourceId),
+    select: (response) => response.data,
+    enabled: !!sourceId && isUserValid,
+    retry: 1,
+  });
 
-    return { 
-        user: userData, 
-        authConfig: config, 
-        isUserValid: !!userData.email && !!authToken
-    };
-  }, []);
+  // Applicants decide which fields stay editable
+  const { data: applications = [] } = useQuery({
+    queryKey: ['myApplications', user?.email],
+    queryFn: async () => {
+      const res = await applicationsApi.getForStudent();
+      return res.data || [];
+    },
+    enabled: isEditMode && isUserValid,
+    retry: 1,
+  });
+  const applicantCount = isEditMode ? applications.filter((app) => toId(app.tuitionId) === editId).length : 0;
+  const isLocked = (field) => applicantCount > 0 && LOCKED_AFTER_APPLICATIONS.includes(field);
+
+  // Seed the form once the source post arrives
+  const [seededFrom, setSeededFrom] = useState(null);
+  if (sourceTuition && seededFrom !== sourceTuition._id) {
+    setSeededFrom(sourceTuition._id);
+    setFormData(Object.fromEntries(
+      Object.keys(initialFormState).map((key) => [key, sourceTuition[key] ?? initialFormState[key]])
+    ));
+  }
+
+  // --- 2c. Draft Autosave (new posts only) ---
+  const { draft, isReady: isDraftReady, savedAt, saveDraft, clearDraft } = useFormDraft('tuition', { enabled: !sourceId });
+
+  // Restore once, e.g. after the session expired mid-form and the user logged back in
+  const [draftChecked, setDraftChecked] = useState(false);
+  const [restoredAt, setRestoredAt] = useState(null);
+  if (!sourceId && isDraftReady && !draftChecked) {
+    setDraftChecked(true);
+    if (draft?.data) {
+      setFormData({ ...initialFormState, ...draft.data });
+      setStep(Math.min(draft.step || 0, WIZARD_STEPS.length - 1));
+      setRestoredAt(draft.updatedAt);
+    }
+  }
+
+  const handleDiscardDraft = () => {
+    clearDraft();
+    setFormData(initialFormState);
+    setStep(0);
+    setErrors({});
+    setRestoredAt(null);
+  };
 
   // Redirect if not logged in
   useEffect(() => {
@@ -67,13 +176,13 @@ const PostTuition = () => {
 
   // --- 3. Mutation for Form Submission ---
   const mutation = useMutation({
-    mutationFn: async (payload) => {
-      const response = await axios.post(`${API_URL}/api/tuitions/create`, payload, authConfig);
-      return response.data;
-    },
+    mutationFn: tuitionsApi.create,
     onSuccess: () => {
-      queryClient.invalidateQueries(['myTuitions']);
+      queryClient.invalidateQueries({ queryKey: ['myTuitions'] });
+      clearDraft();
       setFormData(initialFormState);
+      setStep(0);
+      setRestoredAt(null);
 
       Swal.fire({
         title: 'Success!',
@@ -86,7 +195,7 @@ const PostTuition = () => {
         cancelButtonColor: '#6B7280',
       }).then((result) => {
         if (result.isConfirmed) {
-          navigate('/dashboard/my-tuitions');
+          navigate(MY_TUITIONS_PATH);
         }
       });
     },
@@ -94,11 +203,8 @@ const PostTuition = () => {
       const status = error.response?.status;
       let errorMessage = error.response?.data?.message || "Something went wrong.";
 
-      if (status === 401 || status === 403) {
-        errorMessage = "Session expired or unauthorized. Please log in again.";
-        localStorage.removeItem('user');
-        navigate('/login');
-      }
+      // A 401 has already ended the session in the API client
+      if (status === 401) return;
 
       Swal.fire({
         icon: 'error',
@@ -109,15 +215,122 @@ const PostTuition = () => {
     }
   });
 
+  // --- 3b. Mutation for Edits ---
+  const editMutation = useMutation({
+    mutationFn: ({ id, payload }) => tuitionsApi.edit(id, payload),
+    onSuccess: (response, { needsReview }) => {
+      queryClient.invalidateQueries({ queryKey: ['myTuitions'] });
+      queryClient.invalidateQueries({ queryKey: ['tuition', editId] });
+      queryClient.invalidateQueries({ queryKey: ['browseTuitions'] });
+      queryClient.invalidateQueries({ queryKey: ['tuitions'] });
+
+      Swal.fire({
+        title: 'Changes Saved',
+        text: needsReview
+          ? 'Your post is back in review and will be visible again once an admin approves it.'
+          : response.message || 'Your tuition post has been updated.',
+        icon: 'success',
+        confirmButtonColor: '#10B981',
+      }).then(() => navigate(MY_TUITIONS_PATH));
+    },
+    onError: (error) => {
+      // A 401 has already ended the session in the API client
+      if (error.response?.status === 401) return;
+      Swal.fire({
+        icon: 'error',
+        title: 'Update Failed',
+        text: error.response?.data?.message || 'Something went wrong.',
+        confirmButtonColor: '#EF4444'
+      });
+    }
+  });
+
+  const submitEdit = async () => {
+    const changed = getChangedFields(sourceTuition, formData);
+    if (changed.length === 0) {
+      Swal.fire('No Changes', 'Nothing was changed in this post.', 'info');
+      return;
+    }
+
+    const reviewFields = changed.filter((field) => REVIEW_FIELDS.includes(field));
+    const notifyFields = applicantCount > 0 ? changed.filter((field) => APPLICANT_NOTIFY_FIELDS.includes(field)) : [];
+    const needsReview = sourceTuition.status === 'approved' && reviewFields.length > 0;
+
+    // Spell out the side effects before saving
+    const effects = [
+      needsReview && `<li>Changing <b>${labelFields(reviewFields)}</b> sends the post back to admin review and hides it until approved.</li>`,
+      notifyFields.length > 0 && `<li>${applicantCount} applicant${applicantCount > 1 ? 's' : ''} will be notified about the new <b>${labelFields(notifyFields)}</b>.</li>`,
+    ].filter(Boolean);
+
+    if (effects.length > 0) {
+      const result = await Swal.fire({
+        title: 'Save these changes?',
+        html: `<ul style="text-align:left;font-size:14px;list-style:disc;padding-left:20px">${effects.join('')}</ul>`,
+        icon: 'question',
+        showCancelButton: true,
+        confirmButtonText: 'Save Changes',
+        confirmButtonColor: '#10B981',
+      });
+      if (!result.isConfirmed) return;
+    }
+
+    const payload = Object.fromEntries(changed.map((field) => [field, formData[field]]));
+    editMutation.mutate({
+      id: editId,
+      needsReview,
+      // Keep the free-text copies in step with the structured schedule
+      payload: changed.includes('schedule') ? { ...payload, ...scheduleToLegacy(formData.schedule) } : payload,
+    });
+  };
+
   // --- 4. Handlers ---
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
+    const next = { ...formData, [name]: value };
+    setFormData(next);
+    setErrors(prev => ({ ...prev, [name]: undefined }));
+    if (!sourceId) saveDraft(next, { step });
+  };
+
+  const handleScheduleChange = (schedule) => {
+    const next = { ...formData, schedule };
+    setFormData(next);
+    setErrors(prev => ({ ...prev, schedule: undefined }));
+    if (!sourceId) saveDraft(next, { step });
+  };
+
+  const changeStep = (index) => {
+    setStep(index);
+    setErrors({});
+    if (!sourceId) saveDraft(formData, { step: index });
+  };
+
+  // Next is only allowed once the current step validates
+  const goNext = () => {
+    const stepErrors = validateStep(currentStep.key, formData);
+    if (Object.keys(stepErrors).length > 0) {
+      setErrors(stepErrors);
+      return;
+    }
+    changeStep(step + 1);
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
 
+    if (!isLastStep) {
+      goNext();
+      return;
+    }
+
+    // Final check across every step; jump back to the first one with problems
+    const invalidIndex = WIZARD_STEPS.findIndex((item) => Object.keys(validateStep(item.key, formData)).length > 0);
+    if (invalidIndex !== -1) {
+      changeStep(invalidIndex);
+      setErrors(validateStep(WIZARD_STEPS[invalidIndex].key, formData));
+      return;
+    }
+
     if (!isUserValid) {
       Swal.fire({
         icon: 'error',
@@ -127,11 +340,18 @@ const PostTuition = () => {
       return;
     }
 
+    if (isEditMode) {
+      submitEdit();
+      return;
+    }
+
     const payload = {
       ...formData,
+      ...scheduleToLegacy(formData.schedule),
       studentName: user.name, 
       studentEmail: user.email, 
-      status: 'pending'
+      status: 'pending',
+      ...(repostId && { repostedFrom: repostId })
     };
 
     mutation.mutate(payload);
@@ -143,7 +363,30 @@ const PostTuition = () => {
   // --- 6. Render Logic (Auth Guards & Server Check) ---
   if (!isUserValid) return null; 
   
-  if (mutation.error?.response?.status >= 500) return <ServerDown />;
+  if (mutation.error?.response?.status >= 500 || isSourceError) return <ServerDown />;
+
+  if (sourceId && loadingSource) return <Loading />;
+
+  // Closed posts are reposted as a copy instead of edited in place
+  if (isEditMode && CLOSED_TUITION_STATUSES.includes(sourceTuition?.status)) {
+    return (
+      <div className="bg-gray-50 min-h-screen p-4 md:p-8 pt-24 md:pt-32 pb-12">
+        <div className="max-w-xl mx-auto bg-white rounded-2xl border border-gray-100 shadow-sm p-8 text-center">
+          <Lock className="mx-auto text-gray-300 mb-4" size={40} />
+          <h2 className="text-xl font-bold text-gray-800">This tuition is closed</h2>
+          <p className="text-gray-500 mt-2">Closed posts can't be edited, but you can repost a copy to find another tutor.</p>
+          <Link
+            to={`${getDashboardPath('student')}/post-tuition?repost=${editId}`}
+            className="inline-flex items-center gap-2 mt-6 px-6 py-3 bg-emerald-600 text-white rounded-xl font-semibold hover:bg-emerald-700"
+          >
+            <RotateCcw size={18} /> Repost Tuition
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const isSubmitting = mutation.isPending || editMutation.isPending;
 
   return (
     <div className="bg-gray-50 min-h-screen p-4 md:p-8 pt-24 md:pt-32 pb-12">
@@ -152,9 +395,15 @@ const PostTuition = () => {
         
         {/* --- PAGE HEADER --- */}
         <div className="mb-8">
-          <h1 className="text-2xl md:text-3xl font-bold text-gray-800">Post a New Tuition</h1>
+          <h1 className="text-2xl md:text-3xl font-bold text-gray-800">
+            {isEditMode ? 'Edit Tuition Post' : repostId ? 'Repost Tuition' : 'Post a New Tuition'}
+          </h1>
           <p className="text-gray-500 mt-2">
-            Fill in the details below to find the perfect tutor. Your post will be reviewed by our admins.
+            {isEditMode
+              ? 'Update your post. Changes to the subject, class, location or requirements are re-checked by our admins.'
+              : repostId
+              ? 'We copied your closed post below. Adjust anything that changed, then submit it for review.'
+              : 'Fill in the details below to find the perfect tutor. Your post will be reviewed by our admins.'}
           </p>
         </div>
 
@@ -170,248 +419,349 @@ const PostTuition = () => {
             <span className="text-sm font-medium">Please provide accurate information to get the best tutors.</span>
           </div>
 
-          <form onSubmit={handleSubmit} className="p-6 md:p-8 space-y-6">
+          {restoredAt && (
+            <div className="bg-blue-50 px-6 py-3 border-b border-blue-100 flex flex-wrap items-center justify-between gap-2 text-blue-700 text-sm">
+              <span className="flex items-center gap-2"><RotateCcw size={16} /> We restored your unfinished post (last saved {timeAgo(restoredAt).toLowerCase()}).</span>
+              <button type="button" onClick={handleDiscardDraft} className="flex items-center gap-1 font-semibold hover:underline">
+                <Trash2 size={14} /> Discard draft
+              </button>
+            </div>
+          )}
+
+          {applicantCount > 0 && (
+            <div className="bg-amber-50 px-6 py-3 border-b border-amber-100 flex items-center gap-2 text-amber-700 text-sm">
+              <Lock size={16} />
+              {applicantCount} tutor{applicantCount > 1 ? 's have' : ' has'} applied, so {labelFields(LOCKED_AFTER_APPLICATIONS).toLowerCase()} can no longer change.
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} noValidate className="p-6 md:p-8 space-y-6">
             
-            {/* --- SECTION 1: ACADEMIC DETAILS --- */}
-            <div>
-              <h3 className="text-lg font-semibold text-gray-800 mb-4 border-l-4 border-emerald-500 pl-3">
-                Academic Information
-              </h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                
-                {/* Class Selection */}
-                <div className="space-y-2">
-                  <label className="text-sm font-medium text-gray-700">Class / Grade *</label>
-                  <div className="relative">
-                    <BookOpen className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
-                    <select 
-                      name="class" 
-                      required
-                      value={formData.class}
-                      onChange={handleChange}
-                      className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all bg-white"
+            {/* --- STEP INDICATOR --- */}
+            <ol className="flex items-center gap-2 overflow-x-auto no-scrollbar pb-2">
+              {WIZARD_STEPS.map((item, index) => {
+                const isDone = index < step;
+                const isCurrent = index === step;
+                return (
+                  <li key={item.key} className="flex items-center gap-2 shrink-0">
+                    <button
+                      type="button"
+                      onClick={() => isDone && changeStep(index)}
+                      disabled={!isDone}
+                      className={`flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+                        isCurrent ? 'bg-emerald-600 text-white' : isDone ? 'bg-emerald-50 text-emerald-700 hover:bg-emerald-100' : 'bg-gray-100 text-gray-400'
+                      }`}
                     >
-                      <option value="">Select Class</option>
-                      <option value="Class 1">Class 1</option>
-                      <option value="Class 5">Class 5</option>
-                      <option value="Class 8">Class 8</option>
-                      <option value="SSC / Class 9-10">SSC / Class 9-10</option>
-                      <option value="HSC / Class 11-12">HSC / Class 11-12</option>
-                      <option value="English Medium">English Medium</option>
-                      <option value="Diploma in Engineering">Diploma in Engineering</option>
-                    </select>
+                      {isDone ? <CheckCircle size={16} /> : <item.icon size={16} />} {item.title}
+                    </button>
+                    {index < WIZARD_STEPS.length - 1 && <span className="w-6 h-px bg-gray-200"></span>}
+                  </li>
+                );
+              })}
+            </ol>
+
+            {/* --- STEP 1: ACADEMIC DETAILS --- */}
+            {currentStep.key === 'academic' && (
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-4 border-l-4 border-emerald-500 pl-3">
+                  Academic Information
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                
+                  {/* Class Selection */}
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-gray-700">Class / Grade *</label>
+                    <div className="relative">
+                      <BookOpen className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+                      <select 
+                        name="class" 
+                        required
+                        disabled={isLocked('class')}
+                        value={formData.class}
+                        onChange={handleChange}
+                        className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all bg-white disabled:bg-gray-100 disabled:text-gray-500 disabled:cursor-not-allowed"
+                      >
+                        <option value="">Select Class</option>
+                        <option value="Class 1">Class 1</option>
+                        <option value="Class 5">Class 5</option>
+                        <option value="Class 8">Class 8</option>
+                        <option value="SSC / Class 9-10">SSC / Class 9-10</option>
+                        <option value="HSC / Class 11-12">HSC / Class 11-12</option>
+                        <option value="English Medium">English Medium</option>
+                        <option value="Diploma in Engineering">Diploma in Engineering</option>
+                      </select>
+                    </div>
+                    <FieldError message={errors.class} />
                   </div>
-                </div>
 
-                {/* Conditional Semester Input (For Diploma) */}
-                {isDiplomaStudent && (
-                  <motion.div 
-                    initial={{ opacity: 0, height: 0 }}
-                    animate={{ opacity: 1, height: 'auto' }}
-                    className="space-y-2"
-                  >
-                    <label className="text-sm font-medium text-gray-700">Semester *</label>
+                  {/* Conditional Semester Input (For Diploma) */}
+                  {isDiplomaStudent && (
+                    <motion.div 
+                      initial={{ opacity: 0, height: 0 }}
+                      animate={{ opacity: 1, height: 'auto' }}
+                      className="space-y-2"
+                    >
+                      <label className="text-sm font-medium text-gray-700">Semester *</label>
+                      <div className="relative">
+                        <Layers className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+                        <select 
+                          name="semester" 
+                          required={isDiplomaStudent}
+                          disabled={isLocked('semester')}
+                          value={formData.semester}
+                          onChange={handleChange}
+                          className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all bg-white disabled:bg-gray-100 disabled:text-gray-500 disabled:cursor-not-allowed"
+                        >
+                          <option value="">Select Semester</option>
+                          <option value="1st Semester">1st Semester</option>
+                          <option value="2nd Semester">2nd Semester</option>
+                          <option value="3rd Semester">3rd Semester</option>
+                          <option value="4th Semester">4th Semester</option>
+                          <option value="5th Semester">5th Semester</option>
+                          <option value="6th Semester">6th Semester</option>
+                          <option value="7th Semester">7th Semester</option>
+                          <option value="8th Semester">8th Semester</option>
+                        </select>
+                      </div>
+                      <FieldError message={errors.semester} />
+                    </motion.div>
+                  )}
+
+                  {/* Medium Selection */}
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-gray-700">Medium *</label>
                     <div className="relative">
-                      <Layers className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
                       <select 
-                        name="semester" 
-                        required={isDiplomaStudent}
-                        value={formData.semester}
+                        name="medium" 
+                        required
+                        disabled={isLocked('medium')}
+                        value={formData.medium}
                         onChange={handleChange}
-                        className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all bg-white"
+                        className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all bg-white disabled:bg-gray-100 disabled:text-gray-500 disabled:cursor-not-allowed"
                       >
-                        <option value="">Select Semester</option>
-                        <option value="1st Semester">1st Semester</option>
-                        <option value="2nd Semester">2nd Semester</option>
-                        <option value="3rd Semester">3rd Semester</option>
-                        <option value="4th Semester">4th Semester</option>
-                        <option value="5th Semester">5th Semester</option>
-                        <option value="6th Semester">6th Semester</option>
-                        <option value="7th Semester">7th Semester</option>
-                        <option value="8th Semester">8th Semester</option>
+                        <option value="Bangla Medium">Bangla Medium</option>
+                        <option value="English Medium">English Medium</option>
+                        <option value="English Version">English Version</option>
+                        <option value="Madrasa">Madrasa</option>
                       </select>
                     </div>
-                  </motion.div>
-                )}
-
-                {/* Medium Selection */}
-                <div className="space-y-2">
-                  <label className="text-sm font-medium text-gray-700">Medium *</label>
-                  <div className="relative">
-                    <select 
-                      name="medium" 
-                      required
-                      value={formData.medium}
-                      onChange={handleChange}
-                      className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all bg-white"
-                    >
-                      <option value="Bangla Medium">Bangla Medium</option>
-                      <option value="English Medium">English Medium</option>
-                      <option value="English Version">English Version</option>
-                      <option value="Madrasa">Madrasa</option>
-                    </select>
+                    <FieldError message={errors.medium} />
                   </div>
-                </div>
 
-                {/* Subjects Input */}
-                <div className={`space-y-2 ${isDiplomaStudent ? '' : 'md:col-span-2'}`}>
-                  <label className="text-sm font-medium text-gray-700">Subjects *</label>
-                  <div className="relative">
-                    <BookOpen className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
-                    <input 
-                      type="text" 
-                      name="subject"
-                      required
-                      placeholder="e.g. Math, Physics, Chemistry (All Subjects)"
-                      value={formData.subject}
-                      onChange={handleChange}
-                      className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all"
-                    />
+                  {/* Subjects Input */}
+                  <div className={`space-y-2 ${isDiplomaStudent ? '' : 'md:col-span-2'}`}>
+                    <label className="text-sm font-medium text-gray-700">Subjects *</label>
+                    <div className="relative">
+                      <BookOpen className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+                      <input 
+                        type="text" 
+                        name="subject"
+                        required
+                        disabled={isLocked('subject')}
+                        placeholder="e.g. Math, Physics, Chemistry (All Subjects)"
+                        value={formData.subject}
+                        onChange={handleChange}
+                        className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all disabled:bg-gray-100 disabled:text-gray-500 disabled:cursor-not-allowed"
+                      />
+                    </div>
+                    <FieldError message={errors.subject} />
                   </div>
                 </div>
               </div>
-            </div>
-            
-            {/* --- SECTION 2: SCHEDULE & SALARY --- */}
-            <div>
-              <h3 className="text-lg font-semibold text-gray-800 mb-4 border-l-4 border-emerald-500 pl-3 mt-4">
-                Schedule & Budget
-              </h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            )}
+
+            {/* --- STEP 2: SCHEDULE --- */}
+            {currentStep.key === 'schedule' && (
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-4 border-l-4 border-emerald-500 pl-3">
+                  Schedule & Preferences
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 
-                {/* Days Per Week */}
-                <div className="space-y-2">
-                  <label className="text-sm font-medium text-gray-700">Days per Week *</label>
-                  <div className="relative">
-                    <Calendar className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
-                    <select 
-                      name="daysPerWeek" 
-                      required
-                      value={formData.daysPerWeek}
-                      onChange={handleChange}
-                      className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all bg-white"
-                    >
-                      <option value="">Select Days</option>
-                      <option value="3 Days/Week">3 Days/Week</option>
-                      <option value="4 Days/Week">4 Days/Week</option>
-                      <option value="5 Days/Week">5 Days/Week</option>
-                      <option value="6 Days/Week">6 Days/Week</option>
-                    </select>
+                  {/* Weekly Schedule (days + time per day) */}
+                  <div className="space-y-2 md:col-span-2">
+                    <label className="text-sm font-medium text-gray-700">Weekly Schedule *</label>
+                    <p className="text-xs text-gray-400">Pick the days you want classes and the time for each day.</p>
+                    <WeeklySchedulePicker value={formData.schedule} onChange={handleScheduleChange} />
+                    <FieldError message={errors.schedule} />
                   </div>
-                </div>
 
-                {/* Salary */}
-                <div className="space-y-2">
-                  <label className="text-sm font-medium text-gray-700">Salary Budget (BDT) *</label>
-                  <div className="relative">
-                    <DollarSign className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
-                    <input 
-                      type="number" 
-                      name="salary"
-                      required
-                      placeholder="e.g. 5000"
-                      value={formData.salary}
-                      onChange={handleChange}
-                      className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all"
-                    />
+                  {/* Tutor Gender Preference */}
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-gray-700">Tutor Gender Preference</label>
+                    <div className="relative">
+                      <select 
+                        name="genderPreference" 
+                        value={formData.genderPreference}
+                        onChange={handleChange}
+                        className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all bg-white disabled:bg-gray-100 disabled:text-gray-500 disabled:cursor-not-allowed"
+                      >
+                        <option value="Any">Any Gender</option>
+                        <option value="Male">Male Only</option>
+                        <option value="Female">Female Only</option>
+                      </select>
+                    </div>
                   </div>
                 </div>
-
-                 {/* Preferred Time */}
-                 <div className="space-y-2">
-                  <label className="text-sm font-medium text-gray-700">Preferred Time</label>
-                  <div className="relative">
-                    <Clock className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
-                    <input 
-                      type="text" 
-                      name="time"
-                      placeholder="e.g. 4:00 PM - 6:00 PM"
-                      value={formData.time}
-                      onChange={handleChange}
-                      className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all"
-                    />
+              </div>
+            )}
+
+            {/* --- STEP 3: LOCATION & REQUIREMENTS --- */}
+            {currentStep.key === 'location' && (
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-4 border-l-4 border-emerald-500 pl-3">
+                  Location & Requirements
+                </h3>
+              
+                <div className="space-y-6">
+                  {/* Location Input */}
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-gray-700">Detailed Address / Location *</label>
+                    <div className="relative">
+                      <MapPin className="absolute left-3 top-3.5 text-gray-400" size={18} />
+                      <textarea 
+                        name="location"
+                        required
+                        rows="2"
+                        placeholder="e.g. House 12, Road 5, Sector 10, Uttara, Dhaka"
+                        value={formData.location}
+                        onChange={handleChange}
+                        className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all resize-none"
+                      />
+                    </div>
+                    <FieldError message={errors.location} />
                   </div>
-                </div>
 
-                {/* Tutor Gender Preference */}
-                <div className="space-y-2">
-                  <label className="text-sm font-medium text-gray-700">Tutor Gender Preference</label>
-                  <div className="relative">
-                    <select 
-                      name="genderPreference" 
-                      value={formData.genderPreference}
-                      onChange={handleChange}
-                      className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all bg-white"
-                    >
-                      <option value="Any">Any Gender</option>
-                      <option value="Male">Male Only</option>
-                      <option value="Female">Female Only</option>
-                    </select>
+                  {/* Requirements Input */}
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-gray-700">Additional Requirements</label>
+                    <div className="relative">
+                      <FileText className="absolute left-3 top-3.5 text-gray-400" size={18} />
+                      <textarea 
+                        name="requirements"
+                        rows="3"
+                        placeholder="e.g. Need a tutor from BUET/DU, must be friendly with kids..."
+                        value={formData.requirements}
+                        onChange={handleChange}
+                        className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all resize-none"
+                      />
+                    </div>
                   </div>
                 </div>
               </div>
-            </div>
-
-            {/* --- SECTION 3: LOCATION & EXTRA --- */}
-            <div>
-              <h3 className="text-lg font-semibold text-gray-800 mb-4 border-l-4 border-emerald-500 pl-3 mt-4">
-                Location & Requirements
-              </h3>
-              
-              <div className="space-y-6">
-                {/* Location Input */}
-                <div className="space-y-2">
-                  <label className="text-sm font-medium text-gray-700">Detailed Address / Location *</label>
-                  <div className="relative">
-                    <MapPin className="absolute left-3 top-3.5 text-gray-400" size={18} />
-                    <textarea 
-                      name="location"
-                      required
-                      rows="2"
-                      placeholder="e.g. House 12, Road 5, Sector 10, Uttara, Dhaka"
-                      value={formData.location}
-                      onChange={handleChange}
-                      className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all resize-none"
-                    />
+            )}
+
+            {/* --- STEP 4: BUDGET --- */}
+            {currentStep.key === 'budget' && (
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-4 border-l-4 border-emerald-500 pl-3">
+                  Budget
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  {/* Salary */}
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-gray-700">Salary Budget (BDT) *</label>
+                    <div className="relative">
+                      <DollarSign className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+                      <input 
+                        type="number" 
+                        name="salary"
+                        required
+                        placeholder="e.g. 5000"
+                        value={formData.salary}
+                        onChange={handleChange}
+                        className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all"
+                      />
+                    </div>
+                    <FieldError message={errors.salary} />
                   </div>
-                </div>
 
-                {/* Requirements Input */}
-                <div className="space-y-2">
-                  <label className="text-sm font-medium text-gray-700">Additional Requirements</label>
-                  <div className="relative">
-                    <FileText className="absolute left-3 top-3.5 text-gray-400" size={18} />
-                    <textarea 
-                      name="requirements"
-                      rows="3"
-                      placeholder="e.g. Need a tutor from BUET/DU, must be friendly with kids..."
-                      value={formData.requirements}
-                      onChange={handleChange}
-                      className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 focus:border-emerald-500 focus:ring-2 focus:ring-emerald-200 outline-none transition-all resize-none"
-                    />
-                  </div>
+                  <p className="text-sm text-gray-500 md:pt-8">
+                    Posts with a realistic monthly budget for the class and days per week get more and better applicants.
+                  </p>
                 </div>
               </div>
-            </div>
-
-            {/* --- SUBMIT BUTTON --- */}
-            <div className="pt-4">
-              <button 
-                type="submit" 
-                disabled={mutation.isPending}
-                className="w-full bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-4 rounded-xl shadow-lg shadow-emerald-200 transition-all transform active:scale-95 flex items-center justify-center gap-2 disabled:opacity-70 disabled:cursor-not-allowed"
-              >
-                {mutation.isPending ? (
-                  <>
-                     <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                     Processing...
-                  </>
-                ) : (
-                  <>
-                    <Send size={20} /> Post Tuition Now
-                  </>
-                )}
-              </button>
+            )}
+
+            {/* --- STEP 5: REVIEW --- */}
+            {currentStep.key === 'review' && (
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-4 border-l-4 border-emerald-500 pl-3">
+                  Review & Submit
+                </h3>
+                <div className="space-y-4">
+                  {WIZARD_STEPS.filter((item) => item.fields.length > 0).map((item, index) => (
+                    <div key={item.key} className="rounded-xl border border-gray-100 p-4">
+                      <div className="flex justify-between items-center mb-3">
+                        <h4 className="font-semibold text-gray-700 flex items-center gap-2">
+                          <item.icon size={16} className="text-emerald-500" /> {item.title}
+                        </h4>
+                        <button type="button" onClick={() => changeStep(index)} className="text-sm font-medium text-emerald-600 hover:underline">
+                          Edit
+                        </button>
+                      </div>
+                      <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+                        {item.fields
+                          .filter((field) => field !== 'semester' || isDiplomaStudent)
+                          .map((field) => (
+                            <div key={field} className="flex gap-2">
+                              <dt className="text-gray-400 shrink-0">{TUITION_FIELD_LABELS[field]}:</dt>
+                              <dd className="text-gray-800 font-medium break-words">
+                                {field === 'salary' && formData.salary
+                                ? `৳${formData.salary} / month`
+                                : field === 'schedule'
+                                ? formatSchedule(formData.schedule) || '—'
+                                : formData[field] || '—'}
+                              </dd>
+                            </div>
+                          ))}
+                      </dl>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {savedAt && (
+              <p className="text-xs text-gray-400 text-right">Draft saved {new Date(savedAt).toLocaleTimeString()}</p>
+            )}
+
+            {/* --- WIZARD NAVIGATION --- */}
+            <div className="pt-4 flex gap-3">
+              {step > 0 && (
+                <button 
+                  type="button" 
+                  onClick={() => changeStep(step - 1)}
+                  className="flex items-center justify-center gap-2 px-6 py-4 rounded-xl border border-gray-200 text-gray-700 font-semibold hover:bg-gray-50 transition-colors"
+                >
+                  <ChevronLeft size={20} /> Back
+                </button>
+              )}
+              {!isLastStep ? (
+                <button 
+                  type="submit" 
+                  className="flex-1 bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-4 rounded-xl shadow-lg shadow-emerald-200 transition-all flex items-center justify-center gap-2"
+                >
+                  Next: {WIZARD_STEPS[step + 1].title} <ChevronRight size={20} />
+                </button>
+              ) : (
+                <button 
+                  type="submit" 
+                  disabled={isSubmitting}
+                  className="flex-1 bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-4 rounded-xl shadow-lg shadow-emerald-200 transition-all transform active:scale-95 flex items-center justify-center gap-2 disabled:opacity-70 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? (
+                    <>
+                       <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                       Processing...
+                    </>
+                  ) : (
+                    <>
+                      {isEditMode ? <><Save size={20} /> Save Changes</> : <><Send size={20} /> {repostId ? 'Repost Tuition' : 'Post Tuition Now'}</>}
+                    </>
+                  )}
+                </button>
+              )}
             </div>
 
           </form>
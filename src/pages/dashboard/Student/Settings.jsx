@@ -1,6 +1,5 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import Swal from 'sweetalert2';
@@ -13,9 +12,8 @@ import {
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+import { useAuth } from '../../../hooks/useAuth';
+import { usersApi } from '../../../services/usersApi';
 
 const Settings = () => {
   const navigate = useNavigate();
@@ -40,27 +38,8 @@ const Settings = () => {
   });
 
   // --- 1. User Authentication Check & Token Retrieval ---
-  const { user, authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) {
-      return { user: null, authConfig: {}, isUserValid: false };
-    }
-    
-    const userData = JSON.parse(userStr);
-    const authToken = userData.token || userData.jwtToken || localStorage.getItem("jwtToken"); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-
-    return { 
-        user: userData, 
-        authConfig: config,
-        isUserValid: !!userData.email && !!authToken
-    };
-  }, []);
+  const { user, token, updateUser } = useAuth();
+  const isUserValid = !!user?.email && !!token;
 
   // --- Redirect if not logged in (Side Effect) ---
   useEffect(() => {
@@ -82,10 +61,8 @@ const Settings = () => {
     queryFn: async () => {
       if (!isUserValid) return null;
       
-      const emailQuery = user.email ? `?email=${user.email}` : '';
-
-      const response = await axios.get(`${API_URL}/api/users/profile${emailQuery}`, authConfig);
-      return response.data.data;
+      const response = await usersApi.getProfile(user.email);
+      return response.data;
     },
     enabled: isUserValid,
     retry: 1
@@ -112,13 +89,11 @@ const Settings = () => {
     mutationFn: async (data) => {
       const payload = { ...data, email: user.email }; 
       
-      const response = await axios.put(`${API_URL}/api/users/profile`, payload, authConfig);
-      return response.data;
+      return usersApi.updateProfile(payload);
     },
     onSuccess: () => {
-      // Update Local Storage for immediate UI reflection in Navbar/Sidebar
-      const currentUser = JSON.parse(localStorage.getItem("user"));
-      localStorage.setItem("user", JSON.stringify({ ...currentUser, name: formData.name }));
+      // Update shared session for immediate UI reflection in Navbar/Sidebar
+      updateUser({ name: formData.name });
       
       queryClient.invalidateQueries(['userProfile']);
     }
@@ -133,8 +108,7 @@ const Settings = () => {
         newPassword: data.new
       };
 
-      const response = await axios.put(`${API_URL}/api/users/change-password`, payload, authConfig);
-      return response.data;
+      return usersApi.changePassword(payload);
     },
     onSuccess: () => {
         setSecurityData({ current: '', new: '', confirm: '' });
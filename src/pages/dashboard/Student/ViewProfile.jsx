@@ -1,19 +1,24 @@
 import React from 'react';
 import { useParams } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion } from 'framer-motion';
 import { 
   MapPin, Star, ShieldCheck, School, BookOpen, Clock, 
-  MessageCircle, Share2, Heart, CheckCircle, 
-  Briefcase, AlertCircle, Lock
+  MessageCircle, Share2, CheckCircle, 
+  Briefcase, AlertCircle, Lock, User, CornerDownRight
 } from 'lucide-react';
 
 // --- Custom Components ---
 import ServerDown from '../../common/ServerDown';
+import StarRating from '../../../components/common/StarRating';
+import FavoriteButton from '../../../components/common/FavoriteButton';
+import { useStartChat } from '../../../hooks/useStartChat';
+import { profileApi } from '../../../services/profileApi';
+import { reviewsApi } from '../../../services/reviewsApi';
+import { formatRating } from '../../../utils/ratings';
 
 // --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+const REVIEWS_PREVIEW = 5;
 
 // --- Loading Skeleton (Local Component) ---
 const ProfileSkeleton = () => (
@@ -38,6 +43,7 @@ const ProfileSkeleton = () => (
 
 const ViewProfile = () => {
   const { slug } = useParams(); 
+  const { startChat, isStarting } = useStartChat();
 
   // --- Data Fetching (TanStack Query) ---
   const { 
@@ -48,13 +54,24 @@ const ViewProfile = () => {
   } = useQuery({
     queryKey: ['tutorProfile', slug],
     queryFn: async () => {
-      const response = await axios.get(`${API_URL}/api/profile/${slug}`);
-      return response.data.data;
+      const response = await profileApi.getBySlug(slug);
+      return response.data;
     },
     retry: 1, // Do not retry indefinitely on 404s
     enabled: !!slug,
   });
 
+  // Reviews are keyed by the tutor's user id, so they load once the profile is in
+  const tutorUserId = tutor?.user?._id;
+  const { data: reviews = [] } = useQuery({
+    queryKey: ['tutorReviews', tutorUserId],
+    queryFn: async () => {
+      const response = await reviewsApi.getForTutor(tutorUserId);
+      return response.data || [];
+    },
+    enabled: !!tutorUserId,
+  });
+
   // --- 1. Loading State ---
   if (isLoading) {
     return <ProfileSkeleton />;
@@ -85,6 +102,8 @@ const ViewProfile = () => {
   // Helper to split comma-separated strings safely
   const parseList = (str) => str ? str.split(',').map(s => s.trim()) : [];
 
+  const rating = formatRating(tutor.averageRating, tutor.totalReviews);
+
   return (
     <div className="bg-gray-50 min-h-screen pt-20 md:pt-24 pb-12 animate-fade-in-up">
       
@@ -140,7 +159,8 @@ const ViewProfile = () => {
                   <div className="flex flex-wrap justify-center md:justify-start items-center gap-4 mt-2 text-sm text-gray-500">
                     <span className="flex items-center gap-1"><MapPin size={15} /> {tutor.address || "Online"}</span>
                     <span className="flex items-center gap-1 text-yellow-600 font-bold bg-yellow-50 px-2 py-0.5 rounded-lg border border-yellow-100">
-                      <Star size={14} className="fill-yellow-600" /> New
+                      <Star size={14} className="fill-yellow-600" />
+                      {rating ? <>{rating} <span className="font-medium text-yellow-700/70">({tutor.totalReviews})</span></> : 'New'}
                     </span>
                     <span className="flex items-center gap-1"><Clock size={15} /> Joined Recently</span>
                   </div>
@@ -151,9 +171,12 @@ const ViewProfile = () => {
                   <button className="p-2.5 rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 transition-colors" title="Share Profile">
                     <Share2 size={20} />
                   </button>
-                  <button className="p-2.5 rounded-lg border border-gray-200 text-gray-600 hover:text-red-500 hover:bg-red-50 transition-colors" title="Add to Favorites">
-                    <Heart size={20} />
-                  </button>
+                  <FavoriteButton 
+                    itemType="tutor" 
+                    itemId={tutor._id} 
+                    size={20} 
+                    className="p-2.5 rounded-lg border border-gray-200 hover:bg-red-50" 
+                  />
                 </div>
               </div>
             </div>
@@ -229,6 +252,59 @@ const ViewProfile = () => {
                 </div>
               </div>
             </motion.div>
+
+            {/* Student Reviews */}
+            <motion.div 
+               initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.3 }}
+               className="bg-white rounded-xl p-6 shadow-sm border border-gray-100"
+            >
+              <div className="flex items-center justify-between mb-5">
+                <h2 className="text-lg font-bold text-gray-800 border-l-4 pl-3" style={{ borderColor: themeColor }}>Student Reviews</h2>
+                {rating && (
+                  <span className="flex items-center gap-2 text-sm text-gray-500">
+                    <StarRating rating={Number(rating)} size={14} /> {rating} · {tutor.totalReviews} review{tutor.totalReviews === 1 ? '' : 's'}
+                  </span>
+                )}
+              </div>
+
+              {reviews.length > 0 ? (
+                <div className="divide-y divide-gray-50">
+                  {reviews.slice(0, REVIEWS_PREVIEW).map((review) => (
+                    <div key={review._id} className="py-4 first:pt-0 last:pb-0 flex gap-3">
+                      <div className="w-10 h-10 rounded-full bg-gray-100 flex items-center justify-center overflow-hidden flex-shrink-0">
+                        {review.studentImage ? (
+                          <img src={review.studentImage} alt={review.studentName} className="w-full h-full object-cover" />
+                        ) : (
+                          <User className="text-gray-400" size={20} />
+                        )}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <h4 className="font-bold text-gray-800 text-sm">{review.studentName || 'Student'}</h4>
+                          <StarRating rating={review.rating} size={12} />
+                          <span className="text-xs text-gray-400">
+                            {review.createdAt ? new Date(review.createdAt).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : ''}
+                          </span>
+                        </div>
+                        {review.subject && <p className="text-xs font-medium mt-0.5" style={{ color: themeColor }}>{review.subject}</p>}
+                        {review.comment && <p className="text-sm text-gray-600 mt-2 leading-relaxed">{review.comment}</p>}
+                        {review.reply?.text && (
+                          <div className="mt-2 flex gap-2">
+                            <CornerDownRight size={14} className="text-gray-400 mt-1 flex-shrink-0" />
+                            <p className="text-sm text-gray-600 bg-gray-50 border border-gray-100 rounded-lg p-2.5">
+                              <span className="block text-xs font-bold text-gray-700 mb-0.5">Tutor's reply</span>
+                              {review.reply.text}
+                            </p>
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-400">No reviews yet. Students can rate this tutor after completing a tuition.</p>
+              )}
+            </motion.div>
           </div>
 
           {/* --- RIGHT COLUMN (SIDEBAR) --- */}
@@ -249,11 +325,12 @@ const ViewProfile = () => {
               {/* ACTION BUTTONS */}
               <div className="space-y-3 mb-6">
                  <button 
-                    className="w-full py-3.5 text-white font-bold rounded-lg shadow-md transition-all flex items-center justify-center gap-2 hover:opacity-90 transform active:scale-95"
+                    className="w-full py-3.5 text-white font-bold rounded-lg shadow-md transition-all flex items-center justify-center gap-2 hover:opacity-90 transform active:scale-95 disabled:opacity-70"
                     style={{ backgroundColor: themeColor }}
-                    onClick={() => console.log('Hire functionality to be implemented')}
+                    disabled={isStarting}
+                    onClick={() => startChat({ tutorId: tutor.user?._id, tutorName: tutor.user?.name, tutorImage: tutor.image })}
                  >
-                   <MessageCircle size={18} /> Chat to Hire
+                   <MessageCircle size={18} /> {isStarting ? 'Opening Chat...' : 'Chat to Hire'}
                  </button>
                  <button className="w-full py-3.5 bg-white border-2 border-gray-100 text-gray-700 font-bold rounded-lg transition-all hover:border-gray-300 hover:bg-gray-50">
                    Request Demo Class
@@ -1,20 +1,88 @@
 import React, { useState, useMemo } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion, AnimatePresence } from 'framer-motion';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import Swal from 'sweetalert2';
 import { 
   Search, MapPin, BookOpen, DollarSign, Clock, Filter, 
-  X, CheckCircle, Briefcase, User, Mail, Phone, Globe
+  X, CheckCircle, Briefcase, User, Mail, Phone, Globe, Layers, ArrowUpDown,
+  Bookmark, BellRing, BellOff, Trash2, Sparkles, AlertTriangle
 } from 'lucide-react';
 
 // --- Custom Components ---
 import Loading from '../../../components/common/Loading';
+import FavoriteButton from '../../../components/common/FavoriteButton';
+import ScheduleDays from '../../../components/common/ScheduleDays';
 import ServerDown from '../../common/ServerDown';
+import { useAuth } from '../../../hooks/useAuth';
+import { useUrlFilters } from '../../../hooks/useUrlFilters';
+import { useUrlFilterDraft } from '../../../hooks/useUrlFilterDraft';
+import { useTuitionSearch } from '../../../hooks/useTuitionSearch';
+import { useSavedSearches } from '../../../hooks/useSavedSearches';
+import { useTutorSchedule } from '../../../hooks/useTutorSchedule';
+import { applicationsApi } from '../../../services/applicationsApi';
+import { profileApi } from '../../../services/profileApi';
+import { withTuitionMatches, hasMatchPreferences, MIN_MATCH_SCORE } from '../../../utils/matching';
+import {
+  WEEKDAYS, TIME_OF_DAY_OPTIONS, toggleDayFilter, hasSchedule, findScheduleClashes, findUncoveredSessions, getWeekday, formatTime
+} from '../../../utils/schedule';
+import { CLASS_LEVELS, MEDIUMS } from '../../../constants/app';
+import { TUITION_SORT_OPTIONS, DEFAULT_TUITION_FILTERS } from '../../../constants/tuitions';
 
 // --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+const PAGE_SIZE = 9;
+
+const TABS = [
+  { value: 'all', label: 'All Tuitions' },
+  { value: 'recommended', label: 'Recommended' },
+];
+
+// Typed fields are debounced into the URL; selects apply immediately
+const DRAFT_KEYS = ['search', 'location', 'minSalary', 'maxSalary'];
+
+// What a saved search stores: every active filter except the sort order
+const pickSavedFilters = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([key, value]) => key !== 'sort' && value !== DEFAULT_TUITION_FILTERS[key])
+);
+
+/**
+ * Saved filter sets as chips: click to apply, with "new since last visit" counts and digest/delete actions.
+ */
+const SavedSearchesBar = ({ savedSearches, onApply, onToggleDigest, onDelete }) => {
+  if (savedSearches.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 pt-4 mt-4 border-t border-gray-100">
+      <span className="text-xs font-bold text-gray-400 uppercase tracking-wider mr-1">Saved</span>
+      {savedSearches.map((saved) => (
+        <div key={saved._id} className="group flex items-center gap-1 pl-3 pr-1 py-1 rounded-full bg-emerald-50 border border-emerald-100 text-sm">
+          <button onClick={() => onApply(saved)} className="font-medium text-emerald-700 hover:underline">
+            {saved.name}
+          </button>
+          {saved.newMatches > 0 && (
+            <span className="text-[10px] font-bold bg-emerald-600 text-white rounded-full px-1.5 py-0.5" title="New since your last visit">
+              {saved.newMatches} new
+            </span>
+          )}
+          <button
+            onClick={() => onToggleDigest(saved)}
+            className="p-1 rounded-full text-gray-400 hover:text-emerald-600 hover:bg-white"
+            title={saved.emailDigest ? 'Email digest on — click to turn off' : 'Email digest off — click to turn on'}
+          >
+            {saved.emailDigest ? <BellRing size={14} className="text-emerald-600" /> : <BellOff size={14} />}
+          </button>
+          <button
+            onClick={() => onDelete(saved)}
+            className="p-1 rounded-full text-gray-400 hover:text-red-500 hover:bg-white"
+            title="Delete saved search"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
 
 const BrowseTuitions = () => {
   const navigate = useNavigate();
@@ -22,9 +90,11 @@ const BrowseTuitions = () => {
 
   // --- Local UI State ---
   const [selectedJob, setSelectedJob] = useState(null);
-  const [searchText, setSearchText] = useState('');
-  const [locationFilter, setLocationFilter] = useState('');
-  const [classFilter, setClassFilter] = useState('');
+  const [activeTab, setActiveTab] = useState('all');
+
+  // URL-synced filters (?class=...&minSalary=...&sort=...)
+  const { filters, setFilter, setFilters, resetFilters } = useUrlFilters(DEFAULT_TUITION_FILTERS);
+  const { draft, setDraftValue, resetDraft } = useUrlFilterDraft(filters, DRAFT_KEYS, setFilters);
   
   // Application Form State
   const [applyForm, setApplyForm] = useState({
@@ -33,31 +103,25 @@ const BrowseTuitions = () => {
     experience: ''
   });
 
-  // --- 1. User Authentication Check ---
-  const { user, token } = useMemo(() => {
-    const storedUser = localStorage.getItem('user');
-    const storedToken = localStorage.getItem('token');
-    return { user: storedUser ? JSON.parse(storedUser) : null, token: storedToken };
-  }, []);
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
   
   const isTutor = user?.role === 'tutor';
+  const userId = (user?._id || user?.id)?.toString() || null;
 
   // --- 2. Data Fetching (Parallel Queries) ---
 
-  // Query A: Fetch All Approved Tuitions
+  // Query A: Approved Tuitions, filtered/sorted/paged on the server
   const { 
-    data: tuitions = [], 
+    tuitions,
+    total,
     isLoading: loadingTuitions, 
-    isError: isTuitionError 
-  } = useQuery({
-    queryKey: ['browseTuitions'],
-    queryFn: async () => {
-      const response = await axios.get(`${API_URL}/api/tuitions/all`);
-      return response.data.data.filter(item => item.status === 'approved');
-    },
-    refetchOnWindowFocus: false,
-    retry: 1
-  });
+    isError: isTuitionError,
+    isPlaceholderData,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useTuitionSearch(['browseTuitions'], { ...filters, status: 'approved' }, { limit: PAGE_SIZE });
 
   // Query B: Fetch User's Existing Applications
   const { data: myApplications = [] } = useQuery({
@@ -65,58 +129,111 @@ const BrowseTuitions = () => {
     queryFn: async () => {
       if (!isTutor || !token) return [];
       
-      const response = await axios.get(`${API_URL}/api/applications/my-applications`, {
-        headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        }
-      });
-      return response.data.data;
+      const response = await applicationsApi.getMine();
+      return response.data;
     },
     enabled: isTutor && !!token,
     retry: 1
   });
 
+  // Query C: Tutor profile + every approved post ranked by the server against it ("Recommended")
+  const { data: tutorProfile } = useQuery({
+    queryKey: ['tutorProfile', userId],
+    queryFn: () => profileApi.getMine(),
+    select: (response) => response.data,
+    enabled: isTutor && !!userId && !!token,
+    retry: 1
+  });
+
+  const canRecommend = hasMatchPreferences(tutorProfile);
+  const {
+    tuitions: rankedTuitions,
+    isLoading: loadingRecommended,
+    fetchNextPage: fetchMoreRecommended,
+    hasNextPage: hasMoreRecommended,
+    isFetchingNextPage: isFetchingMoreRecommended
+  } = useTuitionSearch(
+    ['browseTuitions', 'recommended'],
+    { status: 'approved', sort: 'match', minMatch: MIN_MATCH_SCORE },
+    { limit: PAGE_SIZE, enabled: isTutor && canRecommend && activeTab === 'recommended' }
+  );
+  const recommendedTuitions = useMemo(
+    () => withTuitionMatches(tutorProfile, rankedTuitions),
+    [tutorProfile, rankedTuitions]
+  );
+
+  // Query D: Slots already held by hired tuitions (clash warning in the apply modal)
+  const { bookedSessions } = useTutorSchedule();
+
   // Computed: List of Tuition IDs the user has already applied for
   const appliedTuitionIds = useMemo(() => {
     return myApplications.map(app => app.tuitionId);
   }, [myApplications]);
 
-  // --- 3. Optimized Filtering (useMemo) ---
-  const filteredTuitions = useMemo(() => {
-    let result = tuitions;
+  // --- 3. Filter Handlers ---
+  const handleResetFilters = () => {
+    resetFilters();
+    resetDraft(DEFAULT_TUITION_FILTERS);
+  };
 
-    if (searchText) {
-      const lowerText = searchText.toLowerCase();
-      result = result.filter(item => 
-        item.subject?.toLowerCase().includes(lowerText) || 
-        item.requirements?.toLowerCase().includes(lowerText)
-      );
-    }
+  const hasActiveFilters = Object.keys(DEFAULT_TUITION_FILTERS).some((key) => filters[key] !== DEFAULT_TUITION_FILTERS[key]);
 
-    if (locationFilter) {
-      result = result.filter(item => item.location?.toLowerCase().includes(locationFilter.toLowerCase()));
-    }
+  // --- Saved Searches ---
+  const { savedSearches, totalNewMatches, saveSearch, isSaving, updateSearch, deleteSearch, markViewed } = useSavedSearches();
 
-    if (classFilter) {
-      result = result.filter(item => item.class === classFilter);
+  const handleSaveSearch = async () => {
+    const savedFilters = pickSavedFilters(filters);
+    if (Object.keys(savedFilters).length === 0) {
+      Swal.fire('No Filters', 'Set at least one filter before saving a search.', 'info');
+      return;
     }
 
-    return result;
-  }, [searchText, locationFilter, classFilter, tuitions]);
+    const { value } = await Swal.fire({
+      title: 'Save This Search',
+      html: `
+        <input id="saved-search-name" class="swal2-input" placeholder="e.g. Math near Uttara" maxlength="60">
+        <label style="display:flex;align-items:center;justify-content:center;gap:8px;margin-top:12px;font-size:14px">
+          <input id="saved-search-digest" type="checkbox"> Also email me a daily digest of new matches
+        </label>`,
+      showCancelButton: true,
+      confirmButtonText: 'Save',
+      confirmButtonColor: '#10b981',
+      focusConfirm: false,
+      preConfirm: () => {
+        const name = document.getElementById('saved-search-name').value.trim();
+        if (!name) {
+          Swal.showValidationMessage('Please give this search a name');
+          return false;
+        }
+        return { name, emailDigest: document.getElementById('saved-search-digest').checked };
+      },
+    });
+
+    if (value) saveSearch({ ...value, filters: savedFilters });
+  };
 
-  const uniqueClasses = useMemo(() => [...new Set(tuitions.map(item => item.class))].filter(Boolean), [tuitions]);
+  const handleApplySavedSearch = (saved) => {
+    setFilters({ ...DEFAULT_TUITION_FILTERS, ...saved.filters, sort: filters.sort });
+    if (saved.newMatches > 0) markViewed(saved._id);
+  };
+
+  const handleDeleteSavedSearch = (saved) => {
+    Swal.fire({
+      title: `Delete "${saved.name}"?`,
+      text: 'You will stop getting alerts for this search.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#d33',
+      confirmButtonText: 'Delete'
+    }).then((result) => {
+      if (result.isConfirmed) deleteSearch(saved._id);
+    });
+  };
   
   // --- 4. Apply Mutation ---
   const applyMutation = useMutation({
     mutationFn: async (payload) => {
-      const response = await axios.post(`${API_URL}/api/applications/apply`, payload, {
-        headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        }
-      });
-      return response.data;
+      return applicationsApi.apply(payload);
     },
     onSuccess: () => {
       queryClient.invalidateQueries(['myApplications']);
@@ -190,6 +307,17 @@ const BrowseTuitions = () => {
     applyMutation.mutate(payload);
   };
 
+  const visibleTuitions = activeTab === 'recommended' ? recommendedTuitions : tuitions;
+  const listing = activeTab === 'recommended'
+    ? { hasMore: hasMoreRecommended, loadMore: fetchMoreRecommended, isLoadingMore: isFetchingMoreRecommended }
+    : { hasMore: hasNextPage, loadMore: fetchNextPage, isLoadingMore: isFetchingNextPage };
+
+  // Apply modal warnings: overlaps with ongoing tuitions, and sessions outside the tutor's availability
+  const jobClashes = selectedJob && hasSchedule(selectedJob) ? findScheduleClashes(selectedJob.schedule, bookedSessions) : [];
+  const jobOutsideAvailability = selectedJob && hasSchedule(selectedJob) && tutorProfile?.availabilitySchedule?.length > 0
+    ? findUncoveredSessions(selectedJob.schedule, tutorProfile.availabilitySchedule)
+    : [];
+
   // --- 6. Render Logic ---
   if (loadingTuitions) return <Loading />;
   if (isTuitionError) return <ServerDown />;
@@ -200,63 +328,218 @@ const BrowseTuitions = () => {
       {/* --- HEADER & FILTERS --- */}
       <div className="max-w-6xl mx-auto space-y-6">
         <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100">
-          <div className="mb-4">
-             <h2 className="text-2xl font-bold text-gray-800">Browse Available Tuitions</h2>
-             <p className="text-sm text-gray-500">Find and apply to the best tuition jobs near you.</p>
+          <div className="mb-4 flex flex-col sm:flex-row sm:items-start justify-between gap-3">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-800">Browse Available Tuitions</h2>
+              <p className="text-sm text-gray-500">
+                Find and apply to the best tuition jobs near you.
+                {totalNewMatches > 0 && (
+                  <span className="ml-1 font-semibold text-emerald-600">{totalNewMatches} new match{totalNewMatches > 1 ? 'es' : ''} in your saved searches.</span>
+                )}
+              </p>
+            </div>
+            {isTutor && activeTab === 'all' && (
+              <button
+                onClick={handleSaveSearch}
+                disabled={isSaving}
+                className="flex items-center gap-2 px-4 py-2 text-sm font-semibold text-emerald-700 bg-emerald-50 border border-emerald-200 rounded-xl hover:bg-emerald-100 transition-colors disabled:opacity-60 shrink-0"
+              >
+                <Bookmark size={16} /> Save Search
+              </button>
+            )}
           </div>
 
-          <div className="flex flex-col lg:flex-row gap-4">
-            {/* Search Input */}
-            <div className="flex-1 relative">
-              <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
-              <input 
-                type="text" 
-                placeholder="Search by subject or requirements..." 
-                value={searchText}
-                onChange={(e) => setSearchText(e.target.value)}
-                className="w-full pl-10 pr-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500 transition-all"
-              />
+          {/* Tabs: everything vs. scored against my profile */}
+          {isTutor && (
+            <div className="flex bg-gray-100 rounded-xl p-1 w-fit mb-4">
+              {TABS.map((tab) => (
+                <button
+                  key={tab.value}
+                  onClick={() => setActiveTab(tab.value)}
+                  className={`flex items-center gap-1.5 px-4 py-2 text-sm font-semibold rounded-lg transition-colors ${
+                    activeTab === tab.value ? 'bg-white text-emerald-700 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+                  }`}
+                >
+                  {tab.value === 'recommended' && <Sparkles size={14} />} {tab.label}
+                </button>
+              ))}
             </div>
+          )}
+
+          {activeTab === 'all' && (
+            <>
+              <div className="flex flex-col lg:flex-row gap-4">
+                {/* Search Input */}
+                <div className="flex-1 relative">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                  <input 
+                    type="text" 
+                    placeholder="Search by subject or requirements..." 
+                    value={draft.search}
+                    onChange={(e) => setDraftValue('search', e.target.value)}
+                    className="w-full pl-10 pr-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500 transition-all"
+                  />
+                </div>
 
-            {/* Location Filter */}
-            <div className="relative w-full lg:w-64">
-              <MapPin className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
-              <input 
-                type="text" 
-                placeholder="Location (e.g. Uttara)"
-                value={locationFilter}
-                onChange={(e) => setLocationFilter(e.target.value)}
-                className="w-full pl-10 pr-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500"
-              />
-            </div>
+                {/* Location Filter */}
+                <div className="relative w-full lg:w-64">
+                  <MapPin className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                  <input 
+                    type="text" 
+                    placeholder="Location (e.g. Uttara)"
+                    value={draft.location}
+                    onChange={(e) => setDraftValue('location', e.target.value)}
+                    className="w-full pl-10 pr-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                  />
+                </div>
 
-            {/* Class Filter */}
-            <div className="relative w-full lg:w-48">
-              <Filter className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
-              <select 
-                value={classFilter}
-                onChange={(e) => setClassFilter(e.target.value)}
-                className="w-full pl-10 pr-8 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500 appearance-none cursor-pointer"
-              >
-                <option value="">All Classes</option>
-                {uniqueClasses.map((cls, idx) => (
-                  <option key={idx} value={cls}>{cls}</option>
-                ))}
-              </select>
-            </div>
-          </div>
+                {/* Class Filter */}
+                <div className="relative w-full lg:w-48">
+                  <Filter className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                  <select 
+                    value={filters.class}
+                    onChange={(e) => setFilter('class', e.target.value)}
+                    className="w-full pl-10 pr-8 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500 appearance-none cursor-pointer"
+                  >
+                    <option value="">All Classes</option>
+                    {CLASS_LEVELS.map((cls) => (
+                      <option key={cls} value={cls}>{cls}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="flex flex-col lg:flex-row gap-4 mt-4">
+                {/* Medium Filter */}
+                <div className="relative w-full lg:w-56">
+                  <Layers className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                  <select 
+                    value={filters.medium}
+                    onChange={(e) => setFilter('medium', e.target.value)}
+                    className="w-full pl-10 pr-8 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500 appearance-none cursor-pointer"
+                  >
+                    <option value="">All Mediums</option>
+                    {MEDIUMS.map((medium) => (
+                      <option key={medium} value={medium}>{medium}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Salary Range */}
+                <div className="flex items-center gap-2 flex-1">
+                  <div className="relative flex-1">
+                    <DollarSign className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                    <input 
+                      type="number" min="0" placeholder="Min salary"
+                      value={draft.minSalary}
+                      onChange={(e) => setDraftValue('minSalary', e.target.value)}
+                      className="w-full pl-10 pr-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                    />
+                  </div>
+                  <span className="text-gray-400">–</span>
+                  <input 
+                    type="number" min="0" placeholder="Max salary"
+                    value={draft.maxSalary}
+                    onChange={(e) => setDraftValue('maxSalary', e.target.value)}
+                    className="flex-1 w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                  />
+                </div>
+
+                {/* Sort */}
+                <div className="relative w-full lg:w-52">
+                  <ArrowUpDown className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                  <select 
+                    value={filters.sort}
+                    onChange={(e) => setFilter('sort', e.target.value)}
+                    className="w-full pl-10 pr-8 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500 appearance-none cursor-pointer"
+                  >
+                    {TUITION_SORT_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="flex flex-col lg:flex-row lg:items-center gap-4 mt-4">
+                {/* Day Filter */}
+                <div className="flex flex-wrap items-center gap-1.5 flex-1">
+                  <span className="text-sm font-medium text-gray-500 mr-1">Days:</span>
+                  {WEEKDAYS.map((day) => {
+                    const active = filters.days.split(',').includes(day.key);
+                    return (
+                      <button
+                        key={day.key}
+                        type="button"
+                        title={day.label}
+                        onClick={() => setFilter('days', toggleDayFilter(filters.days, day.key))}
+                        className={`px-3 py-1.5 rounded-lg text-xs font-semibold border transition-colors ${
+                          active ? 'bg-emerald-600 border-emerald-600 text-white' : 'bg-gray-50 border-gray-200 text-gray-600 hover:border-emerald-300'
+                        }`}
+                      >
+                        {day.short}
+                      </button>
+                    );
+                  })}
+                </div>
+
+                {/* Time of Day Filter */}
+                <div className="relative w-full lg:w-60">
+                  <Clock className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                  <select 
+                    value={filters.timeOfDay}
+                    onChange={(e) => setFilter('timeOfDay', e.target.value)}
+                    className="w-full pl-10 pr-8 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500 appearance-none cursor-pointer"
+                  >
+                    <option value="">Any Time</option>
+                    {TIME_OF_DAY_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="flex justify-between items-center mt-4 text-sm text-gray-500">
+                <span>{total} tuition{total === 1 ? '' : 's'} found</span>
+                {hasActiveFilters && (
+                  <button onClick={handleResetFilters} className="text-emerald-600 font-semibold hover:underline">
+                    Reset Filters
+                  </button>
+                )}
+              </div>
+
+              <SavedSearchesBar 
+                savedSearches={savedSearches}
+                onApply={handleApplySavedSearch}
+                onToggleDigest={(saved) => updateSearch({ id: saved._id, emailDigest: !saved.emailDigest })}
+                onDelete={handleDeleteSavedSearch}
+              />
+            </>
+          )}
         </div>
 
         {/* --- TUITIONS GRID --- */}
-        {filteredTuitions.length === 0 ? (
+        {activeTab === 'recommended' && !canRecommend ? (
+          <div className="text-center py-20 bg-white rounded-2xl border border-dashed border-gray-300">
+            <Sparkles className="mx-auto text-gray-300 mb-3" size={48} />
+            <h3 className="text-lg font-bold text-gray-600">Tell us what you teach</h3>
+            <p className="text-gray-400">Add your preferred subjects, classes and locations to get recommendations.</p>
+            <Link to="/tutor-dashboard/profile" className="inline-block mt-5 px-6 py-2.5 bg-emerald-600 text-white rounded-xl font-semibold hover:bg-emerald-700">
+              Complete Profile
+            </Link>
+          </div>
+        ) : activeTab === 'recommended' && loadingRecommended ? (
+          <Loading />
+        ) : visibleTuitions.length === 0 ? (
           <div className="text-center py-20 bg-white rounded-2xl border border-dashed border-gray-300">
             <BookOpen className="mx-auto text-gray-300 mb-3" size={48} />
             <h3 className="text-lg font-bold text-gray-600">No tuitions found</h3>
-            <p className="text-gray-400">Try adjusting your search filters.</p>
+            <p className="text-gray-400">
+              {activeTab === 'recommended' ? 'No open posts match your profile yet. Check back soon.' : 'Try adjusting your search filters.'}
+            </p>
           </div>
         ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-2 xl:grid-cols-3 gap-6">
-            {filteredTuitions.map((job) => {
+          <div className={`grid grid-cols-1 md:grid-cols-2 lg:grid-cols-2 xl:grid-cols-3 gap-6 transition-opacity ${isPlaceholderData && activeTab === 'all' ? 'opacity-60' : ''}`}>
+            {visibleTuitions.map((job) => {
               const isApplied = appliedTuitionIds.includes(job._id);
 
               return (
@@ -277,11 +560,28 @@ const BrowseTuitions = () => {
                         </h3>
                         <p className="text-sm text-gray-500 mt-1 font-medium">Class: {job.class}</p>
                       </div>
-                      <span className="text-xs text-gray-400 flex items-center gap-1 bg-gray-50 px-2 py-1 rounded border border-gray-100 shrink-0">
-                        <Clock size={12} /> {new Date(job.createdAt).toLocaleDateString()}
-                      </span>
+                      <div className="flex items-center gap-1 shrink-0">
+                        <span className="text-xs text-gray-400 flex items-center gap-1 bg-gray-50 px-2 py-1 rounded border border-gray-100">
+                          <Clock size={12} /> {new Date(job.createdAt).toLocaleDateString()}
+                        </span>
+                        <FavoriteButton itemType="tuition" itemId={job._id} size={16} className="p-1.5 rounded-full hover:bg-red-50" />
+                      </div>
                     </div>
                     
+                    {/* Why it matched (Recommended tab) */}
+                    {job.match && (
+                      <div className="mb-4 p-3 rounded-xl bg-emerald-50/60 border border-emerald-100">
+                        <p className="flex items-center gap-1.5 text-sm font-bold text-emerald-700">
+                          <Sparkles size={14} /> {job.match.score}% match
+                        </p>
+                        <ul className="mt-1.5 flex flex-wrap gap-1.5">
+                          {job.match.reasons.map((reason) => (
+                            <li key={reason} className="text-[11px] px-2 py-0.5 rounded-full bg-white text-emerald-700 border border-emerald-100">{reason}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
                     {/* Requirements/Details */}
                     <p className="text-sm text-gray-600 mb-4 line-clamp-2">{job.requirements || 'No specific requirements listed.'}</p>
 
@@ -300,7 +600,7 @@ const BrowseTuitions = () => {
 
                       <div className="flex items-center gap-3 text-sm text-gray-600">
                         <Briefcase size={18} className="text-emerald-500 shrink-0" />
-                        <span>{job.daysPerWeek}</span>
+                        <ScheduleDays tuition={job} />
                       </div>
                     </div>
                   </div>
@@ -332,6 +632,19 @@ const BrowseTuitions = () => {
             })}
           </div>
         )}
+
+        {/* Load More (next server page) */}
+        {listing.hasMore && (
+          <div className="flex justify-center mt-10">
+            <button
+              onClick={() => listing.loadMore()}
+              disabled={listing.isLoadingMore}
+              className="px-8 py-3 bg-white border border-emerald-200 text-emerald-700 font-semibold rounded-xl hover:bg-emerald-50 transition-colors disabled:opacity-60"
+            >
+              {listing.isLoadingMore ? 'Loading...' : 'Load More'}
+            </button>
+          </div>
+        )}
       </div>
 
       {/* --- APPLY MODAL --- */}
@@ -354,6 +667,7 @@ const BrowseTuitions = () => {
                 <div>
                   <h3 className="text-xl font-bold text-gray-800">Apply for Tuition</h3>
                   <p className="text-sm text-emerald-600 font-medium mt-0.5">{selectedJob.subject} - {selectedJob.class}</p>
+                  <ScheduleDays tuition={selectedJob} className="mt-2" />
                 </div>
                 <button 
                   onClick={() => setSelectedJob(null)} 
@@ -385,6 +699,32 @@ const BrowseTuitions = () => {
                       )}
                   </div>
 
+                  {/* Schedule Warnings */}
+                  {jobClashes.length > 0 && (
+                    <div className="flex gap-3 bg-red-50 p-4 rounded-xl border border-red-100 text-sm text-red-700">
+                      <AlertTriangle size={18} className="shrink-0 mt-0.5" />
+                      <div>
+                        <p className="font-semibold">This schedule clashes with your ongoing tuitions</p>
+                        <ul className="mt-1 space-y-0.5">
+                          {jobClashes.map(({ day, second }) => (
+                            <li key={`${day}-${second.ongoingId}`}>
+                              {getWeekday(day)?.label}: {second.subject} ({formatTime(second.start)} – {formatTime(second.end)})
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    </div>
+                  )}
+                  {jobOutsideAvailability.length > 0 && (
+                    <div className="flex gap-3 bg-amber-50 p-4 rounded-xl border border-amber-100 text-sm text-amber-700">
+                      <AlertTriangle size={18} className="shrink-0 mt-0.5" />
+                      <p>
+                        Outside your weekly availability on{' '}
+                        {jobOutsideAvailability.map((session) => getWeekday(session.day)?.label).join(', ')}.
+                      </p>
+                    </div>
+                  )}
+
                   <div className="grid grid-cols-2 gap-4">
                     <div>
                       <label className="block text-sm font-semibold text-gray-700 mb-2">Expected Salary (BDT/Month)</label>
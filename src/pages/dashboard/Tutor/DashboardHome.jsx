@@ -1,7 +1,6 @@
 import React, { useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import axios from 'axios';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import { 
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer 
 } from 'recharts';
@@ -13,29 +12,14 @@ import {
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+import { useAuth } from '../../../hooks/useAuth';
+import { profileApi } from '../../../services/profileApi';
+import { useWallet } from '../../../hooks/useWallet';
 
 const DashboardHome = () => {
-  const navigate = useNavigate();
-  
-  // --- 1. User Authentication Check ---
-  const { user, userId, authToken } = useMemo(() => {
-    const userStr = localStorage.getItem("user") || localStorage.getItem("userInfo");
-    const user = userStr ? JSON.parse(userStr) : null;
-    const userId = user?._id || user?.id;
-    const authToken = user?.token || user?.jwtToken || localStorage.getItem("jwtToken");
-
-    return { user, userId, authToken };
-  }, []);
-
-  // Configure Axios with Authorization Header
-  const authConfig = useMemo(() => ({
-    headers: {
-      Authorization: authToken ? `Bearer ${authToken}` : undefined,
-    },
-  }), [authToken]);
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token: authToken } = useAuth();
+  const userId = user?._id || user?.id;
 
   // --- 2. Data Fetching (TanStack Query) ---
   const { 
@@ -48,12 +32,12 @@ const DashboardHome = () => {
     queryFn: async () => {
       if (!userId || !authToken) return null;
       // FIX: The URL is now correct, relying only on the Auth Header for user ID.
-      const response = await axios.get(`${API_URL}/api/tutor/dashboard-stats`, authConfig);
-      return response.data;
+      return profileApi.getDashboardStats();
     },
     enabled: !!userId && !!authToken, 
     retry: 1,
   });
+  const { balances } = useWallet();
 
   // --- 3. Data Processing (Memoized) ---
   const { stats, revenueData, recentApplications, userName } = useMemo(() => {
@@ -115,10 +99,6 @@ const DashboardHome = () => {
   if (isError) {
     const status = error.response?.status;
     if (status === 401 || status === 403) {
-      localStorage.removeItem("user");
-      localStorage.removeItem("userInfo");
-      localStorage.removeItem("jwtToken");
-      navigate('/login');
       return <Unauthorized />;
     }
     return <ServerDown />;
@@ -214,7 +194,9 @@ const DashboardHome = () => {
               <DollarSign size={22} />
             </div>
           </div>
-          <p className="text-xs text-gray-400 mt-4">Lifetime payout value</p>
+          <Link to="/tutor-dashboard/wallet" className="text-xs text-emerald-600 font-medium mt-4 flex items-center gap-1 hover:underline">
+            ৳ {balances.available.toLocaleString()} available to withdraw
+          </Link>
         </div>
       </div>
 
@@ -1,11 +1,10 @@
 import React, { useState, useMemo } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import axios from 'axios';
 import { 
   Search, Filter, Trash2, AlertCircle, Clock, MapPin, 
   RefreshCw, CheckCircle, Info, Layers, X, DollarSign
 } from 'lucide-react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import Swal from 'sweetalert2';
 import { motion, AnimatePresence } from 'framer-motion';
 
@@ -13,35 +12,18 @@ import { motion, AnimatePresence } from 'framer-motion';
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+import { useAuth } from '../../../hooks/useAuth';
+import { applicationsApi } from '../../../services/applicationsApi';
 
 const MyApplications = () => {
-  const navigate = useNavigate();
   const queryClient = useQueryClient();
 
   // --- Local UI State ---
   const [filterStatus, setFilterStatus] = useState('All');
   const [searchTerm, setSearchTerm] = useState('');
 
-  // --- 1. User Authentication Check ---
-  const { user, token } = useMemo(() => {
-    const userStr = localStorage.getItem('user');
-    const tokenStr = localStorage.getItem('token');
-    
-    if (!userStr || !tokenStr) {
-      navigate('/login'); 
-      return { user: null, token: null };
-    }
-    
-    return { user: JSON.parse(userStr), token: tokenStr };
-  }, [navigate]);
-  
-  const authHeaders = useMemo(() => ({
-    'Authorization': `Bearer ${token}`,
-    'Content-Type': 'application/json'
-  }), [token]);
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
 
   // --- 2. Data Fetching (TanStack Query) ---
   const { 
@@ -55,27 +37,16 @@ const MyApplications = () => {
     queryFn: async () => {
       if (!user?.email || !token) return [];
       
-      const response = await axios.get(
-        `${API_URL}/api/applications/my-applications`, 
-        { headers: authHeaders }
-      );
-      
-      return response.data.data;
+      const response = await applicationsApi.getMine();
+      return response.data;
     },
     enabled: !!user?.email && !!token,
-    onError: (err) => {
-      if (err.response?.status === 401 || err.response?.status === 403) {
-        localStorage.removeItem('user');
-        localStorage.removeItem('token');
-        navigate('/login');
-      }
-    }
   });
 
   // --- 3. Withdraw Mutation ---
   const withdrawMutation = useMutation({
     mutationFn: async (id) => {
-      await axios.delete(`${API_URL}/api/applications/withdraw/${id}`, { headers: authHeaders });
+      await applicationsApi.withdraw(id);
     },
     onSuccess: () => {
       queryClient.invalidateQueries(['myApplications']);
@@ -1,22 +1,24 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import axios from 'axios';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import Swal from 'sweetalert2';
 import { 
   Users, MapPin, Calendar, BookOpen, 
   MessageCircle, Edit3, Save, 
-  DollarSign, X 
+  DollarSign, X, CalendarDays, ClipboardCheck 
 } from 'lucide-react';
 
 // --- Custom Components ---
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
+import ScheduleDays from '../../../components/common/ScheduleDays';
+import WeeklyCalendar from '../../../components/common/WeeklyCalendar';
+import ClassSessionsModal from '../../../components/common/ClassSessionsModal';
+import { useAuth } from '../../../hooks/useAuth';
+import { ongoingTuitionsApi } from '../../../services/ongoingTuitionsApi';
+import { hasSchedule, describeSchedule, getBookedSessions } from '../../../utils/schedule';
 
 export default function TutorOngoingTuitions() {
   const navigate = useNavigate();
@@ -26,29 +28,11 @@ export default function TutorOngoingTuitions() {
   const [showNoteModal, setShowNoteModal] = useState(false);
   const [selectedStudent, setSelectedStudent] = useState(null);
   const [tutorNoteInput, setTutorNoteInput] = useState('');
+  const [sessionsFor, setSessionsFor] = useState(null);
 
-  // --- 1. User Authentication Check & Setup ---
-  const { user, authConfig, isUserValid } = useMemo(() => {
-    const userStr = localStorage.getItem('user');
-    if (!userStr) {
-      return { user: null, authConfig: {}, isUserValid: false };
-    }
-
-    const userData = JSON.parse(userStr);
-    const authToken = userData.token || userData.jwtToken || localStorage.getItem('jwtToken'); 
-
-    const config = {
-      headers: {
-        Authorization: authToken ? `Bearer ${authToken}` : undefined,
-      },
-    };
-
-    return { 
-        user: userData, 
-        authConfig: config, 
-        isUserValid: !!userData._id && !!authToken
-    };
-  }, []);
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
+  const isUserValid = !!user?._id && !!token;
   
   // Handle invalid user state
   if (!isUserValid) {
@@ -66,8 +50,8 @@ export default function TutorOngoingTuitions() {
   } = useQuery({
     queryKey: ['tutorStudents', user?._id],
     queryFn: async () => {
-      const response = await axios.get(`${API_URL}/api/ongoing-tuitions/tutor/students?tutorId=${user._id}`, authConfig);
-      return response.data.data;
+      const response = await ongoingTuitionsApi.getForTutor(user._id);
+      return response.data;
     },
     enabled: isUserValid, 
     retry: 1
@@ -76,7 +60,7 @@ export default function TutorOngoingTuitions() {
   // --- 3. Mutation: Save Tutor Note ---
   const saveNoteMutation = useMutation({
     mutationFn: async ({ id, note }) => {
-      await axios.patch(`${API_URL}/api/ongoing-tuitions/${id}/tutor-note`, { note }, authConfig);
+      await ongoingTuitionsApi.saveTutorNote(id, note);
     },
     onSuccess: () => {
       queryClient.invalidateQueries(['tutorStudents']);
@@ -118,6 +102,8 @@ export default function TutorOngoingTuitions() {
     return status.charAt(0).toUpperCase() + status.slice(1);
   };
 
+  const bookedSessions = getBookedSessions(students);
+
   // --- 5. Conditional Rendering ---
   if (isLoading) return <Loading />;
 
@@ -143,6 +129,16 @@ export default function TutorOngoingTuitions() {
           </div>
         </div>
 
+        {/* --- Weekly Schedule --- */}
+        {bookedSessions.length > 0 && (
+          <div className="bg-white rounded-2xl p-6 shadow-sm border border-gray-100 mb-8">
+            <h2 className="text-lg font-bold text-gray-800 flex items-center gap-2 mb-4">
+              <CalendarDays size={20} className="text-emerald-600" /> This Week
+            </h2>
+            <WeeklyCalendar booked={bookedSessions} />
+          </div>
+        )}
+
         {/* --- Student List Grid --- */}
         {students.length === 0 ? (
           <motion.div 
@@ -195,13 +191,15 @@ export default function TutorOngoingTuitions() {
                       <MapPin size={14}/> {student.location || 'Online'}
                     </span>
                     <span className="bg-gray-50 text-gray-600 px-3 py-1 rounded-lg text-sm flex items-center gap-1 border border-gray-100">
-                      <Calendar size={14}/> {student.daysPerWeek || '3'} Days/Week
+                      <Calendar size={14}/> {hasSchedule(student) ? describeSchedule(student).days : `${student.daysPerWeek || '3'} Days/Week`}
                     </span>
                     <span className="bg-blue-50 text-blue-600 px-3 py-1 rounded-lg text-sm flex items-center gap-1 font-semibold border border-blue-100">
                       <DollarSign size={14}/> Paid: ৳{student.amount}
                     </span>
                   </div>
 
+                  {hasSchedule(student) && <ScheduleDays tuition={student} className="-mt-3 mb-6" />}
+
                   {/* Communication Section */}
                   <div className="bg-gray-50 rounded-xl p-4 border border-gray-100">
                     <div className="flex justify-between items-center mb-3">
@@ -233,6 +231,13 @@ export default function TutorOngoingTuitions() {
                     </div>
                   </div>
 
+                  <button
+                    onClick={() => setSessionsFor(student)}
+                    className="mt-4 w-full flex items-center justify-center gap-2 py-2.5 rounded-xl border border-emerald-200 text-emerald-700 text-sm font-semibold hover:bg-emerald-50 transition-colors"
+                  >
+                    <ClipboardCheck size={16} /> Sessions & Attendance
+                  </button>
+
                 </motion.div>
               ))}
             </AnimatePresence>
@@ -311,6 +316,13 @@ export default function TutorOngoingTuitions() {
         )}
       </AnimatePresence>
 
+      {/* --- SESSIONS MODAL --- */}
+      <AnimatePresence>
+        {sessionsFor && (
+          <ClassSessionsModal tuition={sessionsFor} role="tutor" onClose={() => setSessionsFor(null)} />
+        )}
+      </AnimatePresence>
+
     </div>
   );
 }
\ No newline at end of file
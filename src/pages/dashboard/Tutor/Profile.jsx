@@ -1,83 +1,26 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import axios from 'axios';
-import { useNavigate } from 'react-router-dom';
 import Swal from 'sweetalert2';
 import { 
   User, Mail, Phone, MapPin, GraduationCap, BookOpen, 
   DollarSign, Clock, Edit2, Save, Camera, Briefcase, 
-  Palette, Image as ImageIcon, Loader 
+  Palette, Image as ImageIcon, Loader, CalendarDays, AlertTriangle 
 } from 'lucide-react';
 
 // --- Custom Components ---
 import Loading from '../../../components/common/Loading';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
-
-// --- Configuration ---
-const API_URL = import.meta.env.VITE_API_URL;
-
-// --- Custom Hooks ---
-const useAuth = (navigate) => {
-  const { user, userId, token } = useMemo(() => {
-    const userStr = localStorage.getItem("user");
-    if (!userStr) {
-      navigate("/login");
-      return { user: null, userId: null, token: null };
-    }
-    const parsedUser = JSON.parse(userStr);
-    
-    const id = parsedUser?._id || parsedUser?.id;
-    
-    return {
-        user: parsedUser, 
-        userId: id ? id.toString() : null,
-        token: parsedUser?.token 
-    };
-  }, [navigate]);
-
-  return { user, userId, token };
-};
-
-const useAxiosInterceptors = (token, navigate) => {
-    useEffect(() => {
-        const requestInterceptor = axios.interceptors.request.use(
-          (config) => {
-            if (token && !config.headers.Authorization) {
-              config.headers.Authorization = `Bearer ${token}`;
-            }
-            return config;
-          },
-          (error) => Promise.reject(error)
-        );
-    
-        const responseInterceptor = axios.interceptors.response.use(
-            (response) => response,
-            (error) => {
-                if (error.response) {
-                    if (error.response.status === 401 || error.response.status === 403) {
-                        console.error("Authentication Error: Session Expired/Unauthorized.");
-                        navigate("/login");
-                    } else if (error.response.status === 500) {
-                         console.error("Server Side Error 500:", error.response.data || "Unknown 500 error.");
-                    }
-                } else if (error.message.includes("Network Error")) {
-                     console.error("Network Error: Backend may be down.");
-                }
-                return Promise.reject(error);
-            }
-        );
-    
-        return () => {
-          axios.interceptors.request.eject(requestInterceptor);
-          axios.interceptors.response.eject(responseInterceptor);
-        };
-      }, [token, navigate]);
-}
+import WeeklySchedulePicker from '../../../components/common/WeeklySchedulePicker';
+import WeeklyCalendar from '../../../components/common/WeeklyCalendar';
+import { useAuth } from '../../../hooks/useAuth';
+import { useTutorSchedule } from '../../../hooks/useTutorSchedule';
+import { profileApi } from '../../../services/profileApi';
+import { formatSchedule, validateSchedule, findUncoveredSessions, getWeekday } from '../../../utils/schedule';
+import { MEDIUMS, GENDERS } from '../../../constants/app';
 
 // --- Main Component ---
 const Profile = () => {
-  const navigate = useNavigate();
   const queryClient = useQueryClient();
 
   const [isEditing, setIsEditing] = useState(false);
@@ -86,11 +29,14 @@ const Profile = () => {
     institution: '', department: '', year: '', result: '',
     experience: '', methodology: '', preferredSubjects: '',
     preferredClasses: '', preferredLocations: '', expectedSalary: '',
-    availability: '', image: '', coverPhoto: '', themeColor: '#10b981'
+    preferredMedium: '', gender: '', availability: '', availabilitySchedule: [], image: '', coverPhoto: '', themeColor: '#10b981'
   });
 
-  const { user, userId, token } = useAuth(navigate);
-  useAxiosInterceptors(token, navigate);
+  const { user, token } = useAuth();
+  const userId = (user?._id || user?.id)?.toString() || null;
+
+  // Slots held by hired tuitions, shown on the availability calendar
+  const { bookedSessions } = useTutorSchedule();
 
   const { 
     data: fetchedProfile, 
@@ -104,8 +50,7 @@ const Profile = () => {
         return Promise.reject(new Error("Authentication token is missing."));
       }
       
-      const response = await axios.get(`${API_URL}/api/profile/my-profile`); 
-      return response.data;
+      return profileApi.getMine();
     },
     enabled: !!userId && !!token,
     retry: 1, 
@@ -124,6 +69,7 @@ const Profile = () => {
         phone: backendData.user?.phone || backendData.phone || prev.phone,
         image: backendData.user?.image || backendData.image || prev.image,
         // End FIX
+        availabilitySchedule: backendData.availabilitySchedule || [],
         themeColor: backendData.themeColor || '#10b981'
       }));
     } else if (user) {
@@ -139,8 +85,7 @@ const Profile = () => {
     mutationFn: async (updatedData) => {
       if (!token) throw new Error("Authentication failed. Please log in again.");
       
-      const response = await axios.put(`${API_URL}/api/profile/update`, updatedData); 
-      return response.data;
+      return profileApi.update(updatedData);
     },
     onSuccess: (data) => {
       if (data.success) {
@@ -187,9 +132,27 @@ const Profile = () => {
       Swal.fire('Missing Information', 'Name and Phone number are required!', 'warning');
       return;
     }
-    updateMutation.mutate(profile);
+    const scheduleError = profile.availabilitySchedule.length > 0 && validateSchedule(profile.availabilitySchedule);
+    if (scheduleError) {
+      Swal.fire('Check your availability', scheduleError, 'warning');
+      return;
+    }
+    updateMutation.mutate({
+      ...profile,
+      // Keep the text summary for listings and search that still read `availability`
+      availability: profile.availabilitySchedule.length > 0 ? formatSchedule(profile.availabilitySchedule) : profile.availability,
+    });
   };
 
+  const handleAvailabilityChange = (availabilitySchedule) => {
+    setProfile(prev => ({ ...prev, availabilitySchedule }));
+  };
+
+  // Hired tuitions that fall outside the slots the tutor marked as open
+  const uncoveredSessions = profile.availabilitySchedule.length > 0
+    ? findUncoveredSessions(bookedSessions, profile.availabilitySchedule)
+    : [];
+
   if (isLoading) return <Loading />;
   
   if (isError) {
@@ -380,6 +343,32 @@ const Profile = () => {
                     )}
                   </div>
 
+                  {/* Medium & Gender (tutor search facets) */}
+                  <div className="grid grid-cols-2 gap-4">
+                     <div>
+                        <label className="text-xs font-bold text-gray-400 uppercase block">Medium</label>
+                        {isEditing ? (
+                          <select name="preferredMedium" value={profile.preferredMedium} onChange={handleChange} className="w-full border p-1 rounded text-sm mt-1 bg-white">
+                            <option value="">Any</option>
+                            {MEDIUMS.map((medium) => <option key={medium} value={medium}>{medium}</option>)}
+                          </select>
+                        ) : (
+                          <p className="font-medium text-gray-800 mt-1">{profile.preferredMedium || "Any"}</p>
+                        )}
+                     </div>
+                     <div>
+                        <label className="text-xs font-bold text-gray-400 uppercase block">Gender</label>
+                        {isEditing ? (
+                          <select name="gender" value={profile.gender} onChange={handleChange} className="w-full border p-1 rounded text-sm mt-1 bg-white">
+                            <option value="">Prefer not to say</option>
+                            {GENDERS.map((gender) => <option key={gender} value={gender}>{gender}</option>)}
+                          </select>
+                        ) : (
+                          <p className="font-medium text-gray-800 mt-1">{profile.gender || "Not set"}</p>
+                        )}
+                     </div>
+                  </div>
+
                   <div className="grid grid-cols-2 gap-4">
                      <div>
                         <label className="text-xs font-bold text-gray-400 uppercase block">Expected Salary</label>
@@ -393,13 +382,12 @@ const Profile = () => {
                      </div>
                      <div>
                         <label className="text-xs font-bold text-gray-400 uppercase block">Availability</label>
-                        {isEditing ? (
-                          <input name="availability" value={profile.availability} onChange={handleChange} className="w-full border p-1 rounded text-sm mt-1" placeholder="3 days/week" />
-                        ) : (
-                          <div className="flex items-center gap-1 mt-1 font-medium text-gray-800">
-                             <Clock size={14} className="text-blue-600" /> {profile.availability || "N/A"}
-                          </div>
-                        )}
+                        <div className="flex items-center gap-1 mt-1 font-medium text-gray-800">
+                           <Clock size={14} className="text-blue-600 shrink-0" />
+                           {profile.availabilitySchedule.length > 0
+                             ? `${new Set(profile.availabilitySchedule.map((slot) => slot.day)).size} days/week`
+                             : profile.availability || "N/A"}
+                        </div>
                      </div>
                   </div>
                 </div>
@@ -408,6 +396,31 @@ const Profile = () => {
 
             {/* --- RIGHT COLUMN --- */}
             <div className="lg:col-span-2 space-y-8">
+              <div className="bg-white">
+                <h3 className="text-xl font-bold mb-2 flex items-center gap-2" style={{ color: profile.themeColor }}>
+                  <CalendarDays size={24} /> Weekly Availability
+                </h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  {isEditing
+                    ? 'Pick the days and hours you can teach. Hired tuitions block their own slots automatically.'
+                    : 'Open slots in green, hired tuitions in blue.'}
+                </p>
+                {isEditing ? (
+                  <WeeklySchedulePicker value={profile.availabilitySchedule} onChange={handleAvailabilityChange} />
+                ) : (
+                  <WeeklyCalendar availability={profile.availabilitySchedule} booked={bookedSessions} />
+                )}
+                {uncoveredSessions.length > 0 && (
+                  <div className="mt-4 flex gap-2 text-sm text-amber-700 bg-amber-50 border border-amber-100 rounded-lg px-4 py-3">
+                    <AlertTriangle size={16} className="shrink-0 mt-0.5" />
+                    <span>
+                      Some hired tuitions fall outside your availability:{' '}
+                      {uncoveredSessions.map((session) => `${session.subject} (${getWeekday(session.day)?.short})`).join(', ')}
+                    </span>
+                  </div>
+                )}
+              </div>
+
               <div className="bg-white">
                 <h3 className="text-xl font-bold mb-5 flex items-center gap-2" style={{ color: profile.themeColor }}>
                   <GraduationCap size={24} /> Education
@@ -1,37 +1,28 @@
 import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
-import axios from 'axios';
-import { useNavigate } from 'react-router-dom';
 import { 
   AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer 
 } from 'recharts';
 import { 
   DollarSign, TrendingUp, Download, Calendar, 
-  CreditCard, Filter, FileText 
+  CreditCard, Filter, FileText, Receipt, Wallet 
 } from 'lucide-react';
 
 import Loading from '../../../components/common/Loading';
+import InvoiceButton from '../../../components/common/InvoiceButton';
 import ServerDown from '../../common/ServerDown';
 import Unauthorized from '../../common/Unauthorized';
-
-const API_URL = import.meta.env.VITE_API_URL;
+import { useAuth } from '../../../hooks/useAuth';
+import { useInvoices } from '../../../hooks/useInvoices';
+import { useWallet } from '../../../hooks/useWallet';
+import { profileApi } from '../../../services/profileApi';
+import { INVOICE_STATUSES } from '../../../constants/invoices';
+import { formatMonth } from '../../../utils/attendance';
 
 const RevenueHistory = () => {
-  const navigate = useNavigate();
-
-  // --- User and Token Retrieval ---
-  const { user, authToken } = useMemo(() => {
-    const userStr = localStorage.getItem('user') || localStorage.getItem('userInfo');
-    const user = userStr ? JSON.parse(userStr) : null;
-    
-    const token = user?.token || user?.jwtToken || localStorage.getItem('jwtToken') || localStorage.getItem('token');
-    
-    if (!user?._id || !token) {
-      return { user: null, authToken: null };
-    }
-    
-    return { user, authToken: token };
-  }, []);
+  // --- Shared Session (AuthContext) ---
+  const { user, token: authToken } = useAuth();
   
   // Data Fetching with Authentication
   const { 
@@ -46,31 +37,26 @@ const RevenueHistory = () => {
          throw new Error("Authentication context missing."); 
       }
       
-      const response = await axios.get(
-        `${API_URL}/api/revenue/${user._id}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${authToken}`, 
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      return response.data;
+      return profileApi.getRevenue(user._id);
     },
     enabled: !!user?._id && !!authToken,
     retry: 1,
-    onError: (err) => {
-      if (err.response?.status === 401 || err.response?.status === 403) {
-        localStorage.removeItem('user');
-        localStorage.removeItem('userInfo');
-        localStorage.removeItem('jwtToken');
-        localStorage.removeItem('token');
-        navigate('/login');
-      }
-    }
   });
 
+  // Monthly invoices of every student, grouped by month (newest first)
+  const { invoices } = useInvoices();
+  // What the platform kept and still holds vs. what reached the tutor
+  const { balances, commissionRate } = useWallet();
+  const invoiceMonths = useMemo(() => {
+    const groups = new Map();
+    invoices.forEach((invoice) => groups.set(invoice.month, [...(groups.get(invoice.month) || []), invoice]));
+    return [...groups].map(([month, items]) => ({
+      month,
+      items,
+      paid: items.filter((item) => item.displayStatus === 'paid').reduce((sum, item) => sum + (item.amount || 0), 0),
+      unpaid: items.filter((item) => item.displayStatus !== 'paid').reduce((sum, item) => sum + (item.amount || 0), 0),
+    }));
+  }, [invoices]);
 
   // Data Processing
   const { stats, chartData, transactions } = useMemo(() => {
@@ -170,6 +156,32 @@ const RevenueHistory = () => {
         </div>
       </div>
 
+      {/* WALLET STRIP */}
+      <div className="bg-white rounded-xl border border-gray-100 shadow-sm p-5 flex flex-wrap items-center gap-x-8 gap-y-3 text-sm">
+        <div>
+          <p className="text-gray-500">Net after {commissionRate}% commission</p>
+          <p className="font-bold text-gray-800">৳ {balances.net.toLocaleString()}</p>
+        </div>
+        <div>
+          <p className="text-gray-500">Held</p>
+          <p className="font-bold text-gray-800">৳ {balances.held.toLocaleString()}</p>
+        </div>
+        <div>
+          <p className="text-gray-500">Available</p>
+          <p className="font-bold text-emerald-600">৳ {balances.available.toLocaleString()}</p>
+        </div>
+        <div>
+          <p className="text-gray-500">Paid out</p>
+          <p className="font-bold text-gray-800">৳ {balances.paidOut.toLocaleString()}</p>
+        </div>
+        <Link
+          to="/tutor-dashboard/wallet"
+          className="ml-auto flex items-center gap-2 px-4 py-2 rounded-lg bg-emerald-50 text-emerald-700 font-semibold hover:bg-emerald-100"
+        >
+          <Wallet size={16} /> Wallet & Payouts
+        </Link>
+      </div>
+
       {/* CHART SECTION */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
         <h3 className="text-lg font-bold text-gray-800 mb-6">Income Growth (Last 6 Months)</h3>
@@ -213,6 +225,49 @@ const RevenueHistory = () => {
         </div>
       </div>
 
+      {/* MONTHLY FEES */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+        <div className="p-6 border-b border-gray-100">
+          <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+            <Receipt size={20} className="text-emerald-600" /> Monthly Fees
+          </h3>
+          <p className="text-sm text-gray-500 mt-1">Paid and outstanding tuition fees per month.</p>
+        </div>
+
+        {invoiceMonths.length === 0 ? (
+          <p className="px-6 py-8 text-center text-gray-400">No monthly invoices yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {invoiceMonths.map(({ month, items, paid, unpaid }) => (
+              <div key={month} className="px-6 py-4">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                  <p className="font-bold text-gray-800">{formatMonth(month)}</p>
+                  <p className="text-xs font-semibold">
+                    <span className="text-emerald-600">৳ {paid.toLocaleString()} paid</span>
+                    {unpaid > 0 && <span className="text-amber-600"> · ৳ {unpaid.toLocaleString()} unpaid</span>}
+                  </p>
+                </div>
+                <ul className="space-y-2">
+                  {items.map((invoice) => {
+                    const status = INVOICE_STATUSES[invoice.displayStatus];
+                    return (
+                      <li key={invoice._id} className="flex flex-wrap items-center gap-3 text-sm">
+                        <span className="flex-1 min-w-[160px]">
+                          <span className="font-semibold text-gray-700">{invoice.studentName}</span>
+                          <span className="text-gray-400"> · {invoice.subject}</span>
+                        </span>
+                        <span className="font-bold text-gray-800">৳ {invoice.amount?.toLocaleString()}</span>
+                        <span className={`px-2 py-0.5 rounded text-xs font-bold border ${status.className}`}>{status.label}</span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* TRANSACTIONS TABLE */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
         <div className="p-6 border-b border-gray-100 flex justify-between items-center">
@@ -258,9 +313,12 @@ const RevenueHistory = () => {
                     <td className="px-6 py-4 font-bold text-gray-800">৳ {trx.amount.toLocaleString()}</td>
                     <td className="px-6 py-4">{getStatusBadge(trx.paymentStatus)}</td>
                     <td className="px-6 py-4 text-right">
-                      <button className="text-emerald-600 hover:text-emerald-700 hover:bg-emerald-50 p-2 rounded-lg transition-colors" title="Download Invoice">
+                      <InvoiceButton
+                        transactionId={trx.transactionId}
+                        className="text-emerald-600 hover:text-emerald-700 hover:bg-emerald-50 p-2 rounded-lg transition-colors"
+                      >
                         <FileText size={18} />
-                      </button>
+                      </InvoiceButton>
                     </td>
                   </tr>
                 ))
@@ -1,92 +1,128 @@
-import React from 'react';
-import { 
-  Star, 
-  MessageCircle, 
-  ThumbsUp, 
-  MoreVertical, 
-  User 
+import React, { useState, useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  Star,
+  MessageCircle,
+  CornerDownRight,
+  Send,
+  User
 } from 'lucide-react';
+import Swal from 'sweetalert2';
+
+// --- Custom Components ---
+import Loading from '../../../components/common/Loading';
+import StarRating from '../../../components/common/StarRating';
+import ServerDown from '../../common/ServerDown';
+import Unauthorized from '../../common/Unauthorized';
+import { useAuth } from '../../../hooks/useAuth';
+import { reviewsApi } from '../../../services/reviewsApi';
+import { summarizeRatings } from '../../../utils/ratings';
+
+// --- Configuration ---
+const PAGE_SIZE = 5;
+
+const SORTERS = {
+  newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  highest: (a, b) => b.rating - a.rating || new Date(b.createdAt) - new Date(a.createdAt),
+  lowest: (a, b) => a.rating - b.rating || new Date(b.createdAt) - new Date(a.createdAt),
+};
 
 const Reviews = () => {
-  // ১. ডামি ডাটা - রিভিউ লিস্ট
-  const reviews = [
-    {
-      id: 1,
-      studentName: 'Arafat Rahman',
-      studentImage: 'https://via.placeholder.com/150',
-      subject: 'Higher Math',
-      rating: 5,
-      date: '12 Dec, 2025',
-      comment: 'স্যার খুব যত্ন সহকারে পড়ান। বিশেষ করে জ্যামিতির পার্টগুলো খুব সহজে বুঝিয়ে দিয়েছেন।',
-      likes: 12
+  const queryClient = useQueryClient();
+
+  // --- Local UI State ---
+  const [sortBy, setSortBy] = useState('newest');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [replyText, setReplyText] = useState('');
+
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, token } = useAuth();
+  const tutorId = user?._id || user?.id;
+
+  // --- 2. Data Fetching (TanStack Query) ---
+  const {
+    data: reviews = [],
+    isLoading,
+    isError,
+    error
+  } = useQuery({
+    queryKey: ['tutorReviews', tutorId],
+    queryFn: async () => {
+      const response = await reviewsApi.getForTutor(tutorId);
+      return response.data || [];
     },
-    {
-      id: 2,
-      studentName: 'Nusrat Jahan',
-      studentImage: 'https://via.placeholder.com/150',
-      subject: 'English Spoken',
-      rating: 4,
-      date: '10 Nov, 2025',
-      comment: 'খুব ভালো টিউটর। তবে সময়ানুবর্তীতার দিকে আরেকটু নজর দিলে ভালো হয়।',
-      likes: 5
+    enabled: !!tutorId && !!token,
+    retry: 1,
+  });
+
+  // --- 3. রেটিং স্ট্যাটিস্টিকস (computed from the real reviews) ---
+  const ratingStats = useMemo(() => summarizeRatings(reviews), [reviews]);
+
+  const sortedReviews = useMemo(() => [...reviews].sort(SORTERS[sortBy]), [reviews, sortBy]);
+
+  // --- 4. Reply Mutation ---
+  const replyMutation = useMutation({
+    mutationFn: ({ id, reply }) => reviewsApi.reply(id, reply),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['tutorReviews']);
+      setReplyingTo(null);
+      setReplyText('');
+      Swal.fire({
+        icon: 'success',
+        title: 'Reply Posted',
+        toast: true,
+        position: 'top-end',
+        showConfirmButton: false,
+        timer: 2000
+      });
     },
-    {
-      id: 3,
-      studentName: 'Karim Ullah',
-      studentImage: null, // ছবি না থাকলে ডিফল্ট আইকন দেখাবে
-      subject: 'Class 8 General Science',
-      rating: 5,
-      date: '05 Oct, 2025',
-      comment: 'আমার ছেলের রেজাল্ট স্যারের কাছে পড়ার পর অনেক ভালো হয়েছে। ধন্যবাদ!',
-      likes: 8
+    onError: (err) => {
+      Swal.fire('Error', err.response?.data?.message || 'Failed to post reply.', 'error');
     }
-  ];
-
-  // ২. রেটিং স্ট্যাটিস্টিকস
-  const ratingStats = {
-    average: 4.8,
-    total: 15,
-    breakdown: [
-      { stars: 5, count: 12, percent: 80 },
-      { stars: 4, count: 2, percent: 13 },
-      { stars: 3, count: 1, percent: 7 },
-      { stars: 2, count: 0, percent: 0 },
-      { stars: 1, count: 0, percent: 0 },
-    ]
+  });
+
+  // --- Handlers ---
+  const openReply = (review) => {
+    setReplyingTo(review._id);
+    setReplyText(review.reply?.text || '');
   };
 
-  // স্টার রেন্ডারিং হেল্পার ফাংশন
-  const renderStars = (rating) => {
-    return [...Array(5)].map((_, i) => (
-      <Star 
-        key={i} 
-        size={16} 
-        className={i < rating ? "fill-yellow-400 text-yellow-400" : "text-gray-300"} 
-      />
-    ));
+  const handleReplySubmit = (e) => {
+    e.preventDefault();
+    if (!replyText.trim()) return;
+    replyMutation.mutate({ id: replyingTo, reply: replyText.trim() });
   };
 
+  // --- Conditional Rendering ---
+  if (isLoading) return <Loading />;
+  if (isError) {
+    const status = error?.response?.status;
+    if (status === 401 || status === 403) return <Unauthorized />;
+    return <ServerDown />;
+  }
+
   return (
     <div className="space-y-6 animate-fade-in-up">
-      
+
       {/* --- হেডার --- */}
       <div>
         <h1 className="text-2xl font-bold text-gray-800">Reviews & Ratings</h1>
         <p className="text-sm text-gray-500 mt-1">
-          আপনার স্টুডেন্ট এবং অভিভাবকদের দেওয়া মতামতগুলো এখানে দেখুন।
+          আপনার স্টুডেন্ট এবং অভিভাবকদের দেওয়া মতামতগুলো এখানে দেখুন।
         </p>
       </div>
 
       {/* --- ওভারভিউ সেকশন (রেটিং সামারি) --- */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-        
+
         {/* ১. এভারেজ রেটিং কার্ড */}
         <div className="bg-white p-8 rounded-xl shadow-sm border border-gray-100 flex flex-col items-center justify-center text-center">
-          <h2 className="text-5xl font-bold text-gray-800">{ratingStats.average}</h2>
-          <div className="flex gap-1 my-3">
-             {renderStars(5)} {/* ৫ স্টার ফিক্সড দেখাচ্ছে জাস্ট ডিজাইনের জন্য */}
+          <h2 className="text-5xl font-bold text-gray-800">{ratingStats.total ? ratingStats.average.toFixed(1) : '—'}</h2>
+          <div className="my-3">
+            <StarRating rating={ratingStats.average} size={16} />
           </div>
-          <p className="text-gray-500 font-medium">Based on {ratingStats.total} Reviews</p>
+          <p className="text-gray-500 font-medium">Based on {ratingStats.total} Review{ratingStats.total === 1 ? '' : 's'}</p>
         </div>
 
         {/* ২. রেটিং ব্রেকডাউন (প্রোগ্রেস বার) */}
@@ -99,8 +135,8 @@ const Reviews = () => {
                   {item.stars} <Star size={12} className="text-gray-400" />
                 </span>
                 <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
-                  <div 
-                    className="h-full bg-yellow-400 rounded-full" 
+                  <div
+                    className="h-full bg-yellow-400 rounded-full"
                     style={{ width: `${item.percent}%` }}
                   ></div>
                 </div>
@@ -115,63 +151,100 @@ const Reviews = () => {
       <div className="bg-white rounded-xl shadow-sm border border-gray-100">
         <div className="p-6 border-b border-gray-100 flex justify-between items-center">
           <h3 className="text-lg font-bold text-gray-800">Recent Reviews ({reviews.length})</h3>
-          <select className="text-sm border-gray-200 rounded-lg focus:ring-emerald-500 border p-2 bg-gray-50">
-            <option>Newest First</option>
-            <option>Highest Rated</option>
-            <option>Lowest Rated</option>
+          <select
+            value={sortBy}
+            onChange={(e) => { setSortBy(e.target.value); setVisibleCount(PAGE_SIZE); }}
+            className="text-sm border-gray-200 rounded-lg focus:ring-emerald-500 border p-2 bg-gray-50"
+          >
+            <option value="newest">Newest First</option>
+            <option value="highest">Highest Rated</option>
+            <option value="lowest">Lowest Rated</option>
           </select>
         </div>
 
         <div className="divide-y divide-gray-50">
-          {reviews.length > 0 ? (
-            reviews.map((review) => (
-              <div key={review.id} className="p-6 hover:bg-gray-50/50 transition-colors">
-                <div className="flex justify-between items-start">
-                  
-                  <div className="flex gap-4">
-                    {/* স্টুডেন্ট ইমেজ বা আইকন */}
-                    <div className="w-12 h-12 rounded-full bg-gray-100 flex items-center justify-center overflow-hidden flex-shrink-0">
-                      {review.studentImage ? (
-                        <img src={review.studentImage} alt={review.studentName} className="w-full h-full object-cover" />
-                      ) : (
-                        <User className="text-gray-400" size={24} />
-                      )}
-                    </div>
+          {sortedReviews.length > 0 ? (
+            sortedReviews.slice(0, visibleCount).map((review) => (
+              <div key={review._id} className="p-6 hover:bg-gray-50/50 transition-colors">
+                <div className="flex gap-4">
+                  {/* স্টুডেন্ট ইমেজ বা আইকন */}
+                  <div className="w-12 h-12 rounded-full bg-gray-100 flex items-center justify-center overflow-hidden flex-shrink-0">
+                    {review.studentImage ? (
+                      <img src={review.studentImage} alt={review.studentName} className="w-full h-full object-cover" />
+                    ) : (
+                      <User className="text-gray-400" size={24} />
+                    )}
+                  </div>
 
-                    <div>
-                      <h4 className="font-bold text-gray-800">{review.studentName}</h4>
-                      <p className="text-xs text-emerald-600 font-medium mb-1">{review.subject}</p>
-                      
-                      {/* স্টার এবং ডেট */}
-                      <div className="flex items-center gap-2 mb-3">
-                        <div className="flex">
-                          {renderStars(review.rating)}
-                        </div>
-                        <span className="w-1 h-1 bg-gray-300 rounded-full"></span>
-                        <span className="text-xs text-gray-400">{review.date}</span>
-                      </div>
+                  <div className="flex-1 min-w-0">
+                    <h4 className="font-bold text-gray-800">{review.studentName || 'Student'}</h4>
+                    <p className="text-xs text-emerald-600 font-medium mb-1">{review.subject}</p>
+
+                    {/* স্টার এবং ডেট */}
+                    <div className="flex items-center gap-2 mb-3">
+                      <StarRating rating={review.rating} />
+                      <span className="w-1 h-1 bg-gray-300 rounded-full"></span>
+                      <span className="text-xs text-gray-400">
+                        {review.createdAt ? new Date(review.createdAt).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : ''}
+                      </span>
+                    </div>
 
-                      {/* কমেন্ট বডি */}
+                    {/* কমেন্ট বডি */}
+                    {review.comment && (
                       <p className="text-sm text-gray-600 leading-relaxed bg-gray-50 p-3 rounded-lg border border-gray-100 inline-block max-w-2xl">
                         "{review.comment}"
                       </p>
+                    )}
+
+                    {/* টিউটরের রিপ্লাই */}
+                    {review.reply?.text && replyingTo !== review._id && (
+                      <div className="mt-3 flex gap-2 max-w-2xl">
+                        <CornerDownRight size={16} className="text-emerald-500 mt-1 flex-shrink-0" />
+                        <div className="bg-emerald-50 border border-emerald-100 rounded-lg p-3 text-sm text-gray-700">
+                          <span className="block text-xs font-bold text-emerald-700 mb-1">Your reply</span>
+                          {review.reply.text}
+                        </div>
+                      </div>
+                    )}
 
-                      {/* অ্যাকশন বাটনস */}
+                    {/* রিপ্লাই ফর্ম */}
+                    {replyingTo === review._id ? (
+                      <form onSubmit={handleReplySubmit} className="mt-3 max-w-2xl space-y-2">
+                        <textarea
+                          value={replyText}
+                          onChange={(e) => setReplyText(e.target.value)}
+                          rows={3}
+                          placeholder="Thank the student or respond to their feedback..."
+                          className="w-full p-3 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500 resize-none"
+                        />
+                        <div className="flex gap-2">
+                          <button
+                            type="submit"
+                            disabled={replyMutation.isPending || !replyText.trim()}
+                            className="flex items-center gap-1.5 px-4 py-2 text-xs font-bold text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 disabled:opacity-60"
+                          >
+                            <Send size={14} /> {replyMutation.isPending ? 'Posting...' : 'Post Reply'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setReplyingTo(null)}
+                            className="px-4 py-2 text-xs font-medium text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </form>
+                    ) : (
                       <div className="flex items-center gap-4 mt-3">
-                        <button className="flex items-center gap-1 text-xs font-medium text-gray-500 hover:text-emerald-600 transition-colors">
-                          <ThumbsUp size={14} /> Helpful ({review.likes})
-                        </button>
-                        <button className="flex items-center gap-1 text-xs font-medium text-gray-500 hover:text-blue-600 transition-colors">
-                          <MessageCircle size={14} /> Reply
+                        <button
+                          onClick={() => openReply(review)}
+                          className="flex items-center gap-1 text-xs font-medium text-gray-500 hover:text-blue-600 transition-colors"
+                        >
+                          <MessageCircle size={14} /> {review.reply?.text ? 'Edit Reply' : 'Reply'}
                         </button>
                       </div>
-                    </div>
+                    )}
                   </div>
-
-                  {/* অপশন মেনু */}
-                  <button className="text-gray-400 hover:text-gray-600">
-                    <MoreVertical size={20} />
-                  </button>
                 </div>
               </div>
             ))
@@ -181,16 +254,21 @@ const Reviews = () => {
             </div>
           )}
         </div>
-        
-        {/* লোড মোর বাটন (অপশনাল) */}
-        <div className="p-4 border-t border-gray-50 text-center">
-          <button className="text-sm font-medium text-emerald-600 hover:underline">
-            Load More Reviews
-          </button>
-        </div>
+
+        {/* লোড মোর বাটন */}
+        {visibleCount < sortedReviews.length && (
+          <div className="p-4 border-t border-gray-50 text-center">
+            <button
+              onClick={() => setVisibleCount((count) => count + PAGE_SIZE)}
+              className="text-sm font-medium text-emerald-600 hover:underline"
+            >
+              Load More Reviews
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-export default Reviews;
\ No newline at end of file
+export default Reviews;
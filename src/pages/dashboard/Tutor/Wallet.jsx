@@ -0,0 +1,354 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Swal from 'sweetalert2';
+import {
+  Wallet as WalletIcon, Lock, CheckCircle, Send, ChevronLeft, ChevronRight, AlertTriangle
+} from 'lucide-react';
+
+// --- Custom Components ---
+import Loading from '../../../components/common/Loading';
+import ServerDown from '../../common/ServerDown';
+import Unauthorized from '../../common/Unauthorized';
+import { useAuth } from '../../../hooks/useAuth';
+import { useWallet } from '../../../hooks/useWallet';
+import { walletApi } from '../../../services/walletApi';
+import {
+  LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES, PAYOUT_METHODS, PAYOUT_STATUSES, MIN_PAYOUT_AMOUNT,
+  getPayoutMethodLabel, getEntryTotals
+} from '../../../constants/wallet';
+import { validatePayoutRequest } from '../../../utils/validation';
+
+const LEDGER_PAGE_SIZE = 10;
+
+const formatDate = (isoDate) => (isoDate
+  ? new Date(isoDate).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })
+  : 'N/A');
+
+const EMPTY_DETAILS = { accountName: '', accountNumber: '', bankName: '', branch: '', routingNumber: '' };
+
+/**
+ * Payout request form; starts from the details of the tutor's last request.
+ */
+const PayoutRequestForm = ({ available, lastPayout }) => {
+  const queryClient = useQueryClient();
+  const [amount, setAmount] = useState('');
+  const [method, setMethod] = useState(lastPayout?.method || 'bkash');
+  const [details, setDetails] = useState({ ...EMPTY_DETAILS, ...lastPayout?.details });
+  const [errors, setErrors] = useState({});
+
+  const requestMutation = useMutation({
+    mutationFn: (payload) => walletApi.requestPayout(payload),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['wallet'] });
+      queryClient.invalidateQueries({ queryKey: ['payouts'] });
+      queryClient.invalidateQueries({ queryKey: ['walletLedger'] });
+      setAmount('');
+      Swal.fire({
+        icon: 'success',
+        title: 'Payout Requested',
+        text: 'An admin will review it shortly. You will be notified once it is sent.',
+        confirmButtonColor: '#10B981'
+      });
+    },
+    onError: (err) => {
+      Swal.fire('Error', err.response?.data?.message || 'Failed to request payout', 'error');
+    }
+  });
+
+  const setDetail = (field, value) => setDetails((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const payload = { amount: Number(amount), method, details };
+    const nextErrors = validatePayoutRequest(payload, available, MIN_PAYOUT_AMOUNT);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length === 0) requestMutation.mutate(payload);
+  };
+
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-200 ${
+    errors[field] ? 'border-red-300' : 'border-gray-200 focus:border-emerald-500'
+  }`;
+  const errorText = (field) => errors[field] && <p className="text-xs text-red-500 mt-1">{errors[field]}</p>;
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Amount (৳)</label>
+        <input
+          type="number"
+          min={MIN_PAYOUT_AMOUNT}
+          max={available}
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          placeholder={`${MIN_PAYOUT_AMOUNT} – ${available.toLocaleString()}`}
+          className={inputClass('amount')}
+        />
+        {errorText('amount')}
+      </div>
+
+      <div className="flex bg-gray-100 rounded-lg p-1">
+        {PAYOUT_METHODS.map((option) => (
+          <button
+            type="button"
+            key={option.value}
+            onClick={() => setMethod(option.value)}
+            className={`flex-1 px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+              method === option.value ? 'bg-white text-gray-800 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Account holder&apos;s name</label>
+        <input value={details.accountName} onChange={(e) => setDetail('accountName', e.target.value)} className={inputClass('accountName')} />
+        {errorText('accountName')}
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          {method === 'bank' ? 'Account number' : `${getPayoutMethodLabel(method)} number`}
+        </label>
+        <input
+          value={details.accountNumber}
+          onChange={(e) => setDetail('accountNumber', e.target.value)}
+          placeholder={method === 'bank' ? '' : '01XXXXXXXXX'}
+          className={inputClass('accountNumber')}
+        />
+        {errorText('accountNumber')}
+      </div>
+
+      {method === 'bank' && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Bank</label>
+            <input value={details.bankName} onChange={(e) => setDetail('bankName', e.target.value)} className={inputClass('bankName')} />
+            {errorText('bankName')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Branch</label>
+            <input value={details.branch} onChange={(e) => setDetail('branch', e.target.value)} className={inputClass('branch')} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Routing no.</label>
+            <input value={details.routingNumber} onChange={(e) => setDetail('routingNumber', e.target.value)} className={inputClass('routingNumber')} />
+          </div>
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={requestMutation.isPending || available < MIN_PAYOUT_AMOUNT}
+        className="w-full py-2.5 rounded-xl bg-emerald-600 text-white font-semibold hover:bg-emerald-700 disabled:opacity-50 flex items-center justify-center gap-2"
+      >
+        <Send size={16} /> {requestMutation.isPending ? 'Requesting...' : 'Request Payout'}
+      </button>
+      {available < MIN_PAYOUT_AMOUNT && (
+        <p className="text-xs text-gray-400 text-center">Payouts open once ৳{MIN_PAYOUT_AMOUNT} is available.</p>
+      )}
+    </form>
+  );
+};
+
+/**
+ * Wallet Page (tutor)
+ * What students paid, what the platform kept, what is held or available, and payouts to bKash/Nagad/bank.
+ */
+const Wallet = () => {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const [ledgerPage, setLedgerPage] = useState(1);
+  const { balances, commissionRate, isLoading, isError, error } = useWallet();
+
+  const { data: payouts = [] } = useQuery({
+    queryKey: ['payouts', 'mine', user?._id],
+    queryFn: () => walletApi.getMyPayouts().then((res) => res.data || []),
+    enabled: !!user?._id,
+  });
+
+  const { data: ledger } = useQuery({
+    queryKey: ['walletLedger', user?._id, ledgerPage],
+    queryFn: () => walletApi.getLedger({ page: ledgerPage, limit: LEDGER_PAGE_SIZE }),
+    enabled: !!user?._id,
+    placeholderData: (previous) => previous,
+  });
+
+  const cancelMutation = useMutation({
+    mutationFn: (id) => walletApi.cancelPayout(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['wallet'] });
+      queryClient.invalidateQueries({ queryKey: ['payouts'] });
+      queryClient.invalidateQueries({ queryKey: ['walletLedger'] });
+    },
+    onError: (err) => {
+      Swal.fire('Error', err.response?.data?.message || 'Failed to cancel payout', 'error');
+    }
+  });
+
+  if (isLoading) return <Loading />;
+  if (isError) {
+    const status = error?.response?.status;
+    if (status === 401 || status === 403) return <Unauthorized />;
+    return <ServerDown />;
+  }
+
+  const entries = ledger?.data || [];
+  const totalPages = ledger?.pagination?.totalPages || 1;
+
+  return (
+    <div className="space-y-6 animate-fade-in-up p-4 md:p-8 pt-24 md:pt-32 pb-12">
+
+      {/* --- HEADER --- */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+          <WalletIcon className="text-emerald-600" /> Wallet & Payouts
+        </h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Student payments minus the {commissionRate}% platform commission. Held earnings become available once their hold period ends.
+        </p>
+      </div>
+
+      {/* --- BALANCES --- */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div className="bg-gradient-to-br from-emerald-500 to-teal-600 p-5 rounded-xl text-white shadow-lg">
+          <p className="text-emerald-100 text-sm font-medium">Available</p>
+          <h3 className="text-3xl font-bold mt-1">৳ {balances.available.toLocaleString()}</h3>
+          {balances.pendingPayout > 0 && (
+            <p className="text-xs text-emerald-100 mt-2">৳ {balances.pendingPayout.toLocaleString()} requested</p>
+          )}
+        </div>
+        <div className="bg-white p-5 rounded-xl border border-gray-100 shadow-sm">
+          <p className="text-gray-500 text-sm font-medium flex items-center gap-1.5"><Lock size={14} /> Held</p>
+          <h3 className="text-2xl font-bold text-gray-800 mt-1">৳ {balances.held.toLocaleString()}</h3>
+          <p className="text-xs text-gray-400 mt-2">Releases after the hold period or a dispute</p>
+        </div>
+        <div className="bg-white p-5 rounded-xl border border-gray-100 shadow-sm">
+          <p className="text-gray-500 text-sm font-medium flex items-center gap-1.5"><CheckCircle size={14} /> Paid Out</p>
+          <h3 className="text-2xl font-bold text-gray-800 mt-1">৳ {balances.paidOut.toLocaleString()}</h3>
+        </div>
+        <div className="bg-white p-5 rounded-xl border border-gray-100 shadow-sm text-sm">
+          <div className="flex justify-between text-gray-600"><span>Gross</span><span>৳ {balances.gross.toLocaleString()}</span></div>
+          <div className="flex justify-between text-gray-600 mt-1"><span>Commission</span><span>− ৳ {balances.commission.toLocaleString()}</span></div>
+          <div className="flex justify-between font-bold text-gray-800 mt-2 pt-2 border-t border-gray-100">
+            <span>Net earned</span><span>৳ {balances.net.toLocaleString()}</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* --- PAYOUT REQUEST --- */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h3 className="text-lg font-bold text-gray-800 mb-4">Withdraw</h3>
+          {/* Remount once payouts load so the form starts from the last used details */}
+          <PayoutRequestForm key={payouts[0]?._id || 'new'} available={balances.available} lastPayout={payouts[0]} />
+        </div>
+
+        {/* --- PAYOUT HISTORY --- */}
+        <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+          <h3 className="text-lg font-bold text-gray-800 p-6 border-b border-gray-100">Payout Requests</h3>
+          {payouts.length === 0 ? (
+            <p className="px-6 py-8 text-center text-gray-400">No payouts requested yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {payouts.map((payout) => {
+                const status = PAYOUT_STATUSES[payout.status] || PAYOUT_STATUSES.pending;
+                return (
+                  <li key={payout._id} className="px-6 py-4 flex flex-wrap items-center gap-3 text-sm">
+                    <div className="flex-1 min-w-[180px]">
+                      <p className="font-bold text-gray-800">৳ {payout.amount?.toLocaleString()}</p>
+                      <p className="text-xs text-gray-500">
+                        {getPayoutMethodLabel(payout.method)} · {payout.details?.accountNumber} · {formatDate(payout.createdAt)}
+                      </p>
+                      {payout.reference && <p className="text-xs text-gray-400 font-mono">Ref: {payout.reference}</p>}
+                      {payout.reason && <p className="text-xs text-red-500">{payout.reason}</p>}
+                    </div>
+                    <span className={`px-2.5 py-1 rounded-full text-xs font-bold border ${status.className}`}>{status.label}</span>
+                    {payout.status === 'pending' && (
+                      <button
+                        onClick={() => cancelMutation.mutate(payout._id)}
+                        disabled={cancelMutation.isPending}
+                        className="text-xs font-semibold text-gray-400 hover:text-red-600 disabled:opacity-50"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {/* --- LEDGER --- */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+        <div className="p-6 border-b border-gray-100">
+          <h3 className="text-lg font-bold text-gray-800">Ledger</h3>
+          <p className="text-sm text-gray-500 mt-1">Every entry debits and credits the same amount.</p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left min-w-[700px]">
+            <thead>
+              <tr className="bg-gray-50 text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                <th className="px-6 py-3">Date</th>
+                <th className="px-6 py-3">Entry</th>
+                <th className="px-6 py-3">Account</th>
+                <th className="px-6 py-3 text-right">Debit</th>
+                <th className="px-6 py-3 text-right">Credit</th>
+              </tr>
+            </thead>
+            <tbody className="text-sm">
+              {entries.length === 0 ? (
+                <tr><td colSpan="5" className="px-6 py-8 text-center text-gray-400">No ledger entries yet.</td></tr>
+              ) : entries.map((entry) => {
+                const type = LEDGER_ENTRY_TYPES[entry.type] || LEDGER_ENTRY_TYPES.adjustment;
+                const { balanced } = getEntryTotals(entry);
+                return entry.lines.map((line, index) => (
+                  <tr key={`${entry._id}-${index}`} className={index === entry.lines.length - 1 ? 'border-b border-gray-100' : ''}>
+                    {index === 0 && (
+                      <>
+                        <td rowSpan={entry.lines.length} className="px-6 py-3 text-gray-600 align-top whitespace-nowrap">{formatDate(entry.at)}</td>
+                        <td rowSpan={entry.lines.length} className="px-6 py-3 align-top">
+                          <span className={`px-2 py-0.5 rounded text-xs font-bold ${type.className}`}>{type.label}</span>
+                          <p className="text-gray-700 mt-1">{entry.memo}</p>
+                          {!balanced && (
+                            <p className="text-xs text-red-500 flex items-center gap-1 mt-1"><AlertTriangle size={12} /> Unbalanced entry</p>
+                          )}
+                        </td>
+                      </>
+                    )}
+                    <td className={`px-6 py-1.5 text-gray-600 ${line.credit ? 'pl-10' : ''}`}>{LEDGER_ACCOUNTS[line.account] || line.account}</td>
+                    <td className="px-6 py-1.5 text-right font-mono">{line.debit ? `৳ ${line.debit.toLocaleString()}` : ''}</td>
+                    <td className="px-6 py-1.5 text-right font-mono">{line.credit ? `৳ ${line.credit.toLocaleString()}` : ''}</td>
+                  </tr>
+                ));
+              })}
+            </tbody>
+          </table>
+        </div>
+        {totalPages > 1 && (
+          <div className="flex justify-end items-center gap-2 p-4 border-t border-gray-100 text-sm text-gray-500">
+            <button
+              onClick={() => setLedgerPage((page) => page - 1)}
+              disabled={ledgerPage <= 1}
+              className="p-1.5 rounded-lg border border-gray-200 disabled:opacity-40"
+            >
+              <ChevronLeft size={16} />
+            </button>
+            Page {ledgerPage} of {totalPages}
+            <button
+              onClick={() => setLedgerPage((page) => page + 1)}
+              disabled={ledgerPage >= totalPages}
+              className="p-1.5 rounded-lg border border-gray-200 disabled:opacity-40"
+            >
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Wallet;
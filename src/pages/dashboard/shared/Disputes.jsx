@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Swal from 'sweetalert2';
+import { ShieldAlert, ShieldCheck, Send, History, ChevronDown, ChevronUp } from 'lucide-react';
+
+// --- Custom Components ---
+import Loading from '../../../components/common/Loading';
+import TransactionTimeline from '../../../components/common/TransactionTimeline';
+import ServerDown from '../../common/ServerDown';
+import Unauthorized from '../../common/Unauthorized';
+import { useAuth } from '../../../hooks/useAuth';
+import { disputesApi } from '../../../services/disputesApi';
+import {
+  DISPUTE_STATUSES, DISPUTE_OUTCOMES, ACTIVE_DISPUTE_STATUSES, getDisputeReasonLabel
+} from '../../../constants/disputes';
+
+// Student pages pad themselves; the tutor layout already pads its outlet
+const SHELL_CLASS = {
+  student: 'bg-gray-50 min-h-screen p-4 md:p-8 pt-20 lg:pt-8',
+};
+
+const formatDate = (isoDate) => (isoDate
+  ? new Date(isoDate).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })
+  : 'N/A');
+
+/**
+ * Reply box under an active dispute.
+ */
+const DisputeReplyForm = ({ dispute, role }) => {
+  const queryClient = useQueryClient();
+  const [message, setMessage] = useState('');
+
+  const respondMutation = useMutation({
+    mutationFn: () => disputesApi.respond(dispute._id, message.trim()),
+    onSuccess: () => {
+      setMessage('');
+      queryClient.invalidateQueries({ queryKey: ['disputes'] });
+      queryClient.invalidateQueries({ queryKey: ['paymentTimeline', dispute.transactionId] });
+    },
+    onError: (err) => {
+      Swal.fire('Error', err.response?.data?.message || 'Failed to send your response', 'error');
+    }
+  });
+
+  const awaitingTutor = role === 'tutor' && dispute.status === 'open';
+
+  return (
+    <form
+      onSubmit={(event) => { event.preventDefault(); if (message.trim()) respondMutation.mutate(); }}
+      className="mt-4"
+    >
+      {awaitingTutor && (
+        <p className="text-xs font-semibold text-amber-700 mb-2">Your response is needed before an admin reviews this dispute.</p>
+      )}
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          placeholder={awaitingTutor ? 'Explain your side...' : 'Add a response...'}
+          className="flex-1 px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-200 focus:border-emerald-500"
+        />
+        <button
+          type="submit"
+          disabled={!message.trim() || respondMutation.isPending}
+          className="px-4 py-2 rounded-lg bg-emerald-600 text-white text-sm font-semibold hover:bg-emerald-700 disabled:opacity-50 flex items-center gap-1.5"
+        >
+          <Send size={14} /> Send
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * One dispute: both sides' messages, the admin's decision and the payment timeline.
+ */
+const DisputeCard = ({ dispute, role }) => {
+  const [showTimeline, setShowTimeline] = useState(false);
+  const status = DISPUTE_STATUSES[dispute.status] || DISPUTE_STATUSES.open;
+  const isActive = ACTIVE_DISPUTE_STATUSES.includes(dispute.status);
+  const outcome = DISPUTE_OUTCOMES.find((item) => item.value === dispute.resolution?.outcome);
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-100 shadow-sm p-5">
+      <div className="flex flex-wrap justify-between items-start gap-3">
+        <div>
+          <h3 className="text-lg font-bold text-gray-800">{dispute.subject || 'Tuition'}</h3>
+          <p className="text-sm text-gray-500">
+            {role === 'tutor' ? `Student: ${dispute.studentName}` : `Tutor: ${dispute.tutorName}`}
+            {' · '}৳{dispute.amount?.toLocaleString()} · Opened {formatDate(dispute.createdAt)}
+          </p>
+        </div>
+        <span className={`text-xs font-bold px-2.5 py-1 rounded-full border ${status.className}`}>{status.label}</span>
+      </div>
+
+      <div className="mt-4 p-4 rounded-xl bg-red-50/60 border border-red-100">
+        <p className="text-xs font-bold text-red-700 uppercase tracking-wide">{getDisputeReasonLabel(dispute.reason)}</p>
+        <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">{dispute.details}</p>
+      </div>
+
+      {dispute.responses?.length > 0 && (
+        <ul className="mt-4 space-y-3">
+          {dispute.responses.map((response, index) => (
+            <li key={`${response.at}-${index}`} className="text-sm border-l-2 border-gray-200 pl-3">
+              <p className="text-xs text-gray-400">
+                <span className="font-semibold text-gray-600 capitalize">{response.name || response.by}</span> · {formatDate(response.at)}
+              </p>
+              <p className="text-gray-700">{response.message}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {dispute.resolution && (
+        <div className="mt-4 p-4 rounded-xl bg-emerald-50 border border-emerald-100 text-sm">
+          <p className="font-bold text-emerald-800 flex items-center gap-1.5">
+            <ShieldCheck size={16} /> {outcome?.label || 'Resolved'}
+            {dispute.resolution.refundAmount > 0 && ` · ৳${dispute.resolution.refundAmount.toLocaleString()} refunded`}
+          </p>
+          {dispute.resolution.reverseHire && <p className="text-emerald-700 mt-1">The tuition has been ended.</p>}
+          {dispute.resolution.note && <p className="text-gray-600 mt-1">{dispute.resolution.note}</p>}
+        </div>
+      )}
+
+      {isActive && <DisputeReplyForm dispute={dispute} role={role} />}
+
+      <button
+        onClick={() => setShowTimeline((prev) => !prev)}
+        className="mt-4 text-xs font-semibold text-gray-500 hover:text-gray-700 flex items-center gap-1"
+      >
+        <History size={14} /> Payment timeline {showTimeline ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+      </button>
+      {showTimeline && <TransactionTimeline transactionId={dispute.transactionId} className="mt-3" />}
+    </div>
+  );
+};
+
+/**
+ * Disputes Page (student & tutor)
+ * Payment disputes the user is part of; both sides respond here until an admin resolves them.
+ */
+const Disputes = () => {
+  const { user, role } = useAuth();
+
+  const { data: disputes = [], isLoading, isError, error } = useQuery({
+    queryKey: ['disputes', user?.email],
+    queryFn: () => disputesApi.getMine().then((res) => res.data || []),
+    enabled: !!user?.email,
+    retry: 1,
+  });
+
+  if (isLoading) return <Loading />;
+  if (isError) {
+    const status = error?.response?.status;
+    if (status === 401 || status === 403) return <Unauthorized />;
+    return <ServerDown />;
+  }
+
+  const active = disputes.filter((dispute) => ACTIVE_DISPUTE_STATUSES.includes(dispute.status));
+  const closed = disputes.filter((dispute) => !ACTIVE_DISPUTE_STATUSES.includes(dispute.status));
+
+  return (
+    <div className={SHELL_CLASS[role] || ''}>
+      <div className="max-w-4xl mx-auto space-y-6">
+
+        {/* --- HEADER --- */}
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Disputes</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            {role === 'tutor'
+              ? 'Payment disputes raised by your students. Respond so an admin can review both sides.'
+              : 'Problems you reported with a payment. An admin reviews both sides and can refund you.'}
+          </p>
+        </div>
+
+        {disputes.length === 0 ? (
+          <div className="text-center py-20 bg-white rounded-2xl border border-dashed border-gray-300">
+            <ShieldCheck className="mx-auto text-emerald-300 mb-3" size={44} />
+            <h3 className="text-lg font-bold text-gray-600">No disputes</h3>
+            <p className="text-gray-400 mt-1">
+              {role === 'tutor' ? 'None of your payments are disputed.' : 'You can report a problem from Payment History or Ongoing Tuitions.'}
+            </p>
+          </div>
+        ) : (
+          <>
+            {active.length > 0 && (
+              <section className="space-y-4">
+                <h2 className="text-sm font-bold text-gray-500 uppercase tracking-wide flex items-center gap-1.5">
+                  <ShieldAlert size={16} className="text-red-500" /> In Progress ({active.length})
+                </h2>
+                {active.map((dispute) => <DisputeCard key={dispute._id} dispute={dispute} role={role} />)}
+              </section>
+            )}
+            {closed.length > 0 && (
+              <section className="space-y-4">
+                <h2 className="text-sm font-bold text-gray-500 uppercase tracking-wide">Closed ({closed.length})</h2>
+                {closed.map((dispute) => <DisputeCard key={dispute._id} dispute={dispute} role={role} />)}
+              </section>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Disputes;
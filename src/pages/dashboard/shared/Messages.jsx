@@ -0,0 +1,320 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import Swal from 'sweetalert2';
+import {
+  MessageSquare, Search, Send, ArrowLeft, User, BookOpen
+} from 'lucide-react';
+
+// --- Custom Components ---
+import Loading from '../../../components/common/Loading';
+import ServerDown from '../../common/ServerDown';
+import Unauthorized from '../../common/Unauthorized';
+import { useAuth } from '../../../hooks/useAuth';
+import { useChatSubscription } from '../../../hooks/useChatSubscription';
+import { messagesApi } from '../../../services/messagesApi';
+import { getDashboardPath } from '../../../constants/routes';
+
+// Student pages pad themselves; the tutor layout already pads its outlet
+const SHELL_CLASS = {
+  student: 'bg-gray-50 min-h-screen p-4 md:p-8 pt-20 lg:pt-8',
+  tutor: '',
+};
+
+const formatTime = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return value.toDateString() === new Date().toDateString()
+    ? value.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })
+    : value.toLocaleDateString('en-GB', { day: '2-digit', month: 'short' });
+};
+
+// The other participant, seen from the current user's side
+const getCounterpart = (thread, role) => (role === 'tutor' ? thread.student : thread.tutor);
+
+const Avatar = ({ person, size = 'w-11 h-11' }) => (
+  <div className={`${size} rounded-full bg-emerald-100 text-emerald-700 flex items-center justify-center font-bold overflow-hidden flex-shrink-0`}>
+    {person?.image ? (
+      <img src={person.image} alt={person.name} className="w-full h-full object-cover" />
+    ) : (
+      person?.name?.charAt(0).toUpperCase() || <User size={18} />
+    )}
+  </div>
+);
+
+/**
+ * Messages Page (student & tutor dashboards)
+ * Thread list on the left, the open conversation on the right; `:threadId` in the URL selects it.
+ */
+const Messages = () => {
+  const { threadId } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const bottomRef = useRef(null);
+
+  // --- Local UI State ---
+  const [searchTerm, setSearchTerm] = useState('');
+  const [draft, setDraft] = useState('');
+
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, role, token } = useAuth();
+  const myId = (user?._id || user?.id)?.toString();
+  const basePath = `${getDashboardPath(role)}/messages`;
+
+  // --- 2. Data Fetching (TanStack Query) ---
+  const {
+    data: threads = [],
+    isLoading,
+    isError,
+    error
+  } = useQuery({
+    queryKey: ['chatThreads'],
+    queryFn: async () => {
+      const response = await messagesApi.getThreads();
+      return response.data || [];
+    },
+    enabled: !!token,
+    retry: 1,
+  });
+
+  const { data: messages = [], isLoading: isMessagesLoading } = useQuery({
+    queryKey: ['chatMessages', threadId],
+    queryFn: async () => {
+      const response = await messagesApi.getMessages(threadId);
+      return response.data || [];
+    },
+    enabled: !!threadId && !!token,
+    retry: 1,
+  });
+
+  // --- 3. Live Updates (polling / socket / mock transport) ---
+  useChatSubscription('threads', () => {
+    queryClient.invalidateQueries({ queryKey: ['chatThreads'] });
+  });
+  useChatSubscription(threadId ? `thread:${threadId}` : null, () => {
+    queryClient.invalidateQueries({ queryKey: ['chatMessages', threadId] });
+  });
+
+  // --- 4. Mutations ---
+  const sendMutation = useMutation({
+    mutationFn: (text) => messagesApi.send(threadId, text),
+    onSuccess: (response) => {
+      queryClient.setQueryData(['chatMessages', threadId], (old = []) =>
+        old.some((msg) => msg._id === response.data?._id) ? old : [...old, response.data]
+      );
+      queryClient.invalidateQueries({ queryKey: ['chatThreads'] });
+      setDraft('');
+    },
+    onError: (err) => {
+      Swal.fire('Error', err.response?.data?.message || 'Message could not be sent.', 'error');
+    }
+  });
+
+  const markReadMutation = useMutation({
+    mutationFn: messagesApi.markRead,
+    onSuccess: (_, readThreadId) => {
+      // Flag them locally too, so the effect below doesn't fire again before the next refetch
+      const readAt = new Date().toISOString();
+      queryClient.setQueryData(['chatMessages', readThreadId], (old = []) =>
+        old.map((msg) => (msg.senderId !== myId && !msg.readAt ? { ...msg, readAt } : msg))
+      );
+      queryClient.invalidateQueries({ queryKey: ['chatThreads'] });
+      queryClient.invalidateQueries({ queryKey: ['unreadMessages'] });
+    }
+  });
+
+  // Opening a conversation (or receiving into the open one) marks it read
+  const hasUnread = messages.some((msg) => msg.senderId !== myId && !msg.readAt);
+  const { mutate: markRead, isPending: isMarkingRead, isError: markReadFailed } = markReadMutation;
+  useEffect(() => {
+    if (threadId && hasUnread && !isMarkingRead && !markReadFailed) markRead(threadId);
+  }, [threadId, hasUnread, isMarkingRead, markReadFailed, markRead]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.length, threadId]);
+
+  // --- 5. Derived Data ---
+  const filteredThreads = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term) return threads;
+    return threads.filter((thread) =>
+      getCounterpart(thread, role)?.name?.toLowerCase().includes(term) ||
+      thread.tuitionTitle?.toLowerCase().includes(term)
+    );
+  }, [threads, searchTerm, role]);
+
+  const activeThread = threads.find((thread) => thread._id === threadId);
+  const counterpart = activeThread ? getCounterpart(activeThread, role) : null;
+
+  // --- Handlers ---
+  const handleSend = (e) => {
+    e.preventDefault();
+    if (!draft.trim() || sendMutation.isPending) return;
+    sendMutation.mutate(draft.trim());
+  };
+
+  // --- Conditional Rendering ---
+  if (isLoading) return <Loading />;
+  if (isError) {
+    const status = error?.response?.status;
+    if (status === 401 || status === 403) return <Unauthorized />;
+    return <ServerDown />;
+  }
+
+  return (
+    <div className={SHELL_CLASS[role] || ''}>
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden flex h-[calc(100vh-10rem)] min-h-[480px]">
+
+        {/* --- THREAD LIST --- */}
+        <aside className={`w-full md:w-80 border-r border-gray-100 flex-col ${threadId ? 'hidden md:flex' : 'flex'}`}>
+          <div className="p-4 border-b border-gray-100">
+            <h2 className="font-bold text-gray-800 mb-3 flex items-center gap-2">
+              <MessageSquare size={18} className="text-emerald-600" /> Conversations
+            </h2>
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="Search by name or tuition..."
+                className="w-full pl-9 pr-3 py-2 text-sm bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              />
+            </div>
+          </div>
+
+          <div className="flex-1 overflow-y-auto divide-y divide-gray-50">
+            {filteredThreads.length > 0 ? (
+              filteredThreads.map((thread) => {
+                const person = getCounterpart(thread, role);
+                const isActive = thread._id === threadId;
+                return (
+                  <button
+                    key={thread._id}
+                    onClick={() => navigate(`${basePath}/${thread._id}`)}
+                    className={`w-full text-left p-4 flex gap-3 transition-colors ${isActive ? 'bg-emerald-50' : 'hover:bg-gray-50'}`}
+                  >
+                    <Avatar person={person} />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex justify-between items-center gap-2">
+                        <span className="font-semibold text-gray-800 truncate">{person?.name || 'User'}</span>
+                        <span className="text-[11px] text-gray-400 flex-shrink-0">{formatTime(thread.lastMessage?.createdAt || thread.updatedAt)}</span>
+                      </div>
+                      {thread.tuitionTitle && (
+                        <p className="text-xs text-emerald-600 truncate">{thread.tuitionTitle}</p>
+                      )}
+                      <div className="flex justify-between items-center gap-2 mt-0.5">
+                        <p className={`text-sm truncate ${thread.unreadCount > 0 ? 'text-gray-800 font-semibold' : 'text-gray-500'}`}>
+                          {thread.lastMessage
+                            ? `${thread.lastMessage.senderId === myId ? 'You: ' : ''}${thread.lastMessage.text}`
+                            : 'No messages yet'}
+                        </p>
+                        {thread.unreadCount > 0 && (
+                          <span className="text-[11px] font-bold bg-red-500 text-white px-1.5 py-0.5 rounded-full flex-shrink-0">
+                            {thread.unreadCount}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  </button>
+                );
+              })
+            ) : (
+              <div className="p-8 text-center text-sm text-gray-400">
+                {threads.length === 0
+                  ? (role === 'student' ? 'Start a chat from a tutor profile or an application.' : 'Students who contact you will appear here.')
+                  : 'No conversations match your search.'}
+              </div>
+            )}
+          </div>
+        </aside>
+
+        {/* --- CONVERSATION --- */}
+        <section className={`flex-1 flex-col min-w-0 ${threadId ? 'flex' : 'hidden md:flex'}`}>
+          {threadId && activeThread ? (
+            <>
+              {/* Conversation Header */}
+              <div className="p-4 border-b border-gray-100 flex items-center gap-3">
+                <button onClick={() => navigate(basePath)} className="md:hidden p-1.5 text-gray-500 hover:bg-gray-100 rounded-lg">
+                  <ArrowLeft size={20} />
+                </button>
+                <Avatar person={counterpart} size="w-10 h-10" />
+                <div className="min-w-0">
+                  <h3 className="font-bold text-gray-800 truncate">{counterpart?.name || 'User'}</h3>
+                  {activeThread.tuitionTitle && (
+                    <p className="text-xs text-gray-500 flex items-center gap-1 truncate">
+                      <BookOpen size={12} /> {activeThread.tuitionTitle}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              {/* Message List */}
+              <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-gray-50/60">
+                {isMessagesLoading ? (
+                  <div className="flex justify-center py-10">
+                    <div className="w-6 h-6 border-2 border-emerald-600 border-t-transparent rounded-full animate-spin"></div>
+                  </div>
+                ) : messages.length > 0 ? (
+                  messages.map((msg) => {
+                    const isMine = msg.senderId === myId;
+                    return (
+                      <motion.div
+                        key={msg._id}
+                        initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }}
+                        className={`flex ${isMine ? 'justify-end' : 'justify-start'}`}
+                      >
+                        <div className={`max-w-[75%] px-4 py-2.5 rounded-2xl text-sm shadow-sm ${
+                          isMine ? 'bg-emerald-600 text-white rounded-br-sm' : 'bg-white text-gray-700 border border-gray-100 rounded-bl-sm'
+                        }`}>
+                          <p className="whitespace-pre-line break-words">{msg.text}</p>
+                          <span className={`block text-[10px] mt-1 text-right ${isMine ? 'text-emerald-100' : 'text-gray-400'}`}>
+                            {formatTime(msg.createdAt)}{isMine && msg.readAt ? ' · Seen' : ''}
+                          </span>
+                        </div>
+                      </motion.div>
+                    );
+                  })
+                ) : (
+                  <p className="text-center text-sm text-gray-400 py-10">Say hello and ask anything before you decide.</p>
+                )}
+                <div ref={bottomRef} />
+              </div>
+
+              {/* Composer */}
+              <form onSubmit={handleSend} className="p-3 border-t border-gray-100 flex gap-2">
+                <input
+                  type="text"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  placeholder="Type a message..."
+                  className="flex-1 px-4 py-2.5 text-sm bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                />
+                <button
+                  type="submit"
+                  disabled={!draft.trim() || sendMutation.isPending}
+                  className="px-4 py-2.5 bg-emerald-600 text-white rounded-xl hover:bg-emerald-700 disabled:opacity-60 flex items-center gap-1.5 text-sm font-bold"
+                >
+                  <Send size={16} /> Send
+                </button>
+              </form>
+            </>
+          ) : (
+            <div className="flex-1 flex flex-col items-center justify-center text-center p-8">
+              <div className="w-16 h-16 bg-gray-50 rounded-full flex items-center justify-center mb-3">
+                <MessageSquare className="text-gray-300" size={28} />
+              </div>
+              <h3 className="font-bold text-gray-700">{threadId ? 'Conversation not found' : 'Select a conversation'}</h3>
+              <p className="text-sm text-gray-400 mt-1">Messages stay on the platform to keep both sides safe.</p>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Messages;
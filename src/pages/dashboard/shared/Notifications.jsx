@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useInfiniteQuery } from '@tanstack/react-query';
+import { Bell, CheckCheck } from 'lucide-react';
+
+// --- Custom Components ---
+import Loading from '../../../components/common/Loading';
+import ServerDown from '../../common/ServerDown';
+import Unauthorized from '../../common/Unauthorized';
+import { useAuth } from '../../../hooks/useAuth';
+import { useNotifications } from '../../../hooks/useNotifications';
+import { notificationsApi } from '../../../services/notificationsApi';
+import { getNotificationMeta, getNotificationLink } from '../../../constants/notifications';
+import { timeAgo } from '../../../utils/formatDate';
+
+// --- Configuration ---
+const PAGE_SIZE = 15;
+
+// Student pages pad themselves; the tutor and admin layouts already pad their outlet
+const SHELL_CLASS = {
+  student: 'bg-gray-50 min-h-screen p-4 md:p-8 pt-20 lg:pt-8',
+};
+
+const FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'unread', label: 'Unread' },
+];
+
+/**
+ * Notifications Page (all roles)
+ * Full, paginated notification history with the same mark-as-read actions as the header bell.
+ */
+const Notifications = () => {
+  const navigate = useNavigate();
+  const [filter, setFilter] = useState('all');
+
+  // --- 1. Shared Session (AuthContext) ---
+  const { user, role, token } = useAuth();
+  const { unreadCount, markRead, markAllRead, isMarkingAll } = useNotifications();
+
+  // --- 2. Data Fetching (server pages, "Load More") ---
+  const {
+    data,
+    isLoading,
+    isError,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    queryKey: ['notifications', 'history', user?.email, filter],
+    queryFn: ({ pageParam }) => notificationsApi.getAll({
+      page: pageParam,
+      limit: PAGE_SIZE,
+      ...(filter === 'unread' && { unread: true })
+    }),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) => {
+      const { page, totalPages } = lastPage.pagination || {};
+      return page && page < totalPages ? page + 1 : undefined;
+    },
+    enabled: !!token,
+    retry: 1,
+  });
+
+  const notifications = data?.pages.flatMap((page) => page.data || []) || [];
+
+  // --- Handlers ---
+  const handleOpen = (notification) => {
+    if (!notification.read) markRead(notification._id);
+    navigate(getNotificationLink(notification, role));
+  };
+
+  // --- Conditional Rendering ---
+  if (isLoading) return <Loading />;
+  if (isError) {
+    const status = error?.response?.status;
+    if (status === 401 || status === 403) return <Unauthorized />;
+    return <ServerDown />;
+  }
+
+  return (
+    <div className={SHELL_CLASS[role] || ''}>
+      <div className="max-w-4xl mx-auto space-y-6">
+
+        {/* --- HEADER --- */}
+        <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Notifications</h1>
+            <p className="text-sm text-gray-500 mt-1">
+              {unreadCount > 0 ? `You have ${unreadCount} unread notification${unreadCount > 1 ? 's' : ''}.` : "You're all caught up."}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="flex bg-gray-100 rounded-lg p-1">
+              {FILTERS.map((item) => (
+                <button
+                  key={item.value}
+                  onClick={() => setFilter(item.value)}
+                  className={`px-4 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                    filter === item.value ? 'bg-white text-gray-800 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+                  }`}
+                >
+                  {item.label}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={() => markAllRead()}
+              disabled={unreadCount === 0 || isMarkingAll}
+              className="flex items-center gap-1.5 px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <CheckCheck size={16} /> Mark all read
+            </button>
+          </div>
+        </div>
+
+        {/* --- LIST --- */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 divide-y divide-gray-50">
+          {notifications.length > 0 ? (
+            notifications.map((notif) => {
+              const meta = getNotificationMeta(notif.type);
+              const TypeIcon = meta.icon;
+              return (
+                <button
+                  key={notif._id}
+                  onClick={() => handleOpen(notif)}
+                  className={`w-full text-left p-5 flex gap-4 hover:bg-gray-50 transition-colors ${!notif.read ? 'bg-emerald-50/30' : ''}`}
+                >
+                  <span className={`w-10 h-10 rounded-full flex items-center justify-center flex-shrink-0 ${meta.className}`}>
+                    <TypeIcon size={18} />
+                  </span>
+                  <span className="flex-1 min-w-0">
+                    <span className="flex items-center gap-2">
+                      <span className={`text-sm ${!notif.read ? 'font-bold text-gray-800' : 'font-medium text-gray-700'}`}>
+                        {notif.title || meta.label}
+                      </span>
+                      <span className="text-[11px] px-2 py-0.5 rounded-full bg-gray-100 text-gray-500">{meta.label}</span>
+                    </span>
+                    {notif.message && <span className="block text-sm text-gray-500 mt-1">{notif.message}</span>}
+                    <span className="block text-xs text-gray-400 mt-1.5">
+                      {timeAgo(notif.createdAt)} · {new Date(notif.createdAt).toLocaleString('en-GB', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                  </span>
+                  {!notif.read && <span className="w-2.5 h-2.5 mt-2 rounded-full bg-red-500 flex-shrink-0"></span>}
+                </button>
+              );
+            })
+          ) : (
+            <div className="text-center py-16">
+              <div className="w-16 h-16 bg-gray-50 rounded-full flex items-center justify-center mx-auto mb-3">
+                <Bell className="text-gray-300" size={28} />
+              </div>
+              <p className="text-gray-500">{filter === 'unread' ? 'No unread notifications.' : 'No notifications yet.'}</p>
+            </div>
+          )}
+
+          {/* Load More */}
+          {hasNextPage && (
+            <div className="p-4 text-center">
+              <button
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+                className="text-sm font-medium text-emerald-600 hover:underline disabled:opacity-60"
+              >
+                {isFetchingNextPage ? 'Loading...' : 'Load More'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Notifications;
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Heart, MapPin, Banknote, BookOpen, Star, Trash2, AlertTriangle, User } from 'lucide-react';
+
+// --- Custom Components ---
+import Loading from '../../../components/common/Loading';
+import ServerDown from '../../common/ServerDown';
+import Unauthorized from '../../common/Unauthorized';
+import { useAuth } from '../../../hooks/useAuth';
+import { useFavorites } from '../../../hooks/useFavorites';
+import { formatRating } from '../../../utils/ratings';
+
+// Student pages pad themselves; the tutor layout already pads its outlet
+const SHELL_CLASS = {
+  student: 'bg-gray-50 min-h-screen p-4 md:p-8 pt-20 lg:pt-8',
+};
+
+const TABS = [
+  { value: 'tuition', label: 'Tuitions' },
+  { value: 'tutor', label: 'Tutors' },
+];
+
+// Server flag first; otherwise work it out from what is left of the item
+const getStaleReason = (favorite) => {
+  const { item, itemType } = favorite;
+  if (favorite.isStale) return favorite.staleReason || 'No longer available';
+  if (favorite._id.startsWith('pending-')) return null;
+  if (!item) return itemType === 'tuition' ? 'This tuition was removed' : 'This tutor left the platform';
+  if (itemType === 'tuition' && item.status && item.status !== 'approved') return 'This tuition is closed';
+  if (itemType === 'tutor' && item.user?.isActive === false) return 'This tutor is deactivated';
+  return null;
+};
+
+/**
+ * Saved Page (student & tutor)
+ * Tuitions and tutors bookmarked from the listings, with closed/deactivated items flagged.
+ */
+const Saved = () => {
+  const { role } = useAuth();
+  // Tutors mostly save tuitions, students mostly save tutors
+  const [tab, setTab] = useState(role === 'tutor' ? 'tuition' : 'tutor');
+  const { favorites, isLoading, isError, error, removeFavorite } = useFavorites();
+
+  if (isLoading) return <Loading />;
+  if (isError) {
+    const status = error?.response?.status;
+    if (status === 401 || status === 403) return <Unauthorized />;
+    return <ServerDown />;
+  }
+
+  const visible = favorites.filter((fav) => fav.itemType === tab);
+  const countOf = (type) => favorites.filter((fav) => fav.itemType === type).length;
+
+  return (
+    <div className={SHELL_CLASS[role] || ''}>
+      <div className="max-w-6xl mx-auto space-y-6">
+
+        {/* --- HEADER --- */}
+        <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Saved</h1>
+            <p className="text-sm text-gray-500 mt-1">Tuitions and tutors you bookmarked for later.</p>
+          </div>
+          <div className="flex bg-gray-100 rounded-lg p-1 w-fit">
+            {TABS.map((item) => (
+              <button
+                key={item.value}
+                onClick={() => setTab(item.value)}
+                className={`px-4 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                  tab === item.value ? 'bg-white text-gray-800 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {item.label} ({countOf(item.value)})
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* --- LIST --- */}
+        {visible.length === 0 ? (
+          <div className="text-center py-20 bg-white rounded-2xl border border-dashed border-gray-300">
+            <Heart className="mx-auto text-gray-300 mb-3" size={44} />
+            <h3 className="text-lg font-bold text-gray-600">Nothing saved yet</h3>
+            <p className="text-gray-400 mt-1">
+              Tap the heart on any {tab === 'tuition' ? 'tuition' : 'tutor'} to keep it here.
+            </p>
+            <Link
+              to={tab === 'tuition' ? (role === 'tutor' ? '/tutor-dashboard/browse-tuitions' : '/all-tuitions') : '/all-tutors'}
+              className="inline-block mt-5 px-6 py-2.5 bg-emerald-600 text-white rounded-xl font-semibold hover:bg-emerald-700"
+            >
+              Browse {tab === 'tuition' ? 'Tuitions' : 'Tutors'}
+            </Link>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-5">
+            <AnimatePresence mode="popLayout">
+              {visible.map((fav) => {
+                const staleReason = getStaleReason(fav);
+                const { item } = fav;
+
+                return (
+                  <motion.div
+                    layout
+                    key={fav._id}
+                    initial={{ opacity: 0, scale: 0.95 }}
+                    animate={{ opacity: 1, scale: 1 }}
+                    exit={{ opacity: 0, scale: 0.95 }}
+                    className={`bg-white rounded-2xl border shadow-sm p-5 flex flex-col ${staleReason ? 'border-amber-200' : 'border-gray-100'}`}
+                  >
+                    {staleReason && (
+                      <div className="flex items-center gap-2 text-xs font-semibold text-amber-700 bg-amber-50 rounded-lg px-3 py-2 mb-4">
+                        <AlertTriangle size={14} /> {staleReason}
+                      </div>
+                    )}
+
+                    <div className={`flex-1 ${staleReason ? 'opacity-60' : ''}`}>
+                      {fav.itemType === 'tuition' ? (
+                        <>
+                          <h3 className="text-lg font-bold text-gray-800 line-clamp-1">{item?.subject || 'Tuition'}</h3>
+                          <p className="text-sm text-gray-500 flex items-center gap-1 mt-1"><BookOpen size={14} /> {item?.class || '—'} {item?.medium && `• ${item.medium}`}</p>
+                          <p className="text-sm text-gray-500 flex items-center gap-1 mt-1"><MapPin size={14} /> {item?.location || '—'}</p>
+                          <p className="text-sm font-semibold text-gray-700 flex items-center gap-1 mt-1"><Banknote size={14} /> ৳{item?.salary ?? '—'} / month</p>
+                        </>
+                      ) : (
+                        <div className="flex items-center gap-3">
+                          {item?.image ? (
+                            <img src={item.image} alt={item.user?.name} className="w-14 h-14 rounded-full object-cover" />
+                          ) : (
+                            <div className="w-14 h-14 rounded-full bg-gray-100 flex items-center justify-center text-gray-400"><User size={24} /></div>
+                          )}
+                          <div className="min-w-0">
+                            <h3 className="font-bold text-gray-800 truncate">{item?.user?.name || 'Tutor'}</h3>
+                            <p className="text-sm text-gray-500 truncate">{item?.title || 'Private Tutor'}</p>
+                            <p className="text-xs text-gray-500 flex items-center gap-1 mt-0.5">
+                              <Star size={12} className="text-yellow-500 fill-yellow-500" />
+                              {formatRating(item?.averageRating, item?.totalReviews) || 'New'}
+                            </p>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+
+                    <div className="flex gap-2 mt-5">
+                      {!staleReason && item && (
+                        <Link
+                          to={fav.itemType === 'tuition' ? `/tuition-details/${item.slug || item._id}` : `/profile/${item.slug}`}
+                          className="flex-1 text-center py-2.5 rounded-xl bg-emerald-600 text-white text-sm font-semibold hover:bg-emerald-700"
+                        >
+                          View {fav.itemType === 'tuition' ? 'Tuition' : 'Profile'}
+                        </Link>
+                      )}
+                      <button
+                        onClick={() => removeFavorite(fav._id)}
+                        disabled={fav._id.startsWith('pending-')}
+                        className={`${staleReason || !item ? 'flex-1' : ''} flex items-center justify-center gap-1.5 px-4 py-2.5 rounded-xl border border-red-100 text-red-500 text-sm font-medium hover:bg-red-50 disabled:opacity-50`}
+                        title="Remove from Saved"
+                      >
+                        <Trash2 size={16} /> {(staleReason || !item) && 'Remove'}
+                      </button>
+                    </div>
+                  </motion.div>
+                );
+              })}
+            </AnimatePresence>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Saved;
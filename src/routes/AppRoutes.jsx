@@ -21,6 +21,11 @@ const Contact = lazy(() => import("../pages/dashboard/Student/Contact"));
 const About = lazy(() => import("../pages/dashboard/Student/About"));
 const Login = lazy(() => import("../pages/auth/Login"));
 const Register = lazy(() => import("../pages/auth/Register"));
+const ForgotPassword = lazy(() => import("../pages/auth/ForgotPassword"));
+const ResetPassword = lazy(() => import("../pages/auth/ResetPassword"));
+const VerifyEmailPending = lazy(() => import("../pages/auth/VerifyEmailPending"));
+const VerifyEmail = lazy(() => import("../pages/auth/VerifyEmail"));
+const Onboarding = lazy(() => import("../pages/auth/Onboarding"));
 const ViewProfile = lazy(() => import("../pages/dashboard/Student/ViewProfile"));
 const TuitionDetails = lazy(() => import("../components/partialsPages/TuitionDetails"));
 
@@ -36,12 +41,14 @@ const AppliedTutors = lazy(() => import("../pages/dashboard/Student/AppliedTutor
 const StudentOngoingTuitions = lazy(() => import("../pages/dashboard/Student/OngoingTuitions"));
 const StudentSettings = lazy(() => import("../pages/dashboard/Student/Settings"));
 const PaymentHistory = lazy(() => import("../pages/dashboard/Student/PaymentHistory"));
+const MonthlyFees = lazy(() => import("../pages/dashboard/Student/MonthlyFees"));
 
 // Tutor Dashboard Pages
 const TutorDashboardHome = lazy(() => import("../pages/dashboard/Tutor/DashboardHome"));
 const MyApplications = lazy(() => import("../pages/dashboard/Tutor/MyApplications"));
 const TutorOngoingTuitions = lazy(() => import("../pages/dashboard/Tutor/OngoingTuitions"));
 const RevenueHistory = lazy(() => import("../pages/dashboard/Tutor/RevenueHistory"));
+const TutorWallet = lazy(() => import("../pages/dashboard/Tutor/Wallet"));
 const BrowseTuitions = lazy(() => import("../pages/dashboard/Tutor/BrowseTuitions"));
 const TutorProfile = lazy(() => import("../pages/dashboard/Tutor/Profile"));
 const TutorReviews = lazy(() => import("../pages/dashboard/Tutor/Reviews"));
@@ -55,6 +62,13 @@ const Reports = lazy(() => import("../pages/dashboard/Admin/ReportsAnalytics"));
 const AdminSettings = lazy(() => import("../pages/dashboard/Admin/PlatformSettings"));
 const AdminProfile = lazy(() => import("../pages/dashboard/Admin/AdminProfile"));
 const Transactions = lazy(() => import("../pages/dashboard/Admin/Transactions"));
+const Payouts = lazy(() => import("../pages/dashboard/Admin/Payouts"));
+
+// Shared Dashboard Pages (student & tutor)
+const Messages = lazy(() => import("../pages/dashboard/shared/Messages"));
+const Notifications = lazy(() => import("../pages/dashboard/shared/Notifications"));
+const Saved = lazy(() => import("../pages/dashboard/shared/Saved"));
+const Disputes = lazy(() => import("../pages/dashboard/shared/Disputes"));
 
 // --- Helper for Lazy Loaded Components ---
 const SuspenseWrapper = ({ children }) => (
@@ -73,6 +87,11 @@ export const router = createBrowserRouter([
         { path: "/", element: <SuspenseWrapper><Home /></SuspenseWrapper> },
         { path: "/login", element: <SuspenseWrapper><Login /></SuspenseWrapper> },
         { path: "/register", element: <SuspenseWrapper><Register /></SuspenseWrapper> },
+        { path: "/forgot-password", element: <SuspenseWrapper><ForgotPassword /></SuspenseWrapper> },
+        { path: "/reset-password/:token", element: <SuspenseWrapper><ResetPassword /></SuspenseWrapper> },
+        { path: "/verify-email", element: <SuspenseWrapper><VerifyEmailPending /></SuspenseWrapper> },
+        { path: "/verify-email/:token", element: <SuspenseWrapper><VerifyEmail /></SuspenseWrapper> },
+        { path: "/onboarding", element: <SuspenseWrapper><Onboarding /></SuspenseWrapper> },
         { path: "/contact", element: <SuspenseWrapper><Contact /></SuspenseWrapper> },
         { path: "/about", element: <SuspenseWrapper><About /></SuspenseWrapper> },
         
@@ -95,7 +114,7 @@ export const router = createBrowserRouter([
   {
     path: "/student-dashboard",
     element: (
-        <PrivateRoute allowedRoles={['student']}>
+        <PrivateRoute allowedRoles={['student']} requireVerifiedEmail>
             <StudentDashboardLayout />
         </PrivateRoute>
     ),
@@ -104,9 +123,15 @@ export const router = createBrowserRouter([
         { path: "", element: <SuspenseWrapper><StudentDashboardHome /></SuspenseWrapper> },
         { path: "my-tuitions", element: <SuspenseWrapper><MyTuitions /></SuspenseWrapper> },
         { path: "post-tuition", element: <SuspenseWrapper><PostTuition /></SuspenseWrapper> },
+        { path: "edit-tuition/:id", element: <SuspenseWrapper><PostTuition /></SuspenseWrapper> },
         { path: "applied-tutors", element: <SuspenseWrapper><AppliedTutors /></SuspenseWrapper> },
         { path: "ongoing-tuitions", element: <SuspenseWrapper><StudentOngoingTuitions /></SuspenseWrapper> },
         { path: "payment-history", element: <SuspenseWrapper><PaymentHistory /></SuspenseWrapper> },
+        { path: "monthly-fees", element: <SuspenseWrapper><MonthlyFees /></SuspenseWrapper> },
+        { path: "disputes", element: <SuspenseWrapper><Disputes /></SuspenseWrapper> },
+        { path: "messages/:threadId?", element: <SuspenseWrapper><Messages /></SuspenseWrapper> },
+        { path: "notifications", element: <SuspenseWrapper><Notifications /></SuspenseWrapper> },
+        { path: "saved", element: <SuspenseWrapper><Saved /></SuspenseWrapper> },
         { path: "settings", element: <SuspenseWrapper><StudentSettings /></SuspenseWrapper> }
     ]
   },
@@ -115,7 +140,7 @@ export const router = createBrowserRouter([
   {
     path: "/tutor-dashboard",
     element: (
-        <PrivateRoute allowedRoles={['tutor']}>
+        <PrivateRoute allowedRoles={['tutor']} requireVerifiedEmail>
             <TutorDashboardLayout />
         </PrivateRoute>
     ),
@@ -125,9 +150,14 @@ export const router = createBrowserRouter([
         { path: "my-applications", element: <SuspenseWrapper><MyApplications /></SuspenseWrapper> },
         { path: "ongoing-tuitions", element: <SuspenseWrapper><TutorOngoingTuitions /></SuspenseWrapper> },
         { path: "revenue", element: <SuspenseWrapper><RevenueHistory /></SuspenseWrapper> },
+        { path: "wallet", element: <SuspenseWrapper><TutorWallet /></SuspenseWrapper> },
+        { path: "disputes", element: <SuspenseWrapper><Disputes /></SuspenseWrapper> },
         { path: "browse-tuitions", element: <SuspenseWrapper><BrowseTuitions /></SuspenseWrapper> },
         { path: "profile", element: <SuspenseWrapper><TutorProfile /></SuspenseWrapper> },
-        { path: "reviews", element: <SuspenseWrapper><TutorReviews /></SuspenseWrapper> }
+        { path: "reviews", element: <SuspenseWrapper><TutorReviews /></SuspenseWrapper> },
+        { path: "messages/:threadId?", element: <SuspenseWrapper><Messages /></SuspenseWrapper> },
+        { path: "notifications", element: <SuspenseWrapper><Notifications /></SuspenseWrapper> },
+        { path: "saved", element: <SuspenseWrapper><Saved /></SuspenseWrapper> }
     ]
   },
 
@@ -135,7 +165,7 @@ export const router = createBrowserRouter([
   {
     path: "/admin", 
     element: (
-        <PrivateRoute allowedRoles={['admin']}>
+        <PrivateRoute allowedRoles={['admin']} requireVerifiedEmail>
             <AdminDashboardLayout />
         </PrivateRoute>
     ),
@@ -150,8 +180,10 @@ export const router = createBrowserRouter([
         { path: "reports", element: <SuspenseWrapper><Reports /></SuspenseWrapper> },
         { path: "reports/:type", element: <SuspenseWrapper><Reports /></SuspenseWrapper> },
         { path: "transactions", element: <SuspenseWrapper><Transactions /></SuspenseWrapper> },
+        { path: "payouts", element: <SuspenseWrapper><Payouts /></SuspenseWrapper> },
         { path: "settings", element: <SuspenseWrapper><AdminSettings /></SuspenseWrapper> },
-        { path: "profile", element: <SuspenseWrapper><AdminProfile /></SuspenseWrapper> }
+        { path: "profile", element: <SuspenseWrapper><AdminProfile /></SuspenseWrapper> },
+        { path: "notifications", element: <SuspenseWrapper><Notifications /></SuspenseWrapper> }
     ]
   }
 ]);
\ No newline at end of file
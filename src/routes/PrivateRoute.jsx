@@ -1,62 +1,47 @@
-import React, { useEffect, useState } from 'react';
+import React from 'react';
 import { Navigate, useLocation, Outlet } from 'react-router-dom';
-import Unauthorized from '../pages/common/Unauthorized'; 
+import Unauthorized from '../pages/common/Unauthorized';
 import Loading from '../components/common/Loading';
+import { useAuth } from '../hooks/useAuth';
+import { useSessionExpiry } from '../hooks/useSessionExpiry';
 
 /**
  * PrivateRoute Component
- * Handles authentication and role-based authorization protection.
+ * Handles authentication, JWT expiry (silent refresh / expiry warning) and role-based authorization protection.
+ * `requireVerifiedEmail` (dashboards) sends accounts with an unconfirmed email to /verify-email.
  */
-const PrivateRoute = ({ children, allowedRoles }) => {
+const PrivateRoute = ({ children, allowedRoles, requireVerifiedEmail = false }) => {
     const location = useLocation();
-    const [isChecking, setIsChecking] = useState(true);
-    const [isAuthenticated, setIsAuthenticated] = useState(false);
-    const [user, setUser] = useState(null);
-
-    useEffect(() => {
-        const checkAuth = () => {
-            let parsedUser = null;
-            let authenticated = false;
-            
-            try {
-                const userStr = localStorage.getItem('user');
-                const token = localStorage.getItem('token');
-                
-                if (userStr && token) {
-                    parsedUser = JSON.parse(userStr);
-                    authenticated = true;
-                }
-            } catch (error) {
-                console.error('Authentication error:', error);
-                localStorage.removeItem('user');
-                localStorage.removeItem('token');
-            } finally {
-                setUser(parsedUser);
-                setIsAuthenticated(authenticated);
-                setIsChecking(false);
-            }
-        };
-
-        checkAuth();
-    }, []);
-
-    // Show loading while checking auth
-    if (isChecking) {
-        return <Loading />;
-    }
+    const { user, isAuthenticated, isVerified, needsOnboarding } = useAuth();
+    const { isExpired } = useSessionExpiry();
 
     // 1. Check Authentication: Redirect to login if not authenticated
     if (!isAuthenticated || !user) {
         return <Navigate to="/login" state={{ from: location }} replace />;
     }
 
-    // 2. Check Authorization: Show Unauthorized page if role doesn't match
+    // 2. Check Token Expiry: Expired and not renewable → hold until the session ends (then step 1 redirects)
+    if (isExpired) {
+        return <Loading />;
+    }
+
+    // 3. Check Onboarding: New Google accounts have no confirmed role yet, so finish the wizard first
+    if (allowedRoles && needsOnboarding) {
+        return <Navigate to="/onboarding" replace />;
+    }
+
+    // 4. Check Authorization: Show Unauthorized page if role doesn't match
     if (allowedRoles && !allowedRoles.includes(user.role)) {
         return <Unauthorized />;
     }
 
-    // 3. Access Granted: Render children or Outlet
+    // 5. Check Email Verification: Dashboards stay locked until the email is confirmed
+    if (requireVerifiedEmail && !isVerified) {
+        return <Navigate to="/verify-email" state={{ from: location }} replace />;
+    }
+
+    // 6. Access Granted: Render children or Outlet
     return children ? children : <Outlet context={{ user }} />;
 };
 
-export default PrivateRoute;
\ No newline at end of file
+export default PrivateRoute;
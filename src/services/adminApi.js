@@ -0,0 +1,26 @@
+import api from './api';
+
+/**
+ * Admin Endpoints (/api/admin, admin-only /api/users routes)
+ * Resolves with the response body ({ success, data, message }).
+ */
+export const adminApi = {
+  getDashboardStats: () => api.get('/admin/dashboard-stats').then((res) => res.data),
+  getAnalytics: () => api.get('/admin/analytics').then((res) => res.data),
+  // Rows carry status Success / Pending / Reconciling (paid, not yet applied) / Disputed / Failed / Refunded;
+  // disputed rows also carry `disputeId` (resolve through disputesApi); `refundedAmount` is what was refunded so far
+  // (full or partial); approved tutor payouts appear with type 'Payout'
+  getTransactions: () => api.get('/admin/transactions').then((res) => res.data),
+  // Re-applies a paid-but-unapplied payment (same idempotent path as the webhook)
+  reconcilePayment: (paymentIntentId) => api.post(`/admin/payments/${paymentIntentId}/reconcile`).then((res) => res.data),
+  getSettings: () => api.get('/admin/settings').then((res) => res.data),
+  updateSettings: (settings) => api.put('/admin/settings', settings).then((res) => res.data),
+
+  // User Management
+  getUsers: () => api.get('/users').then((res) => res.data),
+  getUserLogs: (userId) => api.get(`/admin/users/${userId}/logs`).then((res) => res.data),
+  toggleUserStatus: (userId) => api.put(`/users/${userId}/status`, {}).then((res) => res.data),
+  deleteUser: (userId) => api.delete(`/users/${userId}`).then((res) => res.data),
+};
+
+export default adminApi;
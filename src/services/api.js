@@ -1 +1,118 @@
+import axios from 'axios';
+import { getToken, getRefreshToken, updateSessionTokens, expireSession } from './auth';
 
+/**
+ * Shared API Client
+ * Every request to the eTuitionBD backend goes through this axios instance:
+ * - base URL from VITE_API_URL
+ * - bearer token injected from the current session
+ * - errors normalized to { status, message } on the axios error
+ * - 401 renews the JWT once via the refresh token and retries; otherwise it ends the session
+ *   (PrivateRoute then redirects to /login with the return path)
+ */
+
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const api = axios.create({
+  baseURL: `${API_URL}/api`,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+// --- 1. Request: attach JWT ---
+api.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+/**
+ * Adds `status` and a user-friendly `message` to an axios error, keeping `error.response` intact.
+ */
+export const normalizeError = (error) => {
+  if (axios.isCancel(error)) return error;
+
+  const status = error.response?.status || 0;
+  const serverMessage = error.response?.data?.message;
+
+  error.status = status;
+  error.isNetworkError = !error.response;
+  error.message = serverMessage
+    || (error.isNetworkError ? 'Unable to reach the server. Please check your connection.' : error.message);
+
+  return error;
+};
+
+/**
+ * Reads the best message for display from any thrown error.
+ */
+export const getErrorMessage = (error, fallback = 'Something went wrong.') => {
+  return error?.response?.data?.message || error?.message || fallback;
+};
+
+// --- 2. Silent refresh (one request in flight, shared by every caller) ---
+let refreshPromise = null;
+
+/**
+ * Exchanges the stored refresh token for a new JWT via POST /api/auth/refresh-token.
+ * Expects `{ token, refreshToken? }` (optionally wrapped in `data`) and resolves with the new JWT.
+ * A refresh token the server rejects is forgotten so callers fall back to a normal logout.
+ */
+export const refreshSession = () => {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return Promise.reject(new Error('No refresh token available.'));
+
+  refreshPromise = api
+    .post('/auth/refresh-token', { refreshToken }, { skipAuthRefresh: true })
+    .then((res) => {
+      const body = res.data?.data || res.data;
+      if (!body?.token) throw new Error('Refresh response did not include a token.');
+
+      updateSessionTokens({ token: body.token, refreshToken: body.refreshToken });
+      return body.token;
+    })
+    .catch((error) => {
+      if ([400, 401, 403].includes(error.status)) updateSessionTokens({ refreshToken: null });
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+};
+
+// --- 3. Response: normalize errors & handle expired sessions ---
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const normalized = normalizeError(error);
+    const config = normalized.config;
+
+    // Only expire when we actually sent a token; anonymous 401s are left to the caller
+    const sentToken = !!config?.headers?.Authorization;
+    if (!sentToken || normalized.status !== 401 || config.skipAuthRefresh) {
+      return Promise.reject(normalized);
+    }
+
+    // Retry the original request once with a renewed token
+    if (!config.isRetryAfterRefresh && getRefreshToken()) {
+      try {
+        const token = await refreshSession();
+        config.isRetryAfterRefresh = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch {
+        // Fall through to ending the session
+      }
+    }
+
+    expireSession();
+    return Promise.reject(normalized);
+  }
+);
+
+export default api;
@@ -0,0 +1,33 @@
+import api from './api';
+import { USE_MOCK_API } from './mock';
+import { paymentsMock } from './mocks/paymentsMock';
+
+/**
+ * Tutor Application Endpoints (/api/applications)
+ * Resolves with the response body ({ success, data, message }).
+ * Hiring happens server-side once the hire payment clears (see paymentsApi); until then a paid application
+ * carries `paymentStatus: 'pending_reconciliation'`.
+ */
+const liveApplicationsApi = {
+  // Tutor
+  apply: (payload) => api.post('/applications/apply', payload).then((res) => res.data),
+  getMine: () => api.get('/applications/my-applications').then((res) => res.data),
+  withdraw: (id) => api.delete(`/applications/withdraw/${id}`).then((res) => res.data),
+
+  // Student
+  getForStudent: (email) => api.get('/applications/student-view', { params: { email } }).then((res) => res.data),
+  rejectByStudent: (id, payload) => api.patch(`/applications/reject-student/${id}`, payload).then((res) => res.data),
+
+  // Admin
+  getAll: () => api.get('/applications/all').then((res) => res.data),
+  updateStatus: (id, payload) => api.patch(`/applications/update-status/${id}`, payload).then((res) => res.data),
+};
+
+// VITE_USE_MOCK_API: the student's applications come from the payment sandbox, so a hire can be tested offline
+export const applicationsApi = USE_MOCK_API ? {
+  ...liveApplicationsApi,
+  getForStudent: paymentsMock.getApplications,
+  rejectByStudent: paymentsMock.rejectApplication,
+} : liveApplicationsApi;
+
+export default applicationsApi;
@@ -1 +1,158 @@
+/**
+ * Session Storage Helpers
+ * Single place that knows how the logged-in session is persisted.
+ * The user object (as returned by /api/auth/*) lives under `user`, the JWT under `token`,
+ * and the optional refresh token (used to renew the JWT silently) under `refreshToken`.
+ */
 
+const USER_KEY = 'user';
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Keys written by older builds of the app; cleared on logout so stale tokens never resurface.
+const LEGACY_KEYS = ['userId', 'userEmail', 'userName', 'userRole', 'userInfo', 'jwtToken', 'adminToken'];
+
+export const SESSION_KEYS = [USER_KEY, TOKEN_KEY, REFRESH_TOKEN_KEY];
+
+// --- Session change listeners (login / logout / expiry inside this tab) ---
+const listeners = new Set();
+
+const emit = (event) => {
+  listeners.forEach((listener) => listener(event));
+};
+
+/**
+ * Subscribe to session changes. Returns an unsubscribe function.
+ * Events: { type: 'login' | 'update' | 'refresh' | 'logout' | 'expired', reason? }
+ */
+export const subscribeToSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Reads the persisted session. Returns `{ user, token, refreshToken }` or null when logged out/corrupt.
+ */
+export const readSession = () => {
+  try {
+    const userStr = localStorage.getItem(USER_KEY);
+    if (!userStr) return null;
+
+    const user = JSON.parse(userStr);
+    const token = localStorage.getItem(TOKEN_KEY) || user?.token || user?.jwtToken;
+    if (!user || !token) return null;
+
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY) || user?.refreshToken || null;
+
+    return { user, token, refreshToken };
+  } catch (error) {
+    console.error('Session parse error:', error);
+    clearSession();
+    return null;
+  }
+};
+
+export const getToken = () => readSession()?.token || null;
+
+/**
+ * Accounts created before email verification existed carry no flag and count as verified.
+ */
+export const isEmailVerified = (user) => !!user && user.emailVerified !== false;
+
+/**
+ * True for brand-new social sign-ups (backend sets `isNewUser`) until the onboarding wizard is finished.
+ */
+export const needsOnboarding = (user) => !!user?.isNewUser;
+export const getRefreshToken = () => readSession()?.refreshToken || null;
+
+/**
+ * Persists the user returned by the auth endpoints (expects `token` on the payload).
+ */
+export const saveSession = (userData) => {
+  localStorage.setItem(USER_KEY, JSON.stringify(userData));
+  if (userData.token) localStorage.setItem(TOKEN_KEY, userData.token);
+  if (userData.refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, userData.refreshToken);
+  emit({ type: 'login' });
+};
+
+/**
+ * Stores a renewed JWT (and rotated refresh token, if the server sent one).
+ * Pass `refreshToken: null` to forget a refresh token the server rejected.
+ */
+export const updateSessionTokens = ({ token, refreshToken }) => {
+  const session = readSession();
+  if (!session) return;
+
+  const user = { ...session.user };
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    if (user.token) user.token = token;
+    if (user.jwtToken) user.jwtToken = token;
+  }
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    if (user.refreshToken) user.refreshToken = refreshToken;
+  } else if (refreshToken === null) {
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    delete user.refreshToken;
+  }
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+  emit({ type: 'refresh' });
+};
+
+/**
+ * Merges profile changes (e.g. name/photo edits) into the stored user without touching the token.
+ */
+export const updateSessionUser = (patch) => {
+  const session = readSession();
+  if (!session) return;
+  localStorage.setItem(USER_KEY, JSON.stringify({ ...session.user, ...patch }));
+  emit({ type: 'update' });
+};
+
+export const clearSession = () => {
+  [...SESSION_KEYS, ...LEGACY_KEYS].forEach((key) => localStorage.removeItem(key));
+};
+
+export const logoutSession = () => {
+  clearSession();
+  emit({ type: 'logout' });
+};
+
+/**
+ * Ends the session because the server rejected it (401/403, expired JWT, ...).
+ */
+export const expireSession = (reason = 'Your session has expired. Please log in again.') => {
+  if (!readSession()) return;
+  clearSession();
+  emit({ type: 'expired', reason });
+};
+
+// --- JWT helpers (no signature check: the server stays the authority, this only drives the UI) ---
+
+/**
+ * Decodes the payload of a JWT. Returns null for anything that isn't a readable JWT.
+ */
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, '=');
+    return JSON.parse(atob(padded));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Expiry of a JWT in epoch milliseconds, or null when the token carries no `exp` claim.
+ */
+export const getTokenExpiry = (token) => {
+  const exp = decodeToken(token)?.exp;
+  return typeof exp === 'number' ? exp * 1000 : null;
+};
+
+export const isTokenExpired = (token, now = Date.now()) => {
+  const expiresAt = getTokenExpiry(token);
+  return expiresAt !== null && expiresAt <= now;
+};
@@ -0,0 +1,35 @@
+import api, { refreshSession } from './api';
+import { USE_MOCK_API } from './mock';
+import { authMock } from './mocks/authMock';
+
+/**
+ * Auth Endpoints (/api/auth)
+ * Sign-in calls resolve with the user object including its JWT `token`; the rest with `{ success, message }`.
+ */
+export const authApi = {
+  login: (credentials) => api.post('/auth/login', credentials).then((res) => res.data),
+  register: (payload) => api.post('/auth/register', payload).then((res) => res.data),
+  google: (payload) => api.post('/auth/google', payload).then((res) => res.data),
+  // Finishes a new Google account: { role, profile } → updated user (with a new `token` if the role changed)
+  completeOnboarding: (payload) => api.post('/auth/onboarding', payload).then((res) => res.data),
+  // Renews the stored JWT with the stored refresh token; resolves with the new JWT
+  refresh: () => refreshSession(),
+
+  // Password reset (answered in-browser when VITE_USE_MOCK_API=true)
+  forgotPassword: (payload) => (USE_MOCK_API
+    ? authMock.forgotPassword(payload)
+    : api.post('/auth/forgot-password', payload).then((res) => res.data)),
+  resetPassword: (payload) => (USE_MOCK_API
+    ? authMock.resetPassword(payload)
+    : api.post('/auth/reset-password', payload).then((res) => res.data)),
+
+  // Email verification (also mockable)
+  verifyEmail: (payload) => (USE_MOCK_API
+    ? authMock.verifyEmail(payload)
+    : api.post('/auth/verify-email', payload).then((res) => res.data)),
+  resendVerification: (payload) => (USE_MOCK_API
+    ? authMock.resendVerification(payload)
+    : api.post('/auth/resend-verification', payload).then((res) => res.data)),
+};
+
+export default authApi;
@@ -0,0 +1,110 @@
+import { getToken } from './auth';
+import { USE_MOCK_API } from './mock';
+import { createMockChatTransport } from './mocks/messagesMock';
+
+/**
+ * Chat Transport
+ * Tells the messaging UI *when* to refetch; the data itself always comes from messagesApi.
+ * A transport is `{ subscribe(topic, onUpdate) → unsubscribe }`, with topics 'threads' and `thread:<id>`.
+ *
+ * Picked once: mock store events (VITE_USE_MOCK_API), a WebSocket (VITE_CHAT_SOCKET_URL), or polling.
+ * Tests can install their own with setChatTransport().
+ */
+
+const CHAT_SOCKET_URL = import.meta.env.VITE_CHAT_SOCKET_URL;
+const POLL_INTERVAL_MS = 5000;
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Calls every subscriber on a fixed interval, skipping ticks while the tab is hidden.
+ */
+export const createPollingTransport = (intervalMs = POLL_INTERVAL_MS) => ({
+  subscribe: (topic, onUpdate) => {
+    const timer = setInterval(() => {
+      if (!document.hidden) onUpdate();
+    }, intervalMs);
+    return () => clearInterval(timer);
+  },
+});
+
+/**
+ * One shared socket; the server pushes `{ topic }` frames after each change.
+ * The JWT goes in the first frame (`{ type: 'auth', token }`), never the URL, so access logs don't record it;
+ * it is read on every (re)connect to pick up refreshed tokens. Reconnects while anything is still subscribed.
+ */
+export const createSocketTransport = (url = CHAT_SOCKET_URL) => {
+  const listeners = new Map(); // topic → Set<onUpdate>
+  let socket = null;
+  let reconnectTimer = null;
+
+  const sendFrame = (frame) => {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(frame));
+  };
+
+  const connect = () => {
+    socket = new WebSocket(url);
+
+    socket.onopen = () => {
+      sendFrame({ type: 'auth', token: getToken() });
+      listeners.forEach((_, topic) => sendFrame({ type: 'subscribe', topic }));
+    };
+    socket.onmessage = (event) => {
+      try {
+        const { topic } = JSON.parse(event.data);
+        listeners.get(topic)?.forEach((onUpdate) => onUpdate());
+      } catch {
+        // Ignore frames that are not ours
+      }
+    };
+    socket.onclose = () => {
+      socket = null;
+      if (listeners.size === 0) return;
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+      }, RECONNECT_DELAY_MS);
+    };
+  };
+
+  return {
+    subscribe: (topic, onUpdate) => {
+      if (!listeners.has(topic)) {
+        listeners.set(topic, new Set());
+        sendFrame({ type: 'subscribe', topic });
+      }
+      listeners.get(topic).add(onUpdate);
+      if (!socket && !reconnectTimer) connect();
+
+      return () => {
+        const topicListeners = listeners.get(topic);
+        topicListeners?.delete(onUpdate);
+        if (topicListeners?.size === 0) {
+          listeners.delete(topic);
+          sendFrame({ type: 'unsubscribe', topic });
+        }
+        if (listeners.size === 0) {
+          clearTimeout(reconnectTimer);
+          reconnectTimer = null;
+          socket?.close();
+        }
+      };
+    },
+  };
+};
+
+const createDefaultTransport = () => {
+  if (USE_MOCK_API) return createMockChatTransport();
+  if (CHAT_SOCKET_URL) return createSocketTransport(CHAT_SOCKET_URL);
+  return createPollingTransport();
+};
+
+let activeTransport = null;
+
+export const getChatTransport = () => {
+  if (!activeTransport) activeTransport = createDefaultTransport();
+  return activeTransport;
+};
+
+export const setChatTransport = (transport) => {
+  activeTransport = transport;
+};
@@ -0,0 +1,25 @@
+import api from './api';
+
+/**
+ * Payment Dispute Endpoints (/api/disputes)
+ * A student disputes one payment; the tutor (and student) add responses; an admin resolves it.
+ * { _id, transactionId, ongoingTuitionId, studentName, tutorName, subject, amount, reason, details,
+ *   status: 'open' | 'responded' | 'resolved' | 'rejected', responses: [{ by, name, message, at }],
+ *   resolution: { outcome, refundAmount, reverseHire, note } }
+ * Every change is also written to the payment's timeline (paymentsApi.getTimeline).
+ */
+export const disputesApi = {
+  // Student: { transactionId, ongoingTuitionId, reason, details }
+  open: (payload) => api.post('/disputes', payload).then((res) => res.data),
+
+  // Student & tutor: disputes they are part of
+  getMine: () => api.get('/disputes/mine').then((res) => res.data),
+  getById: (id) => api.get(`/disputes/${id}`).then((res) => res.data),
+  respond: (id, message) => api.post(`/disputes/${id}/responses`, { message }).then((res) => res.data),
+
+  // Admin: refunds through the payment provider and, with `reverseHire`, ends the ongoing tuition
+  // { outcome: 'full_refund' | 'partial_refund' | 'rejected', refundAmount, reverseHire, note }
+  resolve: (id, resolution) => api.post(`/disputes/${id}/resolve`, resolution).then((res) => res.data),
+};
+
+export default disputesApi;
@@ -0,0 +1,14 @@
+import api from './api';
+
+/**
+ * Form Draft Endpoints (/api/drafts)
+ * One draft per user and form `kind` (e.g. 'tuition'), so an unfinished form follows the user across devices.
+ * Draft: { data, step, updatedAt }
+ */
+export const draftsApi = {
+  get: (kind) => api.get(`/drafts/${kind}`).then((res) => res.data),
+  save: (kind, draft) => api.put(`/drafts/${kind}`, draft).then((res) => res.data),
+  remove: (kind) => api.delete(`/drafts/${kind}`).then((res) => res.data),
+};
+
+export default draftsApi;
@@ -0,0 +1,18 @@
+import api from './api';
+
+/**
+ * Favorites Endpoints (/api/favorites)
+ * Resolves with the response body ({ success, data, message }).
+ *
+ * Favorite: { _id, itemType: 'tuition' | 'tutor', itemId, item, isStale, staleReason?, createdAt }
+ * `item` is the populated tuition post or tutor profile (null once deleted); `isStale` is set when the
+ * tuition is closed/removed or the tutor account is deactivated.
+ */
+export const favoritesApi = {
+  getAll: () => api.get('/favorites').then((res) => res.data),
+  // Adds or removes { itemType, itemId }; resolves with { saved }
+  toggle: (payload) => api.post('/favorites/toggle', payload).then((res) => res.data),
+  remove: (id) => api.delete(`/favorites/${id}`).then((res) => res.data),
+};
+
+export default favoritesApi;
@@ -0,0 +1,29 @@
+import api from './api';
+import { USE_MOCK_API } from './mock';
+import { paymentsMock } from './mocks/paymentsMock';
+
+/**
+ * Monthly Invoice Endpoints (/api/invoices)
+ * The server opens one invoice per ongoing tuition each month and sends due/overdue reminders:
+ * { _id, ongoingTuitionId, month: 'YYYY-MM', amount, dueDate, status: 'unpaid' | 'pending_reconciliation' | 'paid',
+ *   studentName, tutorName, subject, paidAt, transactionId, attendance: { scheduled, confirmed } }.
+ */
+const liveInvoicesApi = {
+  // Student
+  getForStudent: () => api.get('/invoices/student').then((res) => res.data),
+  // The intent is created for the invoice's own amount → { clientSecret, paymentIntentId }.
+  // The payment webhook marks the invoice paid; poll with paymentsApi.waitForConfirmation.
+  // Wallet payments for an invoice go through paymentsApi.createWalletCheckout({ invoiceId }).
+  createPaymentIntent: (id) => api.post(`/invoices/${id}/payment-intent`).then((res) => res.data),
+
+  // Tutor
+  getForTutor: () => api.get('/invoices/tutor').then((res) => res.data),
+};
+
+// VITE_USE_MOCK_API: the student's invoices come from the payment sandbox, which marks them paid
+export const invoicesApi = USE_MOCK_API ? {
+  ...liveInvoicesApi,
+  getForStudent: paymentsMock.getInvoices,
+} : liveInvoicesApi;
+
+export default invoicesApi;
@@ -0,0 +1,24 @@
+import api from './api';
+import { USE_MOCK_API } from './mock';
+import { messagesMock } from './mocks/messagesMock';
+
+/**
+ * Student ↔ Tutor Messaging Endpoints (/api/messages)
+ * Resolves with the response body ({ success, data, message }); answered in-browser when VITE_USE_MOCK_API=true.
+ *
+ * Thread:  { _id, student: { _id, name, image }, tutor: { _id, name, image }, tuitionId?, tuitionTitle?,
+ *            applicationId?, lastMessage?: { text, senderId, createdAt }, unreadCount, updatedAt }
+ * Message: { _id, threadId, senderId, text, createdAt, readAt? }
+ */
+export const messagesApi = USE_MOCK_API ? messagesMock : {
+  getThreads: () => api.get('/messages/threads').then((res) => res.data),
+  // Returns the existing thread for the same tutor/tuition pair instead of opening a duplicate
+  startThread: (payload) => api.post('/messages/threads', payload).then((res) => res.data),
+  getMessages: (threadId) => api.get(`/messages/threads/${threadId}/messages`).then((res) => res.data),
+  send: (threadId, text) => api.post(`/messages/threads/${threadId}/messages`, { text }).then((res) => res.data),
+  markRead: (threadId) => api.patch(`/messages/threads/${threadId}/read`).then((res) => res.data),
+  // { count } of unread messages across all threads (sidebar badge)
+  getUnreadCount: () => api.get('/messages/unread-count').then((res) => res.data),
+};
+
+export default messagesApi;
@@ -0,0 +1,43 @@
+/**
+ * Offline Mock Helpers
+ * Set VITE_USE_MOCK_API=true to answer mock-enabled endpoints in the browser, without the backend.
+ * Mocked calls resolve/reject with the same shapes as the real API client.
+ */
+
+export const USE_MOCK_API = import.meta.env.VITE_USE_MOCK_API === 'true';
+
+const MOCK_DELAY_MS = 600;
+
+/**
+ * Resolves with `body` after a short, network-like delay.
+ */
+export const mockResponse = (body, delay = MOCK_DELAY_MS) =>
+  new Promise((resolve) => setTimeout(() => resolve(body), delay));
+
+/**
+ * Rejects like a normalized API error ({ status, message, response.data.message }).
+ */
+export const mockError = (status, message, delay = MOCK_DELAY_MS) =>
+  new Promise((_, reject) => {
+    setTimeout(() => {
+      const error = new Error(message);
+      error.status = status;
+      error.isNetworkError = false;
+      error.response = { status, data: { success: false, message } };
+      reject(error);
+    }, delay);
+  });
+
+/**
+ * Tiny localStorage-backed table for mock data that must survive reloads (e.g. links opened in a new tab).
+ */
+export const mockStore = (key, initial = {}) => ({
+  read: () => {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || initial;
+    } catch {
+      return initial;
+    }
+  },
+  write: (value) => localStorage.setItem(key, JSON.stringify(value)),
+});
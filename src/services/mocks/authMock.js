@@ -0,0 +1,67 @@
+import { mockResponse, mockError, mockStore } from '../mock';
+
+/**
+ * Offline stand-ins for the password reset and email verification endpoints.
+ * The "emailed" links are printed to the console instead, in development builds only.
+ */
+
+const RESET_TTL_MS = 60 * 60 * 1000;
+const VERIFY_TTL_MS = 24 * 60 * 60 * 1000;
+const resets = mockStore('mockPasswordResets');
+const verifications = mockStore('mockEmailVerifications');
+
+// Mock links are a dev affordance; never print tokens from a production build
+const logLink = (message) => {
+  if (import.meta.env.DEV) console.info(`[mock] ${message}`);
+};
+
+const createToken = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+const GENERIC_RESET_MESSAGE = 'If an account exists for that email, a password reset link has been sent.';
+
+export const authMock = {
+  forgotPassword: ({ email }) => {
+    const token = createToken();
+    resets.write({ ...resets.read(), [token]: { email, expiresAt: Date.now() + RESET_TTL_MS } });
+
+    logLink(`Password reset link for ${email}: ${window.location.origin}/reset-password/${token}`);
+    return mockResponse({ success: true, message: GENERIC_RESET_MESSAGE });
+  },
+
+  resetPassword: ({ token, password }) => {
+    const all = resets.read();
+    const entry = all[token];
+
+    if (!entry || entry.expiresAt < Date.now()) {
+      return mockError(400, 'This reset link is invalid or has expired. Please request a new one.');
+    }
+    if (!password) return mockError(400, 'Password is required.');
+
+    delete all[token];
+    resets.write(all);
+    return mockResponse({ success: true, message: 'Password has been reset. You can now log in.' });
+  },
+
+  resendVerification: ({ email }) => {
+    const token = createToken();
+    verifications.write({ ...verifications.read(), [token]: { email, expiresAt: Date.now() + VERIFY_TTL_MS } });
+
+    logLink(`Verification link for ${email}: ${window.location.origin}/verify-email/${token}`);
+    return mockResponse({ success: true, message: `A new verification link has been sent to ${email}.` });
+  },
+
+  verifyEmail: ({ token }) => {
+    const all = verifications.read();
+    const entry = all[token];
+
+    if (!entry || entry.expiresAt < Date.now()) {
+      return mockError(400, 'This verification link is invalid or has expired.');
+    }
+
+    delete all[token];
+    verifications.write(all);
+    return mockResponse({ success: true, message: 'Email verified successfully.', data: { email: entry.email, emailVerified: true } });
+  },
+};
+
+export default authMock;
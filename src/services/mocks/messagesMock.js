@@ -0,0 +1,124 @@
+import { mockResponse, mockError, mockStore } from '../mock';
+import { readSession } from '../auth';
+
+/**
+ * Offline stand-in for the messaging endpoints, plus a push transport driven by the same store.
+ * Data lives in localStorage, so two tabs logged in as the student and the tutor can chat with each other.
+ */
+
+const CHAT_DELAY_MS = 200;
+const UPDATE_EVENT = 'mock-chat-update';
+const threads = mockStore('mockChatThreads', []);
+const messages = mockStore('mockChatMessages', []);
+
+const createId = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+const currentUser = () => {
+  const user = readSession()?.user;
+  return user ? { _id: (user._id || user.id)?.toString(), name: user.name, image: user.photoURL || user.image } : null;
+};
+
+const isParticipant = (thread, userId) => thread.student._id === userId || thread.tutor._id === userId;
+
+const unreadFor = (threadId, userId) =>
+  messages.read().filter((msg) => msg.threadId === threadId && msg.senderId !== userId && !msg.readAt).length;
+
+// Same-tab listeners get a DOM event; other tabs pick the change up from the `storage` event
+const notify = (topics) => window.dispatchEvent(new CustomEvent(UPDATE_EVENT, { detail: topics }));
+
+const withUser = (handler) => (...args) => {
+  const user = currentUser();
+  if (!user) return mockError(401, 'Please log in to use messages.', CHAT_DELAY_MS);
+  return handler(user, ...args);
+};
+
+const findThread = (user, threadId) => {
+  const thread = threads.read().find((item) => item._id === threadId);
+  return thread && isParticipant(thread, user._id) ? thread : null;
+};
+
+export const messagesMock = {
+  getThreads: withUser((user) => {
+    const data = threads.read()
+      .filter((thread) => isParticipant(thread, user._id))
+      .map((thread) => ({ ...thread, unreadCount: unreadFor(thread._id, user._id) }))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    return mockResponse({ success: true, data }, CHAT_DELAY_MS);
+  }),
+
+  startThread: withUser((user, { tutorId, tutorName, tutorImage, tuitionId, tuitionTitle, applicationId }) => {
+    if (!tutorId) return mockError(400, 'A tutor is required to start a conversation.', CHAT_DELAY_MS);
+
+    const all = threads.read();
+    const existing = all.find((thread) =>
+      thread.student._id === user._id && thread.tutor._id === tutorId && (thread.tuitionId || null) === (tuitionId || null)
+    );
+    if (existing) return mockResponse({ success: true, data: existing }, CHAT_DELAY_MS);
+
+    const thread = {
+      _id: createId(),
+      student: user,
+      tutor: { _id: tutorId, name: tutorName || 'Tutor', image: tutorImage },
+      tuitionId: tuitionId || null,
+      tuitionTitle: tuitionTitle || null,
+      applicationId: applicationId || null,
+      lastMessage: null,
+      updatedAt: new Date().toISOString(),
+    };
+    threads.write([...all, thread]);
+    notify(['threads']);
+    return mockResponse({ success: true, data: { ...thread, unreadCount: 0 } }, CHAT_DELAY_MS);
+  }),
+
+  getMessages: withUser((user, threadId) => {
+    if (!findThread(user, threadId)) return mockError(404, 'Conversation not found.', CHAT_DELAY_MS);
+    const data = messages.read().filter((msg) => msg.threadId === threadId);
+    return mockResponse({ success: true, data }, CHAT_DELAY_MS);
+  }),
+
+  send: withUser((user, threadId, text) => {
+    if (!findThread(user, threadId)) return mockError(404, 'Conversation not found.', CHAT_DELAY_MS);
+    if (!text?.trim()) return mockError(400, 'Message cannot be empty.', CHAT_DELAY_MS);
+
+    const message = { _id: createId(), threadId, senderId: user._id, text: text.trim(), createdAt: new Date().toISOString() };
+    messages.write([...messages.read(), message]);
+    threads.write(threads.read().map((thread) => (thread._id === threadId
+      ? { ...thread, lastMessage: { text: message.text, senderId: user._id, createdAt: message.createdAt }, updatedAt: message.createdAt }
+      : thread)));
+
+    notify(['threads', `thread:${threadId}`]);
+    return mockResponse({ success: true, data: message }, CHAT_DELAY_MS);
+  }),
+
+  markRead: withUser((user, threadId) => {
+    const readAt = new Date().toISOString();
+    messages.write(messages.read().map((msg) => (
+      msg.threadId === threadId && msg.senderId !== user._id && !msg.readAt ? { ...msg, readAt } : msg
+    )));
+    notify(['threads', `thread:${threadId}`]);
+    return mockResponse({ success: true }, CHAT_DELAY_MS);
+  }),
+
+  getUnreadCount: withUser((user) => {
+    const threadIds = new Set(threads.read().filter((thread) => isParticipant(thread, user._id)).map((thread) => thread._id));
+    const count = messages.read().filter((msg) => threadIds.has(msg.threadId) && msg.senderId !== user._id && !msg.readAt).length;
+    return mockResponse({ success: true, data: { count } }, CHAT_DELAY_MS);
+  }),
+};
+
+/**
+ * Push transport for the mock store: fires subscribers whenever a mock write touches their topic.
+ */
+export const createMockChatTransport = () => ({
+  subscribe: (topic, onUpdate) => {
+    const handleLocal = (event) => { if (event.detail.includes(topic)) onUpdate(); };
+    const handleStorage = (event) => { if (event.key === 'mockChatThreads' || event.key === 'mockChatMessages') onUpdate(); };
+
+    window.addEventListener(UPDATE_EVENT, handleLocal);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener(UPDATE_EVENT, handleLocal);
+      window.removeEventListener('storage', handleStorage);
+    };
+  },
+});
@@ -0,0 +1,198 @@
+import { mockResponse, mockError, mockStore } from '../mock';
+import { readSession } from '../auth';
+import { PENDING_RECONCILIATION } from '../../constants/payments';
+
+/**
+ * Offline stand-in for the student's side of paying: the hire quote, mobile-wallet checkout, payment status and
+ * sandbox payments, plus the applications, tuitions and monthly invoices they pay for. A few sample ones are
+ * seeded on first use; a fulfilled payment hires the tutor or marks the invoice paid, as the webhook would.
+ * Nothing is charged. Data lives in localStorage so it survives the wallet redirect.
+ */
+
+const SANDBOX_HIRE_AMOUNT = 5000;
+const SANDBOX_COMMISSION_RATE = 0.1;
+// How long a 'confirm' (slow) sandbox payment stays pending before it is applied
+const SANDBOX_SETTLE_MS = 15000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const payments = mockStore('mockPayments');
+const applications = mockStore('mockApplications', null);
+const tuitions = mockStore('mockTuitions', null);
+const invoices = mockStore('mockInvoices', null);
+
+const createId = () => `mock_${Math.random().toString(36).slice(2)}${Date.now().toString(36)}`;
+
+// Sandbox outcomes → the status paymentsApi.getStatus reports
+const OUTCOME_STATUSES = {
+  succeed: 'fulfilled',
+  confirm: PENDING_RECONCILIATION,
+  fail: 'failed',
+};
+
+const toMonth = (date) => date.toISOString().slice(0, 7);
+
+// --- Sample data (seeded once) ---
+
+const SAMPLE_TUITIONS = [
+  { _id: 'mock_tuition_math', title: 'Math tutor for Class 8', subject: 'Mathematics', class: 'Class 8', location: 'Dhanmondi, Dhaka', salary: 5000 },
+  { _id: 'mock_tuition_physics', title: 'Physics tutor for HSC', subject: 'Physics', class: 'HSC', location: 'Mirpur, Dhaka', salary: 7000 },
+];
+
+const SAMPLE_APPLICATIONS = [
+  {
+    _id: 'mock_application_1', tuitionId: 'mock_tuition_math', tuitionTitle: 'Math tutor for Class 8',
+    tutorId: 'mock_tutor_1', tutorName: 'Sadia Rahman', experience: '3 years', expectedSalary: 5000,
+    message: 'I have taught Class 8 mathematics for three years.', status: 'Shortlisted',
+  },
+  {
+    _id: 'mock_application_2', tuitionId: 'mock_tuition_physics', tuitionTitle: 'Physics tutor for HSC',
+    tutorId: 'mock_tutor_2', tutorName: 'Arif Hossain', experience: '5 years', expectedSalary: 7000,
+    message: 'Physics graduate, happy to start next week.', status: 'Shortlisted',
+  },
+  {
+    _id: 'mock_application_3', tuitionId: 'mock_tuition_physics', tuitionTitle: 'Physics tutor for HSC',
+    tutorId: 'mock_tutor_3', tutorName: 'Nusrat Jahan', experience: '1 year', expectedSalary: 6500,
+    message: 'Recent graduate with HSC tutoring experience.', status: 'Pending',
+  },
+];
+
+const sampleInvoices = () => {
+  const now = new Date();
+  const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 15);
+  const base = { ongoingTuitionId: 'mock_ongoing_1', studentName: readSession()?.user?.name, tutorName: 'Tanvir Ahmed', subject: 'English', amount: 4500 };
+  return [
+    {
+      ...base, _id: 'mock_invoice_current', month: toMonth(now), status: 'unpaid',
+      dueDate: new Date(now.getTime() + 5 * DAY_MS).toISOString(), attendance: { scheduled: 12, confirmed: 4 },
+    },
+    {
+      ...base, _id: 'mock_invoice_previous', month: toMonth(lastMonth), status: 'paid', dueDate: lastMonth.toISOString(),
+      paidAt: lastMonth.toISOString(), transactionId: 'mock_previous_payment', attendance: { scheduled: 12, confirmed: 12 },
+    },
+  ];
+};
+
+const readSeeded = (store, seed) => {
+  const rows = store.read();
+  if (rows) return rows;
+  const seeded = seed();
+  store.write(seeded);
+  return seeded;
+};
+
+const readTuitions = () => readSeeded(tuitions, () => SAMPLE_TUITIONS);
+const readApplications = () => readSeeded(applications, () => SAMPLE_APPLICATIONS);
+const readInvoices = () => readSeeded(invoices, sampleInvoices);
+
+const updateRow = (store, rows, id, changes) => {
+  store.write(rows.map((row) => (row._id === id ? { ...row, ...changes } : row)));
+};
+
+// --- Applying payments (what the webhook does on the server) ---
+
+const applyPayment = (paymentId, payment) => {
+  const { applicationId, invoiceId, status } = payment;
+  if (applicationId) {
+    updateRow(applications, readApplications(), applicationId, status === 'fulfilled'
+      ? { status: 'Hired', paymentStatus: undefined }
+      : { paymentStatus: status === PENDING_RECONCILIATION ? PENDING_RECONCILIATION : undefined });
+  }
+  if (invoiceId) {
+    updateRow(invoices, readInvoices(), invoiceId, status === 'fulfilled'
+      ? { status: 'paid', paidAt: new Date().toISOString(), transactionId: paymentId }
+      : { status: status === PENDING_RECONCILIATION ? PENDING_RECONCILIATION : 'unpaid' });
+  }
+};
+
+const setPaymentStatus = (all, paymentId, status) => {
+  all[paymentId] = { ...all[paymentId], status };
+  payments.write(all);
+  applyPayment(paymentId, all[paymentId]);
+};
+
+// Slow sandbox payments are applied once SANDBOX_SETTLE_MS has passed, on the next read
+const settlePendingPayments = () => {
+  const all = payments.read();
+  Object.values(all)
+    .filter((payment) => payment.status === PENDING_RECONCILIATION && payment.settlesAt && Date.now() >= payment.settlesAt)
+    .forEach((payment) => setPaymentStatus(all, payment._id, 'fulfilled'));
+};
+
+const savePayment = (payment) => {
+  const _id = createId();
+  const all = payments.read();
+  all[_id] = { ...payment, _id, createdAt: new Date().toISOString() };
+  payments.write(all);
+  return _id;
+};
+
+export const paymentsMock = {
+  getHireQuote: (applicationId) => {
+    if (!applicationId) return mockError(400, 'An application is required.');
+    const application = readApplications().find((item) => item._id === applicationId);
+    const amount = application?.expectedSalary || SANDBOX_HIRE_AMOUNT;
+    const commission = Math.round(amount * SANDBOX_COMMISSION_RATE);
+    return mockResponse({ success: true, data: { amount, commission, tutorReceives: amount - commission } });
+  },
+
+  // The "wallet" approves straight away and sends the student back to the callback URL
+  createWalletCheckout: ({ provider, applicationId, invoiceId, callbackUrl }) => {
+    const paymentId = savePayment({ provider, applicationId, invoiceId, status: 'created' });
+    const redirectUrl = new URL(callbackUrl);
+    redirectUrl.searchParams.set('paymentId', paymentId);
+    redirectUrl.searchParams.set('status', 'success');
+    return mockResponse({ success: true, paymentId, redirectUrl: redirectUrl.toString() });
+  },
+
+  executeWalletPayment: (paymentId) => {
+    const all = payments.read();
+    if (!all[paymentId]) return mockError(404, 'Payment not found.');
+    setPaymentStatus(all, paymentId, 'fulfilled');
+    return mockResponse({ success: true, data: { status: 'fulfilled' } });
+  },
+
+  // outcome: 'succeed' | 'confirm' (applied after SANDBOX_SETTLE_MS) | 'fail'
+  createSandboxPayment: ({ applicationId, invoiceId, outcome = 'succeed' }) => {
+    const status = OUTCOME_STATUSES[outcome] || OUTCOME_STATUSES.succeed;
+    const paymentId = savePayment({
+      provider: 'sandbox', applicationId, invoiceId, status,
+      settlesAt: status === PENDING_RECONCILIATION ? Date.now() + SANDBOX_SETTLE_MS : null,
+    });
+    applyPayment(paymentId, payments.read()[paymentId]);
+    return mockResponse({ success: true, paymentId });
+  },
+
+  getStatus: (paymentId) => {
+    settlePendingPayments();
+    const payment = payments.read()[paymentId];
+    if (!payment) return mockError(404, 'Payment not found.');
+    return mockResponse({ success: true, data: { status: payment.status } });
+  },
+
+  // --- What the payments are for ---
+
+  // Open applications only; hired ones leave the list, as on the server
+  getApplications: () => {
+    settlePendingPayments();
+    const data = readApplications().filter((application) => ['Pending', 'Shortlisted'].includes(application.status));
+    return mockResponse({ success: true, data });
+  },
+
+  rejectApplication: (id, { reason } = {}) => {
+    const all = readApplications();
+    if (!all.some((application) => application._id === id)) return mockError(404, 'Application not found.');
+    updateRow(applications, all, id, { status: 'Rejected', rejectionReason: reason });
+    return mockResponse({ success: true, message: 'Application rejected.' });
+  },
+
+  // Sandbox tuitions only; anything else is null so the caller can ask the API
+  getTuition: (id) => {
+    const tuition = readTuitions().find((item) => item._id === id);
+    return tuition ? mockResponse({ success: true, data: tuition }) : null;
+  },
+
+  getInvoices: () => {
+    settlePendingPayments();
+    return mockResponse({ success: true, data: readInvoices() });
+  },
+};
@@ -0,0 +1,17 @@
+import api from './api';
+
+/**
+ * Notification Endpoints (/api/notifications)
+ * Resolves with the response body ({ success, data, message }).
+ * Notification: { _id, type, title, message, link?, read, createdAt } — see constants/notifications.js for the types.
+ */
+export const notificationsApi = {
+  // { page, limit, unread } → { data: [...], pagination: { page, totalPages, total } }
+  getAll: (params) => api.get('/notifications', { params }).then((res) => res.data),
+  // { count } for the bell badge
+  getUnreadCount: () => api.get('/notifications/unread-count').then((res) => res.data),
+  markRead: (id) => api.patch(`/notifications/${id}/read`).then((res) => res.data),
+  markAllRead: () => api.patch('/notifications/read-all').then((res) => res.data),
+};
+
+export default notificationsApi;
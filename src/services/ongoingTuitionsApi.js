@@ -0,0 +1,19 @@
+import api from './api';
+
+/**
+ * Ongoing (Hired) Tuition Endpoints (/api/ongoing-tuitions)
+ * Each record copies the hired post's weekly `schedule`, which blocks those slots on the tutor's calendar.
+ * `transactionId` is the hire payment; `disputeStatus` is set while (or after) it is disputed.
+ */
+export const ongoingTuitionsApi = {
+  // Student
+  getForStudent: () => api.get('/ongoing-tuitions/student/ongoing').then((res) => res.data),
+  saveStudentNote: (id, note) => api.patch(`/ongoing-tuitions/${id}/student-note`, { note }).then((res) => res.data),
+  complete: (id) => api.put(`/ongoing-tuitions/${id}/complete`, {}).then((res) => res.data),
+
+  // Tutor
+  getForTutor: (tutorId) => api.get('/ongoing-tuitions/tutor/students', { params: { tutorId } }).then((res) => res.data),
+  saveTutorNote: (id, note) => api.patch(`/ongoing-tuitions/${id}/tutor-note`, { note }).then((res) => res.data),
+};
+
+export default ongoingTuitionsApi;
@@ -0,0 +1,77 @@
+import { USE_MOCK_API } from './mock';
+import { paymentsApi } from './paymentsApi';
+import { invoicesApi } from './invoicesApi';
+import { paymentsMock } from './mocks/paymentsMock';
+
+/**
+ * Payment Providers
+ * The ways a student can pay for a hire (`target = { applicationId }`) or a monthly invoice (`{ invoiceId }`).
+ * A provider is `{ id, flow, checkout(target, options), complete? }`; `flow` picks the form PaymentCheckout shows:
+ *  - 'card'      Stripe card field. checkout(target) → { clientSecret }
+ *  - 'redirect'  mobile wallet. checkout(target, { callbackUrl }) → { paymentId, redirectUrl }; the wallet sends the
+ *                student back and complete(paymentId, status) captures it (see usePaymentCallback)
+ *  - 'sandbox'   no money moves. checkout(target, { outcome }) → { paymentId }
+ * Whichever is used, the server applies the payment; the page only waits on paymentsApi.getStatus.
+ *
+ * Picked once from VITE_PAYMENT_PROVIDERS (default "stripe,bkash,nagad"). VITE_USE_MOCK_API puts the sandbox
+ * first and drops Stripe, which cannot be mocked; the hire and invoice flows then run offline (see mocks/paymentsMock).
+ * Tests can install their own with setPaymentProviders().
+ */
+
+const DEFAULT_PROVIDERS = 'stripe,bkash,nagad';
+
+export const createStripeProvider = () => ({
+  id: 'stripe',
+  flow: 'card',
+  checkout: ({ applicationId, invoiceId }) => (invoiceId
+    ? invoicesApi.createPaymentIntent(invoiceId)
+    : paymentsApi.createPaymentIntent(applicationId)),
+});
+
+export const createMobileWalletProvider = (id) => ({
+  id,
+  flow: 'redirect',
+  checkout: (target, { callbackUrl }) => paymentsApi.createWalletCheckout({ provider: id, ...target, callbackUrl }),
+  // `status` is what the wallet put on the callback URL; resolves true once the payment is captured
+  complete: async (paymentId, status) => {
+    if (status !== 'success') return false;
+    await paymentsApi.executeWalletPayment(paymentId);
+    return true;
+  },
+});
+
+export const createSandboxProvider = () => ({
+  id: 'sandbox',
+  flow: 'sandbox',
+  checkout: (target, { outcome }) => paymentsMock.createSandboxPayment({ ...target, outcome }),
+});
+
+const PROVIDER_FACTORIES = {
+  stripe: createStripeProvider,
+  bkash: () => createMobileWalletProvider('bkash'),
+  nagad: () => createMobileWalletProvider('nagad'),
+  sandbox: createSandboxProvider,
+};
+
+const createDefaultProviders = () => {
+  const enabled = (import.meta.env.VITE_PAYMENT_PROVIDERS || DEFAULT_PROVIDERS)
+    .split(',')
+    .map((id) => id.trim())
+    .filter((id) => PROVIDER_FACTORIES[id] && id !== 'sandbox');
+
+  const ids = USE_MOCK_API ? ['sandbox', ...enabled.filter((id) => id !== 'stripe')] : enabled;
+  return ids.map((id) => PROVIDER_FACTORIES[id]());
+};
+
+let activeProviders = null;
+
+export const getPaymentProviders = () => {
+  if (!activeProviders) activeProviders = createDefaultProviders();
+  return activeProviders;
+};
+
+export const getPaymentProvider = (id) => getPaymentProviders().find((provider) => provider.id === id) || null;
+
+export const setPaymentProviders = (providers) => {
+  activeProviders = providers;
+};
@@ -0,0 +1,65 @@
+import api from './api';
+import { USE_MOCK_API } from './mock';
+import { paymentsMock } from './mocks/paymentsMock';
+
+// How long the client waits for the webhook to apply a payment before showing it as "confirming"
+const CONFIRM_POLL_MS = 2000;
+const CONFIRM_ATTEMPTS = 5;
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * Payment Endpoints (/api/payment)
+ * Amounts are always computed on the server. What a payment pays for (hire, monthly invoice) is applied by the
+ * Stripe webhook or the wallet capture, idempotently per payment; the browser only polls for the outcome.
+ * How the student pays is picked in services/paymentProviders.
+ */
+const livePaymentsApi = {
+  // Hire: amount + platform commission for an application → { amount, commission, tutorReceives }
+  getHireQuote: (applicationId) => api.get('/payment/hire-quote', { params: { applicationId } }).then((res) => res.data),
+  // → { clientSecret, paymentIntentId, amount }
+  createPaymentIntent: (applicationId) => api.post('/payment/create-payment-intent', { applicationId }).then((res) => res.data),
+
+  // Mobile wallets (bKash / Nagad): { provider, applicationId | invoiceId, callbackUrl } → { paymentId, redirectUrl }.
+  // The wallet sends the student back to `callbackUrl` with `paymentId` and `status` ('success' | 'failure' | 'cancel').
+  createWalletCheckout: (payload) => api.post('/payment/wallet/checkout', payload).then((res) => res.data),
+  // Captures an approved wallet payment → { status } (as getStatus)
+  executeWalletPayment: (paymentId) => api.post('/payment/wallet/execute', { paymentId }).then((res) => res.data),
+
+  // Stripe payment intent or wallet payment id → { status: 'fulfilled' | 'pending_reconciliation' | 'failed' }
+  getStatus: (paymentId) => api.get(`/payment/status/${paymentId}`).then((res) => res.data),
+  getMine: (email) => api.get('/payment/my-payments', { params: { email } }).then((res) => res.data),
+
+  // Printable invoice for one payment (its student, tutor or an admin). The first request assigns the next
+  // sequential invoice number; later ones return the same. → { invoiceNumber, issuedAt, student, tutor,
+  // tuition, description, amount, commission, tutorReceives, transactionId, method, status }
+  getReceipt: (transactionId) => api.get(`/payment/receipt/${transactionId}`).then((res) => res.data),
+  // Every state change of one payment, oldest first → [{ _id, type, actor, note, amount, at }]
+  getTimeline: (transactionId) => api.get(`/payment/${transactionId}/timeline`).then((res) => res.data),
+
+  /**
+   * Polls getStatus until the webhook has applied the payment; resolves with the last status seen.
+   */
+  waitForConfirmation: async (paymentId) => {
+    let status = 'pending_reconciliation';
+    for (let attempt = 0; attempt < CONFIRM_ATTEMPTS; attempt += 1) {
+      const response = await paymentsApi.getStatus(paymentId);
+      status = response.data?.status || status;
+      if (status !== 'pending_reconciliation') break;
+      await wait(CONFIRM_POLL_MS);
+    }
+    return status;
+  },
+};
+
+// VITE_USE_MOCK_API: quote, wallet checkout and status are answered in-browser (sandbox payments), and a
+// fulfilled payment hires the tutor or marks the invoice paid in the mocked applications and invoices
+export const paymentsApi = USE_MOCK_API ? {
+  ...livePaymentsApi,
+  getHireQuote: paymentsMock.getHireQuote,
+  createWalletCheckout: paymentsMock.createWalletCheckout,
+  executeWalletPayment: paymentsMock.executeWalletPayment,
+  getStatus: paymentsMock.getStatus,
+} : livePaymentsApi;
+
+export default paymentsApi;
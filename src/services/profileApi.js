@@ -0,0 +1,26 @@
+import api from './api';
+
+/**
+ * Tutor Profile Endpoints (/api/profile, /api/tutor, /api/revenue)
+ * Resolves with the response body ({ success, data, message }).
+ * Tutor profiles carry a weekly `availabilitySchedule` ([{ day, start, end }]); `availability` is its text summary.
+ */
+export const profileApi = {
+  // Public
+  getAllTutors: () => api.get('/profile/all').then((res) => res.data),
+  // { page, limit, search, subject, location, medium, class, minSalary, maxSalary, gender, minRating, availability, sort }
+  // → { data, pagination: { page, limit, total, totalPages } }
+  // `{ sort: 'match', tuitionId, minMatch }` ranks every tutor against one of the caller's posts (utils/matching weights)
+  searchTutors: (params) => api.get('/profile/search', { params }).then((res) => res.data),
+  getTopTutors: () => api.get('/profile/top-tutors').then((res) => res.data),
+  getBySlug: (slug) => api.get(`/profile/${slug}`).then((res) => res.data),
+
+  // Tutor
+  getMine: () => api.get('/profile/my-profile').then((res) => res.data),
+  update: (payload) => api.put('/profile/update', payload).then((res) => res.data),
+  getLayoutStats: () => api.get('/profile/dashboard-stats').then((res) => res.data),
+  getDashboardStats: () => api.get('/tutor/dashboard-stats').then((res) => res.data),
+  getRevenue: (tutorId) => api.get(`/revenue/${tutorId}`).then((res) => res.data),
+};
+
+export default profileApi;
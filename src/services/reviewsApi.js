@@ -0,0 +1,19 @@
+import api from './api';
+
+/**
+ * Tutor Review Endpoints (/api/reviews)
+ * Resolves with the response body ({ success, data, message }).
+ * Review: { _id, tutorId, studentName, studentImage, subject, rating (1-5), comment, reply?: { text, createdAt }, createdAt }
+ */
+export const reviewsApi = {
+  // Public
+  getForTutor: (tutorId) => api.get(`/reviews/tutor/${tutorId}`).then((res) => res.data),
+
+  // Student: one review per completed tuition ({ ongoingTuitionId, tutorId, rating, comment })
+  create: (payload) => api.post('/reviews', payload).then((res) => res.data),
+
+  // Tutor
+  reply: (id, reply) => api.patch(`/reviews/${id}/reply`, { reply }).then((res) => res.data),
+};
+
+export default reviewsApi;
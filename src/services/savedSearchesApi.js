@@ -0,0 +1,22 @@
+import api from './api';
+
+/**
+ * Tutor Saved Search Endpoints (/api/saved-searches)
+ * Resolves with the response body ({ success, data, message }).
+ *
+ * SavedSearch: { _id, name, filters: { search, class, subject, medium, location, minSalary, maxSalary },
+ *                emailDigest, newMatches, lastViewedAt, createdAt }
+ * `newMatches` counts approved tuitions matching `filters` posted after `lastViewedAt`. The server also raises a
+ * `saved_search_match` notification (and adds it to the daily email when `emailDigest` is on) when one is approved.
+ */
+export const savedSearchesApi = {
+  getAll: () => api.get('/saved-searches').then((res) => res.data),
+  create: (payload) => api.post('/saved-searches', payload).then((res) => res.data),
+  // { name?, emailDigest? }
+  update: (id, payload) => api.patch(`/saved-searches/${id}`, payload).then((res) => res.data),
+  remove: (id) => api.delete(`/saved-searches/${id}`).then((res) => res.data),
+  // Resets `newMatches` once the tutor has opened the search
+  markViewed: (id) => api.patch(`/saved-searches/${id}/viewed`).then((res) => res.data),
+};
+
+export default savedSearchesApi;
@@ -0,0 +1,20 @@
+import api from './api';
+
+/**
+ * Class Session Endpoints (/api/sessions)
+ * One record per class taught on an ongoing tuition:
+ * { _id, ongoingTuitionId, date: 'YYYY-MM-DD', durationMinutes, topic, status: 'pending' | 'confirmed' | 'absent' }.
+ */
+export const sessionsApi = {
+  // Both sides; `month` is 'YYYY-MM'
+  getForTuition: (ongoingTuitionId, month) => api.get('/sessions', { params: { ongoingTuitionId, month } }).then((res) => res.data),
+
+  // Tutor (only pending sessions can be removed)
+  log: (payload) => api.post('/sessions', payload).then((res) => res.data),
+  remove: (id) => api.delete(`/sessions/${id}`).then((res) => res.data),
+
+  // Student: { attended: true } → confirmed, { attended: false } → absent
+  markAttendance: (id, attended) => api.patch(`/sessions/${id}/attendance`, { attended }).then((res) => res.data),
+};
+
+export default sessionsApi;
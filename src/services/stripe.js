@@ -0,0 +1,8 @@
+import { loadStripe } from '@stripe/stripe-js';
+
+/**
+ * Stripe.js, loaded once and shared by every checkout (<Elements stripe={stripePromise}>).
+ */
+export const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY);
+
+export default stripePromise;
@@ -0,0 +1,42 @@
+import api from './api';
+import { USE_MOCK_API } from './mock';
+import { paymentsMock } from './mocks/paymentsMock';
+
+/**
+ * Tuition Post Endpoints (/api/tuitions)
+ * Resolves with the response body ({ success, data, message }).
+ * Posts carry a structured weekly `schedule` ([{ day, start, end }], see utils/schedule.js) alongside the
+ * older free-text `daysPerWeek` / `time`, which the client derives from it.
+ */
+const liveTuitionsApi = {
+  // Public
+  getAll: () => api.get('/tuitions/all').then((res) => res.data),
+  // Server-side paging/filtering: { page, limit, search, class, subject, medium, location, minSalary, maxSalary,
+  //   days: 'sat,mon', timeOfDay: 'morning' | 'afternoon' | 'evening', sort, status }
+  // → { data: [...], pagination: { page, limit, total, totalPages } }
+  // `sort: 'match'` (tutors) ranks every post against the caller's profile (utils/matching weights),
+  // leaving out posts below `minMatch` or whose gender preference excludes the tutor
+  search: (params) => api.get('/tuitions', { params }).then((res) => res.data),
+  getBySlug: (slug) => api.get(`/tuitions/${slug}`).then((res) => res.data),
+
+  // Student
+  getById: (id) => api.get(`/tuitions/id/${id}`).then((res) => res.data),
+  getMine: () => api.get('/tuitions/my-tuitions').then((res) => res.data),
+  create: (payload) => api.post('/tuitions/create', payload).then((res) => res.data),
+  // Owner edit with only the changed fields; the server re-queues key-field changes for review
+  // and notifies existing applicants of salary/schedule changes
+  edit: (id, payload) => api.patch(`/tuitions/edit/${id}`, payload).then((res) => res.data),
+  remove: (id) => api.delete(`/tuitions/delete/${id}`).then((res) => res.data),
+
+  // Admin
+  getAdminAll: () => api.get('/tuitions/admin/all').then((res) => res.data),
+  update: (id, payload) => api.patch(`/tuitions/update/${id}`, payload).then((res) => res.data),
+};
+
+// VITE_USE_MOCK_API: the payment sandbox's tuitions (behind its mocked applications) are answered in-browser
+export const tuitionsApi = USE_MOCK_API ? {
+  ...liveTuitionsApi,
+  getById: (id) => paymentsMock.getTuition(id) || liveTuitionsApi.getById(id),
+} : liveTuitionsApi;
+
+export default tuitionsApi;
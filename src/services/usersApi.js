@@ -0,0 +1,12 @@
+import api from './api';
+
+/**
+ * Account Endpoints (/api/users) — shared by every role
+ */
+export const usersApi = {
+  getProfile: (email) => api.get('/users/profile', { params: { email } }).then((res) => res.data),
+  updateProfile: (payload) => api.put('/users/profile', payload).then((res) => res.data),
+  changePassword: (payload) => api.put('/users/change-password', payload).then((res) => res.data),
+};
+
+export default usersApi;
@@ -0,0 +1,29 @@
+import api from './api';
+
+/**
+ * Tutor Wallet Endpoints (/api/wallet)
+ * Every payment, commission, hold, release, refund and payout is a balanced journal entry:
+ * { _id, at, type, memo, transactionId, payoutId, lines: [{ account, debit, credit }] }.
+ * Summary balances → { gross, commission, net, held, available, pendingPayout, paidOut } plus the current `commissionRate`.
+ */
+export const walletApi = {
+  // Tutor
+  getSummary: () => api.get('/wallet/summary').then((res) => res.data),
+  // { page, limit } → { data, pagination }
+  getLedger: (params) => api.get('/wallet/ledger', { params }).then((res) => res.data),
+  getMyPayouts: () => api.get('/wallet/payouts/mine').then((res) => res.data),
+  // { amount, method: 'bkash' | 'nagad' | 'bank', details: { accountName, accountNumber, bankName, branch, routingNumber } }
+  requestPayout: (payload) => api.post('/wallet/payouts', payload).then((res) => res.data),
+  cancelPayout: (id) => api.delete(`/wallet/payouts/${id}`).then((res) => res.data),
+
+  // Admin
+  getPayouts: (status) => api.get('/wallet/payouts', { params: { status } }).then((res) => res.data),
+  // `reference` is the bKash/Nagad TrxID or bank transfer reference
+  approvePayout: (id, reference) => api.patch(`/wallet/payouts/${id}/approve`, { reference }).then((res) => res.data),
+  rejectPayout: (id, reason) => api.patch(`/wallet/payouts/${id}/reject`, { reason }).then((res) => res.data),
+  // Platform-wide ledger totals, to check against the Transactions list:
+  // { gross, refunded, commission, tutorNet, held, available, pendingPayout, paidOut }
+  getReconciliation: () => api.get('/wallet/reconciliation').then((res) => res.data),
+};
+
+export default walletApi;
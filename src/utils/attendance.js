@@ -0,0 +1,91 @@
+/**
+ * Class Session & Attendance Helpers
+ * Sessions are logged by the tutor ({ date: 'YYYY-MM-DD', durationMinutes, topic, status }) and confirmed by the
+ * student. Months are 'YYYY-MM' keys in local time. The monthly summary is what salary calculation reads.
+ */
+
+export const SESSION_STATUSES = {
+  pending: { label: 'Awaiting confirmation', className: 'bg-amber-50 text-amber-700 border-amber-100', dot: 'bg-amber-400' },
+  confirmed: { label: 'Attended', className: 'bg-emerald-50 text-emerald-700 border-emerald-100', dot: 'bg-emerald-500' },
+  absent: { label: 'Marked absent', className: 'bg-red-50 text-red-600 border-red-100', dot: 'bg-red-500' },
+};
+
+export const SESSION_DURATIONS = [30, 45, 60, 90, 120];
+
+// JS getDay() index → schedule weekday key
+const JS_DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const toDateKey = (date = new Date()) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const toMonthKey = (date = new Date()) => toDateKey(date).slice(0, 7);
+
+const parseMonth = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return { year, month: month - 1 };
+};
+
+export const shiftMonth = (monthKey, delta) => {
+  const { year, month } = parseMonth(monthKey);
+  return toMonthKey(new Date(year, month + delta, 1));
+};
+
+export const formatMonth = (monthKey) => {
+  const { year, month } = parseMonth(monthKey);
+  return new Date(year, month, 1).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+};
+
+export const formatSessionDate = (dateKey) =>
+  new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-GB', { weekday: 'short', day: '2-digit', month: 'short' });
+
+export const formatDuration = (minutes = 0) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+};
+
+/**
+ * Every date of the month as { dateKey, dayKey } (dayKey is the schedule weekday, e.g. 'sat').
+ */
+export const getMonthDays = (monthKey) => {
+  const { year, month } = parseMonth(monthKey);
+  const total = new Date(year, month + 1, 0).getDate();
+  return Array.from({ length: total }, (_, index) => {
+    const date = new Date(year, month, index + 1);
+    return { dateKey: toDateKey(date), dayKey: JS_DAY_KEYS[date.getDay()] };
+  });
+};
+
+/**
+ * How many classes the weekly schedule plans for a month.
+ */
+export const countScheduledSessions = (schedule = [], monthKey) => {
+  const scheduledDays = schedule.map((session) => session.day);
+  return getMonthDays(monthKey).reduce((count, { dayKey }) => count + scheduledDays.filter((day) => day === dayKey).length, 0);
+};
+
+/**
+ * Monthly attendance: planned vs logged vs confirmed classes, and confirmed teaching time.
+ * `attendanceRate` is confirmed / planned (null when the tuition has no structured schedule).
+ */
+export const summarizeAttendance = (sessions = [], schedule = [], monthKey) => {
+  const inMonth = sessions.filter((session) => session.date?.startsWith(monthKey));
+  const countOf = (status) => inMonth.filter((session) => session.status === status).length;
+  const scheduled = countScheduledSessions(schedule, monthKey);
+  const confirmed = countOf('confirmed');
+
+  return {
+    scheduled,
+    logged: inMonth.length,
+    confirmed,
+    absent: countOf('absent'),
+    pending: countOf('pending'),
+    confirmedMinutes: inMonth
+      .filter((session) => session.status === 'confirmed')
+      .reduce((sum, session) => sum + (Number(session.durationMinutes) || 0), 0),
+    attendanceRate: scheduled ? Math.min(100, Math.round((confirmed / scheduled) * 100)) : null,
+  };
+};
@@ -1 +1,18 @@
+/**
+ * Date Formatting Helpers
+ */
 
+/**
+ * Compact relative time: "Just now", "5m ago", "3h ago", "2d ago".
+ */
+export const timeAgo = (dateString) => {
+  const seconds = Math.floor((Date.now() - new Date(dateString)) / 1000);
+
+  if (seconds < 60) return "Just now";
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days}d ago`;
+};
@@ -1 +1,12 @@
-
+/**
+ * Plain string id from a raw id, a populated ref ({ _id }) or an extended-JSON ObjectId ({ $oid }),
+ * so ids from aggregated and populated rows compare equal.
+ */
+export const toId = (ref) => {
+  if (ref == null) return '';
+  if (typeof ref === 'object') {
+    if (ref._id != null) return toId(ref._id);
+    if (ref.$oid != null) return String(ref.$oid);
+  }
+  return String(ref);
+};
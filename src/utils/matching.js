@@ -0,0 +1,94 @@
+/**
+ * Tutor ↔ Tuition Matching
+ * Scores a tuition post against a tutor profile (0-100) and explains the score.
+ * Profiles keep their preferences as comma-separated text ("Math, Physics"); tuitions carry
+ * subject / class / location / salary / genderPreference.
+ * The server ranks whole listings with the same weights (`sort=match`); this module explains each result in the UI.
+ */
+
+export const MATCH_WEIGHTS = {
+  subject: 40,
+  class: 20,
+  location: 20,
+  salary: 15,
+  gender: 5,
+};
+
+// Below this a pairing is not worth recommending
+export const MIN_MATCH_SCORE = 30;
+
+const toTerms = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[,/|;]+/)
+  .map((term) => term.trim())
+  .filter(Boolean);
+
+// Loose containment either way, so "Math" matches "Higher Math" and "Class 9-10" matches "SSC / Class 9-10"
+const overlaps = (preferences, value) => {
+  const wanted = toTerms(value);
+  return toTerms(preferences).some((pref) => wanted.some((term) => term.includes(pref) || pref.includes(term)));
+};
+
+// First number in free text, so a range counts from its low end: "5,000-8,000" → 5000, "৳6000/month" → 6000
+const toAmount = (value) => {
+  const amount = String(value ?? '').replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return amount ? Number(amount[0]) : 0;
+};
+
+/**
+ * Returns { score, reasons, eligible }.
+ * `reasons` are short human sentences for the UI; `eligible` is false when the student asked for another gender.
+ */
+export const scoreMatch = (profile, tuition) => {
+  if (!profile || !tuition) return { score: 0, reasons: [], eligible: false };
+
+  let score = 0;
+  const reasons = [];
+
+  if (overlaps(profile.preferredSubjects, tuition.subject)) {
+    score += MATCH_WEIGHTS.subject;
+    reasons.push(`Teaches ${tuition.subject}`);
+  }
+
+  if (overlaps(profile.preferredClasses, tuition.class)) {
+    score += MATCH_WEIGHTS.class;
+    reasons.push(`Prefers ${tuition.class}`);
+  }
+
+  if (overlaps(profile.preferredLocations || profile.address, tuition.location)) {
+    score += MATCH_WEIGHTS.location;
+    reasons.push('Nearby location');
+  }
+
+  const offered = toAmount(tuition.salary);
+  const expected = toAmount(profile.expectedSalary);
+  if (offered && (!expected || offered >= expected)) {
+    score += MATCH_WEIGHTS.salary;
+    reasons.push(expected ? `Pays ৳${offered}, above the ৳${expected} expected` : 'Salary open');
+  } else if (offered && offered >= expected * 0.8) {
+    score += Math.round(MATCH_WEIGHTS.salary / 2);
+    reasons.push('Salary close to expectation');
+  }
+
+  const preference = tuition.genderPreference;
+  const eligible = !preference || preference === 'Any' || !profile.gender || preference === profile.gender;
+  if (eligible) score += MATCH_WEIGHTS.gender;
+
+  return { score, reasons, eligible };
+};
+
+/**
+ * Adds a `match` field to tuitions the server already ranked for this tutor.
+ */
+export const withTuitionMatches = (profile, tuitions = []) =>
+  tuitions.map((tuition) => ({ ...tuition, match: scoreMatch(profile, tuition) }));
+
+/**
+ * Adds a `match` field to tutor profiles the server already ranked for this tuition post.
+ */
+export const withTutorMatches = (tuition, profiles = []) =>
+  profiles.map((profile) => ({ ...profile, match: scoreMatch(profile, tuition) }));
+
+// Profiles need at least one preference before recommendations mean anything
+export const hasMatchPreferences = (profile) =>
+  !!(profile?.preferredSubjects || profile?.preferredClasses || profile?.preferredLocations);
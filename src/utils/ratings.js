@@ -0,0 +1,33 @@
+/**
+ * Rating Helpers
+ * Reviews carry a 1-5 star `rating`; tutor profiles carry the server-computed `averageRating` / `totalReviews`.
+ */
+
+export const RATING_LEVELS = [5, 4, 3, 2, 1];
+
+/**
+ * Builds { average, total, breakdown: [{ stars, count, percent }] } from a list of reviews.
+ */
+export const summarizeRatings = (reviews = []) => {
+  const total = reviews.length;
+  const sum = reviews.reduce((acc, review) => acc + (Number(review.rating) || 0), 0);
+
+  const breakdown = RATING_LEVELS.map((stars) => {
+    const count = reviews.filter((review) => Math.round(review.rating) === stars).length;
+    return { stars, count, percent: total ? Math.round((count / total) * 100) : 0 };
+  });
+
+  return {
+    average: total ? Math.round((sum / total) * 10) / 10 : 0,
+    total,
+    breakdown,
+  };
+};
+
+/**
+ * "4.7" for rated tutors, null when there is nothing to show yet.
+ */
+export const formatRating = (average, total) => {
+  if (!total || !Number(average)) return null;
+  return Number(average).toFixed(1);
+};
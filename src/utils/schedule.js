@@ -0,0 +1,134 @@
+/**
+ * Weekly Schedule Helpers
+ * A tuition's `schedule` is a list of weekly sessions: [{ day: 'sat', start: '16:00', end: '18:00' }].
+ * Times are 24h "HH:mm" strings. Older posts only have the free-text `daysPerWeek` / `time`, so every
+ * display helper falls back to those.
+ */
+
+// Bangladesh week order (Saturday first)
+export const WEEKDAYS = [
+  { key: 'sat', short: 'Sat', label: 'Saturday' },
+  { key: 'sun', short: 'Sun', label: 'Sunday' },
+  { key: 'mon', short: 'Mon', label: 'Monday' },
+  { key: 'tue', short: 'Tue', label: 'Tuesday' },
+  { key: 'wed', short: 'Wed', label: 'Wednesday' },
+  { key: 'thu', short: 'Thu', label: 'Thursday' },
+  { key: 'fri', short: 'Fri', label: 'Friday' },
+];
+
+// Time-of-day buckets used by the listing filters (start time decides the bucket)
+export const TIME_OF_DAY_OPTIONS = [
+  { value: 'morning', label: 'Morning (before 12 PM)', from: '00:00', to: '12:00' },
+  { value: 'afternoon', label: 'Afternoon (12 – 5 PM)', from: '12:00', to: '17:00' },
+  { value: 'evening', label: 'Evening (after 5 PM)', from: '17:00', to: '24:00' },
+];
+
+export const DEFAULT_SESSION_TIME = { start: '16:00', end: '18:00' };
+
+const DAY_ORDER = WEEKDAYS.map((day) => day.key);
+
+export const getWeekday = (key) => WEEKDAYS.find((day) => day.key === key);
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '0:0').split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * "16:30" → "4:30 PM"
+ */
+export const formatTime = (time) => {
+  if (!time) return '';
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${String(minutes || 0).padStart(2, '0')} ${suffix}`;
+};
+
+export const sortSessions = (schedule = []) =>
+  [...schedule].sort((a, b) => DAY_ORDER.indexOf(a.day) - DAY_ORDER.indexOf(b.day) || toMinutes(a.start) - toMinutes(b.start));
+
+export const hasSchedule = (tuition) => Array.isArray(tuition?.schedule) && tuition.schedule.length > 0;
+
+/**
+ * Sessions sharing a time are grouped: "Sat, Mon, Wed · 4:00 PM – 6:00 PM".
+ */
+export const formatSchedule = (schedule = []) => {
+  const groups = new Map();
+  sortSessions(schedule).forEach((session) => {
+    const range = `${formatTime(session.start)} – ${formatTime(session.end)}`;
+    groups.set(range, [...(groups.get(range) || []), getWeekday(session.day)?.short || session.day]);
+  });
+  return [...groups].map(([range, days]) => `${days.join(', ')} · ${range}`).join('; ');
+};
+
+/**
+ * The legacy free-text fields, derived so older screens and the admin views keep working.
+ */
+export const scheduleToLegacy = (schedule = []) => {
+  const days = new Set(schedule.map((session) => session.day)).size;
+  return {
+    daysPerWeek: days ? `${days} Days/Week` : '',
+    time: formatSchedule(schedule),
+  };
+};
+
+/**
+ * Short display pair for cards: { days: "3 Days/Week", time: "Sat, Mon · 4:00 PM – 6:00 PM" }.
+ */
+export const describeSchedule = (tuition) => {
+  if (!hasSchedule(tuition)) {
+    return { days: tuition?.daysPerWeek || 'Flexible', time: tuition?.time || 'Negotiable' };
+  }
+  const legacy = scheduleToLegacy(tuition.schedule);
+  return { days: legacy.daysPerWeek, time: legacy.time };
+};
+
+/**
+ * Flips one weekday in the comma-separated `days` listing filter ("sat,mon"), keeping week order.
+ */
+export const toggleDayFilter = (value, key) => {
+  const selected = new Set(String(value || '').split(',').filter(Boolean));
+  if (selected.has(key)) selected.delete(key);
+  else selected.add(key);
+  return DAY_ORDER.filter((day) => selected.has(day)).join(',');
+};
+
+/**
+ * Problems with a picked schedule, or null when it is usable.
+ */
+export const validateSchedule = (schedule = []) => {
+  if (schedule.length === 0) return 'Pick at least one day';
+  const invalid = schedule.find((session) => !session.start || !session.end || toMinutes(session.end) <= toMinutes(session.start));
+  if (invalid) return `${getWeekday(invalid.day)?.label || 'A session'} needs an end time after its start time`;
+  return null;
+};
+
+/**
+ * Every pair of sessions that fall on the same day and overlap in time.
+ */
+export const findScheduleClashes = (scheduleA = [], scheduleB = []) =>
+  scheduleA.flatMap((a) => scheduleB
+    .filter((b) => a.day === b.day && toMinutes(a.start) < toMinutes(b.end) && toMinutes(b.start) < toMinutes(a.end))
+    .map((b) => ({ day: a.day, first: a, second: b })));
+
+// Finished tuitions no longer hold their slots
+const FREED_STATUSES = ['completed', 'cancelled'];
+
+/**
+ * A tutor's ongoing tuitions flattened into booked sessions: [{ day, start, end, ongoingId, subject, studentName }].
+ */
+export const getBookedSessions = (ongoingTuitions = []) => ongoingTuitions
+  .filter((ongoing) => !FREED_STATUSES.includes(ongoing.status) && hasSchedule(ongoing))
+  .flatMap((ongoing) => ongoing.schedule.map((session) => ({
+    ...session,
+    ongoingId: ongoing._id,
+    subject: ongoing.subject,
+    studentName: ongoing.studentName,
+  })));
+
+/**
+ * Sessions of `schedule` that no availability slot on the same day fully covers.
+ */
+export const findUncoveredSessions = (schedule = [], availability = []) =>
+  schedule.filter((session) => !availability.some((slot) =>
+    slot.day === session.day && toMinutes(slot.start) <= toMinutes(session.start) && toMinutes(session.end) <= toMinutes(slot.end)));
@@ -1 +1,46 @@
+/**
+ * Form Validation Rules
+ * Shared by the auth and payout forms so every password/phone check behaves the same.
+ */
 
+export const PASSWORD_MIN_LENGTH = 6;
+export const BD_PHONE_REGEX = /^01[3-9]\d{8}$/;
+
+/**
+ * Validates a new password and its confirmation.
+ * Returns an errors object keyed by field (`password`, `confirmPassword`); empty when valid.
+ */
+export const validateNewPassword = (password, confirmPassword) => {
+  const errors = {};
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    errors.password = `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (password !== confirmPassword) {
+    errors.confirmPassword = "Passwords do not match";
+  }
+
+  return errors;
+};
+
+/**
+ * Validates a payout request against the tutor's available balance.
+ * Mobile wallets need a BD number; bank transfers need the account and bank names.
+ */
+export const validatePayoutRequest = ({ amount, method, details }, available, minAmount) => {
+  const errors = {};
+  const value = Number(amount);
+
+  if (!(value >= minAmount)) errors.amount = `Minimum payout is ৳${minAmount}`;
+  else if (value > available) errors.amount = `You can withdraw up to ৳${available.toLocaleString()}`;
+
+  if (!details.accountName?.trim()) errors.accountName = "Account holder's name is required";
+  if (method === 'bank') {
+    if (!details.accountNumber?.trim()) errors.accountNumber = 'Account number is required';
+    if (!details.bankName?.trim()) errors.bankName = 'Bank name is required';
+  } else if (!BD_PHONE_REGEX.test(details.accountNumber || '')) {
+    errors.accountNumber = 'Enter a valid 11-digit mobile number (01XXXXXXXXX)';
+  }
+
+  return errors;
+};